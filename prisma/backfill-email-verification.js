@@ -0,0 +1,56 @@
+/**
+ * One-off backfill for the email verification rollout.
+ *
+ * authenticate() rejects users without emailVerifiedAt, and every account
+ * created before the column existed has it unset. Run this once after the
+ * schema change is applied, passing the time the release went out; accounts
+ * created before then are marked verified as of their creation date. Accounts
+ * registered afterwards still have to verify their address.
+ *
+ *   npm run prisma:backfill-email-verification -- --before=2026-10-19T00:00:00Z
+ *
+ * Add --dry-run to only count the accounts. Running it again is harmless.
+ */
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const option = (name) => process.argv
+  .find(arg => arg.startsWith(`--${name}=`))
+  ?.slice(name.length + 3);
+
+async function main() {
+  const before = new Date(option('before'));
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (Number.isNaN(before.getTime())) {
+    console.error('Usage: node prisma/backfill-email-verification.js --before=<ISO date of the release> [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const where = { emailVerifiedAt: null, createdAt: { lt: before } };
+
+  if (dryRun) {
+    const count = await prisma.user.count({ where });
+    console.log(`${count} accounts created before ${before.toISOString()} would be marked verified`);
+    return;
+  }
+
+  // Use each account's creation date, so the backfilled rows stand out
+  const updated = await prisma.$executeRaw`
+    UPDATE users SET "emailVerifiedAt" = "createdAt"
+    WHERE "emailVerifiedAt" IS NULL AND "createdAt" < ${before}
+  `;
+
+  console.log(`✅ Marked ${updated} accounts created before ${before.toISOString()} as verified`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error during backfill:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
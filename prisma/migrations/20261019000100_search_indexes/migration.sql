@@ -0,0 +1,19 @@
+-- Full-text search indexes for searchService. Prisma cannot describe
+-- expression indexes in schema.prisma, so they live only here; drop any
+-- DROP INDEX of them that `prisma migrate dev` generates later. Each
+-- expression must match the one searchService uses in its WHERE clause.
+
+-- CreateIndex
+CREATE INDEX "properties_search_idx" ON "properties" USING GIN ((setweight(to_tsvector('english', coalesce("name", '')), 'A') || setweight(to_tsvector('english', coalesce("address", '')), 'B') || setweight(to_tsvector('english', coalesce("city", '')), 'B') || setweight(to_tsvector('english', coalesce("description", '')), 'C')));
+
+-- CreateIndex
+CREATE INDEX "tenants_search_idx" ON "tenants" USING GIN ((setweight(to_tsvector('english', coalesce("firstName", '')), 'A') || setweight(to_tsvector('english', coalesce("lastName", '')), 'A') || setweight(to_tsvector('english', coalesce("phone", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "users_email_search_idx" ON "users" USING GIN ((setweight(to_tsvector('english', coalesce("email", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "complaints_search_idx" ON "complaints" USING GIN ((setweight(to_tsvector('english', coalesce("subject", '')), 'A') || setweight(to_tsvector('english', coalesce("message", '')), 'B') || setweight(to_tsvector('english', coalesce("response", '')), 'C')));
+
+-- CreateIndex
+CREATE INDEX "maintenance_requests_search_idx" ON "MaintenanceRequest" USING GIN ((setweight(to_tsvector('english', coalesce("title", '')), 'A') || setweight(to_tsvector('english', coalesce("description", '')), 'B') || setweight(to_tsvector('english', coalesce("resolution", '')), 'C')));
@@ -1,6 +1,7 @@
 
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
+import { SYSTEM_ROLE_TEMPLATES } from '../src/services/permissionService.js';
 
 const prisma = new PrismaClient();
 
@@ -18,6 +19,7 @@ async function main() {
       password: hashedPassword,
       role: 'SUPER_ADMIN',
       isActive: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -32,6 +34,7 @@ async function main() {
       password: hashedPassword,
       role: 'OWNER',
       isActive: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -58,6 +61,7 @@ async function main() {
       password: hashedPassword,
       role: 'MANAGER',
       isActive: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -84,6 +88,7 @@ async function main() {
       password: hashedPassword,
       role: 'TENANT',
       isActive: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -120,6 +125,8 @@ async function main() {
         status: 'AVAILABLE',
         amenities: ['Parking', 'Pool', 'Gym', 'Laundry'],
         images: ['https://example.com/image1.jpg'],
+        isPublished: true,
+        publishedAt: new Date(),
       },
     }),
     prisma.property.upsert({
@@ -143,6 +150,41 @@ async function main() {
 
   console.log('✅ Properties created:', properties.length);
 
+  // Assign the manager to both properties
+  await Promise.all(properties.map((property, index) =>
+    prisma.propertyManager.upsert({
+      where: { id: `00000000-0000-0000-0000-00000000000${index + 1}` },
+      update: {},
+      create: {
+        id: `00000000-0000-0000-0000-00000000000${index + 1}`,
+        propertyId: property.id,
+        managerId: manager.id,
+        role: 'PRIMARY',
+        assignedById: ownerUser.id,
+      },
+    })
+  ));
+
+  console.log('✅ Manager assigned to properties');
+
+  // Split the apartment complex into its units
+  const units = await Promise.all(['101', '102', '201', '202'].map(number =>
+    prisma.unit.upsert({
+      where: { propertyId_number: { propertyId: properties[0].id, number } },
+      update: {},
+      create: {
+        propertyId: properties[0].id,
+        number,
+        floor: parseInt(number[0]),
+        bedrooms: number.endsWith('1') ? 1 : 2,
+        size: number.endsWith('1') ? 650 : 900,
+        rentAmount: number.endsWith('1') ? 1300.00 : 1700.00,
+      },
+    })
+  ));
+
+  console.log('✅ Units created:', units.length);
+
   // Create Lease
   const lease = await prisma.lease.upsert({
     where: { id: '00000000-0000-0000-0000-000000000001' },
@@ -242,6 +284,38 @@ async function main() {
 
   console.log('✅ Notifications created:', notifications.length);
 
+  // System settings
+  await prisma.systemSetting.upsert({
+    where: { key: 'TWO_FACTOR_REQUIRED_ROLES' },
+    update: {},
+    create: {
+      key: 'TWO_FACTOR_REQUIRED_ROLES',
+      value: '[]',
+      type: 'JSON',
+      description: 'Roles that must enroll in two-factor authentication, e.g. ["SUPER_ADMIN","OWNER"]',
+    },
+  });
+
+  console.log('✅ System settings created');
+
+  // Built-in manager role templates
+  for (const template of SYSTEM_ROLE_TEMPLATES) {
+    await prisma.roleTemplate.upsert({
+      where: { id: template.id },
+      update: {
+        name: template.name,
+        description: template.description,
+        permissions: template.permissions,
+      },
+      create: {
+        ...template,
+        isSystem: true,
+      },
+    });
+  }
+
+  console.log('✅ Role templates created');
+
   console.log('🎉 Database seeding completed successfully!');
   console.log('\n📧 Default user credentials:');
   console.log('Super Admin: admin@rentalmanagement.com / admin123');
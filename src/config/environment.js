@@ -13,7 +13,11 @@ const envSchema = z.object({
 
   // JWT
   JWT_SECRET: z.string().min(32, 'JWT secret must be at least 32 characters'),
-  JWT_EXPIRES_IN: z.string().default('7d'),
+  JWT_EXPIRES_IN: z.string().default('15m'),
+  REFRESH_TOKEN_TTL_DAYS: z.string().transform(Number).default('30'),
+
+  // Encryption; stored 2FA and SSO secrets can only be read back with the same key
+  ENCRYPTION_KEY: z.string().min(32, 'Encryption key must be at least 32 characters'),
 
   // Email
   SMTP_HOST: z.string().optional(),
@@ -72,6 +76,11 @@ export const config = {
   jwt: {
     secret: env.JWT_SECRET,
     expiresIn: env.JWT_EXPIRES_IN,
+    refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS,
+  },
+
+  encryption: {
+    key: env.ENCRYPTION_KEY,
   },
 
   email: {
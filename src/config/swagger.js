@@ -28,12 +28,21 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Owner API key (rms_...). May also be sent as a bearer token. Limited to the scopes it was created with.',
+        },
       },
     },
     security: [
       {
         bearerAuth: [],
       },
+      {
+        apiKeyAuth: [],
+      },
     ],
   },
   apis: ['./src/modules/*/routes/*.js', './src/modules/*/controllers/*.js'],
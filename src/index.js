@@ -12,6 +12,7 @@ import dotenv from 'dotenv';
 import logger from './config/logger.js';
 import swaggerSpecs from './config/swagger.js';
 import prisma from './config/database.js';
+import { initializeRedis, closeRedis } from './config/redis.js';
 
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
@@ -33,6 +34,13 @@ import reportRoutes from './modules/reports/routes/reportRoutes.js';
 import maintenanceRoutes from './modules/maintenance/routes/maintenanceRoutes.js';
 import adminRoutes from './modules/admin/routes/adminRoutes.js';
 import calendarRoutes from './modules/calendar/routes/calendarRoutes.js';
+import searchRoutes from './modules/search/routes/searchRoutes.js';
+import listingRoutes from './modules/listings/routes/listingRoutes.js';
+import applicationRoutes from './modules/applications/routes/applicationRoutes.js';
+import importRoutes from './modules/imports/routes/importRoutes.js';
+import inspectionRoutes from './modules/inspections/routes/inspectionRoutes.js';
+import documentRoutes from './modules/documents/routes/documentRoutes.js';
+import expenseRoutes from './modules/expenses/routes/expenseRoutes.js';
 
 // Import socket handlers
 import { initializeSocket } from './modules/notifications/services/socketService.js';
@@ -53,6 +61,11 @@ const io = new Server(server, {
 // Initialize Socket.IO
 initializeSocket(io);
 
+// Initialize Redis (optional, used for token revocation)
+if (process.env.REDIS_URL) {
+  initializeRedis();
+}
+
 // Security middleware
 app.use(securityHeaders);
 app.use(cors({
@@ -109,6 +122,13 @@ app.use(`${API_VERSION}/reports`, reportRoutes);
 app.use(`${API_VERSION}/maintenance`, maintenanceRoutes);
 app.use(`${API_VERSION}/admin`, adminRoutes);
 app.use(`${API_VERSION}/calendar`, calendarRoutes);
+app.use(`${API_VERSION}/search`, searchRoutes);
+app.use(`${API_VERSION}/listings`, listingRoutes);
+app.use(`${API_VERSION}/applications`, applicationRoutes);
+app.use(`${API_VERSION}/imports`, importRoutes);
+app.use(`${API_VERSION}/inspections`, inspectionRoutes);
+app.use(`${API_VERSION}/documents`, documentRoutes);
+app.use(`${API_VERSION}/expenses`, expenseRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -129,6 +149,8 @@ const gracefulShutdown = async (signal) => {
     await prisma.$disconnect();
     logger.info('Database connection closed.');
 
+    await closeRedis();
+
     process.exit(0);
   });
 
@@ -2,10 +2,55 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
 import logger from '../config/logger.js';
+import { isAccessTokenRevoked } from '../services/tokenService.js';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
+import { isApiKey, findActiveApiKey, requiredScope, recordApiKeyUse } from '../services/apiKeyService.js';
+import { findActiveImpersonation, logImpersonatedRequest } from '../services/impersonationService.js';
+import { isKnownPermission, resolvePermissions } from '../services/permissionService.js';
+import { activeAssignmentWhere } from '../services/propertyAssignmentService.js';
+
+// API keys act as the owner that minted them, limited to the key's scopes
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await findActiveApiKey(key);
+  const user = apiKey?.owner.user;
+
+  if (!apiKey || !user.isActive) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Invalid, expired or revoked API key',
+    });
+  }
+
+  const scope = requiredScope(req);
+
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: scope
+        ? `API key is missing the ${scope} scope`
+        : 'This endpoint cannot be used with an API key',
+    });
+  }
+
+  await recordApiKeyUse(apiKey, req.ip);
+
+  req.user = {
+    ...user,
+    userId: user.id,
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+  };
+  next();
+};
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 export const authenticate = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
       return res.status(401).json({
@@ -14,7 +59,19 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    if (isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Token has been revoked',
+      });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       include: {
@@ -23,6 +80,11 @@ export const authenticate = async (req, res, next) => {
         manager: {
           include: {
             owner: true,
+            roleTemplate: true,
+            propertyAssignments: {
+              where: activeAssignmentWhere(),
+              select: { propertyId: true, role: true },
+            },
           },
         },
       },
@@ -35,10 +97,68 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Unverified accounts may only reach routes explicitly marked with allowUnverified
+    if (!user.emailVerifiedAt && !req.allowUnverified) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address to access this resource',
+      });
+    }
+
+    // Roles that must use 2FA may only reach setup routes until they enroll
+    if (!user.twoFactorEnabled && !req.allowTwoFactorSetup && await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Please set up two-factor authentication to access this resource',
+      });
+    }
+
+    // Impersonation tokens only work while the session is open and the admin
+    // behind it still is one
+    if (decoded.imp) {
+      const impersonation = await findActiveImpersonation(decoded.imp.id);
+
+      if (!impersonation || impersonation.targetUserId !== user.id ||
+        !impersonation.admin.isActive || impersonation.admin.role !== 'SUPER_ADMIN') {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'Impersonation session has ended',
+        });
+      }
+
+      req.impersonation = {
+        id: impersonation.id,
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt,
+      };
+      req.impersonator = {
+        id: impersonation.admin.id,
+        email: impersonation.admin.email,
+        firstName: impersonation.admin.firstName,
+        lastName: impersonation.admin.lastName,
+      };
+
+      res.on('finish', () => {
+        logImpersonatedRequest(req, res.statusCode).catch(error => {
+          logger.error('Failed to audit impersonated request:', error);
+        });
+      });
+
+      // Impersonation is for looking at what the user sees; changes are left
+      // to the user, apart from routes marked with allowWhileImpersonating
+      if (!READ_ONLY_METHODS.includes(req.method) && !req.allowWhileImpersonating) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This action is not available while impersonating a user',
+        });
+      }
+    }
+
     req.user = {
       ...user,
       userId: user.id,
     };
+    req.token = decoded;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -49,7 +169,29 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Place before authenticate on routes an unverified account must still reach
+export const allowUnverified = (req, res, next) => {
+  req.allowUnverified = true;
+  next();
+};
+
+// Place before authenticate on routes needed to finish mandatory 2FA enrollment
+export const allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
+// Place before authenticate on write routes an impersonating admin may still
+// use, such as logging out to end the session
+export const allowWhileImpersonating = (req, res, next) => {
+  req.allowWhileImpersonating = true;
+  next();
+};
+
 export const authorize = (...roles) => {
+  // Accept both authorize('A', 'B') and authorize(['A', 'B'])
+  const allowedRoles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -58,7 +200,7 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'Insufficient permissions',
@@ -69,7 +211,17 @@ export const authorize = (...roles) => {
   };
 };
 
-export const checkPermissions = (requiredPermissions) => {
+// Managers need every listed permission from the catalog in
+// services/permissionService.js. Other roles are gated by authorize.
+export const checkPermissions = (...requiredPermissions) => {
+  const permissions = requiredPermissions.flat();
+
+  // Fail at startup rather than silently denying on a typo
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -78,24 +230,19 @@ export const checkPermissions = (requiredPermissions) => {
       });
     }
 
-    // Super admin and owners have all permissions
-    if (['SUPER_ADMIN', 'OWNER'].includes(req.user.role)) {
+    if (req.user.role !== 'MANAGER') {
       return next();
     }
 
-    // Check manager permissions
-    if (req.user.role === 'MANAGER' && req.user.manager) {
-      const userPermissions = req.user.manager.permissions || {};
-      const hasPermission = requiredPermissions.every(permission => 
-        userPermissions[permission] === true
-      );
+    const granted = resolvePermissions(req.user);
+    const missingPermissions = permissions.filter(permission => !granted.includes(permission));
 
-      if (!hasPermission) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'Insufficient permissions',
-        });
-      }
+    if (missingPermissions.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Insufficient permissions',
+        missingPermissions,
+      });
     }
 
     next();
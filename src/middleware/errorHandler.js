@@ -50,6 +50,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Archiving or restoring in the wrong state, from archiveService
+  if (err.name === 'ArchiveError') {
+    return res.status(err.statusCode).json({
+      error: 'Archive error',
+      message: err.message,
+    });
+  }
+
   // Multer errors
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
@@ -1,8 +1,8 @@
 
 import rateLimit from 'express-rate-limit';
 import slowDown from 'express-slow-down';
-import ExpressBrute from 'express-brute';
 import logger from '../config/logger.js';
+import { getLoginLock } from '../services/loginLockoutService.js';
 
 // General API rate limiter
 export const apiLimiter = rateLimit({
@@ -34,6 +34,39 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// Limiter for refresh token rotation. Only failed attempts count, so clients
+// refreshing normally are never throttled while guessing or replaying
+// refresh tokens is.
+export const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed refreshes per windowMs
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Refresh token rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Too many token refresh attempts, please try again later.',
+    });
+  },
+});
+
+// Limiter for endpoints that send emails to an address supplied by the caller
+export const emailActionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 emails per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Email action rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Too many email requests, please try again later.',
+    });
+  },
+});
+
 // Speed limiter for general API
 export const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -41,15 +74,26 @@ export const speedLimiter = slowDown({
   delayMs: () => 500, // add 500ms delay per request after delayAfter
 });
 
-// Brute force protection for login
-const store = new ExpressBrute.MemoryStore();
-export const bruteForce = new ExpressBrute(store, {
-  freeRetries: 3,
-  minWait: 5 * 60 * 1000, // 5 minutes
-  maxWait: 60 * 60 * 1000, // 1 hour
-  lifetime: 24 * 60 * 60, // 1 day (seconds)
-  handleStoreError: (error) => {
-    logger.error('Brute force store error:', error);
-    throw error;
-  },
-});
+// Brute force protection for login, backed by the LoginAttempt table.
+// Runs after validation so it sees the normalized email.
+export const loginLockout = async (req, res, next) => {
+  try {
+    const lock = await getLoginLock(req.body.email, req.ip);
+
+    if (lock) {
+      const retryAfter = Math.ceil((lock.lockedUntil.getTime() - Date.now()) / 1000);
+      logger.warn(`Login blocked by ${lock.scope.toLowerCase()} lockout for IP: ${req.ip}`);
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts',
+        message: `Too many failed login attempts. Try again after ${lock.lockedUntil.toISOString()}`,
+        retryAfter: lock.lockedUntil,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
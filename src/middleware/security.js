@@ -1,24 +1,5 @@
 import rateLimit from 'express-rate-limit';
-import ExpressBrute from 'express-brute';
 import helmet from 'helmet';
-import logger from '../config/logger.js';
-
-// Brute force protection for login attempts
-const bruteStore = new ExpressBrute.MemoryStore();
-export const loginBruteForce = new ExpressBrute(bruteStore, {
-  freeRetries: 5,
-  minWait: 5 * 60 * 1000, // 5 minutes
-  maxWait: 60 * 60 * 1000, // 1 hour
-  lifetime: 24 * 60 * 60, // 24 hours
-  failCallback: (req, res, next, nextValidRequestDate) => {
-    logger.warn(`Brute force attempt detected from IP: ${req.ip}`);
-    res.status(429).json({
-      error: 'Too many failed attempts',
-      message: `Try again after ${new Date(nextValidRequestDate)}`,
-      retryAfter: nextValidRequestDate
-    });
-  }
-});
 
 // Rate limiting for sensitive operations
 export const sensitiveOperationLimit = rateLimit({
@@ -29,6 +29,25 @@ export const upload = multer({
   },
 });
 
+// Spreadsheets for the bulk import. Browsers report CSV under several
+// types, so the extension decides.
+const spreadsheetFilter = (req, file, cb) => {
+  if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV and XLSX spreadsheets are allowed.'), false);
+  }
+};
+
+export const spreadsheetUpload = multer({
+  storage,
+  fileFilter: spreadsheetFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1,
+  },
+});
+
 // Handle multer errors
 export const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
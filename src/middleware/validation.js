@@ -1,6 +1,12 @@
 import { validationResult, body, query } from 'express-validator';
-import { ZodError } from 'zod';
+import { z, ZodError } from 'zod';
 import logger from '../config/logger.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { PERMISSION_KEYS, isKnownPermission } from '../services/permissionService.js';
+import { isValidCoordinates } from '../utils/validators.js';
+import { SEARCH_TYPES } from '../services/searchService.js';
+import { DOCUMENT_CATEGORIES } from '../services/documentService.js';
+import { EXPENSE_CATEGORIES, EXPENSE_FREQUENCIES } from '../services/expenseService.js';
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -34,6 +40,9 @@ export const zodValidate = (schema) => {
   };
 };
 
+// Schema validators below share the zod middleware
+const validateSchema = zodValidate;
+
 // Sanitize input to prevent parameter pollution
 export const sanitizeInput = (req, res, next) => {
   const sanitize = (obj) => {
@@ -54,36 +63,321 @@ export const sanitizeInput = (req, res, next) => {
 };
 
 // Property validations
-export const validateProperty = [
+// Property location: coordinates come as a valid latitude/longitude pair
+const isCoordinatePair = (value, { req }) => isValidCoordinates(Number(req.body.latitude), Number(req.body.longitude));
+
+const propertyLocationRules = [
+  body('addressLine1').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Address line 1 must be between 2 and 200 characters'),
+  body('addressLine2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be at most 200 characters'),
+  body('city').optional().trim().isLength({ min: 1, max: 100 }).withMessage('City must be at most 100 characters'),
+  body('state').optional().trim().isLength({ max: 100 }).withMessage('State must be at most 100 characters'),
+  body('postalCode').optional().trim().isLength({ max: 20 }).withMessage('Postal code must be at most 20 characters'),
+  body('country').optional().trim().isLength({ max: 100 }).withMessage('Country must be at most 100 characters'),
+  body('latitude').optional().custom(isCoordinatePair).withMessage('Latitude and longitude must be given together as valid coordinates'),
+  body('longitude').optional().custom(isCoordinatePair).withMessage('Latitude and longitude must be given together as valid coordinates'),
+];
+
+// Field rules shared by the create endpoint and the spreadsheet import
+export const propertyRules = [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Property name must be between 2 and 100 characters'),
-  body('address').trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
+  body('address').if(body('addressLine1').not().exists()).trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
+  body('city').if(body('addressLine1').exists()).notEmpty().withMessage('City is required with a structured address'),
+  ...propertyLocationRules,
   body('type').isIn(['APARTMENT', 'HOUSE', 'CONDO', 'TOWNHOUSE', 'STUDIO', 'OTHER']).withMessage('Invalid property type'),
   body('units').optional().isInt({ min: 1 }).withMessage('Units must be a positive integer'),
   body('rentAmount').isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
   body('amenities').optional().isArray().withMessage('Amenities must be an array'),
+  body('availableFrom').optional({ nullable: true }).isISO8601().withMessage('Available from must be a valid date'),
+];
+
+export const validateProperty = [
+  ...propertyRules,
   handleValidationErrors,
 ];
 
 export const validatePropertyUpdate = [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Property name must be between 2 and 100 characters'),
   body('address').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
+  ...propertyLocationRules,
   body('type').optional().isIn(['APARTMENT', 'HOUSE', 'CONDO', 'TOWNHOUSE', 'STUDIO', 'OTHER']).withMessage('Invalid property type'),
   body('units').optional().isInt({ min: 1 }).withMessage('Units must be a positive integer'),
   body('rentAmount').optional().isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
   body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE', 'UNAVAILABLE']).withMessage('Invalid status'),
   body('amenities').optional().isArray().withMessage('Amenities must be an array'),
+  body('availableFrom').optional({ nullable: true }).isISO8601().withMessage('Available from must be a valid date'),
+  handleValidationErrors,
+];
+
+// All parameters of a group must be given together
+const allOrNone = (params) => (value, { req }) => {
+  const given = params.filter(param => req.query[param] !== undefined).length;
+  return given === 0 || given === params.length;
+};
+
+export const validatePropertySearch = [
+  query(['minLat', 'maxLat', 'lat']).optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query(['minLng', 'maxLng', 'lng']).optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('maxLat').optional().custom((maxLat, { req }) => parseFloat(maxLat) >= parseFloat(req.query.minLat)).withMessage('maxLat must not be below minLat'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: 20000 }).withMessage('Radius must be a positive number of kilometres'),
+  query('minLat').custom(allOrNone(['minLat', 'maxLat', 'minLng', 'maxLng'])).withMessage('minLat, maxLat, minLng and maxLng must be given together'),
+  query('lat').custom(allOrNone(['lat', 'lng', 'radiusKm'])).withMessage('lat, lng and radiusKm must be given together'),
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean'),
+  handleValidationErrors,
+];
+
+// Public listing filters
+export const validateListingQuery = [
+  query('type').optional().isIn(['APARTMENT', 'HOUSE', 'CONDO', 'TOWNHOUSE', 'STUDIO', 'OTHER']).withMessage('Invalid property type'),
+  query('city').optional().trim().isLength({ min: 1, max: 100 }).withMessage('City must be at most 100 characters'),
+  query(['minRent', 'maxRent']).optional().isFloat({ min: 0 }).withMessage('Rent must be a positive number'),
+  query('maxRent').optional().custom((maxRent, { req }) => req.query.minRent === undefined || parseFloat(maxRent) >= parseFloat(req.query.minRent)).withMessage('maxRent must not be below minRent'),
+  query('bedrooms').optional().isInt({ min: 0 }).withMessage('Bedrooms must be a non-negative integer'),
+  query('amenities').optional().isString().withMessage('Amenities must be a comma-separated list'),
+  query('availableBy').optional().isISO8601().withMessage('availableBy must be a valid date'),
+  query('sort').optional().isIn(['newest', 'rent_asc', 'rent_desc', 'available']).withMessage('Invalid sort'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
+];
+
+// Property publishing
+export const validatePropertyPublish = [
+  body('isPublished').isBoolean().withMessage('isPublished must be a boolean'),
+  body('availableFrom').optional({ nullable: true }).isISO8601().withMessage('Available from must be a valid date'),
+  handleValidationErrors,
+];
+
+// Unit validations
+export const validateUnit = [
+  body('number').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Unit number must be between 1 and 20 characters'),
+  body('floor').optional({ nullable: true }).isInt().withMessage('Floor must be an integer'),
+  body('bedrooms').optional().isInt({ min: 0 }).withMessage('Bedrooms must be a non-negative integer'),
+  body('size').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Size must be a positive number'),
+  body('rentAmount').optional().isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
+  body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE', 'UNAVAILABLE']).withMessage('Invalid status'),
+  handleValidationErrors,
+];
+
+export const validateUnitUpdate = [
+  body('number').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Unit number must be between 1 and 20 characters'),
+  body('floor').optional({ nullable: true }).isInt().withMessage('Floor must be an integer'),
+  body('bedrooms').optional().isInt({ min: 0 }).withMessage('Bedrooms must be a non-negative integer'),
+  body('size').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Size must be a positive number'),
+  body('rentAmount').optional().isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
+  body('status').optional().isIn(['AVAILABLE', 'OCCUPIED', 'MAINTENANCE', 'UNAVAILABLE']).withMessage('Invalid status'),
+  handleValidationErrors,
+];
+
+// Property image validations
+export const validatePropertyImageOrder = [
+  body('imageIds').isArray({ min: 1 }).withMessage('Image IDs must be a non-empty array'),
+  body('imageIds.*').isString().notEmpty().withMessage('Each image ID must be a string'),
+  handleValidationErrors,
+];
+
+export const validatePropertyImageUpdate = [
+  body('caption').optional({ nullable: true }).isString().trim().isLength({ max: 200 }).withMessage('Caption must be at most 200 characters'),
+  body('isCover').optional().isBoolean().withMessage('isCover must be a boolean'),
+  handleValidationErrors,
+];
+
+// Import validations
+export const validateImportUpload = [
+  body('type').isIn(['PROPERTIES', 'TENANTS']).withMessage('Type must be PROPERTIES or TENANTS'),
+  handleValidationErrors,
+];
+
+export const validateImportMapping = [
+  body('mapping').isObject().withMessage('Mapping must be an object of field to column header'),
+  body('mapping.*').optional({ nullable: true }).isString().withMessage('Each mapped column must be a header name'),
+  handleValidationErrors,
+];
+
+export const validateImportCommit = [
+  body('sendInvitations').optional().isBoolean().withMessage('sendInvitations must be a boolean'),
+  handleValidationErrors,
+];
+
+// Inspection validations
+export const validateInspectionTemplate = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Template name must be between 2 and 100 characters'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('rooms').isArray({ min: 1, max: 50 }).withMessage('Rooms must be a list of 1 to 50 rooms'),
+  body('rooms.*.name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each room needs a name of at most 100 characters'),
+  body('rooms.*.items').isArray({ min: 1, max: 50 }).withMessage('Each room needs 1 to 50 checklist items'),
+  body('rooms.*.items.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Each checklist item must be between 1 and 200 characters'),
+  handleValidationErrors,
+];
+
+export const validateInspection = [
+  body('propertyId').isString().notEmpty().withMessage('Property ID is required'),
+  body('unitId').optional().isString().notEmpty().withMessage('Unit ID must be a string'),
+  body('tenantId').optional().isString().notEmpty().withMessage('Tenant ID must be a string'),
+  body('leaseId').optional().isString().notEmpty().withMessage('Lease ID must be a string'),
+  body('type').isIn(['MOVE_IN', 'MOVE_OUT']).withMessage('Type must be MOVE_IN or MOVE_OUT'),
+  body('templateId').isString().notEmpty().withMessage('Template ID is required'),
+  body('scheduledAt').optional().isISO8601().withMessage('Scheduled date must be a valid date'),
+  body('notes').optional().isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateInspectionItem = [
+  body('condition').optional().isIn(['EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'DAMAGED', 'NOT_APPLICABLE']).withMessage('Invalid condition'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateInspectionSignOff = [
+  body('signatureName').trim().isLength({ min: 2, max: 100 }).withMessage('Type your full name to sign'),
+  body('agree').custom(value => value === true || value === 'true').withMessage('You must confirm you have reviewed the inspection'),
+  body('comments').optional().isString().isLength({ max: 2000 }).withMessage('Comments must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+// Document vault validations. Uploads are multipart, so visibleTo may arrive
+// as a repeated field or a comma-separated list.
+const visibleToRule = () => body('visibleTo')
+  .optional()
+  .customSanitizer(value => (typeof value === 'string' ? value.split(',').map(role => role.trim()).filter(Boolean) : value))
+  .isArray()
+  .custom(roles => roles.every(role => ['OWNER', 'MANAGER', 'TENANT'].includes(role)))
+  .withMessage('visibleTo may only contain OWNER, MANAGER and TENANT');
+
+const documentDetailRules = [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('category').optional().isIn(DOCUMENT_CATEGORIES).withMessage(`Category must be one of ${DOCUMENT_CATEGORIES.join(', ')}`),
+  visibleToRule(),
+];
+
+export const validateDocument = [
+  body('propertyId').isString().notEmpty().withMessage('Property ID is required'),
+  body('leaseId').optional().isString().notEmpty().withMessage('Lease ID must be a string'),
+  body('tenantId').optional().isString().notEmpty().withMessage('Tenant ID must be a string'),
+  body('maintenanceRequestId').optional().isString().notEmpty().withMessage('Maintenance request ID must be a string'),
+  ...documentDetailRules,
+  body('notes').optional().isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateDocumentVersion = [
+  body('notes').optional().isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateDocumentUpdate = [
+  ...documentDetailRules,
+  handleValidationErrors,
+];
+
+// Expense validations. Expenses may be sent as multipart with a receipt, so
+// numbers arrive as strings.
+const expenseDetailRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('category').isIn(EXPENSE_CATEGORIES).withMessage(`Category must be one of ${EXPENSE_CATEGORIES.join(', ')}`),
+    field('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('vendor').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('Vendor must be at most 200 characters'),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  ];
+};
+
+export const validateExpense = [
+  body('propertyId').isString().notEmpty().withMessage('Property ID is required'),
+  ...expenseDetailRules(false),
+  body('incurredOn').isISO8601().withMessage('Date must be a valid date'),
+  handleValidationErrors,
+];
+
+export const validateExpenseUpdate = [
+  ...expenseDetailRules(true),
+  body('incurredOn').optional().isISO8601().withMessage('Date must be a valid date'),
+  handleValidationErrors,
+];
+
+export const validateRecurringExpense = [
+  body('propertyId').isString().notEmpty().withMessage('Property ID is required'),
+  ...expenseDetailRules(false),
+  body('frequency').isIn(EXPENSE_FREQUENCIES).withMessage(`Frequency must be one of ${EXPENSE_FREQUENCIES.join(', ')}`),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  handleValidationErrors,
+];
+
+export const validateRecurringExpenseUpdate = [
+  ...expenseDetailRules(true),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  handleValidationErrors,
+];
+
+// Rental application validations
+export const validateApplication = [
+  body('propertyId').isString().notEmpty().withMessage('Property ID is required'),
+  body('unitId').optional().isString().notEmpty().withMessage('Unit ID must be a string'),
+  body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('dateOfBirth').optional().isISO8601().withMessage('Date of birth must be a valid date'),
+  body('currentAddress').optional().trim().isLength({ max: 200 }).withMessage('Current address must be at most 200 characters'),
+  body('employer').optional().trim().isLength({ max: 100 }).withMessage('Employer must be at most 100 characters'),
+  body('monthlyIncome').optional().isFloat({ min: 0 }).withMessage('Monthly income must be a positive number'),
+  body('desiredMoveIn').optional().isISO8601().withMessage('Desired move-in date must be a valid date'),
+  body('leaseTermMonths').optional().isInt({ min: 1, max: 60 }).withMessage('Lease term must be between 1 and 60 months'),
+  body('occupants').optional().isInt({ min: 1, max: 20 }).withMessage('Occupants must be between 1 and 20'),
+  body('pets').optional().trim().isLength({ max: 200 }).withMessage('Pets must be at most 200 characters'),
+  body('emergencyContactName').optional().trim().isLength({ max: 100 }).withMessage('Emergency contact name must be at most 100 characters'),
+  body('emergencyContactPhone').optional().isMobilePhone().withMessage('Emergency contact phone must be a valid phone number'),
+  body('message').optional().trim().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateApplicationResponse = [
+  body('token').isString().notEmpty().withMessage('Access token is required'),
+  body('response').trim().isLength({ min: 1, max: 2000 }).withMessage('Response must be between 1 and 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateApplicationReview = [
+  body('score').optional().isInt({ min: 0, max: 100 }).withMessage('Score must be between 0 and 100'),
+  body('reviewNotes').optional().isString().isLength({ max: 5000 }).withMessage('Review notes must be at most 5000 characters'),
+  handleValidationErrors,
+];
+
+export const validateApplicationInfoRequest = [
+  body('message').trim().isLength({ min: 5, max: 2000 }).withMessage('Message must be between 5 and 2000 characters'),
+  handleValidationErrors,
+];
+
+export const validateApplicationApproval = [
+  body('unitId').optional().isString().notEmpty().withMessage('Unit ID must be a string'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('endDate').optional().custom((endDate, { req }) => !req.body.startDate || new Date(endDate) > new Date(req.body.startDate)).withMessage('End date must be after start date'),
+  body('rentAmount').optional().isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
+  body('securityDeposit').optional().isFloat({ min: 0 }).withMessage('Security deposit must be a positive number'),
+  body('note').optional().isString().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters'),
   handleValidationErrors,
 ];
 
 // Tenant validations
-export const validateTenant = [
+// Field rules shared by the create endpoint and the spreadsheet import, which
+// identifies the property and unit by name and number instead
+export const tenantRules = [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
   body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('propertyId').isUUID().withMessage('Property ID must be a valid UUID'),
   body('emergencyContact').optional().isObject().withMessage('Emergency contact must be an object'),
   body('moveInDate').optional().isISO8601().withMessage('Move in date must be a valid date'),
+];
+
+export const validateTenant = [
+  ...tenantRules,
+  body('propertyId').isUUID().withMessage('Property ID must be a valid UUID'),
+  body('unitId').optional().isString().notEmpty().withMessage('Unit ID must be a string'),
   handleValidationErrors,
 ];
 
@@ -91,18 +385,29 @@ export const validateTenantUpdate = [
   body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
   body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('unitId').optional({ nullable: true }).isString().notEmpty().withMessage('Unit ID must be a string'),
   body('emergencyContact').optional().isObject().withMessage('Emergency contact must be an object'),
   body('moveInDate').optional().isISO8601().withMessage('Move in date must be a valid date'),
   handleValidationErrors,
 ];
 
+// Manager permission overrides: { "<permission>": true | false }
+const isPermissionOverrides = (value) => Object.entries(value)
+  .every(([permission, allowed]) => isKnownPermission(permission) && typeof allowed === 'boolean');
+
 // Manager validations
 export const validateManager = [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
   body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('permissions').optional().isObject().withMessage('Permissions must be an object'),
+  body('roleTemplateId').optional({ nullable: true }).isString().withMessage('Role template ID must be a string'),
+  body('permissions')
+    .optional()
+    .isObject()
+    .withMessage('Permissions must be an object')
+    .custom(isPermissionOverrides)
+    .withMessage('Permissions must map known permissions to true or false'),
   handleValidationErrors,
 ];
 
@@ -110,7 +415,100 @@ export const validateManagerUpdate = [
   body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
   body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('permissions').optional().isObject().withMessage('Permissions must be an object'),
+  body('roleTemplateId').optional({ nullable: true }).isString().withMessage('Role template ID must be a string'),
+  body('permissions')
+    .optional()
+    .isObject()
+    .withMessage('Permissions must be an object')
+    .custom(isPermissionOverrides)
+    .withMessage('Permissions must map known permissions to true or false'),
+  handleValidationErrors,
+];
+
+// Manager property assignment validations
+const MANAGER_ASSIGNMENT_ROLES = ['PRIMARY', 'ASSISTANT', 'LEASING', 'MAINTENANCE'];
+
+export const validatePropertyAssignment = [
+  body('role').optional().isIn(MANAGER_ASSIGNMENT_ROLES).withMessage(`Role must be one of: ${MANAGER_ASSIGNMENT_ROLES.join(', ')}`),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => new Date(value) > (req.body.startDate ? new Date(req.body.startDate) : new Date()))
+    .withMessage('End date must be after the start date'),
+  handleValidationErrors,
+];
+
+export const validatePropertyAssignmentUpdate = [
+  body('role').optional().isIn(MANAGER_ASSIGNMENT_ROLES).withMessage(`Role must be one of: ${MANAGER_ASSIGNMENT_ROLES.join(', ')}`),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('End date must be in the future'),
+  handleValidationErrors,
+];
+
+// Role template validations
+export const validateRoleTemplate = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSION_KEYS).withMessage('Permissions must be known permissions'),
+  handleValidationErrors,
+];
+
+export const validateRoleTemplateUpdate = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSION_KEYS).withMessage('Permissions must be known permissions'),
+  handleValidationErrors,
+];
+
+// SSO provider validations
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const validateSsoProvider = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('slug').trim().matches(SLUG_PATTERN).isLength({ max: 50 }).withMessage('Slug must be lowercase letters, numbers and dashes'),
+  body('issuer').isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Issuer must be a valid URL'),
+  body('clientId').isString().notEmpty().withMessage('Client ID is required'),
+  body('clientSecret').optional({ nullable: true }).isString().withMessage('Client secret must be a string'),
+  body('scopes').optional().isString().contains('openid').withMessage('Scopes must include openid'),
+  body('emailDomains').optional().isArray().withMessage('Email domains must be an array'),
+  body('emailDomains.*').isFQDN().toLowerCase().withMessage('Email domains must be valid domain names'),
+  body('autoProvision').optional().isBoolean().withMessage('Auto provision must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('Is active must be a boolean'),
+  handleValidationErrors,
+];
+
+export const validateSsoProviderUpdate = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('issuer').optional().isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Issuer must be a valid URL'),
+  body('clientId').optional().isString().notEmpty().withMessage('Client ID is required'),
+  body('clientSecret').optional({ nullable: true }).isString().withMessage('Client secret must be a string'),
+  body('scopes').optional().isString().contains('openid').withMessage('Scopes must include openid'),
+  body('emailDomains').optional().isArray().withMessage('Email domains must be an array'),
+  body('emailDomains.*').isFQDN().toLowerCase().withMessage('Email domains must be valid domain names'),
+  body('autoProvision').optional().isBoolean().withMessage('Auto provision must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('Is active must be a boolean'),
+  handleValidationErrors,
+];
+
+// API key validations
+export const validateApiKey = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
   handleValidationErrors,
 ];
 
@@ -118,6 +516,7 @@ export const validateManagerUpdate = [
 export const validateLease = [
   body('tenantId').isUUID().withMessage('Tenant ID must be a valid UUID'),
   body('propertyId').isUUID().withMessage('Property ID must be a valid UUID'),
+  body('unitId').optional().isString().notEmpty().withMessage('Unit ID must be a string'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').isISO8601().withMessage('End date must be a valid date'),
   body('rentAmount').isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
@@ -131,7 +530,7 @@ export const validateLeaseUpdate = [
   body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
   body('rentAmount').optional().isFloat({ min: 0 }).withMessage('Rent amount must be a positive number'),
   body('securityDeposit').optional().isFloat({ min: 0 }).withMessage('Security deposit must be a positive number'),
-  body('status').optional().isIn(['ACTIVE', 'EXPIRED', 'TERMINATED', 'PENDING']).withMessage('Invalid lease status'),
+  body('status').optional().isIn(['ACTIVE', 'EXPIRED', 'TERMINATED', 'PENDING', 'DRAFT']).withMessage('Invalid lease status'),
   body('terms').optional().isString().withMessage('Terms must be a string'),
   handleValidationErrors,
 ];
@@ -145,6 +544,16 @@ export const validateAnalyticsQuery = [
   handleValidationErrors,
 ];
 
+// Search validations
+export const validateSearch = [
+  query('q').isString().trim().isLength({ min: 2, max: 200 }).withMessage('Search text must be between 2 and 200 characters'),
+  query('types').optional().isString()
+    .custom(types => types.split(',').every(type => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
+];
+
 // Notification validations
 export const validateNotification = [
   body('title').notEmpty().withMessage('Title is required'),
@@ -219,6 +628,7 @@ export const validateMaintenanceRequest = (req, res, next) => {
     priority: z.enum(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).optional(),
     urgency: z.enum(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']).optional(),
     propertyId: z.string().cuid(),
+    unitId: z.string().cuid().optional(),
   });
 
   validateSchema(maintenanceRequestSchema)(req, res, next);
@@ -246,6 +656,14 @@ export const validateSystemSetting = (req, res, next) => {
   validateSchema(systemSettingSchema)(req, res, next);
 };
 
+export const validateFeatureFlag = (req, res, next) => {
+  const featureFlagSchema = z.object({
+    enabled: z.boolean(),
+  });
+
+  validateSchema(featureFlagSchema)(req, res, next);
+};
+
 export const validateUser = (req, res, next) => {
   const userSchema = z.object({
     email: z.string().email(),
@@ -268,4 +686,20 @@ export const validateUserUpdate = (req, res, next) => {
   });
 
   validateSchema(userUpdateSchema)(req, res, next);
-};
\ No newline at end of file
+};
+export const validateImpersonation = (req, res, next) => {
+  const impersonationSchema = z.object({
+    userId: z.string().min(1),
+    reason: z.string().trim().min(5).max(500),
+  });
+
+  validateSchema(impersonationSchema)(req, res, next);
+};
+
+export const validateArchivePurge = (req, res, next) => {
+  const archivePurgeSchema = z.object({
+    dryRun: z.boolean().optional(),
+  });
+
+  validateSchema(archivePurgeSchema)(req, res, next);
+};
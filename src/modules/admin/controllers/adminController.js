@@ -3,6 +3,19 @@ import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
 import { hashPassword } from '../../../utils/helpers.js';
+import { checkPassword } from '../../../services/passwordPolicyService.js';
+import settingsService, { DEFAULT_SETTINGS } from '../../../services/settingsService.js';
+import featureFlags from '../../../services/featureFlags.js';
+import { revokeAllUserSessions } from '../../../services/tokenService.js';
+import { logActivity } from '../../../services/auditService.js';
+import { purgeArchived } from '../../../services/archiveService.js';
+import { listActiveLocks, clearLock } from '../../../services/loginLockoutService.js';
+import {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+  ImpersonationError,
+} from '../../../services/impersonationService.js';
 
 export const getDashboardStats = async (req, res) => {
   try {
@@ -167,6 +180,11 @@ export const createUser = async (req, res) => {
       return errorResponse(res, 'User with this email already exists', 400);
     }
 
+    const violations = await checkPassword(password);
+    if (violations.length > 0) {
+      return errorResponse(res, 'Password does not meet requirements', 400, violations);
+    }
+
     const hashedPassword = await hashPassword(password);
 
     const user = await prisma.user.create({
@@ -177,6 +195,7 @@ export const createUser = async (req, res) => {
         lastName,
         role,
         isActive: true,
+        emailVerifiedAt: new Date(),
       },
       select: {
         id: true,
@@ -297,9 +316,20 @@ export const updateUser = async (req, res) => {
       }
     }
 
+    // Deactivation signs the user out everywhere
+    let sessionsRevoked = 0;
+    if (user.isActive && isActive === false) {
+      sessionsRevoked = await revokeAllUserSessions(id);
+      await logActivity('USER_FORCE_LOGOUT', req.user.id, 'USER', id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionsRevoked,
+      });
+    }
+
     logger.info(`User updated by admin: ${updatedUser.email}`);
 
-    return successResponse(res, 'User updated successfully', updatedUser);
+    return successResponse(res, 'User updated successfully', { ...updatedUser, sessionsRevoked });
   } catch (error) {
     logger.error('Error updating user:', error);
     return errorResponse(res, 'Failed to update user');
@@ -392,6 +422,15 @@ export const updateSystemSetting = async (req, res) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
+    const known = DEFAULT_SETTINGS[key];
+
+    if (known?.type === 'JSON') {
+      try {
+        JSON.parse(value);
+      } catch {
+        return errorResponse(res, `Setting ${key} must be valid JSON`, 400);
+      }
+    }
 
     const setting = await prisma.systemSetting.upsert({
       where: { key },
@@ -399,11 +438,13 @@ export const updateSystemSetting = async (req, res) => {
       create: {
         key,
         value,
-        type: 'STRING',
-        description: '',
+        type: known?.type || 'STRING',
+        description: known?.description || '',
       },
     });
 
+    settingsService.clearCache();
+
     logger.info(`System setting updated: ${key} by ${req.user.email}`);
 
     return successResponse(res, 'System setting updated successfully', setting);
@@ -413,6 +454,179 @@ export const updateSystemSetting = async (req, res) => {
   }
 };
 
+export const getFeatureFlags = async (req, res) => {
+  try {
+    const flags = await featureFlags.getAllFlags();
+
+    return successResponse(res, flags, 'Feature flags retrieved successfully');
+  } catch (error) {
+    logger.error('Error getting feature flags:', error);
+    return errorResponse(res, 'Failed to retrieve feature flags');
+  }
+};
+
+export const updateFeatureFlag = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { enabled } = req.body;
+
+    const flags = await featureFlags.getAllFlags();
+    if (!(name in flags)) {
+      return errorResponse(res, `Unknown feature flag: ${name}`, 404);
+    }
+
+    const updated = await featureFlags.updateFlag(name, enabled, req.user.id);
+    if (!updated) {
+      return errorResponse(res, 'Failed to update feature flag');
+    }
+
+    await logActivity('FEATURE_FLAG_UPDATED', req.user.id, 'FEATURE_FLAG', name, {
+      enabled,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    return successResponse(res, { name, enabled }, 'Feature flag updated successfully');
+  } catch (error) {
+    logger.error('Error updating feature flag:', error);
+    return errorResponse(res, 'Failed to update feature flag');
+  }
+};
+
+export const purgeArchivedRecords = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const retentionDays = await settingsService.get('ARCHIVE_RETENTION_DAYS');
+
+    const result = await purgeArchived({ retentionDays, dryRun });
+
+    if (!dryRun) {
+      await logActivity('ARCHIVE_PURGED', req.user.id, 'ARCHIVE', result.cutoff.toISOString(), {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        retentionDays,
+        ...result.purged,
+      });
+
+      logger.info(`Archived records purged by ${req.user.email}`);
+    }
+
+    return successResponse(res, { retentionDays, ...result }, dryRun ? 'Archive purge preview' : 'Archived records purged successfully');
+  } catch (error) {
+    logger.error('Error purging archived records:', error);
+    return errorResponse(res, 'Failed to purge archived records');
+  }
+};
+
+export const getLoginLocks = async (req, res) => {
+  try {
+    const locks = await listActiveLocks();
+
+    return successResponse(res, locks, 'Login locks retrieved successfully');
+  } catch (error) {
+    logger.error('Error getting login locks:', error);
+    return errorResponse(res, 'Failed to retrieve login locks');
+  }
+};
+
+export const clearLoginLock = async (req, res) => {
+  try {
+    const { email, ipAddress } = req.body;
+
+    if (!email && !ipAddress) {
+      return errorResponse(res, 'Either email or ipAddress is required', 400);
+    }
+
+    const clearedAttempts = await clearLock({ email, ipAddress });
+
+    await logActivity('LOGIN_LOCK_CLEARED', req.user.id, 'LOGIN_LOCK', email || ipAddress, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      email,
+      clearedIpAddress: ipAddress,
+      clearedAttempts,
+    });
+
+    logger.info(`Login lock cleared for ${email || ipAddress} by ${req.user.email}`);
+
+    return successResponse(res, { clearedAttempts }, 'Login lock cleared successfully');
+  } catch (error) {
+    logger.error('Error clearing login lock:', error);
+    return errorResponse(res, 'Failed to clear login lock');
+  }
+};
+
+export const impersonateUser = async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+
+    const { token, impersonation } = await startImpersonation(req.user, userId, {
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    return successResponse(res, {
+      token,
+      expiresAt: impersonation.expiresAt,
+      impersonation,
+    }, 'Impersonation started', 201);
+  } catch (error) {
+    if (error instanceof ImpersonationError) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    logger.error('Error starting impersonation:', error);
+    return errorResponse(res, 'Failed to start impersonation');
+  }
+};
+
+export const getImpersonations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, adminId, targetUserId, active } = req.query;
+
+    const { sessions, total } = await listImpersonations({
+      adminId,
+      targetUserId,
+      active: active === 'true',
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    return successResponse(res, {
+      sessions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    }, 'Impersonation sessions retrieved successfully');
+  } catch (error) {
+    logger.error('Error getting impersonation sessions:', error);
+    return errorResponse(res, 'Failed to retrieve impersonation sessions');
+  }
+};
+
+export const stopImpersonation = async (req, res) => {
+  try {
+    const impersonation = await endImpersonation(req.params.id, {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    logger.info(`Impersonation ${impersonation.id} ended by ${req.user.email}`);
+
+    return successResponse(res, impersonation, 'Impersonation ended');
+  } catch (error) {
+    if (error instanceof ImpersonationError) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    logger.error('Error ending impersonation:', error);
+    return errorResponse(res, 'Failed to end impersonation');
+  }
+};
+
 export const getAuditLogs = async (req, res) => {
   try {
     const { page = 1, limit = 10, action, userId, startDate, endDate } = req.query;
@@ -1,7 +1,7 @@
 
 import { Router } from 'express';
 import { authenticate, authorize } from '../../../middleware/auth.js';
-import { validateUser, validateUserUpdate, validateSystemSetting } from '../../../middleware/validation.js';
+import { validateUser, validateUserUpdate, validateSystemSetting, validateFeatureFlag, validateImpersonation, validateArchivePurge } from '../../../middleware/validation.js';
 import {
   getDashboardStats,
   getAllUsers,
@@ -10,7 +10,15 @@ import {
   deleteUser,
   getSystemSettings,
   updateSystemSetting,
+  getFeatureFlags,
+  updateFeatureFlag,
+  purgeArchivedRecords,
   getAuditLogs,
+  getLoginLocks,
+  clearLoginLock,
+  impersonateUser,
+  getImpersonations,
+  stopImpersonation,
 } from '../controllers/adminController.js';
 
 const router = Router();
@@ -139,6 +147,7 @@ router.post('/users', authenticate, authorize(['SUPER_ADMIN']), validateUser, cr
  *                 type: string
  *               isActive:
  *                 type: boolean
+ *                 description: Setting false also signs the user out of every session
  *               phone:
  *                 type: string
  *               address:
@@ -214,6 +223,79 @@ router.get('/settings', authenticate, authorize(['SUPER_ADMIN']), getSystemSetti
  */
 router.put('/settings/:key', authenticate, authorize(['SUPER_ADMIN']), validateSystemSetting, updateSystemSetting);
 
+/**
+ * @swagger
+ * /admin/feature-flags:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get feature flags
+ *     description: Every known flag with its platform-wide value; flags not stored in the database use their default.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feature flags
+ */
+router.get('/feature-flags', authenticate, authorize(['SUPER_ADMIN']), getFeatureFlags);
+
+/**
+ * @swagger
+ * /admin/feature-flags/{name}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Turn a feature flag on or off
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: DOCUMENT_MANAGEMENT
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Feature flag updated successfully
+ *       404:
+ *         description: Unknown feature flag
+ */
+router.put('/feature-flags/:name', authenticate, authorize(['SUPER_ADMIN']), validateFeatureFlag, updateFeatureFlag);
+
+/**
+ * @swagger
+ * /admin/archive/purge:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Purge expired archived records
+ *     description: Permanently deletes properties, tenants and leases archived for longer than the ARCHIVE_RETENTION_DAYS setting, with everything that belongs to them. Set dryRun to count them without deleting.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Number of purged properties, tenants and leases
+ */
+router.post('/archive/purge', authenticate, authorize(['SUPER_ADMIN']), validateArchivePurge, purgeArchivedRecords);
+
 /**
  * @swagger
  * /admin/audit-logs:
@@ -257,4 +339,120 @@ router.put('/settings/:key', authenticate, authorize(['SUPER_ADMIN']), validateS
  */
 router.get('/audit-logs', authenticate, authorize(['SUPER_ADMIN']), getAuditLogs);
 
+/**
+ * @swagger
+ * /admin/login-locks:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List accounts and IP addresses currently locked out of login
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active login locks with failure counts and expiry
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Clear the login lock on an account or IP address
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               ipAddress:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login lock cleared
+ *       400:
+ *         description: Neither email nor ipAddress provided
+ */
+router.get('/login-locks', authenticate, authorize(['SUPER_ADMIN']), getLoginLocks);
+router.delete('/login-locks', authenticate, authorize(['SUPER_ADMIN']), clearLoginLock);
+
+/**
+ * @swagger
+ * /admin/impersonations:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Start impersonating a user
+ *     description: Issues a short-lived access token that authenticates as the target user while recording the admin behind it. It cannot be refreshed, is rejected by security-sensitive endpoints such as change-password, and every request made with it is written to the audit log. Super admins cannot be impersonated.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why access is needed, e.g. the support ticket
+ *     responses:
+ *       201:
+ *         description: Impersonation token and session
+ *       403:
+ *         description: Target cannot be impersonated
+ *       404:
+ *         description: User not found
+ *   get:
+ *     tags: [Admin]
+ *     summary: List impersonation sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Impersonation sessions
+ */
+router.post('/impersonations', authenticate, authorize(['SUPER_ADMIN']), validateImpersonation, impersonateUser);
+router.get('/impersonations', authenticate, authorize(['SUPER_ADMIN']), getImpersonations);
+
+/**
+ * @swagger
+ * /admin/impersonations/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: End an impersonation session
+ *     description: The impersonation token stops working immediately. Logging out with the impersonation token has the same effect.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       404:
+ *         description: Impersonation session not found
+ */
+router.delete('/impersonations/:id', authenticate, authorize(['SUPER_ADMIN']), stopImpersonation);
+
 export default router;
@@ -3,17 +3,43 @@ import logger from '../../../config/logger.js';
 import { asyncHandler } from '../../../middleware/errorHandler.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
 import { generatePdfReport, generateCsvReport } from '../../../utils/pdfGenerator.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
 
 const buildScopeWhereClause = (user) => {
   const where = {};
   if (user.role === 'OWNER') {
     where.property = { ownerId: user.owner.id };
   } else if (user.role === 'MANAGER') {
-    where.property = { ownerId: user.manager.ownerId };
+    where.property = managedPropertiesWhere(user);
   }
   return where;
 };
 
+const occupancyInclude = {
+  rentalUnits: {
+    select: {
+      _count: { select: { leases: { where: { status: 'ACTIVE' } } } },
+    },
+  },
+  _count: { select: { leases: { where: { status: 'ACTIVE' } } } },
+};
+
+// Properties split into units count the units with an active lease. The rest
+// fall back to the declared unit count and their active leases.
+const propertyOccupancy = (property) => {
+  if (property.rentalUnits.length > 0) {
+    return {
+      totalUnits: property.rentalUnits.length,
+      occupiedUnits: property.rentalUnits.filter(unit => unit._count.leases > 0).length,
+    };
+  }
+
+  return {
+    totalUnits: property.units,
+    occupiedUnits: Math.min(property._count.leases, property.units),
+  };
+};
+
 export const getDashboardStats = asyncHandler(async (req, res) => {
   const scopeWhere = buildScopeWhereClause(req.user);
 
@@ -76,15 +102,12 @@ export const getOccupancyAnalytics = asyncHandler(async (req, res) => {
 
     const properties = await prisma.property.findMany({
         where: scopeWhere.property,
-        include: {
-            _count: {
-                select: { leases: { where: { status: 'ACTIVE' } } }
-            }
-        }
+        include: occupancyInclude,
     });
 
-    const totalUnits = properties.reduce((sum, p) => sum + p.units, 0);
-    const occupiedUnits = properties.reduce((sum, p) => sum + p._count.leases, 0);
+    const occupancy = properties.map(propertyOccupancy);
+    const totalUnits = occupancy.reduce((sum, p) => sum + p.totalUnits, 0);
+    const occupiedUnits = occupancy.reduce((sum, p) => sum + p.occupiedUnits, 0);
     const occupancyRate = totalUnits > 0 ? (occupiedUnits / totalUnits) * 100 : 0;
 
     const data = {
@@ -192,20 +215,23 @@ export const exportAnalyticsReport = asyncHandler(async (req, res) => {
         case 'occupancy':
              const properties = await prisma.property.findMany({
                 where: scopeWhere.property,
-                include: { _count: { select: { leases: { where: { status: 'ACTIVE' } } } } }
+                include: occupancyInclude,
+            });
+            data = properties.map(p => {
+                const { totalUnits, occupiedUnits } = propertyOccupancy(p);
+                return {
+                    name: p.name,
+                    address: p.address,
+                    units: totalUnits,
+                    occupied: occupiedUnits,
+                };
             });
-            data = properties.map(p => ({
-                name: p.name,
-                address: p.address,
-                units: p.units,
-                occupied: p.units > 0 ? (p._count.leases > 0 ? 'Yes' : 'No') : 'N/A'
-            }));
             reportTitle = 'Occupancy Report';
             headers = [
                 { id: 'name', title: 'Property Name' },
                 { id: 'address', title: 'Address' },
                 { id: 'units', title: 'Units' },
-                { id: 'occupied', title: 'Occupied' },
+                { id: 'occupied', title: 'Occupied Units' },
             ];
             break;
         default:
@@ -1,6 +1,6 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   getDashboardStats,
   getRevenueAnalytics,
@@ -26,7 +26,7 @@ const router = express.Router();
  *       200:
  *         description: Dashboard statistics
  */
-router.get('/dashboard', authenticate, getDashboardStats);
+router.get('/dashboard', authenticate, checkPermissions('analytics.view'), getDashboardStats);
 
 /**
  * @swagger
@@ -47,7 +47,7 @@ router.get('/dashboard', authenticate, getDashboardStats);
  *       200:
  *         description: Revenue analytics data
  */
-router.get('/revenue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getRevenueAnalytics);
+router.get('/revenue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getRevenueAnalytics);
 
 /**
  * @swagger
@@ -61,7 +61,7 @@ router.get('/revenue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER
  *       200:
  *         description: Occupancy analytics data
  */
-router.get('/occupancy', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getOccupancyAnalytics);
+router.get('/occupancy', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getOccupancyAnalytics);
 
 /**
  * @swagger
@@ -75,7 +75,7 @@ router.get('/occupancy', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAG
  *       200:
  *         description: Tenant analytics data
  */
-router.get('/tenants', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getTenantAnalytics);
+router.get('/tenants', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getTenantAnalytics);
 
 /**
  * @swagger
@@ -89,7 +89,7 @@ router.get('/tenants', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER
  *       200:
  *         description: Property analytics data
  */
-router.get('/properties', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getPropertyAnalytics);
+router.get('/properties', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getPropertyAnalytics);
 
 /**
  * @swagger
@@ -103,7 +103,7 @@ router.get('/properties', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANA
  *       200:
  *         description: Complaint analytics data
  */
-router.get('/complaints', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getComplaintAnalytics);
+router.get('/complaints', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getComplaintAnalytics);
 
 /**
  * @swagger
@@ -117,7 +117,7 @@ router.get('/complaints', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANA
  *       200:
  *         description: Payment analytics data
  */
-router.get('/payments', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getPaymentAnalytics);
+router.get('/payments', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getPaymentAnalytics);
 
 /**
  * @swagger
@@ -144,6 +144,6 @@ router.get('/payments', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGE
  *       200:
  *         description: Analytics report file
  */
-router.get('/export', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), exportAnalyticsReport);
+router.get('/export', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.export'), exportAnalyticsReport);
 
 export default router;
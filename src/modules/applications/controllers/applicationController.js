@@ -0,0 +1,619 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import { logActivity } from '../../../services/auditService.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
+import {
+  ApplicationError,
+  applicationSelect,
+  screeningIndicators,
+  submitApplication as submit,
+  getApplicationForApplicant,
+  respondToInfoRequest,
+  createDocumentDownloadUrl,
+  reviewApplication as review,
+  requestInformation,
+  rejectApplication as reject,
+  approveApplication as approve,
+} from '../../../services/rentalApplicationService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Applications
+ *   description: Rental applications from prospective tenants
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RentalApplication:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         unitId:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         monthlyIncome:
+ *           type: number
+ *         desiredMoveIn:
+ *           type: string
+ *           format: date-time
+ *         leaseTermMonths:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [SUBMITTED, UNDER_REVIEW, INFO_REQUESTED, APPROVED, REJECTED]
+ *         score:
+ *           type: integer
+ *           description: Reviewer's score from 0 to 100
+ *         reviewNotes:
+ *           type: string
+ *         infoRequest:
+ *           type: string
+ *         applicantResponse:
+ *           type: string
+ *         decisionReason:
+ *           type: string
+ *         tenantId:
+ *           type: string
+ *           description: Tenant created on approval
+ *         leaseId:
+ *           type: string
+ *           description: Draft lease created on approval
+ *         documents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *         screening:
+ *           type: object
+ *           properties:
+ *             monthlyRent:
+ *               type: number
+ *             incomeToRentRatio:
+ *               type: number
+ *             meetsIncomeRatio:
+ *               type: boolean
+ *             minimumIncomeRatio:
+ *               type: number
+ */
+
+const sendApplicationError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Application error',
+    message: error.message,
+  });
+};
+
+// Runs a service call, turning ApplicationError into its HTTP response
+const handleApplicationErrors = (handler) => asyncHandler(async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return sendApplicationError(res, error);
+    }
+    throw error;
+  }
+});
+
+const applicationScopeWhere = (user) => {
+  if (user.role === 'OWNER') return { property: { ownerId: user.owner.id } };
+  if (user.role === 'MANAGER') return { property: managedPropertiesWhere(user) };
+  return {};
+};
+
+const withScreening = (application) => ({
+  ...application,
+  screening: screeningIndicators(application),
+});
+
+// Loads an application the caller may review. Out-of-scope applications are
+// reported as missing.
+const findScopedApplication = async (req) => {
+  const application = await prisma.rentalApplication.findFirst({
+    where: { id: req.params.id, ...applicationScopeWhere(req.user) },
+    select: applicationSelect,
+  });
+
+  if (!application) {
+    throw new ApplicationError('Application not found', 404);
+  }
+
+  return application;
+};
+
+const audit = (action, req, application, details = {}) => logActivity(action, req.user.id, 'RENTAL_APPLICATION', application.id, {
+  propertyId: application.propertyId,
+  ...details,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+});
+
+/**
+ * @swagger
+ * /applications:
+ *   post:
+ *     tags: [Applications]
+ *     summary: Apply for a listed property
+ *     description: Public. The property must be on the public listings. The response and a confirmation email carry an access token the applicant uses to follow up.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [propertyId, firstName, lastName, email, phone]
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *               unitId:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               currentAddress:
+ *                 type: string
+ *               employer:
+ *                 type: string
+ *               monthlyIncome:
+ *                 type: number
+ *               desiredMoveIn:
+ *                 type: string
+ *                 format: date
+ *               leaseTermMonths:
+ *                 type: integer
+ *               occupants:
+ *                 type: integer
+ *               pets:
+ *                 type: string
+ *               emergencyContactName:
+ *                 type: string
+ *               emergencyContactPhone:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       404:
+ *         description: Property is not open for applications
+ */
+export const submitApplication = handleApplicationErrors(async (req, res) => {
+  const { application, token } = await submit(req.body, req.files);
+
+  res.status(201).json({
+    message: 'Application submitted successfully',
+    application,
+    accessToken: token,
+  });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/status:
+ *   get:
+ *     tags: [Applications]
+ *     summary: Applicant's view of their application
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application status and any outstanding request for information
+ *       404:
+ *         description: Application not found or wrong token
+ */
+export const getApplicationStatus = handleApplicationErrors(async (req, res) => {
+  const application = await getApplicationForApplicant(req.params.id, req.query.token);
+
+  res.json({ application });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/respond:
+ *   post:
+ *     tags: [Applications]
+ *     summary: Answer a request for more information
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [token, response]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               response:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Response recorded; the application is back under review
+ *       409:
+ *         description: No information was requested
+ */
+export const respondToApplication = handleApplicationErrors(async (req, res) => {
+  const application = await respondToInfoRequest(req.params.id, req.body.token, req.body, req.files);
+
+  res.json({
+    message: 'Thank you, your response has been sent',
+    application,
+  });
+});
+
+/**
+ * @swagger
+ * /applications:
+ *   get:
+ *     tags: [Applications]
+ *     summary: List rental applications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SUBMITTED, UNDER_REVIEW, INFO_REQUESTED, APPROVED, REJECTED]
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Applications, newest first
+ */
+export const getApplications = asyncHandler(async (req, res) => {
+  const { status, propertyId, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { ...applicationScopeWhere(req.user) };
+  if (status) where.status = status;
+  if (propertyId) where.propertyId = propertyId;
+
+  const [applications, total] = await Promise.all([
+    prisma.rentalApplication.findMany({
+      where,
+      select: applicationSelect,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.rentalApplication.count({ where }),
+  ]);
+
+  res.json({
+    applications: applications.map(withScreening),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /applications/{id}:
+ *   get:
+ *     tags: [Applications]
+ *     summary: Get a rental application with its documents and screening indicators
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 application:
+ *                   $ref: '#/components/schemas/RentalApplication'
+ *       404:
+ *         description: Application not found
+ */
+export const getApplicationById = handleApplicationErrors(async (req, res) => {
+  const application = await findScopedApplication(req);
+
+  res.json({ application: withScreening(application) });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/documents/{documentId}/download:
+ *   get:
+ *     tags: [Applications]
+ *     summary: Get a signed download link for an applicant's document
+ *     description: Applicant documents are stored privately. The link expires after 15 minutes and each link handed out is recorded in the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signed download link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Application or document not found
+ */
+export const downloadApplicationDocument = handleApplicationErrors(async (req, res) => {
+  const application = await findScopedApplication(req);
+  const download = await createDocumentDownloadUrl(application, req.params.documentId);
+
+  await audit('APPLICATION_DOCUMENT_DOWNLOADED', req, application, {
+    documentId: download.document.id,
+    fileName: download.document.fileName,
+  });
+
+  res.json(download);
+});
+
+/**
+ * @swagger
+ * /applications/{id}/review:
+ *   patch:
+ *     tags: [Applications]
+ *     summary: Score an application and record review notes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               score:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review recorded; new applications move to UNDER_REVIEW
+ */
+export const reviewApplication = handleApplicationErrors(async (req, res) => {
+  const application = await review(await findScopedApplication(req), req.body, req.user);
+
+  await audit('APPLICATION_REVIEWED', req, application, { score: application.score });
+
+  res.json({
+    message: 'Review saved',
+    application: withScreening(application),
+  });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/request-info:
+ *   post:
+ *     tags: [Applications]
+ *     summary: Ask the applicant for more information
+ *     description: Emails the applicant a new access link; earlier links stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request sent
+ *       409:
+ *         description: Application already decided
+ */
+export const requestApplicationInfo = handleApplicationErrors(async (req, res) => {
+  const application = await requestInformation(await findScopedApplication(req), req.body.message, req.user);
+
+  await audit('APPLICATION_INFO_REQUESTED', req, application);
+
+  res.json({
+    message: 'Information requested from the applicant',
+    application: withScreening(application),
+  });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/reject:
+ *   post:
+ *     tags: [Applications]
+ *     summary: Reject an application
+ *     description: The applicant's uploaded documents are deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Included in the email to the applicant
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       409:
+ *         description: Application already decided
+ */
+export const rejectApplication = handleApplicationErrors(async (req, res) => {
+  const application = await reject(await findScopedApplication(req), req.body.reason, req.user);
+
+  await audit('APPLICATION_REJECTED', req, application);
+
+  res.json({
+    message: 'Application rejected',
+    application: withScreening(application),
+  });
+});
+
+/**
+ * @swagger
+ * /applications/{id}/approve:
+ *   post:
+ *     tags: [Applications]
+ *     summary: Approve an application
+ *     description: Creates the tenant, with an invitation to activate their account, and a DRAFT lease from the applicant's details. Lease terms default to the desired move-in date, requested term (12 months otherwise) and the unit or property rent.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               unitId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               rentAmount:
+ *                 type: number
+ *               securityDeposit:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *                 description: Included in the email to the applicant
+ *     responses:
+ *       200:
+ *         description: Application approved; tenant and draft lease created
+ *       409:
+ *         description: Application already decided, or the applicant's email already has an account
+ */
+export const approveApplication = handleApplicationErrors(async (req, res) => {
+  const { application, tenant, lease, invitation } = await approve(await findScopedApplication(req), req.body, req.user);
+
+  await audit('APPLICATION_APPROVED', req, application, { tenantId: tenant.id, leaseId: lease.id });
+
+  res.json({
+    message: 'Application approved. The tenant has been invited and a draft lease created.',
+    application: withScreening(application),
+    tenant,
+    lease,
+    invitation,
+  });
+});
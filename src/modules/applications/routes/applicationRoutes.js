@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
+import { emailActionLimiter } from '../../../middleware/rateLimiter.js';
+import { upload } from '../../../middleware/upload.js';
+import {
+  validateApplication,
+  validateApplicationResponse,
+  validateApplicationReview,
+  validateApplicationInfoRequest,
+  validateApplicationApproval,
+} from '../../../middleware/validation.js';
+import {
+  submitApplication,
+  getApplicationStatus,
+  respondToApplication,
+  getApplications,
+  getApplicationById,
+  downloadApplicationDocument,
+  reviewApplication,
+  requestApplicationInfo,
+  rejectApplication,
+  approveApplication,
+} from '../controllers/applicationController.js';
+
+const router = express.Router();
+
+// Applicants have no account; they use the access token from their email
+router.post('/', emailActionLimiter, upload.array('documents', 10), validateApplication, submitApplication);
+router.get('/:id/status', getApplicationStatus);
+router.post('/:id/respond', upload.array('documents', 10), validateApplicationResponse, respondToApplication);
+
+// Review
+const reviewers = authorize('SUPER_ADMIN', 'OWNER', 'MANAGER');
+
+router.get('/', authenticate, reviewers, checkPermissions('applications.view'), getApplications);
+router.get('/:id', authenticate, reviewers, checkPermissions('applications.view'), getApplicationById);
+router.get('/:id/documents/:documentId/download', authenticate, reviewers, checkPermissions('applications.view'), downloadApplicationDocument);
+router.patch('/:id/review', authenticate, reviewers, checkPermissions('applications.review'), validateApplicationReview, reviewApplication);
+router.post('/:id/request-info', authenticate, reviewers, checkPermissions('applications.review'), validateApplicationInfoRequest, requestApplicationInfo);
+router.post('/:id/reject', authenticate, reviewers, checkPermissions('applications.review'), rejectApplication);
+router.post('/:id/approve', authenticate, reviewers, checkPermissions('applications.review', 'tenants.create', 'leases.create'), validateApplicationApproval, approveApplication);
+
+export default router;
@@ -1,10 +1,190 @@
 
 import bcrypt from 'bcryptjs';
-import { hashPassword, comparePassword, generateToken, generateRandomPassword } from '../../../utils/helpers.js';
+import { hashPassword, comparePassword } from '../../../utils/helpers.js';
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { asyncHandler } from '../../../middleware/errorHandler.js';
-import { sendWelcomeEmail } from '../../notifications/services/emailService.js';
+import { sendWelcomeEmail, sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail } from '../../notifications/services/emailService.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserSessions,
+  listActiveSessions,
+  findActiveSession,
+  RefreshTokenError,
+} from '../../../services/tokenService.js';
+import { createUserToken, consumeUserToken, findUserToken } from '../../../services/userTokenService.js';
+import { logActivity } from '../../../services/auditService.js';
+import { getAccountLockStatus, handleFailedLogin } from '../../../services/loginLockoutService.js';
+import { createInvitedUser, findPendingInvitation, acceptInvitation } from '../../../services/invitationService.js';
+import {
+  findProviderBySlug,
+  findProviderForEmail,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveUser,
+  OidcError,
+} from '../../../services/oidcService.js';
+import { endImpersonation } from '../../../services/impersonationService.js';
+import { resolvePermissions } from '../../../services/permissionService.js';
+import {
+  getPasswordPolicy,
+  checkPassword,
+  changeUserPassword,
+  isPasswordExpired,
+} from '../../../services/passwordPolicyService.js';
+import {
+  MAGIC_LINK_TTL_MINUTES,
+  isMagicLinkEnabled,
+  createDeviceToken,
+  createMagicLink,
+  isSameDevice,
+} from '../../../services/magicLinkService.js';
+import {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  disableTwoFactor,
+  TwoFactorError,
+} from '../../../services/twoFactorService.js';
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+const auditAuthEvent = (action, userId, resourceId, req, details = {}) => {
+  return logActivity(action, userId, 'USER', resourceId, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...details,
+  });
+};
+
+const recordLoginAttempt = (req, email, success, userId = null) => {
+  return prisma.loginAttempt.create({
+    data: {
+      userId,
+      email,
+      ipAddress: req.ip,
+      success,
+      userAgent: req.get('User-Agent'),
+    },
+  });
+};
+
+const sendPasswordPolicyError = (res, violations) => {
+  return res.status(400).json({
+    error: 'Password does not meet requirements',
+    message: violations.join('. '),
+    violations,
+  });
+};
+
+// Final step of every successful sign-in, with or without a second factor
+const completeLogin = async (user, req, res, deviceName = req.body.deviceName) => {
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() },
+  });
+
+  // Log successful attempt
+  await recordLoginAttempt(req, user.email, true, user.id);
+
+  logger.info(`User logged in: ${user.email}`);
+
+  // Generate tokens
+  const tokens = await issueTokens(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceName,
+  });
+
+  res.json({
+    message: 'Login successful',
+    sessionId: tokens.sessionId,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      emailVerified: !!user.emailVerifiedAt,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: !user.twoFactorEnabled && await isTwoFactorRequired(user.role),
+      lastLogin: user.lastLogin,
+      profile: user.tenant || user.owner || user.manager,
+    },
+  });
+};
+
+// An expired password can only be used to choose a new one. The reset token
+// is only handed out once any second factor has been passed too.
+const sendPasswordExpired = async (user, req, res) => {
+  const resetToken = await createUserToken(user.id, 'PASSWORD_RESET', PASSWORD_RESET_TTL_MINUTES, {
+    ipAddress: req.ip,
+    reason: 'PASSWORD_EXPIRED',
+  });
+
+  await auditAuthEvent('PASSWORD_EXPIRED', user.id, user.id, req);
+
+  return res.status(403).json({
+    error: 'Password expired',
+    message: 'Your password has expired. Choose a new password to continue.',
+    passwordExpired: true,
+    resetToken,
+  });
+};
+
+// First factor passed (password, SSO or magic link); enrolled users still have to pass
+// the second factor before a session is issued
+const startLogin = async (user, req, res, deviceName = req.body.deviceName, { passwordLogin = false } = {}) => {
+  if (user.twoFactorEnabled) {
+    const challengeToken = await createUserToken(user.id, 'TWO_FACTOR_CHALLENGE', TWO_FACTOR_CHALLENGE_TTL_MINUTES, {
+      attempts: 0,
+      deviceName,
+      passwordLogin,
+    });
+
+    return res.json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn: `${TWO_FACTOR_CHALLENGE_TTL_MINUTES}m`,
+    });
+  }
+
+  if (passwordLogin && await isPasswordExpired(user)) {
+    return sendPasswordExpired(user, req, res);
+  }
+
+  await completeLogin(user, req, res, deviceName);
+};
+
+const sendTwoFactorError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Two-factor authentication failed',
+    message: error.message,
+  });
+};
+
+const sendEmailVerification = async (user) => {
+  const token = await createUserToken(user.id, 'EMAIL_VERIFICATION', EMAIL_VERIFICATION_TTL_HOURS * 60, {
+    email: user.email,
+  });
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+  await sendVerificationEmail(user.email, verifyUrl, EMAIL_VERIFICATION_TTL_HOURS);
+};
 
 /**
  * @swagger
@@ -49,7 +229,7 @@ import { sendWelcomeEmail } from '../../notifications/services/emailService.js';
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
+ *                 description: Must satisfy the password policy, see /auth/password-policy
  *               role:
  *                 type: string
  *                 enum: [SUPER_ADMIN, OWNER, MANAGER, TENANT]
@@ -80,6 +260,11 @@ export const register = asyncHandler(async (req, res) => {
     });
   }
 
+  const violations = await checkPassword(password);
+  if (violations.length > 0) {
+    return sendPasswordPolicyError(res, violations);
+  }
+
   // Hash password
   const hashedPassword = await hashPassword(password);
 
@@ -118,19 +303,30 @@ export const register = asyncHandler(async (req, res) => {
 
   logger.info(`User registered: ${user.email} with role: ${role}`);
 
-  // Send welcome email
+  // Send welcome and verification emails
   try {
     await sendWelcomeEmail(user.email, user.role);
   } catch (error) {
     logger.error('Failed to send welcome email:', error);
   }
 
-  // Generate token
-  const token = generateToken({ userId: user.id, role: user.role });
+  try {
+    await sendEmailVerification(user);
+  } catch (error) {
+    logger.error('Failed to send verification email:', error);
+  }
+
+  // Generate tokens
+  const tokens = await issueTokens(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
 
   res.status(201).json({
     message: 'User registered successfully',
-    token,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
     user: {
       id: user.id,
       email: user.email,
@@ -138,6 +334,7 @@ export const register = asyncHandler(async (req, res) => {
       lastName: user.lastName,
       role: user.role,
       isActive: user.isActive,
+      emailVerified: !!user.emailVerifiedAt,
       createdAt: user.createdAt,
     },
   });
@@ -164,11 +361,16 @@ export const register = asyncHandler(async (req, res) => {
  *                 format: email
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the session list
  *     responses:
  *       200:
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Password expired. The response carries a resetToken to use with /auth/reset-password. Accounts with two-factor authentication get it from /auth/2fa/login instead.
  */
 export const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
@@ -189,14 +391,7 @@ export const login = asyncHandler(async (req, res) => {
 
   if (!user || !user.isActive) {
     // Log failed attempt
-    await prisma.loginAttempt.create({
-      data: {
-        email: email.toLowerCase(),
-        ipAddress: req.ip,
-        success: false,
-        userAgent: req.get('User-Agent'),
-      },
-    });
+    await recordLoginAttempt(req, email.toLowerCase(), false);
 
     return res.status(401).json({
       error: 'Invalid credentials',
@@ -209,15 +404,8 @@ export const login = asyncHandler(async (req, res) => {
 
   if (!isValidPassword) {
     // Log failed attempt
-    await prisma.loginAttempt.create({
-      data: {
-        userId: user.id,
-        email: user.email,
-        ipAddress: req.ip,
-        success: false,
-        userAgent: req.get('User-Agent'),
-      },
-    });
+    await recordLoginAttempt(req, user.email, false, user.id);
+    await handleFailedLogin(user, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
 
     return res.status(401).json({
       error: 'Invalid credentials',
@@ -225,65 +413,98 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update last login
-  await prisma.user.update({
-    where: { id: user.id },
-    data: { lastLogin: new Date() },
-  });
-
-  // Log successful attempt
-  await prisma.loginAttempt.create({
-    data: {
-      userId: user.id,
-      email: user.email,
-      ipAddress: req.ip,
-      success: true,
-      userAgent: req.get('User-Agent'),
-    },
-  });
-
-  logger.info(`User logged in: ${user.email}`);
-
-  // Generate token
-  const token = generateToken({ userId: user.id, role: user.role });
-
-  res.json({
-    message: 'Login successful',
-    token,
-    user: {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin,
-      profile: user.tenant || user.owner || user.manager,
-    },
-  });
+  await startLogin(user, req, res, req.body.deviceName, { passwordLogin: true });
 });
 
 /**
  * @swagger
- * /auth/me:
- *   get:
+ * /auth/2fa/login:
+ *   post:
  *     tags: [Authentication]
- *     summary: Get current user profile
- *     security:
- *       - bearerAuth: []
+ *     summary: Complete a login with a two-factor code
+ *     description: Second step of the login for users with two-factor authentication enabled. Provide either the current authenticator code or one of the recovery codes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Login successful
  *       401:
- *         description: Unauthorized
+ *         description: Invalid or expired challenge, or wrong code
+ *       403:
+ *         description: Password expired. The response carries a resetToken to use with /auth/reset-password.
  */
-export const getMe = asyncHandler(async (req, res) => {
-  const user = await prisma.user.findUnique({
-    where: { id: req.user.id },
-    include: {
-      tenant: {
-        include: {
-          property: true,
-        },
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const challenge = await findUserToken(challengeToken, 'TWO_FACTOR_CHALLENGE');
+
+  if (!challenge || !challenge.user.isActive) {
+    return res.status(401).json({
+      error: 'Invalid challenge',
+      message: 'Login challenge is invalid or has expired, please sign in again',
+    });
+  }
+
+  const user = challenge.user;
+
+  // Wrong codes count towards the account lockout like wrong passwords
+  const { lockedUntil } = await getAccountLockStatus(user.email);
+  if (lockedUntil) {
+    return res.status(429).json({
+      error: 'Too many failed attempts',
+      message: `Too many failed login attempts. Try again after ${lockedUntil.toISOString()}`,
+      retryAfter: lockedUntil,
+    });
+  }
+
+  if (!await verifySecondFactor(user, { code, recoveryCode })) {
+    await recordLoginAttempt(req, user.email, false, user.id);
+    await handleFailedLogin(user, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+    // Too many wrong codes burn the challenge, forcing a fresh password login
+    const attempts = (challenge.metadata?.attempts || 0) + 1;
+    await prisma.userToken.update({
+      where: { id: challenge.id },
+      data: {
+        metadata: { ...challenge.metadata, attempts },
+        ...(attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS && { usedAt: new Date() }),
       },
+    });
+
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      message: 'Invalid authentication code',
+    });
+  }
+
+  if (!await consumeUserToken(challengeToken, 'TWO_FACTOR_CHALLENGE')) {
+    return res.status(401).json({
+      error: 'Invalid challenge',
+      message: 'Login challenge is invalid or has expired, please sign in again',
+    });
+  }
+
+  if (recoveryCode && !code) {
+    await auditAuthEvent('TWO_FACTOR_RECOVERY_CODE_USED', user.id, user.id, req);
+  }
+
+  const fullUser = await prisma.user.findUnique({
+    where: { id: user.id },
+    include: {
+      tenant: true,
       owner: true,
       manager: {
         include: {
@@ -293,27 +514,20 @@ export const getMe = asyncHandler(async (req, res) => {
     },
   });
 
-  res.json({
-    user: {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin,
-      createdAt: user.createdAt,
-      profile: user.tenant || user.owner || user.manager,
-    },
-  });
+  if (challenge.metadata?.passwordLogin && await isPasswordExpired(fullUser)) {
+    return sendPasswordExpired(fullUser, req, res);
+  }
+
+  await completeLogin(fullUser, req, res, challenge.metadata?.deviceName);
 });
 
 /**
  * @swagger
- * /auth/change-password:
- *   put:
+ * /auth/magic-link:
+ *   post:
  *     tags: [Authentication]
- *     summary: Change user password
- *     security:
- *       - bearerAuth: []
+ *     summary: Email a passwordless sign-in link
+ *     description: Available to the roles listed in the MAGIC_LINK_LOGIN_ROLES setting. The response always looks the same so it does not reveal whether the account exists. Keep the returned deviceToken; the link only works when redeemed together with it.
  *     requestBody:
  *       required: true
  *       content:
@@ -321,89 +535,1203 @@ export const getMe = asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - email
  *             properties:
- *               currentPassword:
+ *               email:
  *                 type: string
- *               newPassword:
+ *                 format: email
+ *               deviceName:
  *                 type: string
- *                 minLength: 6
+ *                 description: Optional label shown in the session list
  *     responses:
  *       200:
- *         description: Password changed successfully
- *       401:
- *         description: Invalid current password
+ *         description: Link sent if the account may use magic-link sign-in
  */
-export const changePassword = asyncHandler(async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const email = req.body.email.toLowerCase();
+  const deviceToken = createDeviceToken();
 
-  // Get current user
   const user = await prisma.user.findUnique({
-    where: { id: req.user.id },
+    where: { email },
   });
 
-  // Verify current password
-  const isValidPassword = await comparePassword(currentPassword, user.password);
-
-  if (!isValidPassword) {
-    return res.status(401).json({
-      error: 'Invalid password',
-      message: 'Current password is incorrect',
-    });
-  }
-
-  // Hash new password
-  const hashedPassword = await hashPassword(newPassword);
+  const allowed = !!user?.isActive && await isMagicLinkEnabled(user.role);
 
-  // Update password
-  await prisma.user.update({
-    where: { id: user.id },
-    data: { password: hashedPassword },
+  await auditAuthEvent('MAGIC_LINK_REQUESTED', user?.id || null, user?.id || email, req, {
+    email,
+    accountFound: !!user,
+    allowed,
   });
 
-  logger.info(`Password changed for user: ${user.email}`);
+  if (allowed) {
+    const token = await createMagicLink(user, deviceToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      deviceName: req.body.deviceName,
+    });
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link?token=${token}`;
+
+    try {
+      await sendMagicLinkEmail(user.email, loginUrl, MAGIC_LINK_TTL_MINUTES);
+      await auditAuthEvent('MAGIC_LINK_EMAIL_SENT', user.id, user.id, req);
+    } catch (error) {
+      logger.error('Failed to send magic link email:', error);
+      await auditAuthEvent('MAGIC_LINK_EMAIL_FAILED', user.id, user.id, req, {
+        error: error.message,
+      });
+    }
+  }
 
   res.json({
-    message: 'Password changed successfully',
+    message: 'If magic-link sign-in is available for that account, a link has been sent',
+    deviceToken,
+    expiresIn: `${MAGIC_LINK_TTL_MINUTES}m`,
   });
 });
 
 /**
- * Create tenant user account (internal service method)
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Sign in with an emailed magic link
+ *     description: The link token is single use and must be presented with the deviceToken returned when the link was requested. Users with two-factor authentication enabled still have to complete /auth/2fa/login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - deviceToken
+ *             properties:
+ *               token:
+ *                 type: string
+ *               deviceToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge
+ *       401:
+ *         description: Invalid or expired link, or opened on another device
+ *       429:
+ *         description: Account is locked after too many failed attempts
  */
-export const createTenantUser = async (email, tenantData) => {
-  try {
-    // Generate random password
-    const password = generateRandomPassword();
-    const hashedPassword = await hashPassword(password);
+export const verifyMagicLink = asyncHandler(async (req, res) => {
+  const { token, deviceToken } = req.body;
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        email: email.toLowerCase(),
-        password: hashedPassword,
-        role: 'TENANT',
-      },
-    });
+  const magicLink = await findUserToken(token, 'MAGIC_LINK');
 
-    logger.info(`Tenant user created: ${user.email}`);
+  if (!magicLink) {
+    return res.status(401).json({
+      error: 'Invalid magic link',
+      message: 'Sign-in link is invalid or has expired, please request a new one',
+    });
+  }
 
-    // Send welcome email with password
-    try {
-      await sendWelcomeEmail(user.email, 'TENANT', password);
-    } catch (error) {
-      logger.error('Failed to send tenant welcome email:', error);
-    }
+  const user = magicLink.user;
 
-    return user;
-  } catch (error) {
-    logger.error('Error creating tenant user:', error);
-    throw error;
+  const { lockedUntil } = await getAccountLockStatus(user.email);
+  if (lockedUntil) {
+    return res.status(429).json({
+      error: 'Too many failed attempts',
+      message: `Too many failed login attempts. Try again after ${lockedUntil.toISOString()}`,
+      retryAfter: lockedUntil,
+    });
   }
-};
 
-/**
+  if (!isSameDevice(magicLink, deviceToken)) {
+    // A link redeemed elsewhere may have been intercepted, so burn it
+    await consumeUserToken(token, 'MAGIC_LINK');
+    await recordLoginAttempt(req, user.email, false, user.id);
+    await handleFailedLogin(user, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+    await auditAuthEvent('MAGIC_LINK_DEVICE_MISMATCH', user.id, user.id, req);
+
+    return res.status(401).json({
+      error: 'Invalid magic link',
+      message: 'Sign-in links only work on the device that requested them, please request a new one',
+    });
+  }
+
+  // The role may have lost access, or the account been deactivated, since the link was sent
+  if (!user.isActive || !await isMagicLinkEnabled(user.role) || !await consumeUserToken(token, 'MAGIC_LINK')) {
+    await recordLoginAttempt(req, user.email, false, user.id);
+
+    return res.status(401).json({
+      error: 'Invalid magic link',
+      message: 'Sign-in link is invalid or has expired, please request a new one',
+    });
+  }
+
+  const fullUser = await prisma.user.findUnique({
+    where: { id: user.id },
+    include: {
+      tenant: true,
+      owner: true,
+      manager: {
+        include: {
+          owner: true,
+        },
+      },
+    },
+  });
+
+  await startLogin(fullUser, req, res, magicLink.metadata?.deviceName);
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use. Presenting a token that was already exchanged revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       429:
+ *         description: Too many failed refresh attempts from this IP
+ */
+export const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken: presentedToken } = req.body;
+
+  try {
+    const tokens = await rotateRefreshToken(presentedToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Logout and revoke the current session
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+export const logout = asyncHandler(async (req, res) => {
+  // Signing out of an impersonated view ends the impersonation itself
+  if (req.impersonation) {
+    await endImpersonation(req.impersonation.id, {
+      userId: req.impersonator.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+  }
+
+  if (req.token.sid) {
+    await revokeSession(req.token.sid);
+  }
+  await revokeAccessToken(req.token);
+
+  logger.info(`User logged out: ${req.user.email}`);
+
+  res.json({
+    message: 'Logged out successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List the sessions the current user is signed in with
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one making the request flagged as current
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out of every other session
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+
+  res.json({
+    sessions: sessions.map(session => ({
+      ...session,
+      current: session.id === req.token.sid,
+    })),
+  });
+});
+
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllUserSessions(req.user.id, { exceptSessionId: req.token.sid });
+
+  await auditAuthEvent('SESSIONS_REVOKED', req.user.id, req.user.id, req, { revokedCount });
+
+  res.json({
+    message: 'Signed out of all other sessions',
+    revokedCount,
+  });
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out of a session
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+export const revokeSessionById = asyncHandler(async (req, res) => {
+  const session = await findActiveSession(req.user.id, req.params.id);
+
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found',
+      message: 'Session not found or already signed out',
+    });
+  }
+
+  await revokeSession(session.id);
+  if (session.id === req.token.sid) {
+    await revokeAccessToken(req.token);
+  }
+
+  await auditAuthEvent('SESSION_REVOKED', req.user.id, req.user.id, req, { sessionId: session.id });
+
+  res.json({
+    message: 'Session signed out successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get current user profile
+ *     description: When a super admin is impersonating the user, impersonating is true and impersonation names the admin and when the session expires.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+export const getMe = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    include: {
+      tenant: {
+        include: {
+          property: true,
+        },
+      },
+      owner: true,
+      manager: {
+        include: {
+          owner: true,
+        },
+      },
+    },
+  });
+
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      emailVerified: !!user.emailVerifiedAt,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: !user.twoFactorEnabled && await isTwoFactorRequired(user.role),
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+      profile: user.tenant || user.owner || user.manager,
+    },
+    // Lets the UI show a banner while a super admin is viewing as this user
+    impersonating: !!req.impersonation,
+    impersonation: req.impersonation ? {
+      ...req.impersonation,
+      impersonator: req.impersonator,
+    } : null,
+  });
+});
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret and an otpauth:// provisioning URI to render as a QR code. Two-factor authentication is not active until confirmed with /auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI generated
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, recovery codes returned once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+
+    await auditAuthEvent('TWO_FACTOR_ENABLED', req.user.id, req.user.id, req);
+    logger.info(`Two-factor authentication enabled for user: ${req.user.email}`);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Disable two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+export const disableTwoFactorAuth = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      error: 'Two-factor authentication failed',
+      message: 'Two-factor authentication is not enabled',
+    });
+  }
+
+  if (await isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Two-factor authentication is required for your role',
+    });
+  }
+
+  const isValidPassword = await comparePassword(password, req.user.password);
+
+  if (!isValidPassword || !await verifySecondFactor(req.user, { code, recoveryCode })) {
+    return res.status(400).json({
+      error: 'Invalid credentials',
+      message: 'Invalid password or authentication code',
+    });
+  }
+
+  await disableTwoFactor(req.user.id);
+
+  await auditAuthEvent('TWO_FACTOR_DISABLED', req.user.id, req.user.id, req);
+  logger.info(`Two-factor authentication disabled for user: ${req.user.email}`);
+
+  res.json({
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the number of unused recovery codes
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Remaining recovery code count
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Replace all recovery codes with a new set
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned once
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ */
+export const getRecoveryCodeStatus = asyncHandler(async (req, res) => {
+  res.json({
+    twoFactorEnabled: req.user.twoFactorEnabled,
+    remainingRecoveryCodes: req.user.twoFactorEnabled ? await countRemainingRecoveryCodes(req.user.id) : 0,
+  });
+});
+
+export const regenerateTwoFactorRecoveryCodes = asyncHandler(async (req, res) => {
+  if (!await verifySecondFactor(req.user, { code: req.body.code })) {
+    return res.status(400).json({
+      error: 'Invalid credentials',
+      message: 'Invalid authentication code',
+    });
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+  await auditAuthEvent('TWO_FACTOR_RECOVERY_CODES_REGENERATED', req.user.id, req.user.id, req);
+
+  res.json({
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    recoveryCodes,
+  });
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   put:
+ *     tags: [Authentication]
+ *     summary: Change user password
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy, see /auth/password-policy
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: New password breaks the password policy or was used recently
+ *       401:
+ *         description: Invalid current password
+ */
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  // Get current user
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+  });
+
+  // Verify current password
+  const isValidPassword = await comparePassword(currentPassword, user.password);
+
+  if (!isValidPassword) {
+    return res.status(401).json({
+      error: 'Invalid password',
+      message: 'Current password is incorrect',
+    });
+  }
+
+  const violations = await checkPassword(newPassword, user);
+  if (violations.length > 0) {
+    return sendPasswordPolicyError(res, violations);
+  }
+
+  await changeUserPassword(user, newPassword);
+
+  logger.info(`Password changed for user: ${user.email}`);
+
+  res.json({
+    message: 'Password changed successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/password-policy:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the password requirements
+ *     description: Lets clients show the rules before a password is submitted. Configured through system settings.
+ *     responses:
+ *       200:
+ *         description: Current password policy
+ */
+export const getPasswordRequirements = asyncHandler(async (req, res) => {
+  res.json({ policy: await getPasswordPolicy() });
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message so that registered emails cannot be discovered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const email = req.body.email.toLowerCase();
+
+  const user = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  await auditAuthEvent('PASSWORD_RESET_REQUESTED', user?.id || null, user?.id || email, req, {
+    email,
+    accountFound: !!user,
+    accountActive: !!user?.isActive,
+  });
+
+  if (user && user.isActive) {
+    const token = await createUserToken(user.id, 'PASSWORD_RESET', PASSWORD_RESET_TTL_MINUTES, {
+      ipAddress: req.ip,
+    });
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    try {
+      await sendPasswordResetEmail(user.email, resetUrl, PASSWORD_RESET_TTL_MINUTES);
+      await auditAuthEvent('PASSWORD_RESET_EMAIL_SENT', user.id, user.id, req);
+    } catch (error) {
+      logger.error('Failed to send password reset email:', error);
+      await auditAuthEvent('PASSWORD_RESET_EMAIL_FAILED', user.id, user.id, req, {
+        error: error.message,
+      });
+    }
+  }
+
+  res.json({
+    message: 'If an account with that email exists, a password reset link has been sent',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Reset password with an emailed token
+ *     description: The token is single use. All existing sessions of the user are revoked on success.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy, see /auth/password-policy
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // Check the new password before using up the token so the user can retry
+  const pendingToken = await findUserToken(token, 'PASSWORD_RESET');
+  if (pendingToken) {
+    const violations = await checkPassword(newPassword, pendingToken.user);
+    if (violations.length > 0) {
+      return sendPasswordPolicyError(res, violations);
+    }
+  }
+
+  const resetToken = await consumeUserToken(token, 'PASSWORD_RESET');
+
+  if (!resetToken || !resetToken.user.isActive) {
+    await auditAuthEvent('PASSWORD_RESET_FAILED', resetToken?.userId || null, resetToken?.userId || 'unknown', req, {
+      reason: resetToken ? 'USER_INACTIVE' : 'INVALID_OR_EXPIRED_TOKEN',
+    });
+
+    return res.status(400).json({
+      error: 'Invalid token',
+      message: 'Password reset link is invalid or has expired',
+    });
+  }
+
+  await changeUserPassword(resetToken.user, newPassword);
+
+  const revokedSessions = await revokeAllUserSessions(resetToken.userId);
+
+  await auditAuthEvent('PASSWORD_RESET_COMPLETED', resetToken.userId, resetToken.userId, req, {
+    revokedSessions,
+  });
+
+  logger.info(`Password reset for user: ${resetToken.user.email}`);
+
+  res.json({
+    message: 'Password reset successfully. Please log in with your new password.',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify email address with an emailed token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const verificationToken = await consumeUserToken(token, 'EMAIL_VERIFICATION');
+
+  // The token is bound to the address it was sent to
+  if (!verificationToken || verificationToken.metadata?.email !== verificationToken.user.email) {
+    return res.status(400).json({
+      error: 'Invalid token',
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+
+  if (!verificationToken.user.emailVerifiedAt) {
+    await prisma.user.update({
+      where: { id: verificationToken.userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+  }
+
+  await auditAuthEvent('EMAIL_VERIFIED', verificationToken.userId, verificationToken.userId, req);
+
+  logger.info(`Email verified for user: ${verificationToken.user.email}`);
+
+  res.json({
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Resend the email verification link
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Requested too soon after the previous email
+ */
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerifiedAt) {
+    return res.status(400).json({
+      error: 'Already verified',
+      message: 'Your email address is already verified',
+    });
+  }
+
+  const lastToken = await prisma.userToken.findFirst({
+    where: { userId: req.user.id, type: 'EMAIL_VERIFICATION' },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (lastToken) {
+    const secondsSinceLast = (Date.now() - lastToken.createdAt.getTime()) / 1000;
+    if (secondsSinceLast < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceLast);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+      });
+    }
+  }
+
+  await sendEmailVerification(req.user);
+
+  res.json({
+    message: 'Verification email sent',
+  });
+});
+
+const sendSsoError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Single sign-on failed',
+    message: error.message,
+  });
+};
+
+/**
+ * @swagger
+ * /auth/sso/discover:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Find the single sign-on provider for an email address
+ *     description: Lets the login page offer "Sign in with SSO" when the email's domain belongs to an owner's identity provider.
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *     responses:
+ *       200:
+ *         description: Whether SSO is available, and which provider to use
+ */
+export const discoverSsoProvider = asyncHandler(async (req, res) => {
+  const provider = await findProviderForEmail(req.query.email);
+
+  res.json({
+    ssoAvailable: !!provider,
+    provider: provider ? { slug: provider.slug, name: provider.name } : null,
+  });
+});
+
+/**
+ * @swagger
+ * /auth/sso/{slug}/authorize:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Start a single sign-on login
+ *     description: Returns the identity provider URL the browser should be redirected to. The provider sends the user back to the configured redirect URI with a code and state, which are then posted to /auth/sso/callback.
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *       404:
+ *         description: Provider not found or inactive
+ *       502:
+ *         description: Identity provider is unreachable or misconfigured
+ */
+export const startSsoLogin = asyncHandler(async (req, res) => {
+  const provider = await findProviderBySlug(req.params.slug);
+
+  if (!provider) {
+    return res.status(404).json({
+      error: 'Provider not found',
+      message: 'Single sign-on provider not found',
+    });
+  }
+
+  try {
+    const { authorizationUrl } = await createAuthorizationRequest(provider);
+    res.json({ authorizationUrl });
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return sendSsoError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sso/callback:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Complete a single sign-on login
+ *     description: Exchanges the authorization code returned by the identity provider for a session. People signing in for the first time are provisioned as managers of the owner the provider belongs to, when the provider allows it. Users with two-factor authentication enabled receive a challenge instead, completed through /auth/2fa/login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *       400:
+ *         description: Login request invalid or expired
+ *       401:
+ *         description: ID token could not be verified
+ *       403:
+ *         description: Identity not allowed to sign in
+ *       409:
+ *         description: Email already belongs to an account that cannot use this provider
+ */
+export const completeSsoLogin = asyncHandler(async (req, res) => {
+  let provider;
+  let user;
+  let provisioned;
+
+  try {
+    const authorization = await completeAuthorization(req.body);
+    provider = authorization.provider;
+    ({ user, provisioned } = await resolveUser(provider, authorization.claims));
+  } catch (error) {
+    if (error instanceof OidcError) {
+      logger.warn(`SSO login failed: ${error.message}`);
+      return sendSsoError(res, error);
+    }
+    throw error;
+  }
+
+  if (!user.isActive) {
+    await recordLoginAttempt(req, user.email, false, user.id);
+
+    return res.status(403).json({
+      error: 'Account disabled',
+      message: 'Your account has been deactivated',
+    });
+  }
+
+  if (provisioned) {
+    await auditAuthEvent('SSO_USER_PROVISIONED', user.id, user.id, req, {
+      providerId: provider.id,
+      ownerId: provider.ownerId,
+    });
+  }
+
+  await auditAuthEvent('SSO_LOGIN', user.id, user.id, req, { providerId: provider.id });
+
+  const fullUser = await prisma.user.findUnique({
+    where: { id: user.id },
+    include: {
+      tenant: true,
+      owner: true,
+      manager: {
+        include: {
+          owner: true,
+        },
+      },
+    },
+  });
+
+  await startLogin(fullUser, req, res);
+});
+
+/**
+ * @swagger
+ * /auth/invitations/{token}:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Look up a pending invitation
+ *     description: Lets the accept-invitation page show who the invitation is for before the invitee picks a password.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       404:
+ *         description: Invitation invalid, expired, revoked or already accepted
+ */
+export const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      error: 'Invitation not found',
+      message: 'This invitation is invalid or has expired',
+    });
+  }
+
+  res.json({
+    invitation: {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      invitedBy: invitation.invitedBy,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /auth/invitations/accept:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Accept an invitation and set a password
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy, see /auth/password-policy
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, the account can now sign in
+ *       400:
+ *         description: Invitation invalid, expired, revoked or already accepted
+ */
+export const acceptInvitationHandler = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (await findPendingInvitation(token)) {
+    const violations = await checkPassword(password);
+    if (violations.length > 0) {
+      return sendPasswordPolicyError(res, violations);
+    }
+  }
+
+  const invitation = await acceptInvitation(token, password);
+
+  if (!invitation) {
+    return res.status(400).json({
+      error: 'Invalid invitation',
+      message: 'This invitation is invalid or has expired',
+    });
+  }
+
+  await auditAuthEvent('INVITATION_ACCEPTED', invitation.userId, invitation.userId, req, {
+    invitationId: invitation.id,
+  });
+
+  res.json({
+    message: 'Invitation accepted. You can now sign in with your new password.',
+    email: invitation.email,
+  });
+});
+
+/**
+ * Create tenant user account (internal service method).
+ * The account stays unusable until the tenant accepts their invitation.
+ */
+export const createTenantUser = async (email, tenantData) => {
+  try {
+    const user = await createInvitedUser(prisma, {
+      email,
+      role: 'TENANT',
+      firstName: tenantData.firstName,
+      lastName: tenantData.lastName,
+    });
+
+    logger.info(`Tenant user created: ${user.email}`);
+
+    return user;
+  } catch (error) {
+    logger.error('Error creating tenant user:', error);
+    throw error;
+  }
+};
+
+// Role and effective permissions, with how a manager's set was derived
+const describePermissions = (user) => {
+  const roleData = {
+    role: user.role,
+    permissions: resolvePermissions(user),
+  };
+
+  if (user.role === 'MANAGER' && user.manager) {
+    roleData.ownerId = user.manager.ownerId;
+    roleData.roleTemplate = user.manager.roleTemplate
+      ? { id: user.manager.roleTemplate.id, name: user.manager.roleTemplate.name, isSystem: user.manager.roleTemplate.isSystem }
+      : null;
+    roleData.overrides = user.manager.permissions || {};
+  }
+
+  return roleData;
+};
+
+/**
+ * @swagger
+ * /auth/permissions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the effective permissions of the current user
+ *     description: Owners and super admins hold every permission. For managers the set comes from their role template (or the default set) plus per-manager overrides.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective permissions
+ *       401:
+ *         description: Unauthorized
+ */
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  res.json({
+    userId: req.user.id,
+    ...describePermissions(req.user),
+  });
+});
+
+/**
  * @swagger
  * /auth/roles/{userId}:
  *   get:
@@ -442,6 +1770,7 @@ export const getUserRoles = asyncHandler(async (req, res) => {
       manager: {
         include: {
           owner: true,
+          roleTemplate: true,
         },
       },
     },
@@ -454,19 +1783,9 @@ export const getUserRoles = asyncHandler(async (req, res) => {
     });
   }
 
-  const roleData = {
-    role: user.role,
-    permissions: {},
-  };
-
-  if (user.role === 'MANAGER' && user.manager) {
-    roleData.permissions = user.manager.permissions || {};
-    roleData.ownerId = user.manager.ownerId;
-  }
-
   res.json({
     userId: user.id,
     email: user.email,
-    ...roleData,
+    ...describePermissions(user),
   });
 });
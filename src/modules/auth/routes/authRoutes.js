@@ -1,30 +1,55 @@
 
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { 
   register, 
   login, 
+  refreshToken,
+  logout,
   getMe, 
   changePassword, 
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  requestMagicLink,
+  verifyMagicLink,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  getRecoveryCodeStatus,
+  regenerateTwoFactorRecoveryCodes,
+  getSessions,
+  revokeOtherSessions,
+  revokeSessionById,
+  getInvitation,
+  acceptInvitationHandler,
+  discoverSsoProvider,
+  startSsoLogin,
+  completeSsoLogin,
+  getMyPermissions,
+  getPasswordRequirements,
   getUserRoles 
 } from '../controllers/authController.js';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, allowUnverified, allowTwoFactorSetup, allowWhileImpersonating } from '../../../middleware/auth.js';
+import { TWO_FACTOR_ROLES } from '../../../services/twoFactorService.js';
 import { handleValidationErrors } from '../../../middleware/validation.js';
-import { authLimiter, bruteForce } from '../../../middleware/rateLimiter.js';
+import { authLimiter, refreshLimiter, loginLockout, emailActionLimiter } from '../../../middleware/rateLimiter.js';
 
 const router = express.Router();
 
-// Validation rules
+// Validation rules. Password strength is checked against the configurable
+// policy in the controllers.
 const registerValidation = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('role')
     .isIn(['SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT'])
     .withMessage('Invalid role'),
@@ -46,6 +71,18 @@ const loginValidation = [
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
 ];
 
 const changePasswordValidation = [
@@ -53,19 +90,153 @@ const changePasswordValidation = [
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required'),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required'),
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+];
+
+const acceptInvitationValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required'),
+];
+
+const magicLinkRequestValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
+];
+
+const magicLinkVerifyValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-in token is required'),
+  body('deviceToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Device token is required'),
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required'),
+];
+
+const ssoDiscoverValidation = [
+  query('email')
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const ssoCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
 ];
 
 // Public routes
 router.post('/register', authLimiter, registerValidation, handleValidationErrors, register);
-router.post('/login', authLimiter, bruteForce.prevent, loginValidation, handleValidationErrors, login);
+router.post('/login', authLimiter, loginValidation, handleValidationErrors, loginLockout, login);
+router.post('/refresh', refreshLimiter, refreshTokenValidation, handleValidationErrors, refreshToken);
+router.get('/password-policy', getPasswordRequirements);
+router.post('/forgot-password', emailActionLimiter, forgotPasswordValidation, handleValidationErrors, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, handleValidationErrors, resetPassword);
+router.post('/verify-email', authLimiter, verifyEmailValidation, handleValidationErrors, verifyEmail);
+router.get('/invitations/:token', authLimiter, getInvitation);
+router.post('/invitations/accept', authLimiter, acceptInvitationValidation, handleValidationErrors, acceptInvitationHandler);
+router.post('/magic-link', emailActionLimiter, magicLinkRequestValidation, handleValidationErrors, loginLockout, requestMagicLink);
+router.post('/magic-link/verify', authLimiter, magicLinkVerifyValidation, handleValidationErrors, verifyMagicLink);
+router.post('/2fa/login', authLimiter, twoFactorLoginValidation, handleValidationErrors, verifyTwoFactorLogin);
+router.get('/sso/discover', authLimiter, ssoDiscoverValidation, handleValidationErrors, discoverSsoProvider);
+router.get('/sso/:slug/authorize', authLimiter, startSsoLogin);
+router.post('/sso/callback', authLimiter, ssoCallbackValidation, handleValidationErrors, completeSsoLogin);
 
 // Protected routes
-router.get('/me', authenticate, getMe);
+router.post('/logout', allowUnverified, allowTwoFactorSetup, allowWhileImpersonating, authenticate, logout);
+router.get('/me', allowUnverified, allowTwoFactorSetup, authenticate, getMe);
+router.post('/resend-verification', emailActionLimiter, allowUnverified, authenticate, resendVerificationEmail);
 router.put('/change-password', authenticate, changePasswordValidation, handleValidationErrors, changePassword);
+router.post('/2fa/setup', allowTwoFactorSetup, authenticate, authorize(...TWO_FACTOR_ROLES), setupTwoFactor);
+router.post('/2fa/enable', allowTwoFactorSetup, authenticate, authorize(...TWO_FACTOR_ROLES), twoFactorCodeValidation, handleValidationErrors, enableTwoFactor);
+router.post('/2fa/disable', authenticate, authLimiter, disableTwoFactorValidation, handleValidationErrors, disableTwoFactorAuth);
+router.get('/2fa/recovery-codes', authenticate, getRecoveryCodeStatus);
+router.post('/2fa/recovery-codes', authenticate, authLimiter, twoFactorCodeValidation, handleValidationErrors, regenerateTwoFactorRecoveryCodes);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, revokeSessionById);
+router.get('/permissions', authenticate, getMyPermissions);
 router.get('/roles/:userId', authenticate, authorize('SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT'), getUserRoles);
 
 export default router;
@@ -1,6 +1,7 @@
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
+import { assignedPropertyIds } from '../../../services/propertyAssignmentService.js';
 
 export const getCalendarEvents = async (req, res) => {
   try {
@@ -31,18 +32,9 @@ export const getCalendarEvents = async (req, res) => {
           },
         };
       } else if (req.user.role === 'MANAGER') {
-        const managerProperties = await prisma.property.findMany({
-          where: {
-            managers: {
-              some: { userId },
-            },
-          },
-          select: { id: true },
-        });
-
         where.lease = {
           propertyId: {
-            in: managerProperties.map(p => p.id),
+            in: assignedPropertyIds(req.user),
           },
         };
       }
@@ -104,17 +96,8 @@ export const getCalendarEvents = async (req, res) => {
           ownerId: req.user.owner.id,
         };
       } else if (req.user.role === 'MANAGER') {
-        const managerProperties = await prisma.property.findMany({
-          where: {
-            managers: {
-              some: { userId },
-            },
-          },
-          select: { id: true },
-        });
-
         leaseWhere.propertyId = {
-          in: managerProperties.map(p => p.id),
+          in: assignedPropertyIds(req.user),
         };
       }
 
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   createCalendarEvent,
   getCalendarEvents,
@@ -37,7 +37,7 @@ const router = Router();
  *       200:
  *         description: Calendar events
  */
-router.get('/events', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getCalendarEvents);
+router.get('/events', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('calendar.view'), getCalendarEvents);
 
 /**
  * @swagger
@@ -57,7 +57,7 @@ router.get('/events', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SU
  *       200:
  *         description: Upcoming events
  */
-router.get('/upcoming', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getCalendarEvents);
+router.get('/upcoming', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('calendar.view'), getCalendarEvents);
 
 /**
  * @swagger
@@ -96,6 +96,6 @@ router.get('/upcoming', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', '
  *       201:
  *         description: Calendar event created successfully
  */
-router.post('/events', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), createCalendarEvent);
+router.post('/events', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('calendar.manage'), createCalendarEvent);
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,11 @@
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { sendNotificationToUser } from '../../notifications/services/socketService.js';
+import {
+  activeAssignmentWhere,
+  managedPropertiesWhere,
+  managesProperty,
+} from '../../../services/propertyAssignmentService.js';
 
 export const createComplaint = async (req, res) => {
   try {
@@ -38,6 +43,13 @@ export const createComplaint = async (req, res) => {
           });
         }
       }
+
+      if (req.user.role === 'MANAGER' && !managesProperty(req.user, propertyId)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You can only create complaints for properties you manage',
+        });
+      }
     }
 
     const complaint = await prisma.complaint.create({
@@ -121,7 +133,7 @@ export const getComplaints = async (req, res) => {
       where.OR = [
         { reporterId: req.user.userId },
         { assignedToId: req.user.userId },
-        { property: { ownerId: req.user.manager.ownerId } },
+        { property: managedPropertiesWhere(req.user) },
       ];
     } else if (req.user.role === 'TENANT') {
       where.reporterId = req.user.userId;
@@ -239,7 +251,7 @@ export const getComplaintById = async (req, res) => {
       complaint.reporterId === req.user.userId ||
       complaint.assignedToId === req.user.userId ||
       (req.user.role === 'OWNER' && complaint.property?.owner.user.id === req.user.userId) ||
-      (req.user.role === 'MANAGER' && complaint.property?.owner.id === req.user.manager.ownerId);
+      (req.user.role === 'MANAGER' && managesProperty(req.user, complaint.propertyId));
 
     if (!canAccess) {
       return res.status(403).json({
@@ -287,7 +299,7 @@ export const updateComplaint = async (req, res) => {
       existingComplaint.reporterId === req.user.userId ||
       existingComplaint.assignedToId === req.user.userId ||
       (req.user.role === 'OWNER' && existingComplaint.property?.ownerId === req.user.owner.id) ||
-      (req.user.role === 'MANAGER' && existingComplaint.property?.ownerId === req.user.manager.ownerId);
+      (req.user.role === 'MANAGER' && managesProperty(req.user, existingComplaint.propertyId));
 
     if (!canUpdate) {
       return res.status(403).json({
@@ -380,7 +392,8 @@ export const deleteComplaint = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-    if (existingComplaint.property && existingComplaint.property.ownerId !== allowedOwnerId) {
+    if (existingComplaint.property && (existingComplaint.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, existingComplaint.propertyId)))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only delete complaints for properties you manage',
@@ -444,6 +457,19 @@ export const assignComplaint = async (req, res) => {
       });
     }
 
+    if (complaint.propertyId) {
+      const assignment = await prisma.propertyManager.findFirst({
+        where: { propertyId: complaint.propertyId, managerId, ...activeAssignmentWhere() },
+      });
+
+      if (!assignment) {
+        return res.status(400).json({
+          error: 'Manager not assigned',
+          message: 'The manager is not assigned to this property',
+        });
+      }
+    }
+
     const updatedComplaint = await prisma.complaint.update({
       where: { id },
       data: {
@@ -578,7 +604,8 @@ export const resolveComplaint = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-    if (complaint.property && complaint.property.ownerId !== allowedOwnerId) {
+    if (complaint.property && (complaint.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, complaint.propertyId)))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only resolve complaints for properties you manage',
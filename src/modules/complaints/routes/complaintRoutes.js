@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import { validateComplaint, validateComplaintUpdate } from '../../../middleware/validation.js';
 import {
   createComplaint,
@@ -49,7 +49,7 @@ const router = Router();
  *       201:
  *         description: Complaint created successfully
  */
-router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), validateComplaint, createComplaint);
+router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), checkPermissions('complaints.create'), validateComplaint, createComplaint);
 
 /**
  * @swagger
@@ -84,7 +84,7 @@ router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), valida
  *       200:
  *         description: List of complaints
  */
-router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getComplaints);
+router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('complaints.view'), getComplaints);
 
 /**
  * @swagger
@@ -104,7 +104,7 @@ router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_AD
  *       200:
  *         description: Complaint details
  */
-router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getComplaintById);
+router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('complaints.view'), getComplaintById);
 
 /**
  * @swagger
@@ -140,7 +140,7 @@ router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER
  *       200:
  *         description: Complaint updated successfully
  */
-router.put('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), validateComplaintUpdate, updateComplaint);
+router.put('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), checkPermissions('complaints.update'), validateComplaintUpdate, updateComplaint);
 
 /**
  * @swagger
@@ -160,7 +160,7 @@ router.put('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER']), vali
  *       204:
  *         description: Complaint deleted successfully
  */
-router.delete('/:id', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), deleteComplaint);
+router.delete('/:id', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('complaints.delete'), deleteComplaint);
 
 /**
  * @swagger
@@ -225,6 +225,6 @@ router.post('/:id/assign', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), as
  *       200:
  *         description: Complaint status updated successfully
  */
-router.patch('/:id/status', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), updateComplaintStatus);
+router.patch('/:id/status', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('complaints.update'), updateComplaintStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,567 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { logActivity, getAuditLogs } from '../../../services/auditService.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
+import {
+  DocumentError,
+  documentInclude,
+  documentSummaryInclude,
+  documentScopeWhere,
+  createDocument as create,
+  addDocumentVersion,
+  updateDocument as update,
+  createDownloadUrl,
+  deleteDocument as remove,
+} from '../../../services/documentService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Documents
+ *   description: Document vault for properties, leases, tenants and maintenance requests. Requires the DOCUMENT_MANAGEMENT feature flag.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         fileName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: integer
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Document:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         tenantId:
+ *           type: string
+ *         maintenanceRequestId:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [LEASE_AGREEMENT, IDENTIFICATION, INSURANCE, INSPECTION, INVOICE, RECEIPT, NOTICE, PHOTO, OTHER]
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         visibleTo:
+ *           type: array
+ *           description: Roles the document is shared with; owners always see it
+ *           items:
+ *             type: string
+ *             enum: [OWNER, MANAGER, TENANT]
+ *         currentVersion:
+ *           type: integer
+ *         versions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DocumentVersion'
+ */
+
+const sendDocumentError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Document error',
+    message: error.message,
+  });
+};
+
+// Runs a service call, turning DocumentError into its HTTP response
+const handleDocumentErrors = (handler) => asyncHandler(async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      return sendDocumentError(res, error);
+    }
+    throw error;
+  }
+});
+
+const propertyScopeWhere = (user) => {
+  if (user.role === 'OWNER') return { ownerId: user.owner.id };
+  if (user.role === 'MANAGER') return managedPropertiesWhere(user);
+  return {};
+};
+
+// Loads a document the caller may see. Out-of-scope documents are reported as
+// missing.
+const findScopedDocument = async (req) => {
+  const document = await prisma.document.findFirst({
+    where: { AND: [{ id: req.params.id }, documentScopeWhere(req.user)] },
+    include: documentInclude,
+  });
+
+  if (!document) {
+    throw new DocumentError('Document not found', 404);
+  }
+
+  return document;
+};
+
+const audit = (action, req, document, details = {}) => logActivity(action, req.user.id, 'DOCUMENT', document.id, {
+  propertyId: document.propertyId,
+  title: document.title,
+  ...details,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+});
+
+/**
+ * @swagger
+ * /documents:
+ *   get:
+ *     tags: [Documents]
+ *     summary: List documents
+ *     description: Owners see every document of their properties; managers and tenants see the documents shared with their role. Tenants only get documents attached to them, their leases, their maintenance requests or their property as a whole.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: maintenanceRequestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ */
+export const getDocuments = asyncHandler(async (req, res) => {
+  const { propertyId, leaseId, tenantId, maintenanceRequestId, category, search, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { AND: [documentScopeWhere(req.user)] };
+  if (propertyId) where.propertyId = propertyId;
+  if (leaseId) where.leaseId = leaseId;
+  if (tenantId) where.tenantId = tenantId;
+  if (maintenanceRequestId) where.maintenanceRequestId = maintenanceRequestId;
+  if (category) where.category = category;
+  if (search) where.title = { contains: search, mode: 'insensitive' };
+
+  const [documents, total] = await Promise.all([
+    prisma.document.findMany({
+      where,
+      include: documentSummaryInclude,
+      orderBy: { updatedAt: 'desc' },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.document.count({ where }),
+  ]);
+
+  res.json({
+    documents,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /documents:
+ *   post:
+ *     tags: [Documents]
+ *     summary: Upload a document
+ *     description: The file is stored privately and can only be fetched through a signed download link. Documents shared with TENANT are visible to the tenant they are attached to, or to every tenant of the property when attached to the property only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, propertyId]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               propertyId:
+ *                 type: string
+ *               leaseId:
+ *                 type: string
+ *               tenantId:
+ *                 type: string
+ *               maintenanceRequestId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the file name
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               visibleTo:
+ *                 type: string
+ *                 description: Comma-separated roles to share with, e.g. MANAGER,TENANT
+ *               notes:
+ *                 type: string
+ *                 description: Notes for the first version
+ *     responses:
+ *       201:
+ *         description: Document uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Missing file, or the lease, tenant or maintenance request is not part of the property
+ *       404:
+ *         description: Property not found
+ */
+export const createDocument = handleDocumentErrors(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      message: 'Please select a file to upload',
+    });
+  }
+
+  const property = await prisma.property.findFirst({
+    where: { id: req.body.propertyId, ...propertyScopeWhere(req.user) },
+  });
+
+  if (!property) {
+    return res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+  }
+
+  const document = await create(property, req.user, req.file, req.body);
+
+  await audit('DOCUMENT_UPLOADED', req, document, { version: 1, fileName: req.file.originalname });
+  logger.info(`Document ${document.id} uploaded for property ${property.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Document uploaded successfully',
+    document,
+  });
+});
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Get a document with its version history
+ *     description: Each view is recorded in the document's access log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *       404:
+ *         description: Document not found
+ */
+export const getDocumentById = handleDocumentErrors(async (req, res) => {
+  const document = await findScopedDocument(req);
+
+  await audit('DOCUMENT_VIEWED', req, document);
+
+  res.json({
+    document,
+  });
+});
+
+/**
+ * @swagger
+ * /documents/{id}/download:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Get a signed download link
+ *     description: Returns a link that expires after 15 minutes. Each download link handed out is recorded in the document's access log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version to download, the current one by default
+ *     responses:
+ *       200:
+ *         description: Signed download link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Document or version not found
+ */
+export const downloadDocument = handleDocumentErrors(async (req, res) => {
+  const document = await findScopedDocument(req);
+  const version = req.query.version ? parseInt(req.query.version) : document.currentVersion;
+
+  const download = createDownloadUrl(document, version);
+
+  await audit('DOCUMENT_DOWNLOADED', req, document, { version, fileName: download.version.fileName });
+
+  res.json(download);
+});
+
+/**
+ * @swagger
+ * /documents/{id}/versions:
+ *   post:
+ *     tags: [Documents]
+ *     summary: Upload a new version of a document
+ *     description: Earlier versions are kept and can still be downloaded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               notes:
+ *                 type: string
+ *                 description: What changed in this version
+ *     responses:
+ *       201:
+ *         description: Version uploaded successfully
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Another version was uploaded at the same time
+ */
+export const uploadDocumentVersion = handleDocumentErrors(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      message: 'Please select a file to upload',
+    });
+  }
+
+  const existing = await findScopedDocument(req);
+
+  const document = await addDocumentVersion(existing, req.user, req.file, req.body.notes);
+
+  await audit('DOCUMENT_VERSION_ADDED', req, document, { version: document.currentVersion, fileName: req.file.originalname });
+  logger.info(`Version ${document.currentVersion} of document ${document.id} uploaded by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Version uploaded successfully',
+    document,
+  });
+});
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   patch:
+ *     tags: [Documents]
+ *     summary: Update the details or sharing of a document
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               visibleTo:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [OWNER, MANAGER, TENANT]
+ *     responses:
+ *       200:
+ *         description: Document updated successfully
+ *       404:
+ *         description: Document not found
+ */
+export const updateDocument = handleDocumentErrors(async (req, res) => {
+  const existing = await findScopedDocument(req);
+
+  const document = await update(existing, req.user, req.body);
+
+  await audit('DOCUMENT_UPDATED', req, document, {
+    changes: Object.keys(req.body),
+    visibleTo: document.visibleTo,
+  });
+
+  res.json({
+    message: 'Document updated successfully',
+    document,
+  });
+});
+
+/**
+ * @swagger
+ * /documents/{id}/access-log:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Who uploaded, changed, viewed or downloaded a document
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [DOCUMENT_UPLOADED, DOCUMENT_VERSION_ADDED, DOCUMENT_UPDATED, DOCUMENT_VIEWED, DOCUMENT_DOWNLOADED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Access log retrieved successfully
+ *       404:
+ *         description: Document not found
+ */
+export const getDocumentAccessLog = handleDocumentErrors(async (req, res) => {
+  const document = await findScopedDocument(req);
+  const { action, page = 1, limit = 50 } = req.query;
+
+  const { logs, pagination } = await getAuditLogs({
+    resourceType: 'DOCUMENT',
+    resourceId: document.id,
+    action,
+    page,
+    limit,
+  });
+
+  res.json({
+    logs,
+    pagination,
+  });
+});
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   delete:
+ *     tags: [Documents]
+ *     summary: Delete a document with every version
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document deleted successfully
+ *       404:
+ *         description: Document not found
+ */
+export const deleteDocument = handleDocumentErrors(async (req, res) => {
+  const document = await findScopedDocument(req);
+
+  await remove(document);
+
+  await audit('DOCUMENT_DELETED', req, document, { versions: document.versions.length });
+  logger.info(`Document ${document.id} deleted by user ${req.user.email}`);
+
+  res.json({
+    message: 'Document deleted successfully',
+  });
+});
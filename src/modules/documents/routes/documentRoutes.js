@@ -0,0 +1,36 @@
+import express from 'express';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
+import { upload, handleUploadError } from '../../../middleware/upload.js';
+import { validateDocument, validateDocumentVersion, validateDocumentUpdate } from '../../../middleware/validation.js';
+import featureFlags from '../../../services/featureFlags.js';
+import {
+  getDocuments,
+  createDocument,
+  getDocumentById,
+  downloadDocument,
+  uploadDocumentVersion,
+  updateDocument,
+  getDocumentAccessLog,
+  deleteDocument,
+} from '../controllers/documentController.js';
+
+const router = express.Router();
+
+// All routes require authentication and the document vault to be enabled
+// for the caller
+router.use(authenticate);
+router.use(featureFlags.requireFeature('DOCUMENT_MANAGEMENT'));
+
+const staff = authorize('SUPER_ADMIN', 'OWNER', 'MANAGER');
+const everyone = authorize('SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT');
+
+router.get('/', everyone, checkPermissions('documents.view'), getDocuments);
+router.post('/', staff, checkPermissions('documents.manage'), upload.single('file'), handleUploadError, validateDocument, createDocument);
+router.get('/:id', everyone, checkPermissions('documents.view'), getDocumentById);
+router.get('/:id/download', everyone, checkPermissions('documents.view'), downloadDocument);
+router.post('/:id/versions', staff, checkPermissions('documents.manage'), upload.single('file'), handleUploadError, validateDocumentVersion, uploadDocumentVersion);
+router.patch('/:id', staff, checkPermissions('documents.manage'), validateDocumentUpdate, updateDocument);
+router.get('/:id/access-log', staff, checkPermissions('documents.manage'), getDocumentAccessLog);
+router.delete('/:id', staff, checkPermissions('documents.manage'), deleteDocument);
+
+export default router;
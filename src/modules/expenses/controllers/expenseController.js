@@ -0,0 +1,645 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { logActivity } from '../../../services/auditService.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
+import {
+  ExpenseError,
+  expenseInclude,
+  recurringExpenseInclude,
+  createExpense as create,
+  updateExpense as update,
+  attachReceipt,
+  deleteExpense as remove,
+  createRecurringExpense as createRecurring,
+  updateRecurringExpense as updateRecurring,
+} from '../../../services/expenseService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Expenses
+ *   description: Property expense ledger and recurring expenses
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Expense:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         recurringExpenseId:
+ *           type: string
+ *           description: Set when the expense was booked by a recurring expense
+ *         category:
+ *           type: string
+ *           enum: [REPAIRS, MAINTENANCE, TAXES, INSURANCE, UTILITIES, MANAGEMENT_FEES, HOA_FEES, LEGAL_AND_PROFESSIONAL, ADVERTISING, MORTGAGE, CAPITAL_IMPROVEMENT, OTHER]
+ *         amount:
+ *           type: number
+ *         incurredOn:
+ *           type: string
+ *           format: date
+ *         vendor:
+ *           type: string
+ *         description:
+ *           type: string
+ *         receiptUrl:
+ *           type: string
+ *     RecurringExpense:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         category:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         frequency:
+ *           type: string
+ *           enum: [MONTHLY, QUARTERLY, YEARLY]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         nextDueDate:
+ *           type: string
+ *           format: date
+ *           description: Next occurrence to be booked; null once the schedule has ended
+ *         isActive:
+ *           type: boolean
+ */
+
+const sendExpenseError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Expense error',
+    message: error.message,
+  });
+};
+
+// Runs a service call, turning ExpenseError into its HTTP response
+const handleExpenseErrors = (handler) => asyncHandler(async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof ExpenseError) {
+      return sendExpenseError(res, error);
+    }
+    throw error;
+  }
+});
+
+const propertyScopeWhere = (user) => {
+  if (user.role === 'OWNER') return { ownerId: user.owner.id };
+  if (user.role === 'MANAGER') return managedPropertiesWhere(user);
+  return {};
+};
+
+const findScopedProperty = async (req) => {
+  const property = await prisma.property.findFirst({
+    where: { id: req.body.propertyId, ...propertyScopeWhere(req.user) },
+  });
+
+  if (!property) {
+    throw new ExpenseError('Property not found', 404);
+  }
+
+  return property;
+};
+
+// Loads an expense or recurring expense of a property the caller may see.
+// Out-of-scope records are reported as missing.
+const findScopedExpense = async (req) => {
+  const expense = await prisma.expense.findFirst({
+    where: { id: req.params.id, property: propertyScopeWhere(req.user) },
+    include: expenseInclude,
+  });
+
+  if (!expense) {
+    throw new ExpenseError('Expense not found', 404);
+  }
+
+  return expense;
+};
+
+const findScopedRecurringExpense = async (req) => {
+  const schedule = await prisma.recurringExpense.findFirst({
+    where: { id: req.params.id, property: propertyScopeWhere(req.user) },
+  });
+
+  if (!schedule) {
+    throw new ExpenseError('Recurring expense not found', 404);
+  }
+
+  return schedule;
+};
+
+// RECURRING_EXPENSE_* actions are logged against the recurring expense
+const audit = (action, req, record, details = {}) => logActivity(action, req.user.id, action.startsWith('RECURRING_') ? 'RECURRING_EXPENSE' : 'EXPENSE', record.id, {
+  propertyId: record.propertyId,
+  category: record.category,
+  amount: record.amount,
+  ...details,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+});
+
+/**
+ * @swagger
+ * /expenses:
+ *   get:
+ *     tags: [Expenses]
+ *     summary: List expenses
+ *     description: The totals cover every expense matching the filters, not only the current page.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Expenses retrieved successfully
+ */
+export const getExpenses = asyncHandler(async (req, res) => {
+  const { propertyId, category, startDate, endDate, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { property: propertyScopeWhere(req.user) };
+  if (propertyId) where.propertyId = propertyId;
+  if (category) where.category = category;
+  if (startDate || endDate) {
+    where.incurredOn = {};
+    if (startDate) where.incurredOn.gte = new Date(startDate);
+    if (endDate) where.incurredOn.lte = new Date(endDate);
+  }
+
+  const [expenses, total, byCategory] = await Promise.all([
+    prisma.expense.findMany({
+      where,
+      include: expenseInclude,
+      orderBy: { incurredOn: 'desc' },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.expense.count({ where }),
+    prisma.expense.groupBy({
+      by: ['category'],
+      where,
+      _sum: { amount: true },
+    }),
+  ]);
+
+  const totals = Object.fromEntries(byCategory.map(group => [group.category, Number(group._sum.amount)]));
+
+  res.json({
+    expenses,
+    totals: {
+      amount: Math.round(Object.values(totals).reduce((sum, amount) => sum + amount, 0) * 100) / 100,
+      byCategory: totals,
+    },
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /expenses:
+ *   post:
+ *     tags: [Expenses]
+ *     summary: Record an expense
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [propertyId, category, amount, incurredOn]
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               incurredOn:
+ *                 type: string
+ *                 format: date
+ *               vendor:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Expense recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 expense:
+ *                   $ref: '#/components/schemas/Expense'
+ *       404:
+ *         description: Property not found
+ */
+export const createExpense = handleExpenseErrors(async (req, res) => {
+  const property = await findScopedProperty(req);
+
+  const expense = await create(property, req.user, req.body, req.file);
+
+  await audit('EXPENSE_CREATED', req, expense);
+  logger.info(`Expense ${expense.id} recorded for property ${property.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Expense recorded successfully',
+    expense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/recurring:
+ *   get:
+ *     tags: [Expenses]
+ *     summary: List recurring expenses
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Recurring expenses retrieved successfully
+ */
+export const getRecurringExpenses = asyncHandler(async (req, res) => {
+  const { propertyId, isActive } = req.query;
+
+  const where = { property: propertyScopeWhere(req.user) };
+  if (propertyId) where.propertyId = propertyId;
+  if (isActive !== undefined) where.isActive = isActive === 'true';
+
+  const recurringExpenses = await prisma.recurringExpense.findMany({
+    where,
+    include: recurringExpenseInclude,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.json({
+    recurringExpenses,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/recurring:
+ *   post:
+ *     tags: [Expenses]
+ *     summary: Start a recurring expense
+ *     description: An expense is booked on the start date and then every period until the end date. Occurrences already due when the start date is in the past are booked straight away.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [propertyId, category, amount, frequency, startDate]
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               frequency:
+ *                 type: string
+ *                 enum: [MONTHLY, QUARTERLY, YEARLY]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               vendor:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recurring expense created successfully
+ *       404:
+ *         description: Property not found
+ */
+export const createRecurringExpense = handleExpenseErrors(async (req, res) => {
+  const property = await findScopedProperty(req);
+
+  const recurringExpense = await createRecurring(property, req.user, req.body);
+
+  await audit('RECURRING_EXPENSE_CREATED', req, recurringExpense, { frequency: recurringExpense.frequency });
+  logger.info(`Recurring expense ${recurringExpense.id} started for property ${property.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Recurring expense created successfully',
+    recurringExpense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/recurring/{id}:
+ *   put:
+ *     tags: [Expenses]
+ *     summary: Update, pause or end a recurring expense
+ *     description: Changes apply to occurrences booked from now on. A paused schedule that is resumed does not book the periods it was paused for.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               vendor:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Recurring expense updated successfully
+ *       404:
+ *         description: Recurring expense not found
+ */
+export const updateRecurringExpense = handleExpenseErrors(async (req, res) => {
+  const schedule = await findScopedRecurringExpense(req);
+
+  const recurringExpense = await updateRecurring(schedule, req.body);
+
+  await audit('RECURRING_EXPENSE_UPDATED', req, recurringExpense, { changes: Object.keys(req.body) });
+
+  res.json({
+    message: 'Recurring expense updated successfully',
+    recurringExpense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/recurring/{id}:
+ *   delete:
+ *     tags: [Expenses]
+ *     summary: Delete a recurring expense
+ *     description: Expenses it already booked are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring expense deleted successfully
+ *       404:
+ *         description: Recurring expense not found
+ */
+export const deleteRecurringExpense = handleExpenseErrors(async (req, res) => {
+  const schedule = await findScopedRecurringExpense(req);
+
+  await prisma.recurringExpense.delete({ where: { id: schedule.id } });
+
+  await audit('RECURRING_EXPENSE_DELETED', req, schedule);
+
+  res.json({
+    message: 'Recurring expense deleted successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/{id}:
+ *   get:
+ *     tags: [Expenses]
+ *     summary: Get an expense
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense retrieved successfully
+ *       404:
+ *         description: Expense not found
+ */
+export const getExpenseById = handleExpenseErrors(async (req, res) => {
+  const expense = await findScopedExpense(req);
+
+  res.json({
+    expense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/{id}:
+ *   put:
+ *     tags: [Expenses]
+ *     summary: Update an expense
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               incurredOn:
+ *                 type: string
+ *                 format: date
+ *               vendor:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *       404:
+ *         description: Expense not found
+ */
+export const updateExpense = handleExpenseErrors(async (req, res) => {
+  const existing = await findScopedExpense(req);
+
+  const expense = await update(existing, req.body);
+
+  await audit('EXPENSE_UPDATED', req, expense, { changes: Object.keys(req.body) });
+
+  res.json({
+    message: 'Expense updated successfully',
+    expense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/{id}/receipt:
+ *   post:
+ *     tags: [Expenses]
+ *     summary: Attach a receipt to an expense
+ *     description: Replaces the receipt the expense already had.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [receipt]
+ *             properties:
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Receipt attached successfully
+ *       400:
+ *         description: No file provided
+ *       404:
+ *         description: Expense not found
+ */
+export const uploadExpenseReceipt = handleExpenseErrors(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      message: 'Please select a receipt to upload',
+    });
+  }
+
+  const existing = await findScopedExpense(req);
+
+  const expense = await attachReceipt(existing, req.file);
+
+  res.json({
+    message: 'Receipt attached successfully',
+    expense,
+  });
+});
+
+/**
+ * @swagger
+ * /expenses/{id}:
+ *   delete:
+ *     tags: [Expenses]
+ *     summary: Delete an expense and its receipt
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *       404:
+ *         description: Expense not found
+ */
+export const deleteExpense = handleExpenseErrors(async (req, res) => {
+  const expense = await findScopedExpense(req);
+
+  await remove(expense);
+
+  await audit('EXPENSE_DELETED', req, expense);
+  logger.info(`Expense ${expense.id} deleted by user ${req.user.email}`);
+
+  res.json({
+    message: 'Expense deleted successfully',
+  });
+});
@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
+import { upload, handleUploadError } from '../../../middleware/upload.js';
+import {
+  validateExpense,
+  validateExpenseUpdate,
+  validateRecurringExpense,
+  validateRecurringExpenseUpdate,
+} from '../../../middleware/validation.js';
+import {
+  getExpenses,
+  createExpense,
+  getExpenseById,
+  updateExpense,
+  uploadExpenseReceipt,
+  deleteExpense,
+  getRecurringExpenses,
+  createRecurringExpense,
+  updateRecurringExpense,
+  deleteRecurringExpense,
+} from '../controllers/expenseController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'));
+
+// Recurring expenses
+router.get('/recurring', checkPermissions('expenses.view'), getRecurringExpenses);
+router.post('/recurring', checkPermissions('expenses.manage'), validateRecurringExpense, createRecurringExpense);
+router.put('/recurring/:id', checkPermissions('expenses.manage'), validateRecurringExpenseUpdate, updateRecurringExpense);
+router.delete('/recurring/:id', checkPermissions('expenses.manage'), deleteRecurringExpense);
+
+// Expenses
+router.get('/', checkPermissions('expenses.view'), getExpenses);
+router.post('/', checkPermissions('expenses.manage'), upload.single('receipt'), handleUploadError, validateExpense, createExpense);
+router.get('/:id', checkPermissions('expenses.view'), getExpenseById);
+router.put('/:id', checkPermissions('expenses.manage'), validateExpenseUpdate, updateExpense);
+router.post('/:id/receipt', checkPermissions('expenses.manage'), upload.single('receipt'), handleUploadError, uploadExpenseReceipt);
+router.delete('/:id', checkPermissions('expenses.manage'), deleteExpense);
+
+export default router;
@@ -0,0 +1,417 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { logActivity } from '../../../services/auditService.js';
+import { hasPermissions } from '../../../services/permissionService.js';
+import {
+  ImportError,
+  IMPORT_FIELDS,
+  IMPORT_PERMISSIONS,
+  REQUIRED_IMPORT_FIELDS,
+  importJobSelect,
+  createImportJob,
+  validateImport as dryRun,
+  commitImport as commit,
+  rollbackImport as rollback,
+} from '../../../services/importService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Bulk property and tenant import from CSV or XLSX spreadsheets
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PROPERTIES, TENANTS]
+ *         status:
+ *           type: string
+ *           enum: [UPLOADED, VALIDATED, INVALID, COMMITTED, ROLLED_BACK]
+ *         fileName:
+ *           type: string
+ *         headers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mapping:
+ *           type: object
+ *           description: Import field to column header
+ *         rowErrors:
+ *           type: array
+ *           description: Problems found by the last validation, by spreadsheet row number
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         createdRecords:
+ *           type: object
+ *           description: IDs created by the commit
+ *         rowCount:
+ *           type: integer
+ *         committedAt:
+ *           type: string
+ *           format: date-time
+ *         rolledBackAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sendImportError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Import error',
+    message: error.message,
+    ...(error.details && { details: error.details }),
+  });
+};
+
+// Runs a service call, turning ImportError into its HTTP response
+const handleImportErrors = (handler) => asyncHandler(async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return sendImportError(res, error);
+    }
+    throw error;
+  }
+});
+
+const importOwnerId = (user) => (user.role === 'OWNER' ? user.owner.id : user.manager.ownerId);
+
+// Owners see every import into their portfolio, managers their own
+const importScopeWhere = (user) => {
+  if (user.role === 'OWNER') return { ownerId: user.owner.id };
+  return { ownerId: user.manager.ownerId, createdById: user.id };
+};
+
+const assertCanImport = (user, type) => {
+  if (!hasPermissions(user, [IMPORT_PERMISSIONS[type]])) {
+    throw new ImportError(`Missing permission: ${IMPORT_PERMISSIONS[type]}`, 403);
+  }
+};
+
+// Loads a job, rows included, that the caller may work on. Out-of-scope jobs
+// are reported as missing.
+const findScopedJob = async (req) => {
+  const job = await prisma.importJob.findFirst({
+    where: { id: req.params.id, ...importScopeWhere(req.user) },
+  });
+
+  if (!job) {
+    throw new ImportError('Import not found', 404);
+  }
+
+  assertCanImport(req.user, job.type);
+  return job;
+};
+
+const withoutRows = ({ rows, ...job }) => ({ ...job, rowCount: rows.length });
+
+const audit = (action, req, job, details = {}) => logActivity(action, req.user.id, 'IMPORT_JOB', job.id, {
+  type: job.type,
+  fileName: job.fileName,
+  ...details,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+});
+
+/**
+ * @swagger
+ * /imports:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Upload a spreadsheet to import
+ *     description: Reads the first sheet; the first row holds the column headers. Nothing is created until the import is validated and committed. The response suggests a column mapping from the headers.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [type, file]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [PROPERTIES, TENANTS]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX, at most 1000 data rows
+ *     responses:
+ *       201:
+ *         description: Spreadsheet stored, with the fields it can be mapped to and a suggested mapping
+ *       400:
+ *         description: Missing or unreadable file
+ */
+export const createImport = handleImportErrors(async (req, res) => {
+  const { type } = req.body;
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      message: 'Please select a CSV or XLSX file to import',
+    });
+  }
+
+  assertCanImport(req.user, type);
+
+  const { job, suggestedMapping, preview } = await createImportJob({
+    user: req.user,
+    ownerId: importOwnerId(req.user),
+    type,
+    file: req.file,
+  });
+
+  logger.info(`Import ${job.id} of ${job.rowCount} ${type.toLowerCase()} uploaded by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Spreadsheet uploaded. Map its columns and run a dry run next.',
+    job,
+    fields: IMPORT_FIELDS[type],
+    requiredFields: REQUIRED_IMPORT_FIELDS[type],
+    suggestedMapping,
+    preview,
+  });
+});
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     tags: [Imports]
+ *     summary: List imports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [UPLOADED, VALIDATED, INVALID, COMMITTED, ROLLED_BACK]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [PROPERTIES, TENANTS]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ */
+export const getImports = asyncHandler(async (req, res) => {
+  const { status, type, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { ...importScopeWhere(req.user) };
+  if (status) where.status = status;
+  if (type) where.type = type;
+
+  const [imports, total] = await Promise.all([
+    prisma.importJob.findMany({
+      where,
+      select: importJobSelect,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.importJob.count({ where }),
+  ]);
+
+  res.json({
+    imports,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     tags: [Imports]
+ *     summary: Get an import with its row errors
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 job:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import not found
+ */
+export const getImportById = handleImportErrors(async (req, res) => {
+  const job = await findScopedJob(req);
+
+  res.json({
+    job: withoutRows(job),
+  });
+});
+
+/**
+ * @swagger
+ * /imports/{id}/validate:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Dry run an import with a column mapping
+ *     description: Checks every row with the same rules as creating a property or tenant one at a time, and reports the problems by row. Nothing is created. Can be repeated with a different mapping until the import is committed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mapping]
+ *             properties:
+ *               mapping:
+ *                 type: object
+ *                 description: Import field to column header, e.g. rentAmount mapped to a "Monthly rent" column
+ *     responses:
+ *       200:
+ *         description: Dry run finished; the job is VALIDATED when every row passed and INVALID otherwise
+ *       400:
+ *         description: The mapping names unknown fields or columns, or leaves a required field unmapped
+ *       409:
+ *         description: The import was already committed or rolled back
+ */
+export const validateImport = handleImportErrors(async (req, res) => {
+  const job = await findScopedJob(req);
+
+  const validated = await dryRun(job, req.body.mapping, req.user);
+
+  res.json({
+    message: validated.status === 'VALIDATED'
+      ? 'Every row is valid. Commit the import to create the records.'
+      : `${validated.rowCount - validated.validRowCount} of ${validated.rowCount} rows have problems`,
+    job: validated,
+  });
+});
+
+/**
+ * @swagger
+ * /imports/{id}/commit:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Create the records of a validated import
+ *     description: The rows are checked again and then created together in one transaction; if any row fails, nothing is created. Imported tenants are emailed an invitation unless sendInvitations is false.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendInvitations:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Import committed
+ *       409:
+ *         description: The import has not passed a dry run, or was already committed
+ *       422:
+ *         description: Rows that passed the dry run are no longer valid; details lists them
+ */
+export const commitImport = handleImportErrors(async (req, res) => {
+  const job = await findScopedJob(req);
+  const sendInvitations = req.body.sendInvitations === undefined ? true : String(req.body.sendInvitations) === 'true';
+
+  const committed = await commit(job, req.user, { sendInvitations });
+
+  await audit('IMPORT_COMMITTED', req, job, { rowCount: job.rows.length });
+  logger.info(`Import ${job.id} committed by user ${req.user.email}`);
+
+  res.json({
+    message: `Imported ${job.rows.length} ${job.type.toLowerCase()}`,
+    job: { ...committed, rowCount: job.rows.length },
+  });
+});
+
+/**
+ * @swagger
+ * /imports/{id}/rollback:
+ *   post:
+ *     tags: [Imports]
+ *     summary: Remove the records a committed import created
+ *     description: Owners only. Refused while any imported property has tenants or leases, or any imported tenant has leases or payments.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import rolled back
+ *       409:
+ *         description: The import is not committed, or its records are in use
+ */
+export const rollbackImport = handleImportErrors(async (req, res) => {
+  const job = await findScopedJob(req);
+
+  const rolledBack = await rollback(job, req.user);
+
+  await audit('IMPORT_ROLLED_BACK', req, job, { createdRecords: job.createdRecords });
+  logger.info(`Import ${job.id} rolled back by user ${req.user.email}`);
+
+  res.json({
+    message: 'Import rolled back',
+    job: { ...rolledBack, rowCount: job.rows.length },
+  });
+});
@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticate, authorize } from '../../../middleware/auth.js';
+import { spreadsheetUpload, handleUploadError } from '../../../middleware/upload.js';
+import { validateImportUpload, validateImportMapping, validateImportCommit } from '../../../middleware/validation.js';
+import {
+  createImport,
+  getImports,
+  getImportById,
+  validateImport,
+  commitImport,
+  rollbackImport,
+} from '../controllers/importController.js';
+
+const router = express.Router();
+
+// All routes require authentication. Which permission a manager needs
+// depends on what the import creates, so it is checked per job.
+router.use(authenticate, authorize('OWNER', 'MANAGER'));
+
+router.post('/', spreadsheetUpload.single('file'), handleUploadError, validateImportUpload, createImport);
+router.get('/', getImports);
+router.get('/:id', getImportById);
+router.post('/:id/validate', validateImportMapping, validateImport);
+router.post('/:id/commit', validateImportCommit, commitImport);
+
+// Rolling back deletes records, which only owners may do
+router.post('/:id/rollback', authorize('OWNER'), rollbackImport);
+
+export default router;
@@ -0,0 +1,844 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { logActivity } from '../../../services/auditService.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
+import { generateInspectionReport } from '../../../utils/pdfGenerator.js';
+import {
+  InspectionError,
+  inspectionInclude,
+  inspectionSummaryInclude,
+  listTemplates,
+  createInspection as create,
+  updateInspectionItem as updateItem,
+  addItemPhotos,
+  deleteItemPhoto,
+  deleteInspection as remove,
+  completeInspection as complete,
+  signInspection as sign,
+  findCounterpart,
+  compareInspections,
+} from '../../../services/inspectionService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inspections
+ *   description: Move-in and move-out inspections with photos and tenant sign-off
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InspectionTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in templates cannot be changed or deleted
+ *         rooms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     Inspection:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         unitId:
+ *           type: string
+ *         tenantId:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [MOVE_IN, MOVE_OUT]
+ *         status:
+ *           type: string
+ *           enum: [IN_PROGRESS, COMPLETED, SIGNED]
+ *         templateName:
+ *           type: string
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         tenantSignedAt:
+ *           type: string
+ *           format: date-time
+ *         tenantSignatureName:
+ *           type: string
+ *         tenantComments:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               room:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [EXCELLENT, GOOD, FAIR, POOR, DAMAGED, NOT_APPLICABLE]
+ *               notes:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                     caption:
+ *                       type: string
+ */
+
+const sendInspectionError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Inspection error',
+    message: error.message,
+  });
+};
+
+// Runs a service call, turning InspectionError into its HTTP response
+const handleInspectionErrors = (handler) => asyncHandler(async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof InspectionError) {
+      return sendInspectionError(res, error);
+    }
+    throw error;
+  }
+});
+
+const templateOwnerId = (user) => {
+  if (user.role === 'OWNER') return user.owner.id;
+  if (user.role === 'MANAGER') return user.manager.ownerId;
+  return null;
+};
+
+const propertyScopeWhere = (user) => {
+  if (user.role === 'OWNER') return { ownerId: user.owner.id };
+  if (user.role === 'MANAGER') return managedPropertiesWhere(user);
+  return {};
+};
+
+// Tenants see their own inspections once the inspector has finished them
+const inspectionScopeWhere = (user) => {
+  if (user.role === 'TENANT') return { tenant: { userId: user.id }, status: { not: 'IN_PROGRESS' } };
+  if (user.role === 'SUPER_ADMIN') return {};
+  return { property: propertyScopeWhere(user) };
+};
+
+// Loads an inspection the caller may see. Out-of-scope inspections are
+// reported as missing.
+const findScopedInspection = async (req) => {
+  const inspection = await prisma.inspection.findFirst({
+    where: { id: req.params.id, ...inspectionScopeWhere(req.user) },
+    include: inspectionInclude,
+  });
+
+  if (!inspection) {
+    throw new InspectionError('Inspection not found', 404);
+  }
+
+  return inspection;
+};
+
+// The counterpart is looked up without the caller's scope: it belongs to the
+// same tenancy, but a tenant should only see it once it is complete too
+const findComparison = async (req, inspection) => {
+  const counterpart = await findCounterpart(inspection);
+  if (!counterpart || (req.user.role === 'TENANT' && counterpart.status === 'IN_PROGRESS')) {
+    return null;
+  }
+
+  return inspection.type === 'MOVE_OUT'
+    ? compareInspections(counterpart, inspection)
+    : compareInspections(inspection, counterpart);
+};
+
+const audit = (action, req, inspection, details = {}) => logActivity(action, req.user.id, 'INSPECTION', inspection.id, {
+  propertyId: inspection.propertyId,
+  type: inspection.type,
+  ...details,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+});
+
+/**
+ * @swagger
+ * /inspections/templates:
+ *   get:
+ *     tags: [Inspections]
+ *     summary: List inspection templates, built-in ones first
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InspectionTemplate'
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await listTemplates(templateOwnerId(req.user));
+
+  res.json({
+    templates,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/templates:
+ *   post:
+ *     tags: [Inspections]
+ *     summary: Create an inspection template for the portfolio
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, rooms]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               rooms:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ */
+export const createTemplate = asyncHandler(async (req, res) => {
+  const { name, description, rooms } = req.body;
+
+  const template = await prisma.inspectionTemplate.create({
+    data: {
+      ownerId: templateOwnerId(req.user),
+      name,
+      description,
+      rooms: rooms.map(({ name: roomName, items }) => ({ name: roomName, items })),
+    },
+  });
+
+  logger.info(`Inspection template created: ${template.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Inspection template created successfully',
+    template: { ...template, isSystem: false },
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/templates/{templateId}:
+ *   delete:
+ *     tags: [Inspections]
+ *     summary: Delete an inspection template
+ *     description: Inspections already started from the template keep their checklist.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Template not found, or built in
+ */
+export const deleteTemplate = asyncHandler(async (req, res) => {
+  const { count } = await prisma.inspectionTemplate.deleteMany({
+    where: { id: req.params.templateId, ownerId: templateOwnerId(req.user) },
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: 'Inspection template with this ID does not exist or is built in',
+    });
+  }
+
+  res.json({
+    message: 'Inspection template deleted successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /inspections:
+ *   get:
+ *     tags: [Inspections]
+ *     summary: List inspections
+ *     description: Tenants see their own inspections once they are completed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unitId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [MOVE_IN, MOVE_OUT]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [IN_PROGRESS, COMPLETED, SIGNED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inspections retrieved successfully, without their items
+ */
+export const getInspections = asyncHandler(async (req, res) => {
+  const { propertyId, unitId, tenantId, type, status, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { AND: [inspectionScopeWhere(req.user)] };
+  if (propertyId) where.propertyId = propertyId;
+  if (unitId) where.unitId = unitId;
+  if (tenantId) where.tenantId = tenantId;
+  if (type) where.type = type;
+  if (status) where.AND.push({ status });
+
+  const [inspections, total] = await Promise.all([
+    prisma.inspection.findMany({
+      where,
+      include: inspectionSummaryInclude,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.inspection.count({ where }),
+  ]);
+
+  res.json({
+    inspections,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /inspections:
+ *   post:
+ *     tags: [Inspections]
+ *     summary: Start an inspection from a template
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [propertyId, type, templateId]
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *               unitId:
+ *                 type: string
+ *               tenantId:
+ *                 type: string
+ *                 description: Tenant who signs the inspection off
+ *               leaseId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [MOVE_IN, MOVE_OUT]
+ *               templateId:
+ *                 type: string
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Inspection started with one item per checklist entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inspection:
+ *                   $ref: '#/components/schemas/Inspection'
+ *       404:
+ *         description: Property or template not found
+ */
+export const createInspection = handleInspectionErrors(async (req, res) => {
+  const property = await prisma.property.findFirst({
+    where: { id: req.body.propertyId, ...propertyScopeWhere(req.user) },
+  });
+
+  if (!property) {
+    return res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+  }
+
+  const inspection = await create(property, req.user, req.body);
+
+  await audit('INSPECTION_CREATED', req, inspection);
+  logger.info(`Inspection ${inspection.id} started for property ${property.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Inspection started successfully',
+    inspection,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}:
+ *   get:
+ *     tags: [Inspections]
+ *     summary: Get an inspection with its checklist and photos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inspection retrieved successfully
+ *       404:
+ *         description: Inspection not found
+ */
+export const getInspectionById = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  res.json({
+    inspection,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/items/{itemId}:
+ *   patch:
+ *     tags: [Inspections]
+ *     summary: Record the condition of a checklist item
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [EXCELLENT, GOOD, FAIR, POOR, DAMAGED, NOT_APPLICABLE]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *       409:
+ *         description: The inspection is already completed
+ */
+export const updateInspectionItem = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  const item = await updateItem(inspection, req.params.itemId, req.body);
+
+  res.json({
+    message: 'Inspection item updated successfully',
+    item,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/items/{itemId}/photos:
+ *   post:
+ *     tags: [Inspections]
+ *     summary: Upload photos of a checklist item
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               caption:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Photos uploaded successfully
+ *       409:
+ *         description: The inspection is already completed
+ */
+export const uploadItemPhotos = handleInspectionErrors(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      error: 'No photos provided',
+      message: 'Please select at least one photo to upload',
+    });
+  }
+
+  const inspection = await findScopedInspection(req);
+
+  const photos = await addItemPhotos(inspection, req.params.itemId, req.files, req.body.caption);
+
+  logger.info(`${photos.length} photo(s) added to inspection ${inspection.id} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Photos uploaded successfully',
+    photos,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/items/{itemId}/photos/{photoId}:
+ *   delete:
+ *     tags: [Inspections]
+ *     summary: Delete a photo from an inspection in progress
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Photo deleted successfully
+ *       409:
+ *         description: The inspection is already completed
+ */
+export const deleteInspectionPhoto = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  await deleteItemPhoto(inspection, req.params.itemId, req.params.photoId);
+
+  res.json({
+    message: 'Photo deleted successfully',
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/complete:
+ *   post:
+ *     tags: [Inspections]
+ *     summary: Complete an inspection and send it to the tenant for sign-off
+ *     description: Every item needs a condition. The inspection can no longer be changed afterwards.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inspection completed
+ *       409:
+ *         description: The inspection is already completed
+ *       422:
+ *         description: Some items have no condition yet
+ */
+export const completeInspection = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  const completed = await complete(inspection);
+
+  await audit('INSPECTION_COMPLETED', req, inspection);
+  logger.info(`Inspection ${inspection.id} completed by user ${req.user.email}`);
+
+  res.json({
+    message: 'Inspection completed successfully',
+    inspection: completed,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/sign:
+ *   post:
+ *     tags: [Inspections]
+ *     summary: Sign off a completed inspection as its tenant
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [signatureName, agree]
+ *             properties:
+ *               signatureName:
+ *                 type: string
+ *                 description: Full name typed as the signature
+ *               agree:
+ *                 type: boolean
+ *                 description: Must be true; confirms the tenant has reviewed the report
+ *               comments:
+ *                 type: string
+ *                 description: Anything the tenant disagrees with
+ *     responses:
+ *       200:
+ *         description: Inspection signed
+ *       409:
+ *         description: The inspection is not completed, or already signed
+ */
+export const signInspection = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  const signed = await sign(inspection, {
+    signatureName: req.body.signatureName,
+    comments: req.body.comments,
+    ipAddress: req.ip,
+  });
+
+  await audit('INSPECTION_SIGNED', req, inspection);
+  logger.info(`Inspection ${inspection.id} signed by tenant ${req.user.email}`);
+
+  res.json({
+    message: 'Inspection signed successfully',
+    inspection: signed,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/compare:
+ *   get:
+ *     tags: [Inspections]
+ *     summary: Compare move-in and move-out side by side
+ *     description: Pairs the inspection with the other end of the same tenancy - the latest move-in before a move-out, or the first move-out after a move-in - and lines their checklists up room by room.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comparison, with the items that are in worse condition at move-out flagged
+ *       404:
+ *         description: Inspection not found, or nothing to compare it with
+ */
+export const compareInspection = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  const comparison = await findComparison(req, inspection);
+  if (!comparison) {
+    throw new InspectionError(`No ${inspection.type === 'MOVE_IN' ? 'move-out' : 'move-in'} inspection to compare with`, 404);
+  }
+
+  res.json({
+    comparison,
+  });
+});
+
+/**
+ * @swagger
+ * /inspections/{id}/report:
+ *   get:
+ *     tags: [Inspections]
+ *     summary: Download the inspection report as a PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: compare
+ *         schema:
+ *           type: boolean
+ *         description: Report move-in and move-out side by side
+ *     responses:
+ *       200:
+ *         description: PDF report
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Inspection not found, or nothing to compare it with
+ */
+export const downloadInspectionReport = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  let comparison = null;
+  if (req.query.compare === 'true') {
+    comparison = await findComparison(req, inspection);
+    if (!comparison) {
+      throw new InspectionError(`No ${inspection.type === 'MOVE_IN' ? 'move-out' : 'move-in'} inspection to compare with`, 404);
+    }
+  }
+
+  const pdfBuffer = await generateInspectionReport({ inspection, comparison });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=inspection-${inspection.id}${comparison ? '-comparison' : ''}.pdf`);
+  res.send(pdfBuffer);
+});
+
+/**
+ * @swagger
+ * /inspections/{id}:
+ *   delete:
+ *     tags: [Inspections]
+ *     summary: Delete an inspection that is still in progress, with its photos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inspection deleted successfully
+ *       409:
+ *         description: Completed inspections are kept as a record
+ */
+export const deleteInspection = handleInspectionErrors(async (req, res) => {
+  const inspection = await findScopedInspection(req);
+
+  await remove(inspection);
+
+  await audit('INSPECTION_DELETED', req, inspection);
+  logger.info(`Inspection ${inspection.id} deleted by user ${req.user.email}`);
+
+  res.json({
+    message: 'Inspection deleted successfully',
+  });
+});
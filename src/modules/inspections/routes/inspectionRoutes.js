@@ -0,0 +1,57 @@
+import express from 'express';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
+import { upload } from '../../../middleware/upload.js';
+import {
+  validateInspectionTemplate,
+  validateInspection,
+  validateInspectionItem,
+  validateInspectionSignOff,
+} from '../../../middleware/validation.js';
+import {
+  getTemplates,
+  createTemplate,
+  deleteTemplate,
+  getInspections,
+  createInspection,
+  getInspectionById,
+  updateInspectionItem,
+  uploadItemPhotos,
+  deleteInspectionPhoto,
+  completeInspection,
+  signInspection,
+  compareInspection,
+  downloadInspectionReport,
+  deleteInspection,
+} from '../controllers/inspectionController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const staff = authorize('SUPER_ADMIN', 'OWNER', 'MANAGER');
+const everyone = authorize('SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT');
+
+// Templates
+router.get('/templates', staff, checkPermissions('inspections.view'), getTemplates);
+router.post('/templates', authorize('OWNER', 'MANAGER'), checkPermissions('inspections.manage'), validateInspectionTemplate, createTemplate);
+router.delete('/templates/:templateId', authorize('OWNER', 'MANAGER'), checkPermissions('inspections.manage'), deleteTemplate);
+
+// Inspections
+router.get('/', everyone, checkPermissions('inspections.view'), getInspections);
+router.post('/', staff, checkPermissions('inspections.manage'), validateInspection, createInspection);
+router.get('/:id', everyone, checkPermissions('inspections.view'), getInspectionById);
+router.get('/:id/compare', everyone, checkPermissions('inspections.view'), compareInspection);
+router.get('/:id/report', everyone, checkPermissions('inspections.view'), downloadInspectionReport);
+router.delete('/:id', staff, checkPermissions('inspections.manage'), deleteInspection);
+
+// Checklist
+router.patch('/:id/items/:itemId', staff, checkPermissions('inspections.manage'), validateInspectionItem, updateInspectionItem);
+router.post('/:id/items/:itemId/photos', staff, checkPermissions('inspections.manage'), upload.array('photos', 10), uploadItemPhotos);
+router.delete('/:id/items/:itemId/photos/:photoId', staff, checkPermissions('inspections.manage'), deleteInspectionPhoto);
+
+// Completion and tenant sign-off
+router.post('/:id/complete', staff, checkPermissions('inspections.manage'), completeInspection);
+router.post('/:id/sign', authorize('TENANT'), validateInspectionSignOff, signInspection);
+
+export default router;
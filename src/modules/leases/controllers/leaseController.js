@@ -2,12 +2,18 @@
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { sendNotificationToUser } from '../../notifications/services/socketService.js';
+import { managedPropertiesWhere, managesProperty } from '../../../services/propertyAssignmentService.js';
+import { findPropertyUnit, syncUnitOccupancy } from '../../../services/unitService.js';
+import featureFlags from '../../../services/featureFlags.js';
+import { documentScopeWhere, documentSummaryInclude } from '../../../services/documentService.js';
+import { archivedWhere, archiveLease, restoreLease as restoreArchivedLease, ArchiveError } from '../../../services/archiveService.js';
 
 export const createLease = async (req, res) => {
   try {
     const {
       tenantId,
       propertyId,
+      unitId,
       startDate,
       endDate,
       monthlyRent,
@@ -44,20 +50,36 @@ export const createLease = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (property.ownerId !== allowedOwnerId) {
+    if (property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only create leases for your own properties',
       });
     }
 
-    // Check for overlapping active leases
+    if (property.isArchived || tenant.isArchived) {
+      return res.status(409).json({
+        error: 'Archived record',
+        message: `${property.isArchived ? 'Property' : 'Tenant'} is archived. Restore it first.`,
+      });
+    }
+
+    if (unitId && !await findPropertyUnit(propertyId, unitId)) {
+      return res.status(400).json({
+        error: 'Invalid unit',
+        message: 'Unit does not belong to this property',
+      });
+    }
+
+    // Check for overlapping active leases. In a building split into units
+    // only leases on the same unit overlap.
     const existingLease = await prisma.lease.findFirst({
       where: {
         OR: [
           { tenantId, status: 'ACTIVE' },
           {
-            propertyId,
+            ...(unitId ? { unitId } : { propertyId }),
             status: 'ACTIVE',
             OR: [
               {
@@ -73,7 +95,7 @@ export const createLease = async (req, res) => {
     if (existingLease) {
       return res.status(400).json({
         error: 'Conflicting lease',
-        message: 'Tenant already has an active lease or property has overlapping lease period',
+        message: 'Tenant already has an active lease or the property or unit has an overlapping lease period',
       });
     }
 
@@ -81,6 +103,7 @@ export const createLease = async (req, res) => {
       data: {
         tenantId,
         propertyId,
+        unitId,
         startDate: new Date(startDate),
         endDate: new Date(endDate),
         monthlyRent: parseFloat(monthlyRent),
@@ -107,15 +130,26 @@ export const createLease = async (req, res) => {
             address: true,
           },
         },
+        unit: {
+          select: {
+            id: true,
+            number: true,
+          },
+        },
       },
     });
 
     // Update tenant status
     await prisma.tenant.update({
       where: { id: tenantId },
-      data: { isActive: true },
+      data: {
+        isActive: true,
+        ...(unitId && { unitId }),
+      },
     });
 
+    await syncUnitOccupancy(unitId);
+
     // Send notification to tenant
     await sendNotificationToUser(tenant.user.id, {
       title: 'New Lease Agreement',
@@ -141,16 +175,16 @@ export const createLease = async (req, res) => {
 
 export const getLeases = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, propertyId, tenantId } = req.query;
+    const { page = 1, limit = 10, status, propertyId, tenantId, includeArchived } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    let where = {};
+    let where = archivedWhere(includeArchived);
 
     // Apply role-based filtering
     if (req.user.role === 'OWNER') {
       where.property = { ownerId: req.user.owner.id };
     } else if (req.user.role === 'MANAGER') {
-      where.property = { ownerId: req.user.manager.ownerId };
+      where.property = managedPropertiesWhere(req.user);
     } else if (req.user.role === 'TENANT') {
       where.tenantId = req.user.tenant.id;
     }
@@ -266,7 +300,7 @@ export const getLeaseById = async (req, res) => {
       });
     }
 
-    if (req.user.role === 'MANAGER' && lease.property.ownerId !== req.user.manager.ownerId) {
+    if (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only access leases for properties you manage',
@@ -316,13 +350,21 @@ export const updateLease = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (existingLease.property.ownerId !== allowedOwnerId) {
+    if (existingLease.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, existingLease.propertyId))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only update leases for your own properties',
       });
     }
 
+    if (existingLease.isArchived) {
+      return res.status(409).json({
+        error: 'Lease archived',
+        message: 'Lease is archived. Restore it first.',
+      });
+    }
+
     const updatedLease = await prisma.lease.update({
       where: { id },
       data: {
@@ -376,7 +418,7 @@ export const updateLease = async (req, res) => {
   }
 };
 
-export const deleteLease = async (req, res) => {
+export const deleteLease = async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -384,7 +426,6 @@ export const deleteLease = async (req, res) => {
       where: { id },
       include: {
         property: true,
-        payments: true,
       },
     });
 
@@ -397,35 +438,80 @@ export const deleteLease = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (lease.property.ownerId !== allowedOwnerId) {
+    if (req.user.role !== 'SUPER_ADMIN' && (lease.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId)))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only delete leases for your own properties',
       });
     }
 
-    // Check if lease has payments
-    if (lease.payments.length > 0) {
-      return res.status(400).json({
-        error: 'Cannot delete lease',
-        message: 'Lease has associated payments. Please handle them first.',
-      });
+    // Payments stay with the archived lease
+    const archived = await archiveLease(lease);
+
+    logger.info(`Lease archived: ${id} by ${req.user.email}`);
+
+    res.json({
+      message: 'Lease archived successfully',
+      lease: archived,
+    });
+  } catch (error) {
+    if (error instanceof ArchiveError) {
+      return next(error);
     }
+    logger.error('Error archiving lease:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to archive lease',
+    });
+  }
+};
+
+export const restoreLease = async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-    await prisma.lease.delete({
+    const lease = await prisma.lease.findUnique({
       where: { id },
+      include: {
+        property: true,
+        tenant: true,
+      },
     });
 
-    logger.info(`Lease deleted: ${id} by ${req.user.email}`);
+    if (!lease) {
+      return res.status(404).json({
+        error: 'Lease not found',
+        message: 'Lease with this ID does not exist',
+      });
+    }
+
+    // Check permissions
+    const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
+    if (req.user.role !== 'SUPER_ADMIN' && (lease.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId)))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only restore leases for your own properties',
+      });
+    }
+
+    const restored = await restoreArchivedLease(lease);
+
+    logger.info(`Lease restored: ${id} by ${req.user.email}`);
 
     res.json({
-      message: 'Lease deleted successfully',
+      message: 'Lease restored successfully',
+      lease: restored,
     });
   } catch (error) {
-    logger.error('Error deleting lease:', error);
+    if (error instanceof ArchiveError) {
+      return next(error);
+    }
+    logger.error('Error restoring lease:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to delete lease',
+      message: 'Failed to restore lease',
     });
   }
 };
@@ -456,7 +542,8 @@ export const terminateLease = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (lease.property.ownerId !== allowedOwnerId) {
+    if (lease.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only terminate leases for your own properties',
@@ -485,6 +572,8 @@ export const terminateLease = async (req, res) => {
       data: { isActive: false },
     });
 
+    await syncUnitOccupancy(lease.unitId);
+
     // Send notification to tenant
     await sendNotificationToUser(lease.tenant.user.id, {
       title: 'Lease Terminated',
@@ -534,7 +623,8 @@ export const renewLease = async (req, res) => {
 
     // Check permissions
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (lease.property.ownerId !== allowedOwnerId) {
+    if (lease.property.ownerId !== allowedOwnerId
+      || (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId))) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only renew leases for your own properties',
@@ -587,7 +677,6 @@ export const getLeaseDocuments = async (req, res) => {
       where: { id },
       include: {
         property: true,
-        documents: true,
       },
     });
 
@@ -606,7 +695,7 @@ export const getLeaseDocuments = async (req, res) => {
       });
     }
 
-    if (req.user.role === 'MANAGER' && lease.property.ownerId !== req.user.manager.ownerId) {
+    if (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only access documents for properties you manage',
@@ -620,8 +709,19 @@ export const getLeaseDocuments = async (req, res) => {
       });
     }
 
+    // Vault documents attached to the lease, when the vault is enabled
+    const vaultEnabled = await featureFlags.isEnabled('DOCUMENT_MANAGEMENT', req.user.id, req.user.role);
+    const documents = vaultEnabled
+      ? await prisma.document.findMany({
+        where: { AND: [{ leaseId: lease.id }, documentScopeWhere(req.user)] },
+        include: documentSummaryInclude,
+        orderBy: { updatedAt: 'desc' },
+      })
+      : [];
+
     res.json({
-      documents: lease.documents,
+      documentUrl: lease.documentUrl,
+      documents,
     });
   } catch (error) {
     logger.error('Error fetching lease documents:', error);
@@ -1,12 +1,13 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   createLease,
   getLeases,
   getLeaseById,
   updateLease,
   deleteLease,
+  restoreLease,
   terminateLease,
   renewLease,
   getLeaseDocuments,
@@ -26,7 +27,7 @@ const router = express.Router();
  *       201:
  *         description: Lease created successfully
  */
-router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), createLease);
+router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.create'), createLease);
 
 /**
  * @swagger
@@ -36,11 +37,17 @@ router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), c
  *     tags: [Leases]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         description: Include archived leases, which are hidden by default
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: List of leases
  */
-router.get('/', authenticate, getLeases);
+router.get('/', authenticate, checkPermissions('leases.view'), getLeases);
 
 /**
  * @swagger
@@ -54,7 +61,7 @@ router.get('/', authenticate, getLeases);
  *       200:
  *         description: Lease details
  */
-router.get('/:id', authenticate, getLeaseById);
+router.get('/:id', authenticate, checkPermissions('leases.view'), getLeaseById);
 
 /**
  * @swagger
@@ -68,21 +75,42 @@ router.get('/:id', authenticate, getLeaseById);
  *       200:
  *         description: Lease updated successfully
  */
-router.put('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), updateLease);
+router.put('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.update'), updateLease);
 
 /**
  * @swagger
  * /leases/{id}:
  *   delete:
- *     summary: Delete lease
+ *     summary: Archive lease
+ *     description: Soft deletes a lease that is no longer active. Its payments are kept, and the lease can be restored until a super admin purges it after the retention period.
  *     tags: [Leases]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Lease deleted successfully
+ *         description: Lease archived successfully
+ *       400:
+ *         description: Lease is still active
+ *       409:
+ *         description: Lease is already archived
  */
-router.delete('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), deleteLease);
+router.delete('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.delete'), deleteLease);
+
+/**
+ * @swagger
+ * /leases/{id}/restore:
+ *   post:
+ *     summary: Restore an archived lease
+ *     tags: [Leases]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lease restored successfully
+ *       409:
+ *         description: Lease is not archived, or its property or tenant is archived
+ */
+router.post('/:id/restore', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.delete'), restoreLease);
 
 /**
  * @swagger
@@ -96,7 +124,7 @@ router.delete('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER'
  *       200:
  *         description: Lease terminated successfully
  */
-router.post('/:id/terminate', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), terminateLease);
+router.post('/:id/terminate', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.terminate'), terminateLease);
 
 /**
  * @swagger
@@ -110,13 +138,14 @@ router.post('/:id/terminate', authenticate, authorize(['SUPER_ADMIN', 'OWNER', '
  *       200:
  *         description: Lease renewed successfully
  */
-router.post('/:id/renew', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), renewLease);
+router.post('/:id/renew', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('leases.renew'), renewLease);
 
 /**
  * @swagger
  * /leases/{id}/documents:
  *   get:
  *     summary: Get lease documents
+ *     description: The signed lease file, plus the document vault entries attached to the lease that the caller may see when DOCUMENT_MANAGEMENT is enabled.
  *     tags: [Leases]
  *     security:
  *       - bearerAuth: []
@@ -124,6 +153,6 @@ router.post('/:id/renew', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANA
  *       200:
  *         description: List of lease documents
  */
-router.get('/:id/documents', authenticate, getLeaseDocuments);
+router.get('/:id/documents', authenticate, checkPermissions('leases.view'), getLeaseDocuments);
 
 export default router;
@@ -0,0 +1,320 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import {
+  LISTING_SORTS,
+  listingSelect,
+  listingWhere,
+  toListing,
+  renderRssFeed,
+  renderJsonFeed,
+} from '../../../services/listingService.js';
+
+const FEED_SIZE = 50;
+
+const filtersFromQuery = (query) => ({
+  city: query.city,
+  type: query.type,
+  minRent: query.minRent !== undefined ? parseFloat(query.minRent) : undefined,
+  maxRent: query.maxRent !== undefined ? parseFloat(query.maxRent) : undefined,
+  bedrooms: query.bedrooms !== undefined ? parseInt(query.bedrooms) : undefined,
+  amenities: query.amenities ? query.amenities.split(',').map(amenity => amenity.trim()).filter(Boolean) : undefined,
+  availableBy: query.availableBy ? new Date(query.availableBy) : undefined,
+});
+
+// Feeds are cached publicly, so their self link comes from configuration
+// rather than from the Host header of whoever asked first
+const apiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+const feedUrl = (req) => `${apiUrl()}${req.originalUrl}`;
+
+const findFeedListings = async (req) => {
+  const properties = await prisma.property.findMany({
+    where: listingWhere(filtersFromQuery(req.query)),
+    select: listingSelect,
+    orderBy: LISTING_SORTS.newest,
+    take: FEED_SIZE,
+  });
+
+  return properties.map(toListing);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Listings
+ *   description: Public vacancy listings for the website and syndication sites. No authentication; responses may be cached for a few minutes.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Listing:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *         address:
+ *           type: string
+ *         city:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         rentAmount:
+ *           type: number
+ *         rentFrom:
+ *           type: number
+ *           description: Lowest rent among the available units, or the property rent
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *         amenities:
+ *           type: array
+ *           items:
+ *             type: string
+ *         availableFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Empty when available now
+ *         availableUnits:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               number:
+ *                 type: string
+ *               floor:
+ *                 type: integer
+ *               bedrooms:
+ *                 type: integer
+ *               size:
+ *                 type: number
+ *               rentAmount:
+ *                 type: number
+ *         url:
+ *           type: string
+ *           description: Listing page on the website
+ *   parameters:
+ *     ListingCity:
+ *       in: query
+ *       name: city
+ *       schema:
+ *         type: string
+ *     ListingType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [APARTMENT, HOUSE, CONDO, TOWNHOUSE, STUDIO, OTHER]
+ *     ListingMinRent:
+ *       in: query
+ *       name: minRent
+ *       schema:
+ *         type: number
+ *     ListingMaxRent:
+ *       in: query
+ *       name: maxRent
+ *       schema:
+ *         type: number
+ *     ListingBedrooms:
+ *       in: query
+ *       name: bedrooms
+ *       description: Minimum bedrooms; only units record bedrooms
+ *       schema:
+ *         type: integer
+ *     ListingAmenities:
+ *       in: query
+ *       name: amenities
+ *       description: Comma-separated; every amenity must be offered
+ *       schema:
+ *         type: string
+ *     ListingAvailableBy:
+ *       in: query
+ *       name: availableBy
+ *       description: Only listings available on or before this date
+ *       schema:
+ *         type: string
+ *         format: date
+ */
+
+/**
+ * @swagger
+ * /listings:
+ *   get:
+ *     tags: [Listings]
+ *     summary: Published vacancies
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingType'
+ *       - $ref: '#/components/parameters/ListingMinRent'
+ *       - $ref: '#/components/parameters/ListingMaxRent'
+ *       - $ref: '#/components/parameters/ListingBedrooms'
+ *       - $ref: '#/components/parameters/ListingAmenities'
+ *       - $ref: '#/components/parameters/ListingAvailableBy'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, rent_asc, rent_desc, available]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Listings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 listings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *                 pagination:
+ *                   type: object
+ */
+export const getListings = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, sort = 'newest' } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const where = listingWhere(filtersFromQuery(req.query));
+
+  const [properties, total] = await Promise.all([
+    prisma.property.findMany({
+      where,
+      select: listingSelect,
+      orderBy: LISTING_SORTS[sort],
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.property.count({ where }),
+  ]);
+
+  res.json({
+    listings: properties.map(toListing),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /listings/feed.json:
+ *   get:
+ *     tags: [Listings]
+ *     summary: JSON Feed of the latest published vacancies
+ *     description: JSON Feed 1.1 (https://jsonfeed.org). Accepts the same filters as /listings.
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingType'
+ *       - $ref: '#/components/parameters/ListingMinRent'
+ *       - $ref: '#/components/parameters/ListingMaxRent'
+ *       - $ref: '#/components/parameters/ListingBedrooms'
+ *       - $ref: '#/components/parameters/ListingAmenities'
+ *       - $ref: '#/components/parameters/ListingAvailableBy'
+ *     responses:
+ *       200:
+ *         description: JSON Feed
+ *         content:
+ *           application/feed+json:
+ *             schema:
+ *               type: object
+ */
+export const getJsonFeed = asyncHandler(async (req, res) => {
+  const listings = await findFeedListings(req);
+
+  res.type('application/feed+json').send(JSON.stringify(renderJsonFeed(listings, feedUrl(req))));
+});
+
+/**
+ * @swagger
+ * /listings/feed.rss:
+ *   get:
+ *     tags: [Listings]
+ *     summary: RSS feed of the latest published vacancies
+ *     description: RSS 2.0. Accepts the same filters as /listings.
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingType'
+ *       - $ref: '#/components/parameters/ListingMinRent'
+ *       - $ref: '#/components/parameters/ListingMaxRent'
+ *       - $ref: '#/components/parameters/ListingBedrooms'
+ *       - $ref: '#/components/parameters/ListingAmenities'
+ *       - $ref: '#/components/parameters/ListingAvailableBy'
+ *     responses:
+ *       200:
+ *         description: RSS feed
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ */
+export const getRssFeed = asyncHandler(async (req, res) => {
+  const listings = await findFeedListings(req);
+
+  res.type('application/rss+xml').send(renderRssFeed(listings, feedUrl(req)));
+});
+
+/**
+ * @swagger
+ * /listings/{id}:
+ *   get:
+ *     tags: [Listings]
+ *     summary: A published vacancy
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Listing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 listing:
+ *                   $ref: '#/components/schemas/Listing'
+ *       404:
+ *         description: No published vacancy with this ID
+ */
+export const getListingById = asyncHandler(async (req, res) => {
+  const property = await prisma.property.findFirst({
+    where: { id: req.params.id, ...listingWhere() },
+    select: listingSelect,
+  });
+
+  if (!property) {
+    return res.status(404).json({
+      error: 'Listing not found',
+      message: 'No published vacancy with this ID',
+    });
+  }
+
+  res.json({ listing: toListing(property) });
+});
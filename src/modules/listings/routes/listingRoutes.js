@@ -0,0 +1,27 @@
+import express from 'express';
+import { validateListingQuery } from '../../../middleware/validation.js';
+import {
+  getListings,
+  getListingById,
+  getJsonFeed,
+  getRssFeed,
+} from '../controllers/listingController.js';
+
+const router = express.Router();
+
+// Listings are public, so browsers, CDNs and feed readers may cache them briefly
+const LISTINGS_MAX_AGE_SECONDS = 300;
+
+const publicCache = (req, res, next) => {
+  res.set('Cache-Control', `public, max-age=${LISTINGS_MAX_AGE_SECONDS}, stale-while-revalidate=${LISTINGS_MAX_AGE_SECONDS}`);
+  next();
+};
+
+router.use(publicCache);
+
+router.get('/', validateListingQuery, getListings);
+router.get('/feed.json', validateListingQuery, getJsonFeed);
+router.get('/feed.rss', validateListingQuery, getRssFeed);
+router.get('/:id', getListingById);
+
+export default router;
@@ -4,10 +4,16 @@ import logger from '../../../config/logger.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
 import { sendNotificationToUser } from '../../notifications/services/socketService.js';
 import { sendEmail } from '../../notifications/services/emailService.js';
+import {
+  activeAssignmentWhere,
+  assignedPropertyIds,
+  managesProperty,
+} from '../../../services/propertyAssignmentService.js';
+import { findPropertyUnit } from '../../../services/unitService.js';
 
 export const createMaintenanceRequest = async (req, res) => {
   try {
-    const { title, description, priority, category, propertyId, urgency } = req.body;
+    const { title, description, priority, category, propertyId, unitId, urgency } = req.body;
     const userId = req.user.userId;
 
     // Verify property exists
@@ -17,8 +23,9 @@ export const createMaintenanceRequest = async (req, res) => {
         owner: {
           include: { user: true },
         },
-        managers: {
-          include: { user: true },
+        managerAssignments: {
+          where: activeAssignmentWhere(),
+          include: { manager: true },
         },
       },
     });
@@ -43,6 +50,14 @@ export const createMaintenanceRequest = async (req, res) => {
       }
     }
 
+    if (req.user.role === 'MANAGER' && !managesProperty(req.user, propertyId)) {
+      return errorResponse(res, 'You can only create maintenance requests for properties you manage', 403);
+    }
+
+    if (unitId && !await findPropertyUnit(propertyId, unitId)) {
+      return errorResponse(res, 'Unit does not belong to this property', 400);
+    }
+
     const maintenanceRequest = await prisma.maintenanceRequest.create({
       data: {
         title,
@@ -51,6 +66,7 @@ export const createMaintenanceRequest = async (req, res) => {
         category,
         urgency,
         propertyId,
+        unitId,
         requestedById: userId,
         status: 'OPEN',
       },
@@ -70,6 +86,12 @@ export const createMaintenanceRequest = async (req, res) => {
             address: true,
           },
         },
+        unit: {
+          select: {
+            id: true,
+            number: true,
+          },
+        },
       },
     });
 
@@ -87,7 +109,7 @@ export const createMaintenanceRequest = async (req, res) => {
       );
     }
 
-    property.managers.forEach((manager) => {
+    property.managerAssignments.forEach(({ manager }) => {
       notificationPromises.push(
         sendNotificationToUser(manager.userId, {
           title: 'New Maintenance Request',
@@ -120,16 +142,8 @@ export const getMaintenanceRequests = async (req, res) => {
     if (req.user.role === 'TENANT') {
       where.requestedById = req.user.userId;
     } else if (req.user.role === 'MANAGER') {
-      const managerProperties = await prisma.property.findMany({
-        where: {
-          managers: {
-            some: { userId: req.user.userId },
-          },
-        },
-        select: { id: true },
-      });
       where.propertyId = {
-        in: managerProperties.map((p) => p.id),
+        in: assignedPropertyIds(req.user),
       };
     } else if (req.user.role === 'OWNER') {
       where.property = {
@@ -221,6 +235,7 @@ export const getMaintenanceRequestById = async (req, res) => {
             id: true,
             name: true,
             address: true,
+            ownerId: true,
           },
         },
         updates: {
@@ -248,7 +263,8 @@ export const getMaintenanceRequestById = async (req, res) => {
       req.user.role === 'SUPER_ADMIN' ||
       request.requestedById === req.user.userId ||
       (req.user.role === 'OWNER' && request.property.ownerId === req.user.owner?.id) ||
-      (req.user.role === 'MANAGER' && request.assignedToId === req.user.userId);
+      (req.user.role === 'MANAGER' && request.assignedToId === req.user.userId) ||
+      (req.user.role === 'MANAGER' && managesProperty(req.user, request.propertyId));
 
     if (!hasAccess) {
       return errorResponse(res, 'Access denied', 403);
@@ -285,7 +301,8 @@ export const updateMaintenanceRequest = async (req, res) => {
     const canUpdate =
       req.user.role === 'SUPER_ADMIN' ||
       (req.user.role === 'OWNER' && request.property.ownerId === req.user.owner?.id) ||
-      (req.user.role === 'MANAGER' && request.assignedToId === req.user.userId);
+      (req.user.role === 'MANAGER' && request.assignedToId === req.user.userId) ||
+      (req.user.role === 'MANAGER' && managesProperty(req.user, request.propertyId));
 
     if (!canUpdate) {
       return errorResponse(res, 'Access denied', 403);
@@ -380,6 +397,21 @@ export const assignMaintenanceRequest = async (req, res) => {
       return errorResponse(res, 'Invalid assignee', 400);
     }
 
+    // Managers can only be given requests for properties they are assigned to
+    if (assignee.role === 'MANAGER') {
+      const assignment = await prisma.propertyManager.findFirst({
+        where: {
+          propertyId: request.propertyId,
+          manager: { userId: assignee.id },
+          ...activeAssignmentWhere(),
+        },
+      });
+
+      if (!assignment) {
+        return errorResponse(res, 'Manager is not assigned to this property', 400);
+      }
+    }
+
     const updatedRequest = await prisma.maintenanceRequest.update({
       where: { id },
       data: {
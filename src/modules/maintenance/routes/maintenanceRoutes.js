@@ -1,6 +1,6 @@
 
 import { Router } from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import { validateMaintenanceRequest, validateMaintenanceUpdate } from '../../../middleware/validation.js';
 import {
   createMaintenanceRequest,
@@ -46,6 +46,9 @@ const router = Router();
  *           enum: [OPEN, IN_PROGRESS, COMPLETED, CANCELLED]
  *         propertyId:
  *           type: string
+ *         unitId:
+ *           type: string
+ *           description: Unit of the property the request is about
  *         requestedById:
  *           type: string
  *         assignedToId:
@@ -72,7 +75,7 @@ const router = Router();
  *       201:
  *         description: Maintenance request created successfully
  */
-router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), validateMaintenanceRequest, createMaintenanceRequest);
+router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('maintenance.create'), validateMaintenanceRequest, createMaintenanceRequest);
 
 /**
  * @swagger
@@ -112,7 +115,7 @@ router.post('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_A
  *       200:
  *         description: List of maintenance requests
  */
-router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getMaintenanceRequests);
+router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('maintenance.view'), getMaintenanceRequests);
 
 /**
  * @swagger
@@ -132,7 +135,7 @@ router.get('/', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_AD
  *       200:
  *         description: Maintenance request details
  */
-router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), getMaintenanceRequestById);
+router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('maintenance.view'), getMaintenanceRequestById);
 
 /**
  * @swagger
@@ -158,7 +161,7 @@ router.get('/:id', authenticate, authorize(['TENANT', 'MANAGER', 'OWNER', 'SUPER
  *       200:
  *         description: Maintenance request updated successfully
  */
-router.put('/:id', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), validateMaintenanceUpdate, updateMaintenanceRequest);
+router.put('/:id', authenticate, authorize(['MANAGER', 'OWNER', 'SUPER_ADMIN']), checkPermissions('maintenance.update'), validateMaintenanceUpdate, updateMaintenanceRequest);
 
 /**
  * @swagger
@@ -1,8 +1,51 @@
 import { asyncHandler } from '../../../middleware/errorHandler.js';
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
-import { hashPassword, generateRandomPassword } from '../../../utils/helpers.js';
-import { sendWelcomeEmail } from '../../notifications/services/emailService.js';
+import {
+  createInvitedUser,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  listInvitations,
+  getScopedInvitation,
+  InvitationError,
+} from '../../../services/invitationService.js';
+import { logActivity } from '../../../services/auditService.js';
+import { activeAssignmentWhere } from '../../../services/propertyAssignmentService.js';
+import {
+  PERMISSIONS,
+  DEFAULT_MANAGER_PERMISSIONS,
+  resolvePermissions,
+} from '../../../services/permissionService.js';
+
+const roleTemplateSummary = {
+  select: {
+    id: true,
+    name: true,
+    isSystem: true,
+  },
+};
+
+const assignmentInclude = {
+  property: {
+    select: {
+      id: true,
+      name: true,
+      address: true,
+    },
+  },
+};
+
+// System templates, plus the owner's own when an owner is given
+const roleTemplateScope = (ownerId) => ({
+  OR: [{ isSystem: true }, ...(ownerId ? [{ ownerId }] : [])],
+});
+
+const findAssignableRoleTemplate = (roleTemplateId, ownerId) => {
+  return prisma.roleTemplate.findFirst({
+    where: { id: roleTemplateId, ...roleTemplateScope(ownerId) },
+  });
+};
 
 /**
  * @swagger
@@ -19,8 +62,11 @@ import { sendWelcomeEmail } from '../../notifications/services/emailService.js';
  *           type: string
  *         phone:
  *           type: string
+ *         roleTemplateId:
+ *           type: string
  *         permissions:
  *           type: object
+ *           description: Overrides on top of the role template, e.g. payments.refund set to true
  *         isActive:
  *           type: boolean
  */
@@ -77,12 +123,9 @@ export const getManagers = asyncHandler(async (req, res) => {
             companyName: true,
           },
         },
-        properties: {
-          select: {
-            id: true,
-            name: true,
-            address: true,
-          },
+        propertyAssignments: {
+          where: activeAssignmentWhere(),
+          include: assignmentInclude,
         },
       },
       orderBy: { createdAt: 'desc' },
@@ -141,19 +184,25 @@ export const getManagerById = asyncHandler(async (req, res) => {
           phone: true,
         },
       },
-      properties: {
+      roleTemplate: true,
+      propertyAssignments: {
+        where: activeAssignmentWhere(),
         include: {
-          tenants: {
-            where: { isActive: true },
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-            },
-          },
-          _count: {
-            select: {
-              tenants: { where: { isActive: true } },
+          property: {
+            include: {
+              tenants: {
+                where: { isActive: true },
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                },
+              },
+              _count: {
+                select: {
+                  tenants: { where: { isActive: true } },
+                },
+              },
             },
           },
         },
@@ -183,7 +232,10 @@ export const getManagerById = asyncHandler(async (req, res) => {
     });
   }
 
-  res.json({ manager });
+  res.json({
+    manager,
+    effectivePermissions: resolvePermissions({ role: 'MANAGER', manager }),
+  });
 });
 
 /**
@@ -214,14 +266,18 @@ export const getManagerById = asyncHandler(async (req, res) => {
  *                 type: string
  *               phone:
  *                 type: string
+ *               roleTemplateId:
+ *                 type: string
  *               permissions:
  *                 type: object
  *     responses:
  *       201:
  *         description: Manager created successfully
+ *       400:
+ *         description: Unknown role template
  */
 export const createManager = asyncHandler(async (req, res) => {
-  const { email, firstName, lastName, phone, permissions = {} } = req.body;
+  const { email, firstName, lastName, phone, roleTemplateId, permissions = {} } = req.body;
 
   // Check if email is already in use
   const existingUser = await prisma.user.findUnique({
@@ -235,20 +291,22 @@ export const createManager = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate random password
-  const password = generateRandomPassword();
-  const hashedPassword = await hashPassword(password);
-
   const ownerId = req.user.owner.id;
 
+  if (roleTemplateId && !(await findAssignableRoleTemplate(roleTemplateId, ownerId))) {
+    return res.status(400).json({
+      error: 'Invalid role template',
+      message: 'Role template not found',
+    });
+  }
+
   // Create user and manager in transaction
   const result = await prisma.$transaction(async (tx) => {
-    const user = await tx.user.create({
-      data: {
-        email: email.toLowerCase(),
-        password: hashedPassword,
-        role: 'MANAGER',
-      },
+    const user = await createInvitedUser(tx, {
+      email,
+      role: 'MANAGER',
+      firstName,
+      lastName,
     });
 
     const manager = await tx.manager.create({
@@ -258,6 +316,7 @@ export const createManager = asyncHandler(async (req, res) => {
         firstName,
         lastName,
         phone,
+        roleTemplateId,
         permissions,
       },
       include: {
@@ -273,24 +332,26 @@ export const createManager = asyncHandler(async (req, res) => {
             companyName: true,
           },
         },
+        roleTemplate: roleTemplateSummary,
       },
     });
 
     return { user, manager };
   });
 
-  // Send welcome email with password
-  try {
-    await sendWelcomeEmail(email, 'MANAGER', password);
-  } catch (error) {
-    logger.error('Failed to send manager welcome email:', error);
-  }
+  // The manager sets their own password through the invitation link
+  const invitation = await createInvitation({
+    user: result.user,
+    ownerId,
+    invitedById: req.user.id,
+  });
 
   logger.info(`Manager created: ${firstName} ${lastName} by user ${req.user.email}`);
 
   res.status(201).json({
-    message: 'Manager created successfully',
+    message: 'Manager created successfully. An invitation has been emailed to the manager.',
     manager: result.manager,
+    invitation,
   });
 });
 
@@ -308,13 +369,32 @@ export const createManager = asyncHandler(async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               roleTemplateId:
+ *                 type: string
+ *                 nullable: true
+ *               permissions:
+ *                 type: object
  *     responses:
  *       200:
  *         description: Manager updated successfully
+ *       400:
+ *         description: Unknown role template
  */
 export const updateManager = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { firstName, lastName, phone, permissions } = req.body;
+  const { firstName, lastName, phone, roleTemplateId, permissions } = req.body;
 
   const existingManager = await prisma.manager.findUnique({
     where: { id },
@@ -351,6 +431,16 @@ export const updateManager = asyncHandler(async (req, res) => {
   if (phone) updateData.phone = phone;
   if (permissions && req.user.role === 'OWNER') updateData.permissions = permissions;
 
+  if (roleTemplateId !== undefined && req.user.role === 'OWNER') {
+    if (roleTemplateId && !(await findAssignableRoleTemplate(roleTemplateId, existingManager.ownerId))) {
+      return res.status(400).json({
+        error: 'Invalid role template',
+        message: 'Role template not found',
+      });
+    }
+    updateData.roleTemplateId = roleTemplateId;
+  }
+
   const manager = await prisma.manager.update({
     where: { id },
     data: updateData,
@@ -367,9 +457,19 @@ export const updateManager = asyncHandler(async (req, res) => {
           companyName: true,
         },
       },
+      roleTemplate: roleTemplateSummary,
     },
   });
 
+  if (updateData.permissions || updateData.roleTemplateId !== undefined) {
+    await logActivity('MANAGER_PERMISSIONS_UPDATED', req.user.id, 'MANAGER', id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      roleTemplateId: manager.roleTemplateId,
+      permissions: manager.permissions,
+    });
+  }
+
   logger.info(`Manager updated: ${manager.firstName} ${manager.lastName} by user ${req.user.email}`);
 
   res.json({
@@ -401,9 +501,6 @@ export const deleteManager = asyncHandler(async (req, res) => {
 
   const existingManager = await prisma.manager.findUnique({
     where: { id },
-    include: {
-      properties: true,
-    },
   });
 
   if (!existingManager) {
@@ -439,76 +536,167 @@ export const deleteManager = asyncHandler(async (req, res) => {
   });
 });
 
-export const assignPropertyToManager = asyncHandler(async (req, res) => {
+// Load a manager and property for assignment changes, checking both belong to
+// the same owner and that owners only touch their own
+const findAssignmentTargets = async (req, res) => {
   const { id: managerId, propertyId } = req.params;
 
-  // Verify manager exists and belongs to owner
   const manager = await prisma.manager.findUnique({
     where: { id: managerId },
   });
 
-  if (!manager || manager.ownerId !== req.user.owner.id) {
-    return res.status(404).json({
+  if (!manager || (req.user.role === 'OWNER' && manager.ownerId !== req.user.owner.id)) {
+    res.status(404).json({
       error: 'Manager not found',
       message: 'Manager not found or does not belong to you',
     });
+    return null;
   }
 
-  // Verify property exists and belongs to owner
   const property = await prisma.property.findUnique({
     where: { id: propertyId },
   });
 
-  if (!property || property.ownerId !== req.user.owner.id) {
-    return res.status(404).json({
+  if (!property || property.ownerId !== manager.ownerId) {
+    res.status(404).json({
       error: 'Property not found',
       message: 'Property not found or does not belong to you',
     });
+    return null;
   }
 
-  // Add property to manager's properties
-  await prisma.manager.update({
-    where: { id: managerId },
+  return { manager, property };
+};
+
+// Assignments that have not ended yet, including ones scheduled to start later
+const openAssignmentWhere = (managerId, propertyId, now = new Date()) => ({
+  managerId,
+  propertyId,
+  OR: [{ endDate: null }, { endDate: { gt: now } }],
+});
+
+export const assignPropertyToManager = asyncHandler(async (req, res) => {
+  const targets = await findAssignmentTargets(req, res);
+  if (!targets) return;
+
+  const { manager, property } = targets;
+  const { role = 'PRIMARY', startDate, endDate } = req.body;
+  const start = startDate ? new Date(startDate) : new Date();
+
+  const existing = await prisma.propertyManager.findFirst({
+    where: openAssignmentWhere(manager.id, property.id),
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      error: 'Already assigned',
+      message: 'The manager is already assigned to this property',
+      assignment: existing,
+    });
+  }
+
+  const assignment = await prisma.propertyManager.create({
     data: {
-      properties: {
-        connect: { id: propertyId },
-      },
+      managerId: manager.id,
+      propertyId: property.id,
+      role,
+      startDate: start,
+      endDate: endDate ? new Date(endDate) : null,
+      assignedById: req.user.id,
     },
+    include: assignmentInclude,
   });
 
-  logger.info(`Property ${propertyId} assigned to manager ${managerId} by ${req.user.email}`);
+  await logActivity('MANAGER_PROPERTY_ASSIGNED', req.user.id, 'MANAGER', manager.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    propertyId: property.id,
+    role,
+    startDate: assignment.startDate,
+    endDate: assignment.endDate,
+  });
 
-  res.json({
+  logger.info(`Property ${property.id} assigned to manager ${manager.id} by ${req.user.email}`);
+
+  res.status(201).json({
     message: 'Property assigned to manager successfully',
+    assignment,
   });
 });
 
-export const removePropertyFromManager = asyncHandler(async (req, res) => {
-  const { id: managerId, propertyId } = req.params;
+export const updatePropertyAssignment = asyncHandler(async (req, res) => {
+  const targets = await findAssignmentTargets(req, res);
+  if (!targets) return;
 
-  // Verify manager exists and belongs to owner
-  const manager = await prisma.manager.findUnique({
-    where: { id: managerId },
+  const { manager, property } = targets;
+  const { role, endDate } = req.body;
+
+  const existing = await prisma.propertyManager.findFirst({
+    where: openAssignmentWhere(manager.id, property.id),
   });
 
-  if (!manager || manager.ownerId !== req.user.owner.id) {
+  if (!existing) {
     return res.status(404).json({
-      error: 'Manager not found',
-      message: 'Manager not found or does not belong to you',
+      error: 'Assignment not found',
+      message: 'The manager is not assigned to this property',
     });
   }
 
-  // Remove property from manager's properties
-  await prisma.manager.update({
-    where: { id: managerId },
+  const assignment = await prisma.propertyManager.update({
+    where: { id: existing.id },
     data: {
-      properties: {
-        disconnect: { id: propertyId },
-      },
+      ...(role && { role }),
+      ...(endDate !== undefined && { endDate: endDate ? new Date(endDate) : null }),
     },
+    include: assignmentInclude,
+  });
+
+  await logActivity('MANAGER_PROPERTY_ASSIGNMENT_UPDATED', req.user.id, 'MANAGER', manager.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    propertyId: property.id,
+    role: assignment.role,
+    endDate: assignment.endDate,
+  });
+
+  res.json({
+    message: 'Assignment updated successfully',
+    assignment,
+  });
+});
+
+export const removePropertyFromManager = asyncHandler(async (req, res) => {
+  const targets = await findAssignmentTargets(req, res);
+  if (!targets) return;
+
+  const { manager, property } = targets;
+  const now = new Date();
+
+  // End the current assignment and drop any that had not started yet
+  const [ended, cancelled] = await prisma.$transaction([
+    prisma.propertyManager.updateMany({
+      where: { ...openAssignmentWhere(manager.id, property.id, now), startDate: { lte: now } },
+      data: { endDate: now },
+    }),
+    prisma.propertyManager.deleteMany({
+      where: { managerId: manager.id, propertyId: property.id, startDate: { gt: now } },
+    }),
+  ]);
+
+  if (ended.count === 0 && cancelled.count === 0) {
+    return res.status(404).json({
+      error: 'Assignment not found',
+      message: 'The manager is not assigned to this property',
+    });
+  }
+
+  await logActivity('MANAGER_PROPERTY_UNASSIGNED', req.user.id, 'MANAGER', manager.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    propertyId: property.id,
   });
 
-  logger.info(`Property ${propertyId} removed from manager ${managerId} by ${req.user.email}`);
+  logger.info(`Property ${property.id} removed from manager ${manager.id} by ${req.user.email}`);
 
   res.json({
     message: 'Property removed from manager successfully',
@@ -517,24 +705,31 @@ export const removePropertyFromManager = asyncHandler(async (req, res) => {
 
 export const getManagerProperties = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const includeHistory = req.query.includeHistory === 'true';
 
   const manager = await prisma.manager.findUnique({
     where: { id },
     include: {
-      properties: {
+      propertyAssignments: {
+        where: includeHistory ? {} : activeAssignmentWhere(),
+        orderBy: { startDate: 'desc' },
         include: {
-          tenants: {
-            where: { isActive: true },
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-            },
-          },
-          _count: {
-            select: {
-              tenants: { where: { isActive: true } },
-              leases: { where: { status: 'ACTIVE' } },
+          property: {
+            include: {
+              tenants: {
+                where: { isActive: true },
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                },
+              },
+              _count: {
+                select: {
+                  tenants: { where: { isActive: true } },
+                  leases: { where: { status: 'ACTIVE' } },
+                },
+              },
             },
           },
         },
@@ -565,6 +760,378 @@ export const getManagerProperties = asyncHandler(async (req, res) => {
   }
 
   res.json({
-    properties: manager.properties,
+    properties: manager.propertyAssignments.map(({ property, ...assignment }) => ({
+      ...property,
+      assignment,
+    })),
+  });
+});
+
+const sendInvitationError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Invitation error',
+    message: error.message,
+  });
+};
+
+/**
+ * @swagger
+ * /managers/invitations:
+ *   get:
+ *     tags: [Managers]
+ *     summary: List manager invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, EXPIRED, REVOKED]
+ *     responses:
+ *       200:
+ *         description: Manager invitations
+ */
+export const getManagerInvitations = asyncHandler(async (req, res) => {
+  const invitations = await listInvitations({
+    ownerId: req.user.role === 'OWNER' ? req.user.owner.id : null,
+    role: 'MANAGER',
+    status: req.query.status,
+  });
+
+  res.json({ invitations });
+});
+
+/**
+ * @swagger
+ * /managers/invitations/{invitationId}/resend:
+ *   post:
+ *     tags: [Managers]
+ *     summary: Resend a pending or expired manager invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent with a new link
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+export const resendManagerInvitation = asyncHandler(async (req, res) => {
+  try {
+    await getScopedInvitation(req.params.invitationId, {
+      role: 'MANAGER',
+      ownerId: req.user.role === 'OWNER' ? req.user.owner.id : null,
+    });
+
+    const invitation = await resendInvitation(req.params.invitationId);
+
+    logger.info(`Manager invitation resent to ${invitation.email} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation,
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /managers/invitations/{invitationId}/revoke:
+ *   post:
+ *     tags: [Managers]
+ *     summary: Revoke a manager invitation that has not been accepted
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked and the pending account deactivated
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+export const revokeManagerInvitation = asyncHandler(async (req, res) => {
+  try {
+    await getScopedInvitation(req.params.invitationId, {
+      role: 'MANAGER',
+      ownerId: req.user.role === 'OWNER' ? req.user.owner.id : null,
+    });
+
+    const invitation = await revokeInvitation(req.params.invitationId);
+
+    logger.info(`Manager invitation revoked for ${invitation.email} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation,
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /managers/permissions:
+ *   get:
+ *     tags: [Managers]
+ *     summary: List the manager permission catalog and assignable role templates
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalog, default permissions and role templates
+ */
+export const getPermissionCatalog = asyncHandler(async (req, res) => {
+  const roleTemplates = await prisma.roleTemplate.findMany({
+    where: roleTemplateScope(req.user.role === 'OWNER' ? req.user.owner.id : null),
+    orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+  });
+
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    defaultPermissions: DEFAULT_MANAGER_PERMISSIONS,
+    roleTemplates,
+  });
+});
+
+/**
+ * @swagger
+ * /managers/role-templates:
+ *   get:
+ *     tags: [Managers]
+ *     summary: List role templates available to the owner
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: System templates and the owner's own templates
+ */
+export const getRoleTemplates = asyncHandler(async (req, res) => {
+  const roleTemplates = await prisma.roleTemplate.findMany({
+    where: req.user.role === 'OWNER' ? roleTemplateScope(req.user.owner.id) : {},
+    include: {
+      _count: { select: { managers: true } },
+    },
+    orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+  });
+
+  res.json({ roleTemplates });
+});
+
+const findOwnRoleTemplate = async (req, res) => {
+  const roleTemplate = await prisma.roleTemplate.findUnique({
+    where: { id: req.params.templateId },
+  });
+
+  if (!roleTemplate || (!roleTemplate.isSystem && roleTemplate.ownerId !== req.user.owner.id)) {
+    res.status(404).json({
+      error: 'Role template not found',
+      message: 'Role template with this ID does not exist',
+    });
+    return null;
+  }
+
+  if (roleTemplate.isSystem) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'System role templates cannot be changed',
+    });
+    return null;
+  }
+
+  return roleTemplate;
+};
+
+/**
+ * @swagger
+ * /managers/role-templates:
+ *   post:
+ *     tags: [Managers]
+ *     summary: Create a role template
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role template created
+ *       409:
+ *         description: A template with this name already exists
+ */
+export const createRoleTemplate = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+  const ownerId = req.user.owner.id;
+
+  const existing = await prisma.roleTemplate.findFirst({
+    where: { name, ...roleTemplateScope(ownerId) },
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      error: 'Role template already exists',
+      message: 'A role template with this name already exists',
+    });
+  }
+
+  const roleTemplate = await prisma.roleTemplate.create({
+    data: {
+      ownerId,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+    },
+  });
+
+  await logActivity('ROLE_TEMPLATE_CREATED', req.user.id, 'ROLE_TEMPLATE', roleTemplate.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    name,
+    permissions: roleTemplate.permissions,
+  });
+
+  res.status(201).json({
+    message: 'Role template created successfully',
+    roleTemplate,
+  });
+});
+
+/**
+ * @swagger
+ * /managers/role-templates/{templateId}:
+ *   put:
+ *     tags: [Managers]
+ *     summary: Update a role template
+ *     description: Changes apply immediately to every manager assigned the template.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role template updated
+ *       403:
+ *         description: System templates cannot be changed
+ */
+export const updateRoleTemplate = asyncHandler(async (req, res) => {
+  const roleTemplate = await findOwnRoleTemplate(req, res);
+  if (!roleTemplate) return;
+
+  const { name, description, permissions } = req.body;
+
+  if (name && name !== roleTemplate.name) {
+    const existing = await prisma.roleTemplate.findFirst({
+      where: { name, ...roleTemplateScope(req.user.owner.id) },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Role template already exists',
+        message: 'A role template with this name already exists',
+      });
+    }
+  }
+
+  const updated = await prisma.roleTemplate.update({
+    where: { id: roleTemplate.id },
+    data: {
+      ...(name && { name }),
+      ...(description !== undefined && { description }),
+      ...(permissions && { permissions: [...new Set(permissions)] }),
+    },
+  });
+
+  await logActivity('ROLE_TEMPLATE_UPDATED', req.user.id, 'ROLE_TEMPLATE', roleTemplate.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    name: updated.name,
+    permissions: updated.permissions,
+  });
+
+  res.json({
+    message: 'Role template updated successfully',
+    roleTemplate: updated,
+  });
+});
+
+/**
+ * @swagger
+ * /managers/role-templates/{templateId}:
+ *   delete:
+ *     tags: [Managers]
+ *     summary: Delete a role template
+ *     description: Managers assigned the template fall back to the default permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role template deleted
+ *       403:
+ *         description: System templates cannot be deleted
+ */
+export const deleteRoleTemplate = asyncHandler(async (req, res) => {
+  const roleTemplate = await findOwnRoleTemplate(req, res);
+  if (!roleTemplate) return;
+
+  await prisma.roleTemplate.delete({
+    where: { id: roleTemplate.id },
+  });
+
+  await logActivity('ROLE_TEMPLATE_DELETED', req.user.id, 'ROLE_TEMPLATE', roleTemplate.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    name: roleTemplate.name,
+  });
+
+  res.json({
+    message: 'Role template deleted successfully',
   });
-});
\ No newline at end of file
+});
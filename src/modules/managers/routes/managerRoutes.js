@@ -1,7 +1,14 @@
 
 import { Router } from 'express';
 import { authenticate, authorize } from '../../../middleware/auth.js';
-import { validateManager, validateManagerUpdate } from '../../../middleware/validation.js';
+import {
+  validateManager,
+  validateManagerUpdate,
+  validateRoleTemplate,
+  validateRoleTemplateUpdate,
+  validatePropertyAssignment,
+  validatePropertyAssignmentUpdate,
+} from '../../../middleware/validation.js';
 import {
   createManager,
   getManagers,
@@ -10,7 +17,16 @@ import {
   deleteManager,
   assignPropertyToManager,
   getManagerProperties,
+  updatePropertyAssignment,
   removePropertyFromManager,
+  getManagerInvitations,
+  resendManagerInvitation,
+  revokeManagerInvitation,
+  getPermissionCatalog,
+  getRoleTemplates,
+  createRoleTemplate,
+  updateRoleTemplate,
+  deleteRoleTemplate,
 } from '../controllers/managerController.js';
 
 const router = Router();
@@ -63,7 +79,17 @@ const router = Router();
  *       201:
  *         description: Manager created successfully
  */
-router.post('/',  validateManager, createManager);
+router.post('/', authenticate, authorize(['OWNER']), validateManager, createManager);
+
+router.get('/invitations', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), getManagerInvitations);
+router.post('/invitations/:invitationId/resend', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), resendManagerInvitation);
+router.post('/invitations/:invitationId/revoke', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), revokeManagerInvitation);
+
+router.get('/permissions', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), getPermissionCatalog);
+router.get('/role-templates', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), getRoleTemplates);
+router.post('/role-templates', authenticate, authorize(['OWNER']), validateRoleTemplate, createRoleTemplate);
+router.put('/role-templates/:templateId', authenticate, authorize(['OWNER']), validateRoleTemplateUpdate, updateRoleTemplate);
+router.delete('/role-templates/:templateId', authenticate, authorize(['OWNER']), deleteRoleTemplate);
 
 /**
  * @swagger
@@ -162,6 +188,7 @@ router.delete('/:id', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), deleteM
  *   get:
  *     tags: [Managers]
  *     summary: Get properties managed by manager
+ *     description: Each property carries the manager's assignment (role, start and end dates).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -170,6 +197,11 @@ router.delete('/:id', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), deleteM
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includeHistory
+ *         schema:
+ *           type: boolean
+ *         description: Include ended and upcoming assignments
  *     responses:
  *       200:
  *         description: List of managed properties
@@ -182,6 +214,7 @@ router.get('/:id/properties', authenticate, authorize(['MANAGER', 'OWNER', 'SUPE
  *   post:
  *     tags: [Managers]
  *     summary: Assign property to manager
+ *     description: The manager sees the property's tenants, leases, payments, maintenance requests and complaints while the assignment is in effect.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -195,11 +228,70 @@ router.get('/:id/properties', authenticate, authorize(['MANAGER', 'OWNER', 'SUPE
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [PRIMARY, ASSISTANT, LEASING, MAINTENANCE]
+ *                 default: PRIMARY
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
  *     responses:
- *       200:
+ *       201:
  *         description: Property assigned successfully
+ *       409:
+ *         description: Manager already assigned to the property
+ */
+router.post('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), validatePropertyAssignment, assignPropertyToManager);
+
+/**
+ * @swagger
+ * /managers/{id}/properties/{propertyId}:
+ *   put:
+ *     tags: [Managers]
+ *     summary: Change the role or end date of a manager's property assignment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [PRIMARY, ASSISTANT, LEASING, MAINTENANCE]
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Assignment updated
+ *       404:
+ *         description: Manager is not assigned to the property
  */
-router.post('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), assignPropertyToManager);
+router.put('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), validatePropertyAssignmentUpdate, updatePropertyAssignment);
 
 /**
  * @swagger
@@ -207,6 +299,7 @@ router.post('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SU
  *   delete:
  *     tags: [Managers]
  *     summary: Unassign property from manager
+ *     description: Ends the current assignment, which is kept as history, and cancels any that had not started yet.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -223,6 +316,8 @@ router.post('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SU
  *     responses:
  *       200:
  *         description: Property unassigned successfully
+ *       404:
+ *         description: Manager is not assigned to the property
  */
 router.delete('/:id/properties/:propertyId', authenticate, authorize(['OWNER', 'SUPER_ADMIN']), removePropertyFromManager);
 
@@ -1,6 +1,6 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   getNotifications,
   markAsRead,
@@ -77,7 +77,7 @@ router.get('/', authenticate, getNotifications);
  *       200:
  *         description: Bulk notification sent successfully
  */
-router.post('/bulk', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), sendBulkNotification);
+router.post('/bulk', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('notifications.send_bulk'), sendBulkNotification);
 
 /**
  * @swagger
@@ -156,3 +156,161 @@ export const sendOwnerAlertEmail = async (email, ownerName, subject, message) =>
 
   return sendEmail(email, emailSubject, html);
 };
+
+export const sendPasswordResetEmail = async (email, resetUrl, expiresInMinutes) => {
+  const subject = 'Password Reset Request - Rental Management System';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Reset Your Password</h2>
+      <p>We received a request to reset the password for your account.</p>
+      <p><a href="${resetUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
+      <p>This link can be used once and expires in ${expiresInMinutes} minutes.</p>
+      <p>If you did not request a password reset, you can safely ignore this email. Your password will not change.</p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendMagicLinkEmail = async (email, loginUrl, expiresInMinutes) => {
+  const subject = 'Your Sign-In Link - Rental Management System';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Sign In to Your Account</h2>
+      <p>Use the button below to sign in without a password.</p>
+      <p><a href="${loginUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Sign In</a></p>
+      <p>This link can be used once, expires in ${expiresInMinutes} minutes and only works on the device where you requested it.</p>
+      <p>If you did not try to sign in, you can safely ignore this email.</p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendVerificationEmail = async (email, verifyUrl, expiresInHours) => {
+  const subject = 'Verify Your Email - Rental Management System';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Verify Your Email Address</h2>
+      <p>Please confirm that this email address belongs to you to finish setting up your account.</p>
+      <p><a href="${verifyUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a></p>
+      <p>This link expires in ${expiresInHours} hours.</p>
+      <p>If you did not create an account, you can safely ignore this email.</p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendAccountLockedEmail = async (email, lockedUntil) => {
+  const subject = 'Account Locked - Rental Management System';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc3545;">Your Account Has Been Temporarily Locked</h2>
+      <p>We detected several failed sign-in attempts on your account, so we have locked it to protect you.</p>
+      <p>You can try again after <strong>${new Date(lockedUntil).toLocaleString()}</strong>. Further failed attempts extend the lock.</p>
+      <p>If this was not you, we recommend resetting your password once the lock expires, or contacting your administrator.</p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendInvitationEmail = async (email, role, inviteUrl, expiresAt, invitedByName = null) => {
+  const subject = 'You have been invited to Rental Management System';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">You're Invited!</h2>
+      <p>${invitedByName ? `${invitedByName} has invited you` : 'You have been invited'} to join Rental Management System as a <strong>${role.toLowerCase()}</strong>.</p>
+      <p>Click the button below to set your password and activate your account.</p>
+      <p><a href="${inviteUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Accept Invitation</a></p>
+      <p>This invitation expires on <strong>${new Date(expiresAt).toLocaleDateString()}</strong>.</p>
+      <p>If you were not expecting this invitation, you can safely ignore this email.</p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendApplicationReceivedEmail = async (email, propertyName, applicationUrl) => {
+  const subject = `Application Received: ${propertyName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">We Received Your Application</h2>
+      <p>Thank you for applying for <strong>${propertyName}</strong>. We will be in touch once your application has been reviewed.</p>
+      <p>Keep this email: the link below lets you check on your application and send us anything we ask for.</p>
+      <p><a href="${applicationUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Application</a></p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendApplicationInfoRequestEmail = async (email, propertyName, request, applicationUrl) => {
+  const subject = `More Information Needed: ${propertyName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">We Need a Little More Information</h2>
+      <p>To continue reviewing your application for <strong>${propertyName}</strong>, we need the following:</p>
+      <blockquote style="border-left: 4px solid #007bff; padding-left: 10px;">${request}</blockquote>
+      <p><a href="${applicationUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Respond</a></p>
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
+
+export const sendApplicationDecisionEmail = async (email, propertyName, approved, reason = null) => {
+  const subject = `Your Application for ${propertyName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${approved ? '#28a745' : '#333'};">${approved ? 'Your Application Was Approved' : 'Update on Your Application'}</h2>
+      ${approved
+        ? `<p>Good news: your application for <strong>${propertyName}</strong> has been approved. You will receive a separate invitation to set up your tenant account and review your lease.</p>`
+        : `<p>Thank you for your interest in <strong>${propertyName}</strong>. Unfortunately we are unable to offer you a tenancy at this time.</p>`}
+      ${reason ? `<p>${reason}</p>` : ''}
+      <hr style="margin: 30px 0;">
+      <p style="font-size: 12px; color: #666;">
+        This is an automated email. Please do not reply to this message.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(email, subject, html);
+};
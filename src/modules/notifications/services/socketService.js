@@ -2,43 +2,60 @@
 import logger from '../../../config/logger.js';
 import { verifyToken } from '../../../utils/helpers.js';
 import prisma from '../../../config/database.js';
+import { isAccessTokenRevoked } from '../../../services/tokenService.js';
 
 let io;
 
-export const initializeSocket = (socketIo) => {
-  io = socketIo;
+/**
+ * Authentication middleware for socket connections
+ * @param {Object} socket - Connecting socket; the token is in handshake.auth
+ * @param {Function} next - Called with an error to refuse the connection
+ */
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('Authentication error'));
+    }
 
-  // Authentication middleware for socket connections
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-      if (!token) {
-        return next(new Error('Authentication error'));
-      }
+    const decoded = verifyToken(token);
+    if (await isAccessTokenRevoked(decoded)) {
+      return next(new Error('Authentication error'));
+    }
 
-      const decoded = verifyToken(token);
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        include: {
-          tenant: true,
-          owner: true,
-          manager: true,
-        },
-      });
+    // Chat events write on the user's behalf and are not audited per event,
+    // so impersonation stays on the read-only, audited HTTP API
+    if (decoded.imp) {
+      return next(new Error('Realtime connections are not available while impersonating a user'));
+    }
 
-      if (!user || !user.isActive) {
-        return next(new Error('Authentication error'));
-      }
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: {
+        tenant: true,
+        owner: true,
+        manager: true,
+      },
+    });
 
-      socket.userId = user.id;
-      socket.userRole = user.role;
-      socket.user = user;
-      next();
-    } catch (error) {
-      logger.error('Socket authentication error:', error);
-      next(new Error('Authentication error'));
+    if (!user || !user.isActive) {
+      return next(new Error('Authentication error'));
     }
-  });
+
+    socket.userId = user.id;
+    socket.userRole = user.role;
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.error('Socket authentication error:', error);
+    next(new Error('Authentication error'));
+  }
+};
+
+export const initializeSocket = (socketIo) => {
+  io = socketIo;
+
+  io.use(authenticateSocket);
 
   io.on('connection', (socket) => {
     logger.info(`User connected: ${socket.userId} (${socket.userRole})`);
@@ -2,6 +2,11 @@
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { hashPassword } from '../../../utils/helpers.js';
+import { logActivity } from '../../../services/auditService.js';
+import { checkPassword } from '../../../services/passwordPolicyService.js';
+import { discover, serializeProvider, sealClientSecret, assertClaimableDomains, OidcError } from '../../../services/oidcService.js';
+import { createApiKey, listApiKeys, revokeApiKey, ApiKeyError, API_KEY_SCOPES } from '../../../services/apiKeyService.js';
+import { summarizeFinancials, monthlyCashFlow } from '../../../services/expenseService.js';
 
 export const createOwner = async (req, res) => {
   try {
@@ -19,6 +24,15 @@ export const createOwner = async (req, res) => {
       });
     }
 
+    const violations = await checkPassword(password);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: 'Password does not meet requirements',
+        message: violations.join('. '),
+        violations,
+      });
+    }
+
     const hashedPassword = await hashPassword(password);
 
     const owner = await prisma.user.create({
@@ -28,6 +42,7 @@ export const createOwner = async (req, res) => {
         role: 'OWNER',
         firstName,
         lastName,
+        emailVerifiedAt: new Date(),
         owner: {
           create: {
             companyName,
@@ -367,6 +382,13 @@ export const getOwnerAnalytics = async (req, res) => {
       });
     }
 
+    if (req.user.role === 'MANAGER' && req.user.manager.ownerId !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access the analytics of the owner you work for',
+      });
+    }
+
     const analytics = await prisma.owner.findUnique({
       where: { id },
       include: {
@@ -403,12 +425,52 @@ export const getOwnerAnalytics = async (req, res) => {
       ? ((totalLeases / analytics.properties.length) * 100).toFixed(2)
       : 0;
 
+    // Financials cover the last twelve months unless a period is given
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth() - 11, 1));
+
+    const [payments, expenses] = await Promise.all([
+      prisma.payment.findMany({
+        where: {
+          status: 'PAID',
+          paidDate: { gte: startDate, lte: endDate },
+          lease: { property: { ownerId: id } },
+        },
+        select: { amount: true, paidDate: true, lease: { select: { propertyId: true } } },
+      }),
+      prisma.expense.findMany({
+        where: {
+          incurredOn: { gte: startDate, lte: endDate },
+          property: { ownerId: id },
+        },
+        select: { propertyId: true, category: true, amount: true, incurredOn: true },
+      }),
+    ]);
+
+    const revenueOf = (rows) => rows.reduce((sum, payment) => sum + Number(payment.amount), 0);
+
+    const properties = analytics.properties.map(property => {
+      const { netOperatingIncome, expenseRatio, cashFlow, revenue, operatingExpenses } = summarizeFinancials(
+        revenueOf(payments.filter(payment => payment.lease.propertyId === property.id)),
+        expenses.filter(expense => expense.propertyId === property.id)
+      );
+      return { id: property.id, name: property.name, revenue, operatingExpenses, netOperatingIncome, expenseRatio, cashFlow };
+    });
+
     res.json({
       totalProperties: analytics._count.properties,
       totalManagers: analytics._count.managers,
       totalTenants,
       totalActiveLeases: totalLeases,
       occupancyRate: parseFloat(occupancyRate),
+      financials: {
+        period: { startDate, endDate },
+        ...summarizeFinancials(revenueOf(payments), expenses),
+        cashFlowByMonth: monthlyCashFlow(payments, expenses, startDate, endDate),
+        properties,
+      },
     });
   } catch (error) {
     logger.error('Error fetching owner analytics:', error);
@@ -418,3 +480,359 @@ export const getOwnerAnalytics = async (req, res) => {
     });
   }
 };
+
+// Resolve the provider of an owner, enforcing that owners only manage their own
+const findOwnedSsoProvider = async (req, res) => {
+  const { id, providerId } = req.params;
+
+  if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only manage your own single sign-on providers',
+    });
+    return null;
+  }
+
+  const provider = await prisma.oidcProvider.findFirst({
+    where: { id: providerId, ownerId: id },
+  });
+
+  if (!provider) {
+    res.status(404).json({
+      error: 'Provider not found',
+      message: 'Single sign-on provider with this ID does not exist',
+    });
+    return null;
+  }
+
+  return provider;
+};
+
+// Make sure the issuer publishes a usable discovery document before saving it
+const checkIssuer = async (issuer, res) => {
+  try {
+    await discover(issuer, { refresh: true });
+    return true;
+  } catch (error) {
+    if (!(error instanceof OidcError)) throw error;
+
+    res.status(400).json({
+      error: 'Invalid issuer',
+      message: `Could not load the OpenID configuration of the issuer: ${error.message}`,
+    });
+    return false;
+  }
+};
+
+const checkEmailDomains = async (emailDomains, ownerId, res) => {
+  try {
+    await assertClaimableDomains(emailDomains, ownerId);
+    return true;
+  } catch (error) {
+    if (!(error instanceof OidcError)) throw error;
+
+    res.status(error.statusCode).json({
+      error: 'Invalid email domains',
+      message: error.message,
+    });
+    return false;
+  }
+};
+
+export const getOwnerSsoProviders = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own single sign-on providers',
+      });
+    }
+
+    const providers = await prisma.oidcProvider.findMany({
+      where: { ownerId: id },
+      include: {
+        _count: {
+          select: { identities: true },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({
+      providers: providers.map(serializeProvider),
+    });
+  } catch (error) {
+    logger.error('Error fetching SSO providers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch single sign-on providers',
+    });
+  }
+};
+
+export const createOwnerSsoProvider = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, issuer, clientId, clientSecret, scopes, emailDomains, autoProvision, isActive } = req.body;
+
+    if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage your own single sign-on providers',
+      });
+    }
+
+    const owner = await prisma.owner.findUnique({
+      where: { id },
+    });
+
+    if (!owner) {
+      return res.status(404).json({
+        error: 'Owner not found',
+        message: 'Owner with this ID does not exist',
+      });
+    }
+
+    const existingProvider = await prisma.oidcProvider.findUnique({
+      where: { slug },
+    });
+
+    if (existingProvider) {
+      return res.status(400).json({
+        error: 'Provider already exists',
+        message: 'A single sign-on provider with this slug already exists',
+      });
+    }
+
+    if (emailDomains && !await checkEmailDomains(emailDomains, id, res)) return;
+    if (!await checkIssuer(issuer, res)) return;
+
+    const provider = await prisma.oidcProvider.create({
+      data: {
+        ownerId: id,
+        name,
+        slug,
+        issuer: issuer.replace(/\/+$/, ''),
+        clientId,
+        clientSecret: sealClientSecret(clientSecret),
+        scopes,
+        emailDomains,
+        autoProvision,
+        isActive,
+      },
+    });
+
+    await logActivity('SSO_PROVIDER_CREATED', req.user.id, 'OIDC_PROVIDER', provider.id, {
+      ownerId: id,
+      issuer: provider.issuer,
+    });
+
+    logger.info(`SSO provider created: ${provider.slug} by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Single sign-on provider created successfully',
+      provider: serializeProvider(provider),
+    });
+  } catch (error) {
+    logger.error('Error creating SSO provider:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create single sign-on provider',
+    });
+  }
+};
+
+export const updateOwnerSsoProvider = async (req, res) => {
+  try {
+    const { name, issuer, clientId, clientSecret, scopes, emailDomains, autoProvision, isActive } = req.body;
+
+    const provider = await findOwnedSsoProvider(req, res);
+    if (!provider) return;
+
+    if (emailDomains && !await checkEmailDomains(emailDomains, provider.ownerId, res)) return;
+    if (issuer && !await checkIssuer(issuer, res)) return;
+
+    const updatedProvider = await prisma.oidcProvider.update({
+      where: { id: provider.id },
+      data: {
+        name,
+        issuer: issuer?.replace(/\/+$/, ''),
+        clientId,
+        // Omitting the secret keeps the stored one; null removes it
+        ...(clientSecret !== undefined && { clientSecret: sealClientSecret(clientSecret) }),
+        scopes,
+        emailDomains,
+        autoProvision,
+        isActive,
+      },
+    });
+
+    await logActivity('SSO_PROVIDER_UPDATED', req.user.id, 'OIDC_PROVIDER', provider.id, {
+      ownerId: provider.ownerId,
+      fields: Object.keys(req.body),
+    });
+
+    logger.info(`SSO provider updated: ${updatedProvider.slug} by ${req.user.email}`);
+
+    res.json({
+      message: 'Single sign-on provider updated successfully',
+      provider: serializeProvider(updatedProvider),
+    });
+  } catch (error) {
+    logger.error('Error updating SSO provider:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update single sign-on provider',
+    });
+  }
+};
+
+export const deleteOwnerSsoProvider = async (req, res) => {
+  try {
+    const provider = await findOwnedSsoProvider(req, res);
+    if (!provider) return;
+
+    // Linked identities go with the provider; the accounts themselves stay
+    await prisma.oidcProvider.delete({
+      where: { id: provider.id },
+    });
+
+    await logActivity('SSO_PROVIDER_DELETED', req.user.id, 'OIDC_PROVIDER', provider.id, {
+      ownerId: provider.ownerId,
+      slug: provider.slug,
+    });
+
+    logger.info(`SSO provider deleted: ${provider.slug} by ${req.user.email}`);
+
+    res.json({
+      message: 'Single sign-on provider deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting SSO provider:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete single sign-on provider',
+    });
+  }
+};
+
+export const getOwnerApiKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own API keys',
+      });
+    }
+
+    const apiKeys = await listApiKeys(id);
+
+    res.json({
+      apiKeys,
+      availableScopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch API keys',
+    });
+  }
+};
+
+export const createOwnerApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes, expiresAt } = req.body;
+
+    if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage your own API keys',
+      });
+    }
+
+    const owner = await prisma.owner.findUnique({
+      where: { id },
+    });
+
+    if (!owner) {
+      return res.status(404).json({
+        error: 'Owner not found',
+        message: 'Owner with this ID does not exist',
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      ownerId: id,
+      createdById: req.user.id,
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    await logActivity('API_KEY_CREATED', req.user.id, 'API_KEY', apiKey.id, {
+      ownerId: id,
+      name,
+      scopes: apiKey.scopes,
+    });
+
+    logger.info(`API key created: ${apiKey.prefix} for owner ${id} by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'API key created successfully. Copy it now, it will not be shown again.',
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create API key',
+    });
+  }
+};
+
+export const revokeOwnerApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+
+    if (req.user.role === 'OWNER' && req.user.owner.id !== id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage your own API keys',
+      });
+    }
+
+    const apiKey = await revokeApiKey(id, keyId);
+
+    await logActivity('API_KEY_REVOKED', req.user.id, 'API_KEY', apiKey.id, {
+      ownerId: id,
+      name: apiKey.name,
+    });
+
+    logger.info(`API key revoked: ${apiKey.prefix} for owner ${id} by ${req.user.email}`);
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey,
+    });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.statusCode).json({
+        error: 'Cannot revoke API key',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke API key',
+    });
+  }
+};
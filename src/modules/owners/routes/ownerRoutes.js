@@ -1,6 +1,6 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   createOwner,
   getOwners,
@@ -9,7 +9,15 @@ import {
   deleteOwner,
   getOwnerProperties,
   getOwnerAnalytics,
+  getOwnerSsoProviders,
+  createOwnerSsoProvider,
+  updateOwnerSsoProvider,
+  deleteOwnerSsoProvider,
+  getOwnerApiKeys,
+  createOwnerApiKey,
+  revokeOwnerApiKey,
 } from '../controllers/ownerController.js';
+import { validateSsoProvider, validateSsoProviderUpdate, validateApiKey } from '../../../middleware/validation.js';
 
 const router = express.Router();
 
@@ -159,6 +167,7 @@ router.get('/:id/properties', authenticate, getOwnerProperties);
  * /owners/{id}/analytics:
  *   get:
  *     summary: Get owner analytics
+ *     description: Portfolio counts and financials. Financials cover the last twelve months unless a period is given, with net operating income, expense ratio and cash flow for the portfolio, per month and per property.
  *     tags: [Owners]
  *     security:
  *       - bearerAuth: []
@@ -168,10 +177,248 @@ router.get('/:id/properties', authenticate, getOwnerProperties);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: Owner analytics data
  */
-router.get('/:id/analytics', authenticate, getOwnerAnalytics);
+router.get('/:id/analytics', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('analytics.view'), getOwnerAnalytics);
+
+/**
+ * @swagger
+ * /owners/{id}/sso-providers:
+ *   get:
+ *     summary: List the owner's single sign-on providers
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of OpenID Connect providers (client secrets are never returned)
+ */
+router.get('/:id/sso-providers', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), getOwnerSsoProviders);
+
+/**
+ * @swagger
+ * /owners/{id}/sso-providers:
+ *   post:
+ *     summary: Add an OpenID Connect provider for the owner's staff
+ *     description: Managers of this owner can then sign in through the provider. New people are provisioned as managers on their first login when autoProvision is enabled. The issuer's discovery document is checked before saving.
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - slug
+ *               - issuer
+ *               - clientId
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Used in the login URL, e.g. /auth/sso/{slug}/authorize
+ *               issuer:
+ *                 type: string
+ *               clientId:
+ *                 type: string
+ *               clientSecret:
+ *                 type: string
+ *                 description: Omit for public clients, which rely on PKCE alone
+ *               scopes:
+ *                 type: string
+ *                 default: openid email profile
+ *               emailDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Domains routed to this provider and allowed to sign in with it. Public webmail domains and domains claimed by another owner are refused.
+ *               autoProvision:
+ *                 type: boolean
+ *                 default: true
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Provider created successfully
+ *       400:
+ *         description: Invalid input, slug taken, public email domain or issuer unreachable
+ *       409:
+ *         description: An email domain is claimed by another owner's provider
+ */
+router.post('/:id/sso-providers', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), validateSsoProvider, createOwnerSsoProvider);
+
+/**
+ * @swagger
+ * /owners/{id}/sso-providers/{providerId}:
+ *   put:
+ *     summary: Update a single sign-on provider
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider updated successfully
+ *       400:
+ *         description: Invalid input, public email domain or issuer unreachable
+ *       409:
+ *         description: An email domain is claimed by another owner's provider
+ */
+router.put('/:id/sso-providers/:providerId', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), validateSsoProviderUpdate, updateOwnerSsoProvider);
+
+/**
+ * @swagger
+ * /owners/{id}/sso-providers/{providerId}:
+ *   delete:
+ *     summary: Delete a single sign-on provider
+ *     description: Unlinks every identity of the provider. The provisioned accounts are kept.
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider deleted successfully
+ */
+router.delete('/:id/sso-providers/:providerId', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), deleteOwnerSsoProvider);
+
+/**
+ * @swagger
+ * /owners/{id}/api-keys:
+ *   get:
+ *     summary: List the owner's API keys
+ *     description: Returns key metadata (name, prefix, scopes, expiry, last use). The keys themselves are never returned after creation.
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of API keys and the scopes that can be granted
+ */
+router.get('/:id/api-keys', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), getOwnerApiKeys);
+
+/**
+ * @swagger
+ * /owners/{id}/api-keys:
+ *   post:
+ *     summary: Create an API key for integrations
+ *     description: The key acts as the owner, limited to its scopes, and is accepted by every endpoint of a scoped resource through the X-API-Key header or as a bearer token. GET requests need the resource's read scope, other methods its write scope.
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [payments:read, reports:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a key that does not expire
+ *     responses:
+ *       201:
+ *         description: API key created; the key is only shown in this response
+ */
+router.post('/:id/api-keys', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), validateApiKey, createOwnerApiKey);
+
+/**
+ * @swagger
+ * /owners/{id}/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Owners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id/api-keys/:keyId', authenticate, authorize(['SUPER_ADMIN', 'OWNER']), revokeOwnerApiKey);
 
 export default router;
@@ -5,6 +5,7 @@ import { generatePaymentReceipt as generatePdf } from '../../../utils/pdfGenerat
 import { sendPaymentConfirmationEmail, sendPaymentReminderEmail } from '../../notifications/services/emailService.js';
 import { uploadToCloudinary } from '../../../utils/cloudinary.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
+import { managedPropertiesWhere, managesProperty } from '../../../services/propertyAssignmentService.js';
 
 export const getPayments = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status, tenantId, propertyId, startDate, endDate } = req.query;
@@ -20,7 +21,7 @@ export const getPayments = asyncHandler(async (req, res) => {
     };
   } else if (req.user.role === 'MANAGER') {
     where.lease = {
-      property: { ownerId: req.user.manager.ownerId },
+      property: managedPropertiesWhere(req.user),
     };
   }
 
@@ -139,7 +140,7 @@ export const getPaymentById = asyncHandler(async (req, res) => {
     return errorResponse(res, 'You can only access payments for your properties', 403);
   }
 
-  if (req.user.role === 'MANAGER' && payment.lease.property.ownerId !== req.user.manager.ownerId) {
+  if (req.user.role === 'MANAGER' && !managesProperty(req.user, payment.lease.propertyId)) {
     return errorResponse(res, 'You can only access payments for properties you manage', 403);
   }
 
@@ -166,7 +167,8 @@ export const createPayment = asyncHandler(async (req, res) => {
   }
 
   const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-  if (lease.property.ownerId !== allowedOwnerId) {
+  if (lease.property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, lease.propertyId))) {
     return errorResponse(res, 'You can only create payments for your properties', 403);
   }
 
@@ -189,7 +191,7 @@ export const updatePayment = asyncHandler(async (req, res) => {
 
     const payment = await prisma.payment.findUnique({
         where: { id },
-        include: { lease: { select: { property: { select: { ownerId: true } } } } }
+        include: { lease: { select: { propertyId: true, property: { select: { ownerId: true } } } } }
     });
 
     if (!payment) {
@@ -197,7 +199,8 @@ export const updatePayment = asyncHandler(async (req, res) => {
     }
     
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (payment.lease.property.ownerId !== allowedOwnerId) {
+    if (payment.lease.property.ownerId !== allowedOwnerId
+        || (req.user.role === 'MANAGER' && !managesProperty(req.user, payment.lease.propertyId))) {
         return errorResponse(res, 'You are not authorized to update this payment', 403);
     }
 
@@ -222,7 +225,7 @@ export const deletePayment = asyncHandler(async (req, res) => {
     
     const payment = await prisma.payment.findUnique({
         where: { id },
-        include: { lease: { select: { property: { select: { ownerId: true } } } } }
+        include: { lease: { select: { propertyId: true, property: { select: { ownerId: true } } } } }
     });
 
     if (!payment) {
@@ -230,7 +233,8 @@ export const deletePayment = asyncHandler(async (req, res) => {
     }
 
     const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
-    if (payment.lease.property.ownerId !== allowedOwnerId) {
+    if (payment.lease.property.ownerId !== allowedOwnerId
+        || (req.user.role === 'MANAGER' && !managesProperty(req.user, payment.lease.propertyId))) {
         return errorResponse(res, 'You are not authorized to delete this payment', 403);
     }
 
@@ -243,6 +247,42 @@ export const deletePayment = asyncHandler(async (req, res) => {
     return successResponse(res, null, 'Payment deleted successfully');
 });
 
+export const refundPayment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const payment = await prisma.payment.findUnique({
+        where: { id },
+        include: { lease: { select: { propertyId: true, property: { select: { ownerId: true } } } } }
+    });
+
+    if (!payment) {
+        return errorResponse(res, 'Payment not found', 404);
+    }
+
+    const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
+    if (req.user.role !== 'SUPER_ADMIN' && (payment.lease.property.ownerId !== allowedOwnerId
+        || (req.user.role === 'MANAGER' && !managesProperty(req.user, payment.lease.propertyId)))) {
+        return errorResponse(res, 'You are not authorized to refund this payment', 403);
+    }
+
+    if (payment.status !== 'PAID') {
+        return errorResponse(res, 'Only completed payments can be refunded', 400);
+    }
+
+    const refundedPayment = await prisma.payment.update({
+        where: { id },
+        data: {
+            status: 'REFUNDED',
+            notes: reason ? [payment.notes, `Refunded: ${reason}`].filter(Boolean).join('\n') : payment.notes,
+        },
+    });
+
+    logger.info(`Payment ${id} refunded by ${req.user.email}`);
+
+    return successResponse(res, refundedPayment, 'Payment refunded successfully');
+});
+
 export const processOnlinePayment = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { paymentMethodToken } = req.body; 
@@ -318,7 +358,7 @@ export const downloadPaymentReceipt = asyncHandler(async (req, res) => {
     }
 
     const isOwnerOrManager = (req.user.role === 'OWNER' && payment.lease.property.ownerId === req.user.owner.id) ||
-                            (req.user.role === 'MANAGER' && payment.lease.property.ownerId === req.user.manager.ownerId);
+                            (req.user.role === 'MANAGER' && managesProperty(req.user, payment.lease.propertyId));
     const isTenant = req.user.role === 'TENANT' && payment.tenantId === req.user.tenant.id;
 
     if (!isOwnerOrManager && !isTenant && req.user.role !== 'SUPER_ADMIN') {
@@ -342,7 +382,7 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
     if (req.user.role === 'OWNER') {
         where = { lease: { property: { ownerId: req.user.owner.id } } };
     } else if (req.user.role === 'MANAGER') {
-        where = { lease: { property: { ownerId: req.user.manager.ownerId } } };
+        where = { lease: { property: managedPropertiesWhere(req.user) } };
     }
 
     const payments = await prisma.payment.findMany({ where });
@@ -388,7 +428,7 @@ export const getOverduePayments = asyncHandler(async (req, res) => {
     };
   } else if (req.user.role === 'MANAGER') {
     where.lease = {
-      property: { ownerId: req.user.manager.ownerId },
+      property: managedPropertiesWhere(req.user),
     };
   }
 
@@ -1,11 +1,12 @@
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   createPayment,
   getPayments,
   getPaymentById,
   updatePayment,
   deletePayment,
+  refundPayment,
   processOnlinePayment,
   getOverduePayments,
   downloadPaymentReceipt,
@@ -54,7 +55,7 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  */
-router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), createPayment);
+router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.create'), createPayment);
 
 /**
  * @swagger
@@ -84,7 +85,7 @@ router.post('/', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), c
  *       200:
  *         description: List of payments
  */
-router.get('/', authenticate, getPayments);
+router.get('/', authenticate, checkPermissions('payments.view'), getPayments);
 
 /**
  * @swagger
@@ -98,7 +99,7 @@ router.get('/', authenticate, getPayments);
  *       200:
  *         description: List of overdue payments
  */
-router.get('/overdue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getOverduePayments);
+router.get('/overdue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.view'), getOverduePayments);
 
 /**
  * @swagger
@@ -112,7 +113,7 @@ router.get('/overdue', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER
  *       200:
  *         description: Payment analytics data
  */
-router.get('/analytics', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), getPaymentAnalytics);
+router.get('/analytics', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.view'), getPaymentAnalytics);
 
 /**
  * @swagger
@@ -134,7 +135,7 @@ router.get('/analytics', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAG
  *       404:
  *         description: Payment not found
  */
-router.get('/:id', authenticate, getPaymentById);
+router.get('/:id', authenticate, checkPermissions('payments.view'), getPaymentById);
 
 /**
  * @swagger
@@ -154,7 +155,7 @@ router.get('/:id', authenticate, getPaymentById);
  *       200:
  *         description: Payment updated successfully
  */
-router.put('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), updatePayment);
+router.put('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.update'), updatePayment);
 
 /**
  * @swagger
@@ -174,7 +175,37 @@ router.put('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']),
  *       200:
  *         description: Payment deleted successfully
  */
-router.delete('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), deletePayment);
+router.delete('/:id', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.delete'), deletePayment);
+
+/**
+ * @swagger
+ * /payments/{id}/refund:
+ *   post:
+ *     summary: Refund a completed payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment marked as refunded
+ *       400:
+ *         description: Payment is not paid
+ */
+router.post('/:id/refund', authenticate, authorize(['SUPER_ADMIN', 'OWNER', 'MANAGER']), checkPermissions('payments.refund'), refundPayment);
 
 /**
  * @swagger
@@ -214,6 +245,6 @@ router.post('/:id/process', authenticate, processOnlinePayment);
  *       200:
  *         description: Payment receipt PDF
  */
-router.get('/:id/receipt', authenticate, downloadPaymentReceipt);
+router.get('/:id/receipt', authenticate, checkPermissions('payments.view'), downloadPaymentReceipt);
 
 export default router;
\ No newline at end of file
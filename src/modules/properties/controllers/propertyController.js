@@ -2,7 +2,61 @@
 import { asyncHandler } from '../../../middleware/errorHandler.js';
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
-import { uploadToCloudinary, deleteFromCloudinary } from '../../../utils/cloudinary.js';
+import { addPropertyImages, withVariants } from '../../../services/propertyImageService.js';
+import { ADDRESS_FIELDS, geocodeAddress, formatAddress } from '../../../services/geocodingService.js';
+import { distanceKm, boundingBoxAround, boundingBoxWhere } from '../../../utils/geo.js';
+import { archivedWhere, archiveProperty, restoreProperty as restoreArchivedProperty } from '../../../services/archiveService.js';
+import { managedPropertiesWhere, managesProperty } from '../../../services/propertyAssignmentService.js';
+
+const propertyListInclude = {
+  owner: {
+    select: {
+      id: true,
+      companyName: true,
+      user: {
+        select: {
+          email: true,
+        },
+      },
+    },
+  },
+  tenants: {
+    where: { isActive: true },
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      user: {
+        select: {
+          email: true,
+        },
+      },
+    },
+  },
+  _count: {
+    select: {
+      tenants: { where: { isActive: true } },
+      leases: { where: { status: 'ACTIVE' } },
+      rentalUnits: true,
+    },
+  },
+};
+
+const paginationMeta = (total, page, limit) => ({
+  total,
+  page: parseInt(page),
+  limit: parseInt(limit),
+  pages: Math.ceil(total / parseInt(limit)),
+});
+
+// Coordinates supplied with the request win; otherwise the address is geocoded
+const resolveCoordinates = async ({ latitude, longitude }, address) => {
+  if (latitude !== undefined && longitude !== undefined) {
+    return { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+  }
+
+  return await geocodeAddress(address) || { latitude: null, longitude: null };
+};
 
 /**
  * @swagger
@@ -19,11 +73,28 @@ import { uploadToCloudinary, deleteFromCloudinary } from '../../../utils/cloudin
  *           type: string
  *         address:
  *           type: string
+ *         addressLine1:
+ *           type: string
+ *         addressLine2:
+ *           type: string
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         postalCode:
+ *           type: string
+ *         country:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
  *         type:
  *           type: string
  *           enum: [APARTMENT, HOUSE, CONDO, TOWNHOUSE, STUDIO, OTHER]
  *         units:
  *           type: integer
+ *           description: Declared number of units. Buildings split into unit records list them under /properties/{id}/units.
  *         rentAmount:
  *           type: number
  *         status:
@@ -37,6 +108,15 @@ import { uploadToCloudinary, deleteFromCloudinary } from '../../../utils/cloudin
  *           type: array
  *           items:
  *             type: string
+ *         isPublished:
+ *           type: boolean
+ *           description: Whether the property appears in the public /listings API
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         availableFrom:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -68,21 +148,56 @@ import { uploadToCloudinary, deleteFromCloudinary } from '../../../utils/cloudin
  *         schema:
  *           type: string
  *           enum: [APARTMENT, HOUSE, CONDO, TOWNHOUSE, STUDIO, OTHER]
+ *       - in: query
+ *         name: minLat
+ *         description: Bounding box; give minLat, maxLat, minLng and maxLng together. minLng above maxLng crosses the antimeridian.
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxLat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minLng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxLng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lat
+ *         description: Centre of a radius search; give lat, lng and radiusKm together. Results are sorted by distance and carry distanceKm.
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: includeArchived
+ *         description: Include archived properties, which are hidden by default
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Properties retrieved successfully
  */
 export const getProperties = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status, type, search } = req.query;
+  const { page = 1, limit = 10, status, type, search, minLat, maxLat, minLng, maxLng, includeArchived } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const where = {};
+  const where = { AND: [], ...archivedWhere(includeArchived) };
 
   // Role-based filtering
   if (req.user.role === 'OWNER') {
     where.ownerId = req.user.owner.id;
   } else if (req.user.role === 'MANAGER') {
-    where.ownerId = req.user.manager.ownerId;
+    Object.assign(where, managedPropertiesWhere(req.user));
   }
 
   if (status) where.status = status;
@@ -91,47 +206,53 @@ export const getProperties = asyncHandler(async (req, res) => {
     where.OR = [
       { name: { contains: search, mode: 'insensitive' } },
       { address: { contains: search, mode: 'insensitive' } },
+      { city: { contains: search, mode: 'insensitive' } },
       { description: { contains: search, mode: 'insensitive' } },
     ];
   }
 
+  if (minLat !== undefined) {
+    where.AND.push(boundingBoxWhere({
+      minLat: parseFloat(minLat),
+      maxLat: parseFloat(maxLat),
+      minLng: parseFloat(minLng),
+      maxLng: parseFloat(maxLng),
+    }));
+  }
+
+  // Radius search: narrow down with the enclosing box in the database, then
+  // measure the real distance and page through the sorted matches
+  if (req.query.lat !== undefined) {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = parseFloat(req.query.radiusKm);
+
+    where.AND.push(boundingBoxWhere(boundingBoxAround(lat, lng, radiusKm)));
+
+    const candidates = await prisma.property.findMany({
+      where,
+      include: propertyListInclude,
+    });
+
+    const matches = candidates
+      .map(property => ({ ...property, distanceKm: distanceKm(lat, lng, property.latitude, property.longitude) }))
+      .filter(property => property.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    return res.json({
+      properties: matches
+        .slice(skip, skip + parseInt(limit))
+        .map(property => ({ ...property, distanceKm: Math.round(property.distanceKm * 100) / 100 })),
+      pagination: paginationMeta(matches.length, page, limit),
+    });
+  }
+
   const [properties, total] = await Promise.all([
     prisma.property.findMany({
       where,
       skip,
       take: parseInt(limit),
-      include: {
-        owner: {
-          select: {
-            id: true,
-            companyName: true,
-            user: {
-              select: {
-                email: true,
-              },
-            },
-          },
-        },
-        tenants: {
-          where: { isActive: true },
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            user: {
-              select: {
-                email: true,
-              },
-            },
-          },
-        },
-        _count: {
-          select: {
-            tenants: { where: { isActive: true } },
-            leases: { where: { status: 'ACTIVE' } },
-          },
-        },
-      },
+      include: propertyListInclude,
       orderBy: { createdAt: 'desc' },
     }),
     prisma.property.count({ where }),
@@ -139,12 +260,7 @@ export const getProperties = asyncHandler(async (req, res) => {
 
   res.json({
     properties,
-    pagination: {
-      total,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      pages: Math.ceil(total / parseInt(limit)),
-    },
+    pagination: paginationMeta(total, page, limit),
   });
 });
 
@@ -221,6 +337,9 @@ export const getPropertyById = asyncHandler(async (req, res) => {
         },
         orderBy: { createdAt: 'desc' },
       },
+      rentalUnits: {
+        orderBy: [{ floor: 'asc' }, { number: 'asc' }],
+      },
       complaints: {
         where: { status: { not: 'CLOSED' } },
         select: {
@@ -250,7 +369,8 @@ export const getPropertyById = asyncHandler(async (req, res) => {
     });
   }
 
-  if (req.user.role === 'MANAGER' && property.ownerId !== req.user.manager.ownerId) {
+  if (req.user.role === 'MANAGER' && (property.ownerId !== req.user.manager.ownerId
+    || !managesProperty(req.user, property.id))) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only access properties you manage',
@@ -276,7 +396,6 @@ export const getPropertyById = asyncHandler(async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - address
  *               - rentAmount
  *             properties:
  *               name:
@@ -285,6 +404,24 @@ export const getPropertyById = asyncHandler(async (req, res) => {
  *                 type: string
  *               address:
  *                 type: string
+ *                 description: Required unless the structured address (addressLine1 and city) is given
+ *               addressLine1:
+ *                 type: string
+ *               addressLine2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Give with longitude to skip geocoding the address
+ *               longitude:
+ *                 type: number
  *               type:
  *                 type: string
  *                 enum: [APARTMENT, HOUSE, CONDO, TOWNHOUSE, STUDIO, OTHER]
@@ -296,6 +433,10 @@ export const getPropertyById = asyncHandler(async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               availableFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: When the property can be moved into; shown on public listings
  *     responses:
  *       201:
  *         description: Property created successfully
@@ -309,19 +450,27 @@ export const createProperty = asyncHandler(async (req, res) => {
     units = 1,
     rentAmount,
     amenities = [],
+    availableFrom,
   } = req.body;
 
   const ownerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
 
+  const addressParts = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, req.body[field]]));
+  const fullAddress = address || formatAddress(addressParts);
+  const coordinates = await resolveCoordinates(req.body, fullAddress);
+
   const property = await prisma.property.create({
     data: {
       name,
       description,
-      address,
+      address: fullAddress,
+      ...addressParts,
+      ...coordinates,
       type,
       units: parseInt(units),
       rentAmount: parseFloat(rentAmount),
       amenities,
+      availableFrom: availableFrom ? new Date(availableFrom) : null,
       ownerId,
     },
     include: {
@@ -373,6 +522,23 @@ export const createProperty = asyncHandler(async (req, res) => {
  *                 type: string
  *               address:
  *                 type: string
+ *               addressLine1:
+ *                 type: string
+ *               addressLine2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Give with longitude; otherwise a changed address is geocoded again
+ *               longitude:
+ *                 type: number
  *               type:
  *                 type: string
  *               units:
@@ -385,6 +551,10 @@ export const createProperty = asyncHandler(async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               availableFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: When the property can be moved into; shown on public listings
  *     responses:
  *       200:
  *         description: Property updated successfully
@@ -407,16 +577,40 @@ export const updateProperty = asyncHandler(async (req, res) => {
 
   // Check permissions
   const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-  if (existingProperty.ownerId !== allowedOwnerId) {
+  if (existingProperty.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, existingProperty.id))) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only update your own properties',
     });
   }
 
+  if (existingProperty.isArchived) {
+    return res.status(409).json({
+      error: 'Property archived',
+      message: 'Property is archived. Restore it first.',
+    });
+  }
+
   // Convert numeric fields
   if (updateData.units) updateData.units = parseInt(updateData.units);
   if (updateData.rentAmount) updateData.rentAmount = parseFloat(updateData.rentAmount);
+  if (updateData.availableFrom) updateData.availableFrom = new Date(updateData.availableFrom);
+
+  // Keep the single-line address and the coordinates in step with the parts
+  const addressChanged = updateData.address !== undefined
+    || ADDRESS_FIELDS.some(field => updateData[field] !== undefined);
+
+  if (addressChanged && updateData.address === undefined) {
+    const merged = { ...existingProperty, ...updateData };
+    if (merged.addressLine1) {
+      updateData.address = formatAddress(merged);
+    }
+  }
+
+  if (addressChanged || updateData.latitude !== undefined) {
+    Object.assign(updateData, await resolveCoordinates(updateData, updateData.address || existingProperty.address));
+  }
 
   const property = await prisma.property.update({
     where: { id },
@@ -496,31 +690,119 @@ export const uploadPropertyImages = asyncHandler(async (req, res) => {
   }
 
   const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-  if (property.ownerId !== allowedOwnerId) {
+  if (property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id))) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only upload images for your own properties',
     });
   }
 
-  // Upload images to Cloudinary
-  const uploadPromises = req.files.map(file => uploadToCloudinary(file.buffer, 'properties'));
-  const uploadResults = await Promise.all(uploadPromises);
-  const imageUrls = uploadResults.map(result => result.secure_url);
+  if (property.isArchived) {
+    return res.status(409).json({
+      error: 'Property archived',
+      message: 'Property is archived. Restore it first.',
+    });
+  }
+
+  // Upload images to Cloudinary and record them after the existing ones
+  const propertyImages = await addPropertyImages(property, req.files);
 
-  // Update property with new images
-  const updatedProperty = await prisma.property.update({
+  const updatedProperty = await prisma.property.findUnique({
     where: { id },
-    data: {
-      images: [...property.images, ...imageUrls],
-    },
   });
 
   logger.info(`Images uploaded for property: ${property.name} by user ${req.user.email}`);
 
   res.json({
     message: 'Images uploaded successfully',
-    images: imageUrls,
+    images: propertyImages.map(image => image.url),
+    propertyImages: propertyImages.map(withVariants),
+    property: updatedProperty,
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/publish:
+ *   patch:
+ *     tags: [Properties]
+ *     summary: Publish or unpublish a property on the public listings
+ *     description: Published properties appear under /listings while they, or any of their units, are available.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPublished
+ *             properties:
+ *               isPublished:
+ *                 type: boolean
+ *               availableFrom:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Publishing updated
+ */
+export const publishProperty = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { isPublished, availableFrom } = req.body;
+
+  const property = await prisma.property.findUnique({
+    where: { id },
+  });
+
+  if (!property) {
+    return res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+  }
+
+  const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
+  if (property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only publish your own properties',
+    });
+  }
+
+  if (property.isArchived) {
+    return res.status(409).json({
+      error: 'Property archived',
+      message: 'Property is archived. Restore it first.',
+    });
+  }
+
+  const publish = isPublished === true || isPublished === 'true';
+  const data = { isPublished: publish };
+
+  // Keep the original date while a listing stays up, so feeds don't re-announce it
+  if (publish && !property.isPublished) data.publishedAt = new Date();
+  if (availableFrom !== undefined) data.availableFrom = availableFrom ? new Date(availableFrom) : null;
+
+  const updatedProperty = await prisma.property.update({
+    where: { id },
+    data,
+  });
+
+  logger.info(`Property ${publish ? 'published' : 'unpublished'}: ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: publish ? 'Property published' : 'Property unpublished',
     property: updatedProperty,
   });
 });
@@ -530,7 +812,8 @@ export const uploadPropertyImages = asyncHandler(async (req, res) => {
  * /properties/{id}:
  *   delete:
  *     tags: [Properties]
- *     summary: Delete property
+ *     summary: Archive property
+ *     description: Soft deletes the property together with its tenants and leases, keeping payments and the rest of its history. Archived records are hidden from lists and can be restored until a super admin purges them after the retention period.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -541,7 +824,11 @@ export const uploadPropertyImages = asyncHandler(async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Property deleted successfully
+ *         description: Property archived successfully
+ *       400:
+ *         description: Property has active tenants or leases
+ *       409:
+ *         description: Property is already archived
  */
 export const deleteProperty = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -549,7 +836,7 @@ export const deleteProperty = asyncHandler(async (req, res) => {
   const property = await prisma.property.findUnique({
     where: { id },
     include: {
-      tenants: { where: { isActive: true } },
+      tenants: { where: { isActive: true, isArchived: false } },
       leases: { where: { status: 'ACTIVE' } },
     },
   });
@@ -562,8 +849,7 @@ export const deleteProperty = asyncHandler(async (req, res) => {
   }
 
   // Check permissions
-  const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-  if (property.ownerId !== allowedOwnerId) {
+  if (req.user.role !== 'SUPER_ADMIN' && property.ownerId !== req.user.owner.id) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only delete your own properties',
@@ -578,22 +864,64 @@ export const deleteProperty = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete images from Cloudinary
-  if (property.images.length > 0) {
-    const deletePromises = property.images.map(imageUrl => {
-      const publicId = imageUrl.split('/').pop().split('.')[0];
-      return deleteFromCloudinary(publicId);
-    });
-    await Promise.allSettled(deletePromises);
-  }
+  const archived = await archiveProperty(property);
+
+  logger.info(`Property archived: ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Property archived successfully',
+    property: archived,
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/restore:
+ *   post:
+ *     tags: [Properties]
+ *     summary: Restore an archived property
+ *     description: Restores the property with the tenants and leases archived along with it. The property stays unpublished.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Property restored successfully
+ *       409:
+ *         description: Property is not archived
+ */
+export const restoreProperty = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-  await prisma.property.delete({
+  const property = await prisma.property.findUnique({
     where: { id },
   });
 
-  logger.info(`Property deleted: ${property.name} by user ${req.user.email}`);
+  if (!property) {
+    return res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+  }
+
+  if (req.user.role !== 'SUPER_ADMIN' && property.ownerId !== req.user.owner.id) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only restore your own properties',
+    });
+  }
+
+  const restored = await restoreArchivedProperty(property);
+
+  logger.info(`Property restored: ${property.name} by user ${req.user.email}`);
 
   res.json({
-    message: 'Property deleted successfully',
+    message: 'Property restored successfully',
+    property: restored,
   });
 });
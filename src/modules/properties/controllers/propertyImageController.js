@@ -0,0 +1,297 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import {
+  getPropertyImages as listPropertyImages,
+  reorderPropertyImages,
+  updatePropertyImage as savePropertyImage,
+  deletePropertyImage as removePropertyImage,
+  withVariants,
+} from '../../../services/propertyImageService.js';
+import { managesProperty } from '../../../services/propertyAssignmentService.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertyImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         url:
+ *           type: string
+ *         caption:
+ *           type: string
+ *         position:
+ *           type: integer
+ *         isCover:
+ *           type: boolean
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         variants:
+ *           type: object
+ *           properties:
+ *             thumbnail:
+ *               type: string
+ *             medium:
+ *               type: string
+ */
+
+// Loads the property and checks it belongs to the caller's portfolio, and for
+// managers that it is one of their assigned properties. Sends the error
+// response and returns null when it does not.
+const findAccessibleProperty = async (req, res) => {
+  const property = await prisma.property.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!property) {
+    res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+    return null;
+  }
+
+  const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
+  if (req.user.role !== 'SUPER_ADMIN' && (property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id)))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only manage images of your own properties',
+    });
+    return null;
+  }
+
+  return property;
+};
+
+const findImage = async (req, res, property) => {
+  const images = await listPropertyImages(property);
+  const image = images.find(candidate => candidate.id === req.params.imageId);
+
+  if (!image) {
+    res.status(404).json({
+      error: 'Image not found',
+      message: 'Image with this ID does not exist in this property',
+    });
+    return null;
+  }
+
+  return image;
+};
+
+/**
+ * @swagger
+ * /properties/{id}/images:
+ *   get:
+ *     tags: [Properties]
+ *     summary: List the images of a property in display order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Images retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PropertyImage'
+ *       404:
+ *         description: Property not found
+ */
+export const getPropertyImages = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const images = await listPropertyImages(property);
+
+  res.json({
+    images: images.map(withVariants),
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/images/order:
+ *   put:
+ *     tags: [Properties]
+ *     summary: Reorder the images of a property
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [imageIds]
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: Every image ID of the property, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images reordered successfully
+ *       400:
+ *         description: The IDs are not exactly the property's images
+ *       404:
+ *         description: Property not found
+ */
+export const reorderImages = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const { imageIds } = req.body;
+  const images = await listPropertyImages(property);
+  const currentIds = new Set(images.map(image => image.id));
+
+  if (new Set(imageIds).size !== imageIds.length
+    || imageIds.length !== currentIds.size
+    || !imageIds.every(id => currentIds.has(id))) {
+    return res.status(400).json({
+      error: 'Invalid image order',
+      message: 'The order must list every image of the property exactly once',
+    });
+  }
+
+  const reordered = await reorderPropertyImages(property.id, imageIds);
+
+  logger.info(`Images reordered for property: ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Images reordered successfully',
+    images: reordered.map(withVariants),
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/images/{imageId}:
+ *   patch:
+ *     tags: [Properties]
+ *     summary: Update an image's caption or make it the cover photo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 nullable: true
+ *               isCover:
+ *                 type: boolean
+ *                 description: Set to true to make this the cover; the previous cover is unset
+ *     responses:
+ *       200:
+ *         description: Image updated successfully
+ *       400:
+ *         description: The cover can only be replaced, not unset
+ *       404:
+ *         description: Property or image not found
+ */
+export const updatePropertyImage = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const image = await findImage(req, res, property);
+  if (!image) return;
+
+  const { caption } = req.body;
+  const isCover = req.body.isCover === undefined ? undefined : String(req.body.isCover) === 'true';
+
+  if (isCover === false && image.isCover) {
+    return res.status(400).json({
+      error: 'Cover required',
+      message: 'Make another image the cover instead',
+    });
+  }
+
+  const updated = await savePropertyImage(image, { caption, isCover });
+
+  logger.info(`Image ${image.id} updated for property: ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Image updated successfully',
+    image: withVariants(updated),
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/images/{imageId}:
+ *   delete:
+ *     tags: [Properties]
+ *     summary: Delete an image from a property and from storage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image deleted successfully; the next image becomes the cover if needed
+ *       404:
+ *         description: Property or image not found
+ */
+export const deletePropertyImage = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const image = await findImage(req, res, property);
+  if (!image) return;
+
+  await removePropertyImage(image);
+
+  logger.info(`Image ${image.id} deleted from property: ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Image deleted successfully',
+  });
+});
@@ -0,0 +1,405 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+import { managesProperty } from '../../../services/propertyAssignmentService.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Unit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         number:
+ *           type: string
+ *         floor:
+ *           type: integer
+ *         bedrooms:
+ *           type: integer
+ *         size:
+ *           type: number
+ *           description: Floor area in square feet
+ *         rentAmount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [AVAILABLE, OCCUPIED, MAINTENANCE, UNAVAILABLE]
+ */
+
+// Loads the property and checks it belongs to the caller's portfolio, and for
+// managers that they are assigned to it. Sends the error response and returns
+// null when it does not.
+const findAccessibleProperty = async (req, res) => {
+  const property = await prisma.property.findUnique({
+    where: { id: req.params.id },
+  });
+
+  if (!property) {
+    res.status(404).json({
+      error: 'Property not found',
+      message: 'Property with this ID does not exist',
+    });
+    return null;
+  }
+
+  const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager?.ownerId;
+  if (req.user.role !== 'SUPER_ADMIN' && (property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id)))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only manage units of your own properties',
+    });
+    return null;
+  }
+
+  return property;
+};
+
+const findUnit = (property, unitId) => {
+  return prisma.unit.findFirst({
+    where: { id: unitId, propertyId: property.id },
+  });
+};
+
+const sendUnitNotFound = (res) => {
+  return res.status(404).json({
+    error: 'Unit not found',
+    message: 'Unit with this ID does not exist in this property',
+  });
+};
+
+const sendDuplicateUnit = (res, number) => {
+  return res.status(409).json({
+    error: 'Unit already exists',
+    message: `The property already has a unit numbered ${number}`,
+  });
+};
+
+const unitData = (body) => ({
+  ...(body.number !== undefined && { number: body.number }),
+  ...(body.floor !== undefined && { floor: body.floor === null ? null : parseInt(body.floor) }),
+  ...(body.bedrooms !== undefined && { bedrooms: parseInt(body.bedrooms) }),
+  ...(body.size !== undefined && { size: body.size === null ? null : parseFloat(body.size) }),
+  ...(body.rentAmount !== undefined && { rentAmount: parseFloat(body.rentAmount) }),
+  ...(body.status !== undefined && { status: body.status }),
+});
+
+const activeLeaseInclude = {
+  leases: {
+    where: { status: 'ACTIVE' },
+    select: {
+      id: true,
+      startDate: true,
+      endDate: true,
+      tenant: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @swagger
+ * /properties/{id}/units:
+ *   get:
+ *     tags: [Properties]
+ *     summary: List the units of a property
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [AVAILABLE, OCCUPIED, MAINTENANCE, UNAVAILABLE]
+ *     responses:
+ *       200:
+ *         description: Units retrieved successfully, with their active lease
+ *       404:
+ *         description: Property not found
+ */
+export const getUnits = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const units = await prisma.unit.findMany({
+    where: {
+      propertyId: property.id,
+      ...(req.query.status && { status: req.query.status }),
+    },
+    include: activeLeaseInclude,
+    orderBy: [{ floor: 'asc' }, { number: 'asc' }],
+  });
+
+  res.json({ units });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/units/{unitId}:
+ *   get:
+ *     tags: [Properties]
+ *     summary: Get a unit
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: unitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unit with its tenants, active lease and open maintenance requests
+ *       404:
+ *         description: Property or unit not found
+ */
+export const getUnitById = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const unit = await prisma.unit.findFirst({
+    where: { id: req.params.unitId, propertyId: property.id },
+    include: {
+      ...activeLeaseInclude,
+      tenants: {
+        where: { isActive: true },
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+      maintenanceRequests: {
+        where: { status: { in: ['OPEN', 'IN_PROGRESS'] } },
+        select: {
+          id: true,
+          title: true,
+          status: true,
+          priority: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+      },
+    },
+  });
+
+  if (!unit) {
+    return sendUnitNotFound(res);
+  }
+
+  res.json({ unit });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/units:
+ *   post:
+ *     tags: [Properties]
+ *     summary: Add a unit to a property
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - number
+ *             properties:
+ *               number:
+ *                 type: string
+ *               floor:
+ *                 type: integer
+ *               bedrooms:
+ *                 type: integer
+ *               size:
+ *                 type: number
+ *               rentAmount:
+ *                 type: number
+ *                 description: Defaults to the property's rent amount
+ *               status:
+ *                 type: string
+ *                 enum: [AVAILABLE, OCCUPIED, MAINTENANCE, UNAVAILABLE]
+ *     responses:
+ *       201:
+ *         description: Unit created successfully
+ *       409:
+ *         description: The property already has a unit with this number
+ */
+export const createUnit = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const existingUnit = await prisma.unit.findUnique({
+    where: { propertyId_number: { propertyId: property.id, number: req.body.number } },
+  });
+
+  if (existingUnit) {
+    return sendDuplicateUnit(res, req.body.number);
+  }
+
+  const unit = await prisma.unit.create({
+    data: {
+      rentAmount: property.rentAmount,
+      ...unitData(req.body),
+      propertyId: property.id,
+    },
+  });
+
+  logger.info(`Unit ${unit.number} created in property ${property.name} by user ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Unit created successfully',
+    unit,
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/units/{unitId}:
+ *   put:
+ *     tags: [Properties]
+ *     summary: Update a unit
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: unitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Unit'
+ *     responses:
+ *       200:
+ *         description: Unit updated successfully
+ *       404:
+ *         description: Property or unit not found
+ *       409:
+ *         description: The property already has a unit with this number
+ */
+export const updateUnit = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const existingUnit = await findUnit(property, req.params.unitId);
+  if (!existingUnit) {
+    return sendUnitNotFound(res);
+  }
+
+  if (req.body.number && req.body.number !== existingUnit.number) {
+    const duplicate = await prisma.unit.findUnique({
+      where: { propertyId_number: { propertyId: property.id, number: req.body.number } },
+    });
+
+    if (duplicate) {
+      return sendDuplicateUnit(res, req.body.number);
+    }
+  }
+
+  const unit = await prisma.unit.update({
+    where: { id: existingUnit.id },
+    data: unitData(req.body),
+  });
+
+  logger.info(`Unit ${unit.number} updated in property ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Unit updated successfully',
+    unit,
+  });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/units/{unitId}:
+ *   delete:
+ *     tags: [Properties]
+ *     summary: Delete a unit
+ *     description: Units with an active lease cannot be deleted. Past leases, tenants and maintenance requests keep their history but lose the link to the unit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: unitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unit deleted successfully
+ *       400:
+ *         description: Unit has an active lease
+ *       404:
+ *         description: Property or unit not found
+ */
+export const deleteUnit = asyncHandler(async (req, res) => {
+  const property = await findAccessibleProperty(req, res);
+  if (!property) return;
+
+  const unit = await findUnit(property, req.params.unitId);
+  if (!unit) {
+    return sendUnitNotFound(res);
+  }
+
+  const activeLeases = await prisma.lease.count({
+    where: { unitId: unit.id, status: 'ACTIVE' },
+  });
+
+  if (activeLeases > 0) {
+    return res.status(400).json({
+      error: 'Cannot delete unit',
+      message: 'Unit has an active lease. Please resolve it first.',
+    });
+  }
+
+  await prisma.unit.delete({
+    where: { id: unit.id },
+  });
+
+  logger.info(`Unit ${unit.number} deleted from property ${property.name} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Unit deleted successfully',
+  });
+});
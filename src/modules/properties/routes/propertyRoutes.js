@@ -1,7 +1,7 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
-import { validateProperty, validatePropertyUpdate } from '../../../middleware/validation.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
+import { validateProperty, validatePropertyUpdate, validatePropertySearch, validatePropertyPublish, validatePropertyImageOrder, validatePropertyImageUpdate, validateUnit, validateUnitUpdate } from '../../../middleware/validation.js';
 import { upload } from '../../../middleware/upload.js';
 import {
   getProperties,
@@ -9,8 +9,23 @@ import {
   createProperty,
   updateProperty,
   uploadPropertyImages,
+  publishProperty,
   deleteProperty,
+  restoreProperty,
 } from '../controllers/propertyController.js';
+import {
+  getUnits,
+  getUnitById,
+  createUnit,
+  updateUnit,
+  deleteUnit,
+} from '../controllers/unitController.js';
+import {
+  getPropertyImages,
+  reorderImages,
+  updatePropertyImage,
+  deletePropertyImage,
+} from '../controllers/propertyImageController.js';
 
 const router = express.Router();
 
@@ -25,21 +40,38 @@ const router = express.Router();
 router.use(authenticate);
 
 // Get all properties
-router.get('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), getProperties);
+router.get('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.view'), validatePropertySearch, getProperties);
 
 // Get property by ID
-router.get('/:id', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT'), getPropertyById);
+router.get('/:id', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER', 'TENANT'), checkPermissions('properties.view'), getPropertyById);
 
 // Create new property
-router.post('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), validateProperty, createProperty);
+router.post('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.create'), validateProperty, createProperty);
 
 // Update property
-router.put('/:id', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), validatePropertyUpdate, updateProperty);
+router.put('/:id', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validatePropertyUpdate, updateProperty);
 
 // Upload property images
-router.post('/:id/images', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), upload.array('images', 10), uploadPropertyImages);
+router.post('/:id/images', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), upload.array('images', 10), uploadPropertyImages);
+
+// Image ordering, cover and captions
+router.get('/:id/images', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.view'), getPropertyImages);
+router.put('/:id/images/order', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validatePropertyImageOrder, reorderImages);
+router.patch('/:id/images/:imageId', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validatePropertyImageUpdate, updatePropertyImage);
+router.delete('/:id/images/:imageId', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), deletePropertyImage);
 
-// Delete property
+// Publish on the public listings
+router.patch('/:id/publish', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validatePropertyPublish, publishProperty);
+
+// Archive and restore property
 router.delete('/:id', authorize('SUPER_ADMIN', 'OWNER'), deleteProperty);
+router.post('/:id/restore', authorize('SUPER_ADMIN', 'OWNER'), restoreProperty);
+
+// Units
+router.get('/:id/units', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.view'), getUnits);
+router.post('/:id/units', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validateUnit, createUnit);
+router.get('/:id/units/:unitId', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.view'), getUnitById);
+router.put('/:id/units/:unitId', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), validateUnitUpdate, updateUnit);
+router.delete('/:id/units/:unitId', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('properties.update'), deleteUnit);
 
 export default router;
@@ -3,39 +3,52 @@ import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { generatePaymentReceipt } from '../../../utils/pdfGenerator.js';
 import { successResponse, errorResponse } from '../../../utils/responseHelpers.js';
+import { managedPropertiesWhere } from '../../../services/propertyAssignmentService.js';
+import { summarizeFinancials, monthlyCashFlow } from '../../../services/expenseService.js';
 
 export const getFinancialReport = async (req, res) => {
   try {
     const { startDate, endDate, propertyId, format = 'json' } = req.query;
-    
-    let where = {
+
+    // Apply role-based filtering
+    let propertyWhere = {};
+    if (req.user.role === 'OWNER') {
+      propertyWhere = { ownerId: req.user.owner.id };
+    } else if (req.user.role === 'MANAGER') {
+      propertyWhere = managedPropertiesWhere(req.user);
+    }
+
+    const scope = {
+      property: propertyWhere,
+      ...(propertyId && { propertyId })
+    };
+
+    const where = {
       createdAt: {
         gte: new Date(startDate),
         lte: new Date(endDate)
-      }
+      },
+      lease: scope
     };
 
-    // Apply role-based filtering
-    if (req.user.role === 'OWNER') {
-      where.lease = {
-        property: {
-          ownerId: req.user.owner.id
+    const expenses = await prisma.expense.findMany({
+      where: {
+        ...scope,
+        incurredOn: {
+          gte: new Date(startDate),
+          lte: new Date(endDate)
         }
-      };
-    } else if (req.user.role === 'MANAGER') {
-      where.lease = {
+      },
+      include: {
         property: {
-          ownerId: req.user.manager.ownerId
+          select: {
+            id: true,
+            name: true
+          }
         }
-      };
-    }
-
-    if (propertyId) {
-      where.lease = {
-        ...where.lease,
-        propertyId
-      };
-    }
+      },
+      orderBy: { incurredOn: 'desc' }
+    });
 
     const payments = await prisma.payment.findMany({
       where,
@@ -61,20 +74,40 @@ export const getFinancialReport = async (req, res) => {
       orderBy: { createdAt: 'desc' }
     });
 
+    const paidPayments = payments.filter(p => p.status === 'PAID');
+    const totalRevenue = paidPayments.reduce((sum, p) => sum + Number(p.amount), 0);
+    const { expensesByCategory, ...financials } = summarizeFinancials(totalRevenue, expenses);
+
     const summary = {
-      totalRevenue: payments.filter(p => p.status === 'PAID').reduce((sum, p) => sum + p.amount, 0),
-      pendingRevenue: payments.filter(p => p.status === 'PENDING').reduce((sum, p) => sum + p.amount, 0),
-      overdueRevenue: payments.filter(p => p.status === 'OVERDUE').reduce((sum, p) => sum + p.amount, 0),
+      totalRevenue,
+      pendingRevenue: payments.filter(p => p.status === 'PENDING').reduce((sum, p) => sum + Number(p.amount), 0),
+      overdueRevenue: payments.filter(p => p.status === 'OVERDUE').reduce((sum, p) => sum + Number(p.amount), 0),
       totalPayments: payments.length,
-      paidPayments: payments.filter(p => p.status === 'PAID').length,
+      paidPayments: paidPayments.length,
       pendingPayments: payments.filter(p => p.status === 'PENDING').length,
-      overduePayments: payments.filter(p => p.status === 'OVERDUE').length
+      overduePayments: payments.filter(p => p.status === 'OVERDUE').length,
+      operatingExpenses: financials.operatingExpenses,
+      debtService: financials.debtService,
+      capitalExpenditures: financials.capitalExpenditures,
+      totalExpenses: financials.totalExpenses,
+      netOperatingIncome: financials.netOperatingIncome,
+      expenseRatio: financials.expenseRatio,
+      cashFlow: financials.cashFlow
     };
 
     const reportData = {
       period: { startDate, endDate },
       summary,
+      expensesByCategory,
+      // Collected rent counts in the month it was paid
+      cashFlowByMonth: monthlyCashFlow(
+        paidPayments.map(p => ({ amount: p.amount, paidDate: p.paidDate || p.createdAt })),
+        expenses,
+        new Date(startDate),
+        new Date(endDate)
+      ),
       payments,
+      expenses,
       generatedAt: new Date().toISOString()
     };
 
@@ -102,11 +135,12 @@ export const getOccupancyReport = async (req, res) => {
     if (req.user.role === 'OWNER') {
       propertyWhere.ownerId = req.user.owner.id;
     } else if (req.user.role === 'MANAGER') {
-      propertyWhere.ownerId = req.user.manager.ownerId;
+      propertyWhere = managedPropertiesWhere(req.user);
     }
 
     if (propertyId) {
-      propertyWhere.id = propertyId;
+      // Narrows the role's scope rather than replacing its id filter
+      propertyWhere.AND = [{ id: propertyId }];
     }
 
     const properties = await prisma.property.findMany({
@@ -194,9 +228,7 @@ export const getMaintenanceReport = async (req, res) => {
         ownerId: req.user.owner.id
       };
     } else if (req.user.role === 'MANAGER') {
-      where.property = {
-        ownerId: req.user.manager.ownerId
-      };
+      where.property = managedPropertiesWhere(req.user);
     }
 
     if (propertyId) {
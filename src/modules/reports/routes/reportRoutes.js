@@ -1,6 +1,6 @@
 
 import { Router } from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import {
   getFinancialReport,
   getOccupancyReport,
@@ -15,6 +15,7 @@ const router = Router();
  *   get:
  *     tags: [Reports]
  *     summary: Generate financial report
+ *     description: Rent collected against the expense ledger of the period. The summary includes net operating income (revenue minus operating expenses), the expense ratio (operating expenses as a percentage of revenue) and cash flow (revenue minus every expense, including mortgage and capital improvements). cashFlowByMonth breaks cash flow down per month.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -44,7 +45,7 @@ const router = Router();
  *       200:
  *         description: Financial report generated successfully
  */
-router.get('/financial', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), getFinancialReport);
+router.get('/financial', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), checkPermissions('reports.view'), getFinancialReport);
 
 /**
  * @swagger
@@ -75,7 +76,7 @@ router.get('/financial', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADM
  *       200:
  *         description: Occupancy report generated successfully
  */
-router.get('/occupancy', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), getOccupancyReport);
+router.get('/occupancy', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), checkPermissions('reports.view'), getOccupancyReport);
 
 /**
  * @swagger
@@ -106,6 +107,6 @@ router.get('/occupancy', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADM
  *       200:
  *         description: Maintenance report generated successfully
  */
-router.get('/maintenance', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), getMaintenanceReport);
+router.get('/maintenance', authenticate, authorize(['OWNER', 'MANAGER', 'SUPER_ADMIN']), checkPermissions('reports.view'), getMaintenanceReport);
 
 export default router;
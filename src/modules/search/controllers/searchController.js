@@ -0,0 +1,92 @@
+import { asyncHandler } from '../../../middleware/errorHandler.js';
+import { search, SEARCH_TYPES } from '../../../services/searchService.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         subtitle:
+ *           type: string
+ *           description: Address for properties, email for tenants, property name otherwise
+ *         status:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         snippet:
+ *           type: string
+ *           description: HTML-escaped matching text with matches wrapped in <mark> tags
+ *         rank:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Full-text search across properties, tenants, complaints and maintenance requests
+ *     description: Results are limited to what the caller can access, ranked by relevance and grouped by type. Types the caller cannot access are left out of the response.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text; every word must match, as a prefix
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated subset of properties, tenants, complaints, maintenance
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Maximum results per type
+ *     responses:
+ *       200:
+ *         description: Search results grouped by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 results:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/SearchResult'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ */
+export const searchAll = asyncHandler(async (req, res) => {
+  const { q, types, limit = 10 } = req.query;
+
+  const results = await search(req.user, q, {
+    types: types ? [...new Set(types.split(',').map(type => type.trim()))] : SEARCH_TYPES,
+    limit: parseInt(limit),
+  });
+
+  const total = Object.values(results).reduce((sum, rows) => sum + rows.length, 0);
+
+  res.json({
+    query: q,
+    results,
+    total,
+  });
+});
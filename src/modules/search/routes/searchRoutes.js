@@ -0,0 +1,12 @@
+import express from 'express';
+import { authenticate } from '../../../middleware/auth.js';
+import { validateSearch } from '../../../middleware/validation.js';
+import { searchAll } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validateSearch, searchAll);
+
+export default router;
@@ -3,6 +3,24 @@ import { asyncHandler } from '../../../middleware/errorHandler.js';
 import prisma from '../../../config/database.js';
 import logger from '../../../config/logger.js';
 import { createTenantUser } from '../../auth/controllers/authController.js';
+import {
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  listInvitations,
+  getScopedInvitation,
+  InvitationError,
+} from '../../../services/invitationService.js';
+import { managedPropertiesWhere, managesProperty } from '../../../services/propertyAssignmentService.js';
+import { findPropertyUnit } from '../../../services/unitService.js';
+import { archivedWhere, archiveTenant as archiveTenantRecord, restoreTenant as restoreTenantRecord } from '../../../services/archiveService.js';
+
+// Owner whose invitations the user may manage; null means all (super admin)
+const invitationOwnerScope = (user) => {
+  if (user.role === 'OWNER') return user.owner.id;
+  if (user.role === 'MANAGER') return user.manager.ownerId;
+  return null;
+};
 
 /**
  * @swagger
@@ -55,21 +73,26 @@ import { createTenantUser } from '../../auth/controllers/authController.js';
  *         name: isActive
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: includeArchived
+ *         description: Include archived tenants, which are hidden by default
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Tenants retrieved successfully
  */
 export const getTenants = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, propertyId, isActive, search } = req.query;
+  const { page = 1, limit = 10, propertyId, isActive, search, includeArchived } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const where = {};
+  const where = archivedWhere(includeArchived);
 
   // Role-based filtering
   if (req.user.role === 'OWNER') {
     where.property = { ownerId: req.user.owner.id };
   } else if (req.user.role === 'MANAGER') {
-    where.property = { ownerId: req.user.manager.ownerId };
+    where.property = managedPropertiesWhere(req.user);
   }
 
   if (propertyId) where.propertyId = propertyId;
@@ -252,7 +275,7 @@ export const getTenantById = asyncHandler(async (req, res) => {
     });
   }
 
-  if (req.user.role === 'MANAGER' && tenant.property.ownerId !== req.user.manager.ownerId) {
+  if (req.user.role === 'MANAGER' && !managesProperty(req.user, tenant.propertyId)) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only access tenants you manage',
@@ -294,6 +317,8 @@ export const getTenantById = asyncHandler(async (req, res) => {
  *                 type: string
  *               propertyId:
  *                 type: string
+ *               unitId:
+ *                 type: string
  *               emergencyContact:
  *                 type: object
  *               moveInDate:
@@ -310,6 +335,7 @@ export const addTenant = asyncHandler(async (req, res) => {
     lastName,
     phone,
     propertyId,
+    unitId,
     emergencyContact,
     moveInDate,
   } = req.body;
@@ -334,6 +360,27 @@ export const addTenant = asyncHandler(async (req, res) => {
     });
   }
 
+  if (req.user.role === 'MANAGER' && !managesProperty(req.user, property.id)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only add tenants to properties you manage',
+    });
+  }
+
+  if (property.isArchived) {
+    return res.status(409).json({
+      error: 'Property archived',
+      message: 'Property is archived. Restore it first.',
+    });
+  }
+
+  if (unitId && !await findPropertyUnit(property.id, unitId)) {
+    return res.status(400).json({
+      error: 'Invalid unit',
+      message: 'Unit does not belong to this property',
+    });
+  }
+
   // Check if email is already in use
   const existingUser = await prisma.user.findUnique({
     where: { email: email.toLowerCase() },
@@ -354,6 +401,7 @@ export const addTenant = asyncHandler(async (req, res) => {
     data: {
       userId: user.id,
       propertyId,
+      unitId,
       firstName,
       lastName,
       phone,
@@ -378,11 +426,19 @@ export const addTenant = asyncHandler(async (req, res) => {
     },
   });
 
+  // The tenant sets their own password through the invitation link
+  const invitation = await createInvitation({
+    user,
+    ownerId: property.ownerId,
+    invitedById: req.user.id,
+  });
+
   logger.info(`Tenant added: ${firstName} ${lastName} by user ${req.user.email}`);
 
   res.status(201).json({
-    message: 'Tenant added successfully',
+    message: 'Tenant added successfully. An invitation has been emailed to the tenant.',
     tenant,
+    invitation,
   });
 });
 
@@ -413,6 +469,10 @@ export const addTenant = asyncHandler(async (req, res) => {
  *                 type: string
  *               phone:
  *                 type: string
+ *               unitId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Unit of the tenant's property. Owners and managers only.
  *               emergencyContact:
  *                 type: object
  *               moveInDate:
@@ -455,13 +515,36 @@ export const updateTenant = asyncHandler(async (req, res) => {
     });
   }
 
-  if (req.user.role === 'MANAGER' && existingTenant.property.ownerId !== req.user.manager.ownerId) {
+  if (req.user.role === 'MANAGER' && !managesProperty(req.user, existingTenant.propertyId)) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only update tenants you manage',
     });
   }
 
+  if (existingTenant.isArchived) {
+    return res.status(409).json({
+      error: 'Tenant archived',
+      message: 'Tenant is archived. Restore it first.',
+    });
+  }
+
+  if (updateData.unitId !== undefined) {
+    if (req.user.role === 'TENANT') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the property owner or manager can change your unit',
+      });
+    }
+
+    if (updateData.unitId && !await findPropertyUnit(existingTenant.propertyId, updateData.unitId)) {
+      return res.status(400).json({
+        error: 'Invalid unit',
+        message: 'Unit does not belong to this property',
+      });
+    }
+  }
+
   // Convert date
   if (updateData.moveInDate) {
     updateData.moveInDate = new Date(updateData.moveInDate);
@@ -534,7 +617,8 @@ export const deactivateTenant = asyncHandler(async (req, res) => {
 
   // Check permissions
   const allowedOwnerId = req.user.role === 'OWNER' ? req.user.owner.id : req.user.manager.ownerId;
-  if (existingTenant.property.ownerId !== allowedOwnerId) {
+  if (existingTenant.property.ownerId !== allowedOwnerId
+    || (req.user.role === 'MANAGER' && !managesProperty(req.user, existingTenant.propertyId))) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'You can only deactivate your property tenants',
@@ -568,6 +652,121 @@ export const deactivateTenant = asyncHandler(async (req, res) => {
   });
 });
 
+// Whether the user may archive or restore the tenant; super admins may for all
+const canArchiveTenant = (user, tenant) => {
+  if (user.role === 'SUPER_ADMIN') return true;
+  if (user.role === 'OWNER') return tenant.property.ownerId === user.owner.id;
+  return tenant.property.ownerId === user.manager.ownerId && managesProperty(user, tenant.propertyId);
+};
+
+/**
+ * @swagger
+ * /tenants/{id}:
+ *   delete:
+ *     tags: [Tenants]
+ *     summary: Archive tenant
+ *     description: Soft deletes a deactivated tenant with no active leases. Their leases and payments are kept, and the tenant can be restored until a super admin purges it after the retention period.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tenant archived successfully
+ *       400:
+ *         description: Tenant is still active or has active leases
+ *       409:
+ *         description: Tenant is already archived
+ */
+export const archiveTenant = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const tenant = await prisma.tenant.findUnique({
+    where: { id },
+    include: { property: true },
+  });
+
+  if (!tenant) {
+    return res.status(404).json({
+      error: 'Tenant not found',
+      message: 'Tenant with this ID does not exist',
+    });
+  }
+
+  if (!canArchiveTenant(req.user, tenant)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only archive your property tenants',
+    });
+  }
+
+  const archived = await archiveTenantRecord(tenant);
+
+  logger.info(`Tenant archived: ${tenant.firstName} ${tenant.lastName} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Tenant archived successfully',
+    tenant: archived,
+  });
+});
+
+/**
+ * @swagger
+ * /tenants/{id}/restore:
+ *   post:
+ *     tags: [Tenants]
+ *     summary: Restore an archived tenant
+ *     description: The tenant stays deactivated. A tenant archived with its property is restored by restoring the property.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tenant restored successfully
+ *       409:
+ *         description: Tenant is not archived, or its property is archived
+ */
+export const restoreTenant = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const tenant = await prisma.tenant.findUnique({
+    where: { id },
+    include: { property: true },
+  });
+
+  if (!tenant) {
+    return res.status(404).json({
+      error: 'Tenant not found',
+      message: 'Tenant with this ID does not exist',
+    });
+  }
+
+  if (!canArchiveTenant(req.user, tenant)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only restore your property tenants',
+    });
+  }
+
+  const restored = await restoreTenantRecord(tenant);
+
+  logger.info(`Tenant restored: ${tenant.firstName} ${tenant.lastName} by user ${req.user.email}`);
+
+  res.json({
+    message: 'Tenant restored successfully',
+    tenant: restored,
+  });
+});
+
 /**
  * @swagger
  * /tenants/me:
@@ -652,3 +851,128 @@ export const getTenantProfile = asyncHandler(async (req, res) => {
 
   res.json({ tenant });
 });
+
+const sendInvitationError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: 'Invitation error',
+    message: error.message,
+  });
+};
+
+/**
+ * @swagger
+ * /tenants/invitations:
+ *   get:
+ *     tags: [Tenants]
+ *     summary: List tenant invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, EXPIRED, REVOKED]
+ *     responses:
+ *       200:
+ *         description: Tenant invitations
+ */
+export const getTenantInvitations = asyncHandler(async (req, res) => {
+  const invitations = await listInvitations({
+    ownerId: invitationOwnerScope(req.user),
+    role: 'TENANT',
+    status: req.query.status,
+  });
+
+  res.json({ invitations });
+});
+
+/**
+ * @swagger
+ * /tenants/invitations/{invitationId}/resend:
+ *   post:
+ *     tags: [Tenants]
+ *     summary: Resend a pending or expired tenant invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent with a new link
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+export const resendTenantInvitation = asyncHandler(async (req, res) => {
+  try {
+    await getScopedInvitation(req.params.invitationId, {
+      role: 'TENANT',
+      ownerId: invitationOwnerScope(req.user),
+    });
+
+    const invitation = await resendInvitation(req.params.invitationId);
+
+    logger.info(`Tenant invitation resent to ${invitation.email} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation,
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @swagger
+ * /tenants/invitations/{invitationId}/revoke:
+ *   post:
+ *     tags: [Tenants]
+ *     summary: Revoke a tenant invitation that has not been accepted
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked and the pending account deactivated
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+export const revokeTenantInvitation = asyncHandler(async (req, res) => {
+  try {
+    await getScopedInvitation(req.params.invitationId, {
+      role: 'TENANT',
+      ownerId: invitationOwnerScope(req.user),
+    });
+
+    const invitation = await revokeInvitation(req.params.invitationId);
+
+    logger.info(`Tenant invitation revoked for ${invitation.email} by user ${req.user.email}`);
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation,
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+    throw error;
+  }
+});
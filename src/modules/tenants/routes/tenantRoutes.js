@@ -1,6 +1,6 @@
 
 import express from 'express';
-import { authenticate, authorize } from '../../../middleware/auth.js';
+import { authenticate, authorize, checkPermissions } from '../../../middleware/auth.js';
 import { validateTenant, validateTenantUpdate } from '../../../middleware/validation.js';
 import {
   getTenants,
@@ -8,7 +8,12 @@ import {
   addTenant,
   updateTenant,
   deactivateTenant,
+  archiveTenant,
+  restoreTenant,
   getTenantProfile,
+  getTenantInvitations,
+  resendTenantInvitation,
+  revokeTenantInvitation,
 } from '../controllers/tenantController.js';
 
 const router = express.Router();
@@ -27,18 +32,27 @@ router.use(authenticate);
 router.get('/me', authorize('TENANT'), getTenantProfile);
 
 // Get all tenants
-router.get('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), getTenants);
+router.get('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.view'), getTenants);
+
+// Tenant invitations
+router.get('/invitations', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.view'), getTenantInvitations);
+router.post('/invitations/:invitationId/resend', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.invite'), resendTenantInvitation);
+router.post('/invitations/:invitationId/revoke', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.invite'), revokeTenantInvitation);
 
 // Get tenant by ID
-router.get('/:id', getTenantById);
+router.get('/:id', checkPermissions('tenants.view'), getTenantById);
 
 // Add new tenant
-router.post('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), validateTenant, addTenant);
+router.post('/', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.create'), validateTenant, addTenant);
 
 // Update tenant
-router.put('/:id', validateTenantUpdate, updateTenant);
+router.put('/:id', checkPermissions('tenants.update'), validateTenantUpdate, updateTenant);
 
 // Deactivate tenant
-router.patch('/:id/deactivate', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), deactivateTenant);
+router.patch('/:id/deactivate', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.deactivate'), deactivateTenant);
+
+// Archive and restore tenant
+router.delete('/:id', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.deactivate'), archiveTenant);
+router.post('/:id/restore', authorize('SUPER_ADMIN', 'OWNER', 'MANAGER'), checkPermissions('tenants.deactivate'), restoreTenant);
 
 export default router;
@@ -0,0 +1,189 @@
+import prisma from '../config/database.js';
+import { generateSecureToken } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+
+// Keys are recognisable by their prefix, so authenticate can tell them apart
+// from JWTs and secret scanners can flag leaked ones
+export const API_KEY_PREFIX = 'rms_';
+
+// Resources an API key can be scoped to, keyed by the API path they guard.
+// Reads are GET/HEAD requests, everything else needs the write scope.
+const API_KEY_RESOURCES = {
+  properties: ['read', 'write'],
+  tenants: ['read', 'write'],
+  leases: ['read', 'write'],
+  payments: ['read', 'write'],
+  maintenance: ['read', 'write'],
+  complaints: ['read', 'write'],
+  calendar: ['read', 'write'],
+  reports: ['read'],
+  analytics: ['read'],
+};
+
+export const API_KEY_SCOPES = Object.entries(API_KEY_RESOURCES)
+  .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+
+// Skip the last-used write when the key was used this recently
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class ApiKeyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const apiKeySelect = {
+  id: true,
+  ownerId: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: {
+    select: { id: true, email: true, firstName: true, lastName: true },
+  },
+};
+
+/**
+ * Whether a request carries an API key rather than a JWT
+ * @param {string} token - Credential from the request
+ * @returns {boolean}
+ */
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Scope a request needs, derived from the router it reached and its method
+ * @param {Object} req - Express request
+ * @returns {string|null} - e.g. payments:read, or null when keys may not use the route
+ */
+export const requiredScope = (req) => {
+  const resource = req.baseUrl.split('/').pop();
+  const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+
+  if (!API_KEY_RESOURCES[resource]?.includes(action)) {
+    return null;
+  }
+
+  return `${resource}:${action}`;
+};
+
+/**
+ * Mint a key for an owner. The plain key is only ever returned here.
+ * @param {Object} data - { ownerId, createdById, name, scopes, expiresAt }
+ * @returns {Promise<Object>} - { apiKey, key }
+ */
+export const createApiKey = async ({ ownerId, createdById = null, name, scopes, expiresAt = null }) => {
+  const key = `${API_KEY_PREFIX}${generateSecureToken()}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      ownerId,
+      createdById,
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashSensitiveData(key),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    },
+    select: apiKeySelect,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * List an owner's keys, newest first
+ * @param {string} ownerId - Owner ID
+ * @returns {Promise<Object[]>}
+ */
+export const listApiKeys = (ownerId) => {
+  return prisma.apiKey.findMany({
+    where: { ownerId },
+    orderBy: { createdAt: 'desc' },
+    select: apiKeySelect,
+  });
+};
+
+/**
+ * Revoke one of an owner's keys; it stops working immediately
+ * @param {string} ownerId - Owner ID
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<Object>} - Revoked key
+ */
+export const revokeApiKey = async (ownerId, apiKeyId) => {
+  const existing = await prisma.apiKey.findFirst({
+    where: { id: apiKeyId, ownerId },
+  });
+
+  if (!existing) {
+    throw new ApiKeyError('API key not found', 404);
+  }
+
+  if (existing.revokedAt) {
+    throw new ApiKeyError('API key is already revoked', 409);
+  }
+
+  return prisma.apiKey.update({
+    where: { id: apiKeyId },
+    data: { revokedAt: new Date() },
+    select: apiKeySelect,
+  });
+};
+
+/**
+ * Look up a usable key and the owner account it acts as
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} - Key with owner.user, or null when unknown, revoked or expired
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashSensitiveData(key) },
+    include: {
+      owner: {
+        include: {
+          user: {
+            include: {
+              tenant: true,
+              owner: true,
+              manager: {
+                include: {
+                  owner: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record that a key was used, at most once per minute per key
+ * @param {Object} apiKey - API key record
+ * @param {string} ipAddress - Client IP
+ */
+export const recordApiKeyUse = async (apiKey, ipAddress) => {
+  const now = new Date();
+
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS && apiKey.lastUsedIp === ipAddress) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: now, lastUsedIp: ipAddress },
+  });
+};
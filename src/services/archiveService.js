@@ -0,0 +1,218 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { deletePropertyImageFiles } from './propertyImageService.js';
+import { deleteDocumentFiles } from './documentService.js';
+import { deleteReceiptFile } from './expenseService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ArchiveError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Where clause hiding archived records unless the caller asked for them
+ * @param {string|boolean} includeArchived - includeArchived query parameter
+ * @returns {Object}
+ */
+export const archivedWhere = (includeArchived) => (
+  includeArchived === true || includeArchived === 'true' ? {} : { isArchived: false }
+);
+
+/**
+ * Reject changes to an archived record
+ * @param {Object} record - Property, tenant or lease
+ * @param {string} label - Name used in the error message
+ */
+export const assertNotArchived = (record, label) => {
+  if (record.isArchived) {
+    throw new ArchiveError(`${label} is archived. Restore it first.`, 409);
+  }
+};
+
+/**
+ * Archive a property together with its tenants and leases. They share the
+ * archive timestamp, which is how restoring the property finds them again.
+ * @param {Object} property - Property with no active tenants or leases
+ * @returns {Promise<Object>} Archived property
+ */
+export const archiveProperty = async (property) => {
+  if (property.isArchived) {
+    throw new ArchiveError('Property is already archived', 409);
+  }
+
+  const archivedAt = new Date();
+  const data = { isArchived: true, archivedAt };
+
+  const [archived] = await prisma.$transaction([
+    prisma.property.update({
+      where: { id: property.id },
+      data: { ...data, isPublished: false },
+    }),
+    prisma.tenant.updateMany({ where: { propertyId: property.id, isArchived: false }, data }),
+    prisma.lease.updateMany({ where: { propertyId: property.id, isArchived: false }, data }),
+  ]);
+
+  return archived;
+};
+
+/**
+ * Restore a property and the tenants and leases archived along with it.
+ * Records archived on their own beforehand stay archived.
+ * @param {Object} property - Archived property
+ * @returns {Promise<Object>} Restored property
+ */
+export const restoreProperty = async (property) => {
+  if (!property.isArchived) {
+    throw new ArchiveError('Property is not archived', 409);
+  }
+
+  const archivedTogether = { propertyId: property.id, isArchived: true, archivedAt: property.archivedAt };
+  const data = { isArchived: false, archivedAt: null };
+
+  const [restored] = await prisma.$transaction([
+    prisma.property.update({ where: { id: property.id }, data }),
+    prisma.tenant.updateMany({ where: archivedTogether, data }),
+    prisma.lease.updateMany({ where: archivedTogether, data }),
+  ]);
+
+  return restored;
+};
+
+/**
+ * Archive a tenant that has been deactivated
+ * @param {Object} tenant - Tenant
+ * @returns {Promise<Object>} Archived tenant
+ */
+export const archiveTenant = async (tenant) => {
+  if (tenant.isArchived) {
+    throw new ArchiveError('Tenant is already archived', 409);
+  }
+  if (tenant.isActive) {
+    throw new ArchiveError('Tenant is active. Deactivate the tenant first.');
+  }
+
+  const activeLeases = await prisma.lease.count({ where: { tenantId: tenant.id, status: 'ACTIVE' } });
+  if (activeLeases > 0) {
+    throw new ArchiveError('Tenant has active leases. Please terminate leases first.');
+  }
+
+  return prisma.tenant.update({
+    where: { id: tenant.id },
+    data: { isArchived: true, archivedAt: new Date() },
+  });
+};
+
+/**
+ * Restore an archived tenant. The tenant stays deactivated.
+ * @param {Object} tenant - Tenant with its property
+ * @returns {Promise<Object>} Restored tenant
+ */
+export const restoreTenant = async (tenant) => {
+  if (!tenant.isArchived) {
+    throw new ArchiveError('Tenant is not archived', 409);
+  }
+  assertNotArchived(tenant.property, 'Property');
+
+  return prisma.tenant.update({
+    where: { id: tenant.id },
+    data: { isArchived: false, archivedAt: null },
+  });
+};
+
+/**
+ * Archive a lease that is no longer active. Its payments are kept.
+ * @param {Object} lease - Lease
+ * @returns {Promise<Object>} Archived lease
+ */
+export const archiveLease = async (lease) => {
+  if (lease.isArchived) {
+    throw new ArchiveError('Lease is already archived', 409);
+  }
+  if (lease.status === 'ACTIVE') {
+    throw new ArchiveError('Lease is active. Terminate the lease first.');
+  }
+
+  return prisma.lease.update({
+    where: { id: lease.id },
+    data: { isArchived: true, archivedAt: new Date() },
+  });
+};
+
+/**
+ * Restore an archived lease
+ * @param {Object} lease - Lease with its property and tenant
+ * @returns {Promise<Object>} Restored lease
+ */
+export const restoreLease = async (lease) => {
+  if (!lease.isArchived) {
+    throw new ArchiveError('Lease is not archived', 409);
+  }
+  assertNotArchived(lease.property, 'Property');
+  assertNotArchived(lease.tenant, 'Tenant');
+
+  return prisma.lease.update({
+    where: { id: lease.id },
+    data: { isArchived: false, archivedAt: null },
+  });
+};
+
+/**
+ * Permanently delete records archived for longer than the retention period,
+ * along with everything that cascades from them. Tenants take their user
+ * account with them; properties take their stored files.
+ * @param {Object} options
+ * @param {number} options.retentionDays - Days archived records are kept
+ * @param {boolean} [options.dryRun] - Only count what would be deleted
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} Cutoff date and the number of records per type
+ */
+export const purgeArchived = async ({ retentionDays, dryRun = false, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = { isArchived: true, archivedAt: { lte: cutoff } };
+
+  const leaseWhere = { OR: [expired, { property: expired }, { tenant: expired }] };
+  const tenantWhere = { OR: [expired, { property: expired }] };
+
+  const [leases, tenants, properties] = await Promise.all([
+    prisma.lease.count({ where: leaseWhere }),
+    prisma.tenant.findMany({ where: tenantWhere, select: { userId: true } }),
+    prisma.property.findMany({
+      where: expired,
+      include: {
+        propertyImages: { select: { publicId: true } },
+        documents: { include: { versions: true } },
+        expenses: { where: { receiptPublicId: { not: null } } },
+      },
+    }),
+  ]);
+
+  const result = {
+    cutoff,
+    dryRun,
+    purged: { properties: properties.length, tenants: tenants.length, leases },
+  };
+
+  if (dryRun) return result;
+
+  await prisma.$transaction([
+    prisma.lease.deleteMany({ where: leaseWhere }),
+    prisma.user.deleteMany({ where: { id: { in: tenants.map(tenant => tenant.userId) } } }),
+    prisma.property.deleteMany({ where: { id: { in: properties.map(property => property.id) } } }),
+  ]);
+
+  // Remove stored files once the rows are gone
+  for (const property of properties) {
+    await deletePropertyImageFiles(property);
+    await deleteDocumentFiles(property.documents.flatMap(document => document.versions));
+    await Promise.all(property.expenses.map(deleteReceiptFile));
+  }
+
+  logger.info(`Purged archived records older than ${cutoff.toISOString()}: ${properties.length} properties, ${tenants.length} tenants, ${leases} leases`);
+
+  return result;
+};
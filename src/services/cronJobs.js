@@ -2,6 +2,12 @@
 import cron from 'node-cron';
 import prisma from '../config/database.js';
 import logger from '../config/logger.js';
+import { purgeExpiredRefreshTokens } from './tokenService.js';
+import { purgeExpiredRevocations } from './revocationStore.js';
+import { purgeExpiredUserTokens } from './userTokenService.js';
+import { expireStaleInvitations } from './invitationService.js';
+import { purgeExpiredAuthRequests } from './oidcService.js';
+import { bookRecurringExpenses } from './expenseService.js';
 import { sendPaymentReminderEmail } from '../modules/notifications/services/emailService.js';
 
 // Run every day at 9 AM to check for overdue payments
@@ -224,13 +230,37 @@ export const cleanupTasks = () => {
         },
       });
 
-      logger.info(`Cleanup completed: ${deletedAttempts.count} login attempts, ${deletedNotifications.count} notifications deleted`);
+      // Clean up expired refresh tokens and revocation entries
+      const deletedRefreshTokens = await purgeExpiredRefreshTokens();
+      const deletedRevocations = await purgeExpiredRevocations();
+      const deletedUserTokens = await purgeExpiredUserTokens();
+      const deletedSsoRequests = await purgeExpiredAuthRequests();
+
+      // Persist the status of invitations that ran out
+      const expiredInvitations = await expireStaleInvitations();
+
+      logger.info(`Cleanup completed: ${deletedAttempts.count} login attempts, ${deletedNotifications.count} notifications, ${deletedRefreshTokens} refresh tokens, ${deletedRevocations} revocations, ${deletedUserTokens} user tokens, ${deletedSsoRequests} SSO requests deleted, ${expiredInvitations} invitations expired`);
     } catch (error) {
       logger.error('Error running cleanup tasks:', error);
     }
   });
 };
 
+// Run every day at 6 AM to book the recurring expenses that came due
+export const bookDueRecurringExpenses = () => {
+  cron.schedule('0 6 * * *', async () => {
+    try {
+      logger.info('Booking recurring expenses...');
+
+      const booked = await bookRecurringExpenses();
+
+      logger.info(`Booked ${booked} recurring expenses`);
+    } catch (error) {
+      logger.error('Error booking recurring expenses:', error);
+    }
+  });
+};
+
 // Start all cron jobs
 export const startCronJobs = () => {
   logger.info('Starting cron jobs...');
@@ -238,5 +268,6 @@ export const startCronJobs = () => {
   sendPaymentReminders();
   generateMonthlyReports();
   cleanupTasks();
+  bookDueRecurringExpenses();
   logger.info('All cron jobs started successfully');
 };
@@ -0,0 +1,267 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { uploadToCloudinary, deleteFromCloudinary, privateDownloadUrl } from '../utils/cloudinary.js';
+import { managedPropertiesWhere } from './propertyAssignmentService.js';
+
+export const DOCUMENT_CATEGORIES = [
+  'LEASE_AGREEMENT',
+  'IDENTIFICATION',
+  'INSURANCE',
+  'INSPECTION',
+  'INVOICE',
+  'RECEIPT',
+  'NOTICE',
+  'PHOTO',
+  'OTHER',
+];
+
+// Roles a document can be shared with. Owners and super admins always see
+// every document of their properties.
+export const SHAREABLE_ROLES = ['MANAGER', 'TENANT'];
+
+// Download links are short-lived; clients ask for a fresh one each time
+export const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+export class DocumentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.statusCode = statusCode;
+  }
+}
+
+const uploaderSelect = { select: { id: true, firstName: true, lastName: true, role: true } };
+
+export const documentSummaryInclude = {
+  property: { select: { id: true, name: true, ownerId: true } },
+  lease: { select: { id: true, startDate: true, endDate: true, tenantId: true } },
+  tenant: { select: { id: true, userId: true, firstName: true, lastName: true } },
+  maintenanceRequest: { select: { id: true, title: true, requestedById: true } },
+  uploadedBy: uploaderSelect,
+};
+
+export const documentInclude = {
+  ...documentSummaryInclude,
+  versions: {
+    orderBy: { version: 'desc' },
+    include: { uploadedBy: uploaderSelect },
+  },
+};
+
+/**
+ * Prisma filter for the documents a user may see: owners see every document of
+ * their properties, managers and tenants only what is shared with their role.
+ * Tenants get documents attached to them, their leases or their maintenance
+ * requests, and the ones attached to their property as a whole.
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Where clause for prisma.document
+ */
+export const documentScopeWhere = (user) => {
+  if (user.role === 'SUPER_ADMIN') return {};
+  if (user.role === 'OWNER') return { property: { ownerId: user.owner.id } };
+  if (user.role === 'MANAGER') return { property: managedPropertiesWhere(user), visibleTo: { has: 'MANAGER' } };
+
+  return {
+    visibleTo: { has: 'TENANT' },
+    OR: [
+      { tenantId: user.tenant.id },
+      { lease: { tenantId: user.tenant.id } },
+      { maintenanceRequest: { requestedById: user.id } },
+      { propertyId: user.tenant.propertyId, leaseId: null, tenantId: null, maintenanceRequestId: null },
+    ],
+  };
+};
+
+// Owners always see their documents, and managers keep access to the ones
+// they share with managers so they cannot lock themselves out
+const resolveVisibility = (user, visibleTo = []) => {
+  const roles = ['OWNER', ...visibleTo.filter(role => SHAREABLE_ROLES.includes(role))];
+  if (user.role === 'MANAGER') roles.push('MANAGER');
+  return [...new Set(roles)];
+};
+
+// Checks that the lease, tenant and maintenance request a document is attached
+// to all belong to its property
+const resolveAttachments = async (property, { leaseId, tenantId, maintenanceRequestId }) => {
+  if (tenantId) {
+    const tenant = await prisma.tenant.findFirst({ where: { id: tenantId, propertyId: property.id } });
+    if (!tenant) {
+      throw new DocumentError('Tenant does not belong to this property');
+    }
+  }
+
+  if (leaseId) {
+    const lease = await prisma.lease.findFirst({
+      where: { id: leaseId, propertyId: property.id, ...(tenantId && { tenantId }) },
+    });
+    if (!lease) {
+      throw new DocumentError('Lease does not belong to this property and tenant');
+    }
+  }
+
+  if (maintenanceRequestId) {
+    const request = await prisma.maintenanceRequest.findFirst({
+      where: { id: maintenanceRequestId, propertyId: property.id },
+    });
+    if (!request) {
+      throw new DocumentError('Maintenance request does not belong to this property');
+    }
+  }
+
+  return {
+    leaseId: leaseId || null,
+    tenantId: tenantId || null,
+    maintenanceRequestId: maintenanceRequestId || null,
+  };
+};
+
+// Stored as authenticated assets, so they can only be fetched through a
+// signed URL
+const uploadDocumentFile = async (file, user, version, notes) => {
+  const upload = await uploadToCloudinary(file.buffer, 'documents', { type: 'authenticated' });
+
+  return {
+    version,
+    fileName: file.originalname,
+    publicId: upload.public_id,
+    resourceType: upload.resource_type,
+    format: upload.format || null,
+    mimeType: file.mimetype,
+    size: file.size,
+    notes: notes || null,
+    uploadedById: user.id,
+  };
+};
+
+export const deleteDocumentFiles = async (versions) => {
+  const results = await Promise.allSettled(
+    versions.map(version => deleteFromCloudinary(version.publicId, version.resourceType))
+  );
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to delete document file from storage:', result.reason));
+};
+
+/**
+ * Store a new document as its first version
+ * @param {Object} property - Property the caller may manage documents for
+ * @param {Object} user - Uploader
+ * @param {Object} file - Multer file
+ * @param {Object} data - { title, description, category, visibleTo, leaseId, tenantId, maintenanceRequestId, notes }
+ * @returns {Promise<Object>} - Document with its versions
+ */
+export const createDocument = async (property, user, file, data) => {
+  const { title, description, category, visibleTo, notes } = data;
+
+  const attachments = await resolveAttachments(property, data);
+  const version = await uploadDocumentFile(file, user, 1, notes);
+
+  return prisma.document.create({
+    data: {
+      propertyId: property.id,
+      ...attachments,
+      title: title || file.originalname,
+      description,
+      category: category || 'OTHER',
+      visibleTo: resolveVisibility(user, visibleTo),
+      uploadedById: user.id,
+      versions: { create: version },
+    },
+    include: documentInclude,
+  });
+};
+
+/**
+ * Upload a new version of a document; earlier versions are kept
+ * @param {Object} document - Document loaded with documentInclude
+ * @param {Object} user - Uploader
+ * @param {Object} file - Multer file
+ * @param {string} notes - What changed
+ * @returns {Promise<Object>} - Document with its versions
+ */
+export const addDocumentVersion = async (document, user, file, notes) => {
+  const versionNumber = document.currentVersion + 1;
+  const version = await uploadDocumentFile(file, user, versionNumber, notes);
+
+  try {
+    return await prisma.document.update({
+      where: { id: document.id },
+      data: {
+        currentVersion: versionNumber,
+        versions: { create: version },
+      },
+      include: documentInclude,
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind. P2002 means a concurrent upload
+    // took this version number first.
+    await deleteDocumentFiles([version]);
+    if (error.code === 'P2002') {
+      throw new DocumentError('Another version was uploaded at the same time, please try again', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change the details or sharing of a document
+ * @param {Object} document - Document
+ * @param {Object} user - Caller
+ * @param {Object} data - { title, description, category, visibleTo }
+ * @returns {Promise<Object>} - Document with its versions
+ */
+export const updateDocument = async (document, user, data) => {
+  const { title, description, category, visibleTo } = data;
+
+  return prisma.document.update({
+    where: { id: document.id },
+    data: {
+      ...(title !== undefined && { title }),
+      ...(description !== undefined && { description }),
+      ...(category !== undefined && { category }),
+      ...(visibleTo !== undefined && { visibleTo: resolveVisibility(user, visibleTo) }),
+    },
+    include: documentInclude,
+  });
+};
+
+/**
+ * Signed, expiring download URL for one version of a document
+ * @param {Object} document - Document loaded with documentInclude
+ * @param {number} [versionNumber] - Version to download, the current one by default
+ * @returns {Object} - { url, expiresAt, version }
+ */
+export const createDownloadUrl = (document, versionNumber = document.currentVersion) => {
+  const version = document.versions.find(candidate => candidate.version === versionNumber);
+
+  if (!version) {
+    throw new DocumentError('Document version not found', 404);
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+  const url = privateDownloadUrl(version.publicId, version.format, {
+    resourceType: version.resourceType,
+    expiresAt,
+  });
+
+  return {
+    url,
+    expiresAt: new Date(expiresAt * 1000),
+    version: {
+      version: version.version,
+      fileName: version.fileName,
+      mimeType: version.mimeType,
+      size: version.size,
+    },
+  };
+};
+
+/**
+ * Delete a document with every version and its stored files
+ * @param {Object} document - Document loaded with documentInclude
+ */
+export const deleteDocument = async (document) => {
+  await prisma.document.delete({ where: { id: document.id } });
+  await deleteDocumentFiles(document.versions);
+};
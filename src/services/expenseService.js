@@ -0,0 +1,376 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+
+export const EXPENSE_CATEGORIES = [
+  'REPAIRS',
+  'MAINTENANCE',
+  'TAXES',
+  'INSURANCE',
+  'UTILITIES',
+  'MANAGEMENT_FEES',
+  'HOA_FEES',
+  'LEGAL_AND_PROFESSIONAL',
+  'ADVERTISING',
+  'MORTGAGE',
+  'CAPITAL_IMPROVEMENT',
+  'OTHER',
+];
+
+// Debt service and capital spending count against cash flow, but not against
+// net operating income
+export const NON_OPERATING_CATEGORIES = ['MORTGAGE', 'CAPITAL_IMPROVEMENT'];
+
+export const EXPENSE_FREQUENCIES = ['MONTHLY', 'QUARTERLY', 'YEARLY'];
+
+const FREQUENCY_MONTHS = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+
+export class ExpenseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExpenseError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const expenseInclude = {
+  property: { select: { id: true, name: true, ownerId: true } },
+  recurringExpense: { select: { id: true, frequency: true } },
+  createdBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+export const recurringExpenseInclude = {
+  property: { select: { id: true, name: true, ownerId: true } },
+  _count: { select: { expenses: true } },
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Date of the nth occurrence of a schedule. Counted from the start date rather
+ * than the previous occurrence, so a schedule starting on the 31st comes back
+ * to the 31st after shorter months.
+ * @param {Date} startDate - First occurrence
+ * @param {string} frequency - MONTHLY, QUARTERLY or YEARLY
+ * @param {number} index - Occurrence number, 0 for the start date
+ * @returns {Date}
+ */
+export const occurrenceDate = (startDate, frequency, index) => {
+  const start = new Date(startDate);
+  const months = start.getUTCMonth() + index * FREQUENCY_MONTHS[frequency];
+  const year = start.getUTCFullYear() + Math.floor(months / 12);
+  const month = months % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+};
+
+// First occurrence after a date, or null once the schedule has ended
+const nextOccurrenceAfter = (schedule, after) => {
+  for (let index = 0; ; index += 1) {
+    const date = occurrenceDate(schedule.startDate, schedule.frequency, index);
+    if (date > after) {
+      return schedule.endDate && date > schedule.endDate ? null : date;
+    }
+  }
+};
+
+/**
+ * Book every occurrence of a schedule that is due, and move it on to the
+ * next one. Safe to run twice: an occurrence is only ever booked once.
+ * @param {Object} schedule - Recurring expense
+ * @param {Date} now - Book occurrences up to this date
+ * @returns {Promise<number>} - Number of expenses created
+ */
+const bookDueOccurrences = async (schedule, now) => {
+  const dates = [];
+  let date = schedule.nextDueDate;
+
+  while (date && date <= now) {
+    dates.push(date);
+    date = nextOccurrenceAfter(schedule, date);
+  }
+
+  const [created] = await prisma.$transaction([
+    prisma.expense.createMany({
+      data: dates.map(incurredOn => ({
+        propertyId: schedule.propertyId,
+        recurringExpenseId: schedule.id,
+        category: schedule.category,
+        amount: schedule.amount,
+        incurredOn,
+        vendor: schedule.vendor,
+        description: schedule.description,
+        createdById: schedule.createdById,
+      })),
+      skipDuplicates: true,
+    }),
+    prisma.recurringExpense.update({
+      where: { id: schedule.id },
+      data: { nextDueDate: date },
+    }),
+  ]);
+
+  return created.count;
+};
+
+/**
+ * Book the due occurrences of every active recurring expense. Run daily.
+ * @param {Date} [now] - Book occurrences up to this date
+ * @returns {Promise<number>} - Number of expenses created
+ */
+export const bookRecurringExpenses = async (now = new Date()) => {
+  const schedules = await prisma.recurringExpense.findMany({
+    where: { isActive: true, nextDueDate: { lte: now } },
+  });
+
+  let created = 0;
+  for (const schedule of schedules) {
+    try {
+      created += await bookDueOccurrences(schedule, now);
+    } catch (error) {
+      logger.error(`Failed to book recurring expense ${schedule.id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+const uploadReceipt = async (file) => {
+  const upload = await uploadToCloudinary(file.buffer, 'expense-receipts');
+  return { receiptUrl: upload.secure_url, receiptPublicId: upload.public_id };
+};
+
+export const deleteReceiptFile = async (expense) => {
+  if (!expense.receiptPublicId) return;
+
+  try {
+    await deleteFromCloudinary(expense.receiptPublicId, expense.receiptUrl?.includes('/raw/') ? 'raw' : 'image');
+  } catch (error) {
+    logger.error('Failed to delete expense receipt from storage:', error);
+  }
+};
+
+/**
+ * Record an expense, with an optional receipt
+ * @param {Object} property - Property the caller may record expenses for
+ * @param {Object} user - Caller
+ * @param {Object} data - { category, amount, incurredOn, vendor, description }
+ * @param {Object} [file] - Multer file of the receipt
+ * @returns {Promise<Object>} - Expense
+ */
+export const createExpense = async (property, user, data, file) => {
+  const { category, amount, incurredOn, vendor, description } = data;
+
+  return prisma.expense.create({
+    data: {
+      propertyId: property.id,
+      category,
+      amount: parseFloat(amount),
+      incurredOn: new Date(incurredOn),
+      vendor,
+      description,
+      createdById: user.id,
+      ...(file && await uploadReceipt(file)),
+    },
+    include: expenseInclude,
+  });
+};
+
+/**
+ * Change an expense
+ * @param {Object} expense - Expense
+ * @param {Object} data - { category, amount, incurredOn, vendor, description }
+ * @returns {Promise<Object>} - Expense
+ */
+export const updateExpense = async (expense, data) => {
+  const { category, amount, incurredOn, vendor, description } = data;
+
+  return prisma.expense.update({
+    where: { id: expense.id },
+    data: {
+      ...(category !== undefined && { category }),
+      ...(amount !== undefined && { amount: parseFloat(amount) }),
+      ...(incurredOn !== undefined && { incurredOn: new Date(incurredOn) }),
+      ...(vendor !== undefined && { vendor }),
+      ...(description !== undefined && { description }),
+    },
+    include: expenseInclude,
+  });
+};
+
+/**
+ * Attach a receipt to an expense, replacing the one it had
+ * @param {Object} expense - Expense
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object>} - Expense
+ */
+export const attachReceipt = async (expense, file) => {
+  const updated = await prisma.expense.update({
+    where: { id: expense.id },
+    data: await uploadReceipt(file),
+    include: expenseInclude,
+  });
+
+  await deleteReceiptFile(expense);
+  return updated;
+};
+
+/**
+ * Delete an expense and its receipt
+ * @param {Object} expense - Expense
+ */
+export const deleteExpense = async (expense) => {
+  await prisma.expense.delete({ where: { id: expense.id } });
+  await deleteReceiptFile(expense);
+};
+
+/**
+ * Start a recurring expense. Occurrences already due, when it starts in the
+ * past, are booked straight away.
+ * @param {Object} property - Property the caller may record expenses for
+ * @param {Object} user - Caller
+ * @param {Object} data - { category, amount, frequency, startDate, endDate, vendor, description }
+ * @returns {Promise<Object>} - Recurring expense
+ */
+export const createRecurringExpense = async (property, user, data) => {
+  const { category, amount, frequency, startDate, endDate, vendor, description } = data;
+  const start = new Date(startDate);
+  const end = endDate ? new Date(endDate) : null;
+
+  if (end && end < start) {
+    throw new ExpenseError('End date must be on or after the start date');
+  }
+
+  const schedule = await prisma.recurringExpense.create({
+    data: {
+      propertyId: property.id,
+      category,
+      amount: parseFloat(amount),
+      frequency,
+      startDate: start,
+      endDate: end,
+      nextDueDate: start,
+      vendor,
+      description,
+      createdById: user.id,
+    },
+  });
+
+  await bookDueOccurrences(schedule, new Date());
+
+  return prisma.recurringExpense.findUnique({
+    where: { id: schedule.id },
+    include: recurringExpenseInclude,
+  });
+};
+
+/**
+ * Change a recurring expense. Amount and details apply to occurrences booked
+ * from now on; expenses already booked keep theirs.
+ * @param {Object} schedule - Recurring expense
+ * @param {Object} data - { category, amount, endDate, vendor, description, isActive }
+ * @returns {Promise<Object>} - Recurring expense
+ */
+export const updateRecurringExpense = async (schedule, data) => {
+  const { category, amount, endDate, vendor, description, isActive } = data;
+  const end = endDate === undefined ? schedule.endDate : endDate && new Date(endDate);
+
+  if (end && end < schedule.startDate) {
+    throw new ExpenseError('End date must be on or after the start date');
+  }
+
+  // Work out the next occurrence again, as the end date may have moved
+  // either way. A paused schedule that is resumed picks up from today
+  // instead of booking the months it was paused.
+  const lastBooked = await prisma.expense.findFirst({
+    where: { recurringExpenseId: schedule.id },
+    orderBy: { incurredOn: 'desc' },
+  });
+  let bookedUntil = lastBooked?.incurredOn;
+  if (!schedule.isActive && isActive === true) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const beforeToday = new Date(today.getTime() - 1);
+    bookedUntil = bookedUntil && bookedUntil > beforeToday ? bookedUntil : beforeToday;
+  }
+
+  const nextDueDate = bookedUntil
+    ? nextOccurrenceAfter({ ...schedule, endDate: end }, bookedUntil)
+    : (!end || schedule.startDate <= end ? schedule.startDate : null);
+
+  return prisma.recurringExpense.update({
+    where: { id: schedule.id },
+    data: {
+      ...(category !== undefined && { category }),
+      ...(amount !== undefined && { amount: parseFloat(amount) }),
+      ...(vendor !== undefined && { vendor }),
+      ...(description !== undefined && { description }),
+      ...(isActive !== undefined && { isActive }),
+      endDate: end,
+      nextDueDate,
+    },
+    include: recurringExpenseInclude,
+  });
+};
+
+/**
+ * Net operating income, expense ratio and cash flow of a period
+ * @param {number} revenue - Rent collected in the period
+ * @param {Array} expenses - Expenses of the period, with category and amount
+ * @returns {Object}
+ */
+export const summarizeFinancials = (revenue, expenses) => {
+  const expensesByCategory = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, 0]));
+  expenses.forEach(expense => {
+    expensesByCategory[expense.category] = roundMoney(expensesByCategory[expense.category] + Number(expense.amount));
+  });
+
+  const totalExpenses = roundMoney(Object.values(expensesByCategory).reduce((sum, amount) => sum + amount, 0));
+  const operatingExpenses = roundMoney(Object.entries(expensesByCategory)
+    .filter(([category]) => !NON_OPERATING_CATEGORIES.includes(category))
+    .reduce((sum, [, amount]) => sum + amount, 0));
+
+  return {
+    revenue: roundMoney(revenue),
+    operatingExpenses,
+    debtService: expensesByCategory.MORTGAGE,
+    capitalExpenditures: expensesByCategory.CAPITAL_IMPROVEMENT,
+    totalExpenses,
+    netOperatingIncome: roundMoney(revenue - operatingExpenses),
+    // Share of revenue spent on operating the properties
+    expenseRatio: revenue > 0 ? roundMoney((operatingExpenses / revenue) * 100) : null,
+    cashFlow: roundMoney(revenue - totalExpenses),
+    expensesByCategory,
+  };
+};
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * Revenue, expenses and cash flow per calendar month
+ * @param {Array} payments - Collected payments with amount and paidDate
+ * @param {Array} expenses - Expenses with amount and incurredOn
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {Array} - [{ month: 'YYYY-MM', revenue, expenses, cashFlow }], oldest first
+ */
+export const monthlyCashFlow = (payments, expenses, startDate, endDate) => {
+  const months = new Map();
+  const cursor = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), 1));
+  while (cursor <= endDate) {
+    months.set(monthKey(cursor), { month: monthKey(cursor), revenue: 0, expenses: 0 });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+
+  payments.forEach(payment => {
+    const month = months.get(monthKey(payment.paidDate));
+    if (month) month.revenue = roundMoney(month.revenue + Number(payment.amount));
+  });
+  expenses.forEach(expense => {
+    const month = months.get(monthKey(expense.incurredOn));
+    if (month) month.expenses = roundMoney(month.expenses + Number(expense.amount));
+  });
+
+  return [...months.values()].map(month => ({ ...month, cashFlow: roundMoney(month.revenue - month.expenses) }));
+};
@@ -30,16 +30,12 @@ class FeatureFlagService {
         return this.flags;
       }
 
-      const dbFlags = await prisma.featureFlag.findMany({
-        where: {
-          isActive: true,
-        },
-      });
+      const dbFlags = await prisma.featureFlag.findMany();
 
       // Update flags from database
       const updatedFlags = { ...DEFAULT_FLAGS };
       dbFlags.forEach(flag => {
-        updatedFlags[flag.name] = flag.enabled;
+        updatedFlags[flag.name] = flag.isEnabled;
       });
 
       this.flags = updatedFlags;
@@ -101,13 +97,10 @@ class FeatureFlagService {
         where: { name: flagName },
         create: {
           name: flagName,
-          enabled,
-          createdBy: updatedBy,
+          isEnabled: enabled,
         },
         update: {
-          enabled,
-          updatedBy,
-          updatedAt: new Date(),
+          isEnabled: enabled,
         },
       });
 
@@ -0,0 +1,169 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { generateToken, generateUUID } from '../utils/helpers.js';
+import { logActivity } from './auditService.js';
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+export class ImpersonationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImpersonationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const userSummary = {
+  select: { id: true, email: true, firstName: true, lastName: true, role: true },
+};
+
+/**
+ * Start impersonating a user. The returned access token authenticates as the
+ * target user but also names the admin, and cannot be refreshed.
+ * @param {Object} admin - Super admin starting the impersonation
+ * @param {string} targetUserId - User to impersonate
+ * @param {Object} context - { reason, ipAddress, userAgent }
+ * @returns {Promise<Object>} - { token, impersonation }
+ */
+export const startImpersonation = async (admin, targetUserId, { reason, ipAddress, userAgent } = {}) => {
+  if (admin.id === targetUserId) {
+    throw new ImpersonationError('You cannot impersonate yourself');
+  }
+
+  const target = await prisma.user.findUnique({ where: { id: targetUserId } });
+
+  if (!target) {
+    throw new ImpersonationError('User not found', 404);
+  }
+
+  if (target.role === 'SUPER_ADMIN') {
+    throw new ImpersonationError('Super admins cannot be impersonated', 403);
+  }
+
+  if (!target.isActive) {
+    throw new ImpersonationError('Inactive users cannot be impersonated', 409);
+  }
+
+  const impersonation = await prisma.impersonationSession.create({
+    data: {
+      adminId: admin.id,
+      targetUserId,
+      reason,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+    },
+    include: { admin: userSummary, targetUser: userSummary },
+  });
+
+  const token = generateToken(
+    {
+      userId: target.id,
+      role: target.role,
+      jti: generateUUID(),
+      imp: {
+        id: impersonation.id,
+        adminId: admin.id,
+      },
+    },
+    `${IMPERSONATION_TTL_MINUTES}m`
+  );
+
+  await logActivity('IMPERSONATION_STARTED', admin.id, 'USER', target.id, {
+    ipAddress,
+    userAgent,
+    impersonationId: impersonation.id,
+    reason,
+    expiresAt: impersonation.expiresAt,
+  });
+
+  logger.warn(`${admin.email} started impersonating ${target.email}`);
+  return { token, impersonation };
+};
+
+/**
+ * Look up an impersonation that is still running, with the admin behind it
+ * @param {string} impersonationId - Impersonation session ID
+ * @returns {Promise<Object|null>}
+ */
+export const findActiveImpersonation = (impersonationId) => {
+  return prisma.impersonationSession.findFirst({
+    where: { id: impersonationId, endedAt: null, expiresAt: { gt: new Date() } },
+    include: { admin: true },
+  });
+};
+
+/**
+ * End an impersonation; its token stops working immediately
+ * @param {string} impersonationId - Impersonation session ID
+ * @param {Object} endedBy - { userId, ipAddress, userAgent } for the audit trail
+ * @returns {Promise<Object>} - Ended impersonation
+ */
+export const endImpersonation = async (impersonationId, { userId, ipAddress, userAgent } = {}) => {
+  const { count } = await prisma.impersonationSession.updateMany({
+    where: { id: impersonationId, endedAt: null },
+    data: { endedAt: new Date() },
+  });
+
+  const impersonation = await prisma.impersonationSession.findUnique({
+    where: { id: impersonationId },
+    include: { admin: userSummary, targetUser: userSummary },
+  });
+
+  if (!impersonation) {
+    throw new ImpersonationError('Impersonation session not found', 404);
+  }
+
+  if (count === 1) {
+    await logActivity('IMPERSONATION_ENDED', userId || impersonation.adminId, 'USER', impersonation.targetUserId, {
+      ipAddress,
+      userAgent,
+      impersonationId,
+    });
+  }
+
+  return impersonation;
+};
+
+/**
+ * Record a request made while impersonating. Logged against the admin so the
+ * trail shows who really acted.
+ * @param {Object} req - Express request (authenticated with an impersonation token)
+ * @param {number} statusCode - Response status
+ */
+export const logImpersonatedRequest = (req, statusCode) => {
+  return logActivity('IMPERSONATED_REQUEST', req.impersonator.id, 'USER', req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    impersonationId: req.impersonation.id,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+  });
+};
+
+/**
+ * List impersonation sessions, newest first
+ * @param {Object} filters - { adminId, targetUserId, active, page, limit }
+ * @returns {Promise<Object>} - { sessions, total }
+ */
+export const listImpersonations = async ({ adminId, targetUserId, active, page = 1, limit = 20 } = {}) => {
+  const where = {
+    ...(adminId && { adminId }),
+    ...(targetUserId && { targetUserId }),
+    ...(active && { endedAt: null, expiresAt: { gt: new Date() } }),
+  };
+
+  const [sessions, total] = await Promise.all([
+    prisma.impersonationSession.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: { admin: userSummary, targetUser: userSummary },
+    }),
+    prisma.impersonationSession.count({ where }),
+  ]);
+
+  return { sessions, total };
+};
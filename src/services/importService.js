@@ -0,0 +1,571 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { validationResult } from 'express-validator';
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { propertyRules, tenantRules } from '../middleware/validation.js';
+import { ADDRESS_FIELDS, geocodeAddress, formatAddress } from './geocodingService.js';
+import { managedPropertiesWhere } from './propertyAssignmentService.js';
+import { createInvitedUser, createInvitation } from './invitationService.js';
+import { deletePropertyImageFiles } from './propertyImageService.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Creating a few hundred records takes longer than Prisma's default 5s
+const COMMIT_TIMEOUT_MS = 60 * 1000;
+
+// Fields a column can be mapped to. Tenants name their property (by name or
+// ID) and unit (by number) instead of giving database IDs.
+export const IMPORT_FIELDS = {
+  PROPERTIES: [
+    'name', 'description', 'address', ...ADDRESS_FIELDS, 'latitude', 'longitude',
+    'type', 'units', 'rentAmount', 'amenities', 'availableFrom',
+  ],
+  TENANTS: [
+    'email', 'firstName', 'lastName', 'phone', 'property', 'unit',
+    'moveInDate', 'emergencyContactName', 'emergencyContactPhone',
+  ],
+};
+
+export const REQUIRED_IMPORT_FIELDS = {
+  PROPERTIES: ['name', 'type', 'rentAmount'],
+  TENANTS: ['email', 'firstName', 'lastName', 'phone', 'property'],
+};
+
+// Permission a manager needs for each kind of import
+export const IMPORT_PERMISSIONS = {
+  PROPERTIES: 'properties.create',
+  TENANTS: 'tenants.create',
+};
+
+// Common spreadsheet headings that differ from the field names
+const FIELD_ALIASES = {
+  name: ['propertyname'],
+  rentAmount: ['rent', 'monthlyrent'],
+  postalCode: ['zip', 'zipcode', 'postcode'],
+  addressLine1: ['street', 'address1'],
+  addressLine2: ['address2'],
+  type: ['propertytype'],
+  email: ['emailaddress'],
+  phone: ['phonenumber', 'mobile'],
+  property: ['propertyname', 'propertyid'],
+  unit: ['unitnumber'],
+  firstName: ['givenname'],
+  lastName: ['surname', 'familyname'],
+};
+
+export class ImportError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Everything but the raw rows, which can be large
+export const importJobSelect = {
+  id: true,
+  ownerId: true,
+  createdById: true,
+  type: true,
+  status: true,
+  fileName: true,
+  headers: true,
+  mapping: true,
+  rowErrors: true,
+  createdRecords: true,
+  committedAt: true,
+  rolledBackAt: true,
+  rolledBackById: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const normalizeHeading = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const cellText = (cell) => {
+  if (cell.value instanceof Date) {
+    return cell.value.toISOString().slice(0, 10);
+  }
+  return String(cell.text ?? '').trim();
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX file as text
+ * @param {Object} file - Uploaded file (multer)
+ * @returns {Promise<Object>} - { headers, rows: [{ row, cells }] } with spreadsheet row numbers
+ */
+export const readSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (/\.csv$/i.test(file.originalname)) {
+      // Keep every cell as written; the default conversion turns phone
+      // numbers into numbers and drops their leading + and zeros
+      await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (error) {
+    logger.warn(`Unreadable import file ${file.originalname}:`, error);
+    throw new ImportError('The file could not be read as a spreadsheet');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw new ImportError('The spreadsheet needs a header row and at least one data row');
+  }
+
+  const columnCount = sheet.columnCount;
+  const headerRow = sheet.getRow(1);
+  const headers = [];
+  for (let column = 1; column <= columnCount; column++) {
+    headers.push(cellText(headerRow.getCell(column)).replace(/^\uFEFF/, '') || `Column ${column}`);
+  }
+
+  const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
+  if (duplicates.length > 0) {
+    throw new ImportError(`Column headers must be unique: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  const rows = [];
+  for (let number = 2; number <= sheet.rowCount; number++) {
+    const row = sheet.getRow(number);
+    const cells = headers.map((_header, index) => cellText(row.getCell(index + 1)));
+
+    if (cells.some(Boolean)) {
+      rows.push({ row: number, cells });
+    }
+  }
+
+  if (rows.length === 0) {
+    throw new ImportError('The spreadsheet has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`An import can have at most ${MAX_IMPORT_ROWS} rows; split the file`);
+  }
+
+  return { headers, rows };
+};
+
+/**
+ * Guess which column holds each field from the headings
+ * @param {string} type - PROPERTIES or TENANTS
+ * @param {string[]} headers - Column headers
+ * @returns {Object} - Field -> column header, for the fields that matched
+ */
+export const suggestMapping = (type, headers) => {
+  const byHeading = new Map(headers.map(header => [normalizeHeading(header), header]));
+  const mapping = {};
+
+  for (const field of IMPORT_FIELDS[type]) {
+    const candidates = [normalizeHeading(field), ...(FIELD_ALIASES[field] || [])];
+    const match = candidates.find(candidate => byHeading.has(candidate));
+    if (match) mapping[field] = byHeading.get(match);
+  }
+
+  return mapping;
+};
+
+/**
+ * Store an uploaded spreadsheet as a new import job
+ * @param {Object} params - { user, ownerId, type, file }
+ * @returns {Promise<Object>} - { job, suggestedMapping, preview }
+ */
+export const createImportJob = async ({ user, ownerId, type, file }) => {
+  const { headers, rows } = await readSpreadsheet(file);
+
+  const job = await prisma.importJob.create({
+    data: {
+      ownerId,
+      createdById: user.id,
+      type,
+      fileName: file.originalname,
+      headers,
+      rows,
+    },
+    select: importJobSelect,
+  });
+
+  return {
+    job: { ...job, rowCount: rows.length },
+    suggestedMapping: suggestMapping(type, headers),
+    preview: rows.slice(0, 5),
+  };
+};
+
+const checkMapping = (type, headers, mapping) => {
+  const unknownFields = Object.keys(mapping).filter(field => !IMPORT_FIELDS[type].includes(field));
+  if (unknownFields.length > 0) {
+    throw new ImportError(`Unknown import fields: ${unknownFields.join(', ')}`);
+  }
+
+  const missingColumns = Object.values(mapping).filter(header => !headers.includes(header));
+  if (missingColumns.length > 0) {
+    throw new ImportError(`Columns not in the file: ${missingColumns.join(', ')}`);
+  }
+
+  const unmapped = REQUIRED_IMPORT_FIELDS[type].filter(field => !mapping[field]);
+  if (unmapped.length > 0) {
+    throw new ImportError(`Map a column to each of: ${unmapped.join(', ')}`);
+  }
+};
+
+// Request-shaped body for the validation rules, leaving empty cells out so
+// optional fields stay optional
+const rowBody = (type, headers, mapping, cells) => {
+  const body = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    const text = cells[headers.indexOf(header)];
+    if (text) body[field] = text;
+  }
+
+  if (type === 'PROPERTIES') {
+    if (body.type) body.type = body.type.toUpperCase();
+    if (body.amenities) {
+      body.amenities = body.amenities.split(/[;,]/).map(amenity => amenity.trim()).filter(Boolean);
+    }
+  }
+
+  if (type === 'TENANTS') {
+    const { emergencyContactName, emergencyContactPhone, ...rest } = body;
+    if (emergencyContactName || emergencyContactPhone) {
+      rest.emergencyContact = { name: emergencyContactName || null, phone: emergencyContactPhone || null };
+    }
+    return rest;
+  }
+
+  return body;
+};
+
+const runRules = async (rules, body) => {
+  const req = { body };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  return {
+    body: req.body,
+    errors: validationResult(req).array().map(error => ({ field: error.path, message: error.msg })),
+  };
+};
+
+const propertyData = (body, ownerId) => {
+  const addressParts = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, body[field]]));
+
+  return {
+    name: body.name,
+    description: body.description,
+    address: body.address || formatAddress(addressParts),
+    ...addressParts,
+    ...(body.latitude !== undefined && {
+      latitude: parseFloat(body.latitude),
+      longitude: parseFloat(body.longitude),
+    }),
+    type: body.type,
+    units: body.units ? parseInt(body.units) : 1,
+    rentAmount: parseFloat(body.rentAmount),
+    amenities: body.amenities || [],
+    availableFrom: body.availableFrom ? new Date(body.availableFrom) : null,
+    ownerId,
+  };
+};
+
+// Properties a tenant row can name: the whole portfolio for owners, the
+// assigned properties for managers
+const importablePropertiesWhere = (user, ownerId) => {
+  return user.role === 'MANAGER' ? managedPropertiesWhere(user) : { ownerId };
+};
+
+const tenantResolver = async (job, user, rowsEmails) => {
+  const properties = await prisma.property.findMany({
+    where: importablePropertiesWhere(user, job.ownerId),
+    select: { id: true, name: true, rentalUnits: { select: { id: true, number: true } } },
+  });
+
+  const existingUsers = await prisma.user.findMany({
+    where: { email: { in: rowsEmails } },
+    select: { email: true },
+  });
+  const takenEmails = new Set(existingUsers.map(existing => existing.email));
+  const seenEmails = new Set();
+
+  return (body) => {
+    const errors = [];
+    const reference = body.property || '';
+
+    const matches = properties.filter(property => property.id === reference
+      || property.name.toLowerCase() === reference.toLowerCase());
+    const property = matches.length === 1 ? matches[0] : null;
+
+    if (!reference) {
+      errors.push({ field: 'property', message: 'Property is required' });
+    } else if (matches.length === 0) {
+      errors.push({ field: 'property', message: `No property named "${body.property}" that you can add tenants to` });
+    } else if (!property) {
+      errors.push({ field: 'property', message: `Several properties are named "${body.property}"; use the property ID` });
+    }
+
+    const unit = property && body.unit
+      ? property.rentalUnits.find(candidate => candidate.number === body.unit)
+      : null;
+    if (property && body.unit && !unit) {
+      errors.push({ field: 'unit', message: `Property "${property.name}" has no unit ${body.unit}` });
+    }
+
+    if (takenEmails.has(body.email)) {
+      errors.push({ field: 'email', message: 'A user with this email already exists' });
+    } else if (seenEmails.has(body.email)) {
+      errors.push({ field: 'email', message: 'This email appears on an earlier row' });
+    }
+    seenEmails.add(body.email);
+
+    return {
+      errors,
+      data: property && {
+        propertyId: property.id,
+        unitId: unit?.id ?? null,
+        email: body.email,
+        firstName: body.firstName,
+        lastName: body.lastName,
+        phone: body.phone,
+        emergencyContact: body.emergencyContact,
+        moveInDate: body.moveInDate ? new Date(body.moveInDate) : null,
+      },
+    };
+  };
+};
+
+/**
+ * Check every row of a job with the same rules as the create endpoints,
+ * without writing anything
+ * @param {Object} job - Import job with its rows
+ * @param {Object} mapping - Field -> column header
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} - { errors: [{ row, field, message }], records: [{ row, data }] }
+ */
+const checkRows = async (job, mapping, user) => {
+  checkMapping(job.type, job.headers, mapping);
+
+  const bodies = [];
+  const errors = [];
+
+  for (const { row, cells } of job.rows) {
+    const rules = job.type === 'PROPERTIES' ? propertyRules : tenantRules;
+    const result = await runRules(rules, rowBody(job.type, job.headers, mapping, cells));
+    bodies.push({ row, body: result.body, valid: result.errors.length === 0 });
+    errors.push(...result.errors.map(error => ({ row, ...error })));
+  }
+
+  let resolveTenant;
+  if (job.type === 'TENANTS') {
+    resolveTenant = await tenantResolver(job, user, bodies.map(({ body }) => body.email).filter(Boolean));
+  }
+
+  const records = [];
+  for (const { row, body, valid } of bodies) {
+    if (job.type === 'PROPERTIES') {
+      records.push({ row, data: propertyData(body, job.ownerId) });
+      continue;
+    }
+
+    // Only well-formed rows get the lookups, so each problem is reported once
+    if (!valid) continue;
+
+    const result = resolveTenant(body);
+    errors.push(...result.errors.map(error => ({ row, ...error })));
+    records.push({ row, data: result.data });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { errors, records };
+};
+
+const assertStatus = (job, statuses, action) => {
+  if (!statuses.includes(job.status)) {
+    throw new ImportError(`Cannot ${action} an import that is ${job.status.toLowerCase().replace('_', ' ')}`, 409);
+  }
+};
+
+/**
+ * Dry run: validate a job against a column mapping and record the result.
+ * Nothing but the job is written.
+ * @param {Object} job - Import job with its rows
+ * @param {Object} mapping - Field -> column header
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} - Updated job, with rowCount and validRowCount
+ */
+export const validateImport = async (job, mapping, user) => {
+  assertStatus(job, ['UPLOADED', 'VALIDATED', 'INVALID'], 'validate');
+
+  // Fields left unmapped may come through blank
+  mapping = Object.fromEntries(Object.entries(mapping).filter(([, header]) => header));
+
+  const { errors } = await checkRows(job, mapping, user);
+  const invalidRows = new Set(errors.map(error => error.row));
+
+  const updated = await prisma.importJob.update({
+    where: { id: job.id },
+    data: {
+      mapping,
+      rowErrors: errors,
+      status: errors.length === 0 ? 'VALIDATED' : 'INVALID',
+    },
+    select: importJobSelect,
+  });
+
+  return {
+    ...updated,
+    rowCount: job.rows.length,
+    validRowCount: job.rows.length - invalidRows.size,
+  };
+};
+
+/**
+ * Create every row of a validated job in one transaction. The rows are
+ * checked again first, as data may have changed since the dry run.
+ * @param {Object} job - Import job with its rows
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { sendInvitations } for tenant imports, defaults to true
+ * @returns {Promise<Object>} - Updated job
+ */
+export const commitImport = async (job, user, { sendInvitations = true } = {}) => {
+  assertStatus(job, ['VALIDATED'], 'commit');
+
+  const { errors, records } = await checkRows(job, job.mapping, user);
+  if (errors.length > 0) {
+    await prisma.importJob.update({
+      where: { id: job.id },
+      data: { rowErrors: errors, status: 'INVALID' },
+    });
+    throw new ImportError('Some rows are no longer valid', 422, errors);
+  }
+
+  // Geocode outside the transaction so slow lookups do not hold it open
+  if (job.type === 'PROPERTIES') {
+    for (const { data } of records) {
+      if (data.latitude === undefined) {
+        Object.assign(data, await geocodeAddress(data.address) || { latitude: null, longitude: null });
+      }
+    }
+  }
+
+  const { createdRecords, users } = await prisma.$transaction(async (tx) => {
+    if (job.type === 'PROPERTIES') {
+      const propertyIds = [];
+      for (const { data } of records) {
+        const property = await tx.property.create({ data, select: { id: true } });
+        propertyIds.push(property.id);
+      }
+      return { createdRecords: { propertyIds }, users: [] };
+    }
+
+    const tenantIds = [];
+    const userIds = [];
+    const created = [];
+    for (const { data } of records) {
+      const { email, ...tenantData } = data;
+      const tenantUser = await createInvitedUser(tx, {
+        email,
+        role: 'TENANT',
+        firstName: tenantData.firstName,
+        lastName: tenantData.lastName,
+      });
+      const tenant = await tx.tenant.create({
+        data: { ...tenantData, userId: tenantUser.id },
+        select: { id: true },
+      });
+      tenantIds.push(tenant.id);
+      userIds.push(tenantUser.id);
+      created.push(tenantUser);
+    }
+    return { createdRecords: { tenantIds, userIds }, users: created };
+  }, { timeout: COMMIT_TIMEOUT_MS });
+
+  const updated = await prisma.importJob.update({
+    where: { id: job.id },
+    data: {
+      status: 'COMMITTED',
+      rowErrors: [],
+      createdRecords,
+      committedAt: new Date(),
+    },
+    select: importJobSelect,
+  });
+
+  // The tenants are in; an invitation that fails can be resent later
+  if (sendInvitations) {
+    for (const tenantUser of users) {
+      try {
+        await createInvitation({ user: tenantUser, ownerId: job.ownerId, invitedById: user.id });
+      } catch (error) {
+        logger.error(`Failed to invite imported tenant ${tenantUser.email}:`, error);
+      }
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Remove what a committed job created. Refused once any of it is in use, by
+ * leases, payments or tenants added since, since deleting it would take
+ * those with it.
+ * @param {Object} job - Committed import job
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} - Updated job
+ */
+export const rollbackImport = async (job, user) => {
+  assertStatus(job, ['COMMITTED'], 'roll back');
+
+  const { propertyIds = [], tenantIds = [], userIds = [] } = job.createdRecords || {};
+  let properties = [];
+
+  if (job.type === 'PROPERTIES') {
+    const inUse = await prisma.property.count({
+      where: { id: { in: propertyIds }, OR: [{ leases: { some: {} } }, { tenants: { some: {} } }] },
+    });
+    if (inUse > 0) {
+      throw new ImportError(`${inUse} imported propert${inUse === 1 ? 'y has' : 'ies have'} tenants or leases; remove them first`, 409);
+    }
+
+    properties = await prisma.property.findMany({
+      where: { id: { in: propertyIds } },
+      select: { images: true, propertyImages: { select: { publicId: true } } },
+    });
+  } else {
+    const inUse = await prisma.tenant.count({
+      where: { id: { in: tenantIds }, OR: [{ leases: { some: {} } }, { payments: { some: {} } }] },
+    });
+    if (inUse > 0) {
+      throw new ImportError(`${inUse} imported tenant${inUse === 1 ? ' has' : 's have'} leases or payments; remove them first`, 409);
+    }
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (job.type === 'PROPERTIES') {
+      await tx.property.deleteMany({ where: { id: { in: propertyIds } } });
+    } else {
+      // Deleting the accounts takes the tenant records and invitations with them
+      await tx.user.deleteMany({ where: { id: { in: userIds }, role: 'TENANT' } });
+    }
+
+    return tx.importJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'ROLLED_BACK',
+        rolledBackAt: new Date(),
+        rolledBackById: user.id,
+      },
+      select: importJobSelect,
+    });
+  });
+
+  for (const property of properties) {
+    await deletePropertyImageFiles(property);
+  }
+
+  return updated;
+};
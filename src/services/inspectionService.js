@@ -0,0 +1,401 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import { findPropertyUnit } from './unitService.js';
+import { sendMultiChannelNotification } from './notificationService.js';
+
+// Best first. NOT_APPLICABLE is left out: it never counts as a change.
+export const CONDITION_RANK = ['EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
+export const INSPECTION_CONDITIONS = [...CONDITION_RANK, 'NOT_APPLICABLE'];
+
+const room = (name, items) => ({ name, items });
+
+const commonRooms = [
+  room('Entry', ['Front door and lock', 'Walls', 'Flooring', 'Lighting']),
+  room('Living room', ['Walls', 'Ceiling', 'Flooring', 'Windows and blinds', 'Lighting and sockets']),
+  room('Kitchen', ['Cabinets and drawers', 'Countertops', 'Sink and taps', 'Oven and hob', 'Refrigerator', 'Flooring']),
+  room('Bathroom', ['Toilet', 'Shower or bath', 'Sink and taps', 'Tiles and grout', 'Ventilation']),
+  room('Bedroom', ['Walls', 'Flooring', 'Windows and blinds', 'Closet', 'Lighting and sockets']),
+  room('Safety', ['Smoke alarms', 'Carbon monoxide alarm', 'Keys handed over']),
+];
+
+// Built-in checklists every owner can use, next to their own templates
+export const SYSTEM_INSPECTION_TEMPLATES = [
+  {
+    id: 'system-apartment',
+    name: 'Apartment',
+    description: 'Standard rooms of an apartment or condo',
+    rooms: commonRooms,
+  },
+  {
+    id: 'system-house',
+    name: 'House',
+    description: 'Apartment checklist plus the outside of the house',
+    rooms: [
+      ...commonRooms,
+      room('Exterior', ['Roof and gutters', 'Walls and paint', 'Driveway and paths']),
+      room('Garden', ['Lawn and plants', 'Fences and gates']),
+      room('Garage', ['Door and opener', 'Floor']),
+    ],
+  },
+];
+
+export class InspectionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InspectionError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const inspectionSummaryInclude = {
+  property: { select: { id: true, name: true, address: true, ownerId: true } },
+  unit: { select: { id: true, number: true } },
+  tenant: { select: { id: true, userId: true, firstName: true, lastName: true } },
+  inspectedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+export const inspectionInclude = {
+  ...inspectionSummaryInclude,
+  items: {
+    orderBy: { position: 'asc' },
+    include: { photos: { orderBy: { uploadedAt: 'asc' } } },
+  },
+};
+
+/**
+ * Built-in templates followed by the owner's own
+ * @param {string|null} ownerId - Owner ID; null lists only the built-in ones
+ * @returns {Promise<Object[]>}
+ */
+export const listTemplates = async (ownerId) => {
+  const own = ownerId
+    ? await prisma.inspectionTemplate.findMany({ where: { ownerId }, orderBy: { name: 'asc' } })
+    : [];
+
+  return [
+    ...SYSTEM_INSPECTION_TEMPLATES.map(template => ({ ...template, isSystem: true })),
+    ...own.map(template => ({ ...template, isSystem: false })),
+  ];
+};
+
+const findTemplate = async (templateId, ownerId) => {
+  const system = SYSTEM_INSPECTION_TEMPLATES.find(template => template.id === templateId);
+  if (system) return system;
+
+  const template = await prisma.inspectionTemplate.findFirst({
+    where: { id: templateId, ownerId },
+  });
+
+  if (!template) {
+    throw new InspectionError('Inspection template not found', 404);
+  }
+
+  return template;
+};
+
+/**
+ * Start an inspection with one item per checklist entry of the template
+ * @param {Object} property - Property the caller may inspect
+ * @param {Object} user - Inspector
+ * @param {Object} data - { type, templateId, unitId, tenantId, leaseId, scheduledAt, notes }
+ * @returns {Promise<Object>} - Inspection with its items
+ */
+export const createInspection = async (property, user, data) => {
+  const { type, templateId, unitId, tenantId, leaseId, scheduledAt, notes } = data;
+
+  const template = await findTemplate(templateId, property.ownerId);
+
+  if (unitId && !await findPropertyUnit(property.id, unitId)) {
+    throw new InspectionError('Unit does not belong to this property');
+  }
+
+  if (tenantId) {
+    const tenant = await prisma.tenant.findFirst({ where: { id: tenantId, propertyId: property.id } });
+    if (!tenant) {
+      throw new InspectionError('Tenant does not belong to this property');
+    }
+  }
+
+  if (leaseId) {
+    const lease = await prisma.lease.findFirst({
+      where: { id: leaseId, propertyId: property.id, ...(tenantId && { tenantId }) },
+    });
+    if (!lease) {
+      throw new InspectionError('Lease does not belong to this property and tenant');
+    }
+  }
+
+  const items = template.rooms.flatMap(({ name, items: entries }) => entries.map(entry => ({ room: name, name: entry })));
+
+  return prisma.inspection.create({
+    data: {
+      propertyId: property.id,
+      unitId,
+      tenantId,
+      leaseId,
+      type,
+      templateName: template.name,
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+      notes,
+      inspectedById: user.id,
+      items: {
+        create: items.map((item, position) => ({ ...item, position })),
+      },
+    },
+    include: inspectionInclude,
+  });
+};
+
+const assertInProgress = (inspection) => {
+  if (inspection.status !== 'IN_PROGRESS') {
+    throw new InspectionError('A completed inspection can no longer be changed', 409);
+  }
+};
+
+const findItem = (inspection, itemId) => {
+  const item = inspection.items.find(candidate => candidate.id === itemId);
+  if (!item) {
+    throw new InspectionError('Inspection item not found', 404);
+  }
+  return item;
+};
+
+/**
+ * Record the condition of a checklist item
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ * @param {string} itemId - Item ID
+ * @param {Object} changes - { condition, notes }
+ * @returns {Promise<Object>} - Updated item with its photos
+ */
+export const updateInspectionItem = (inspection, itemId, { condition, notes }) => {
+  assertInProgress(inspection);
+  const item = findItem(inspection, itemId);
+
+  return prisma.inspectionItem.update({
+    where: { id: item.id },
+    data: {
+      ...(condition !== undefined && { condition }),
+      ...(notes !== undefined && { notes: notes || null }),
+    },
+    include: { photos: true },
+  });
+};
+
+/**
+ * Upload photos of a checklist item
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ * @param {string} itemId - Item ID
+ * @param {Object[]} files - Uploaded files (multer)
+ * @param {string} caption - Caption for every photo of the upload
+ * @returns {Promise<Object[]>} - Created photos
+ */
+export const addItemPhotos = async (inspection, itemId, files, caption) => {
+  assertInProgress(inspection);
+  const item = findItem(inspection, itemId);
+
+  const uploads = await Promise.all(files.map(file => uploadToCloudinary(file.buffer, 'inspections')));
+
+  return prisma.$transaction(uploads.map(upload => prisma.inspectionPhoto.create({
+    data: {
+      itemId: item.id,
+      url: upload.secure_url,
+      publicId: upload.public_id,
+      caption: caption || null,
+    },
+  })));
+};
+
+const deletePhotoFiles = async (photos) => {
+  const results = await Promise.allSettled(
+    photos.filter(photo => photo.publicId).map(photo => deleteFromCloudinary(photo.publicId))
+  );
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to delete inspection photo from storage:', result.reason));
+};
+
+/**
+ * Remove a photo from an inspection still in progress
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ * @param {string} itemId - Item ID
+ * @param {string} photoId - Photo ID
+ */
+export const deleteItemPhoto = async (inspection, itemId, photoId) => {
+  assertInProgress(inspection);
+  const photo = findItem(inspection, itemId).photos.find(candidate => candidate.id === photoId);
+
+  if (!photo) {
+    throw new InspectionError('Photo not found', 404);
+  }
+
+  await prisma.inspectionPhoto.delete({ where: { id: photo.id } });
+  await deletePhotoFiles([photo]);
+};
+
+/**
+ * Delete an inspection that has not been completed, with its photos
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ */
+export const deleteInspection = async (inspection) => {
+  assertInProgress(inspection);
+
+  await prisma.inspection.delete({ where: { id: inspection.id } });
+  await deletePhotoFiles(inspection.items.flatMap(item => item.photos));
+};
+
+/**
+ * Lock an inspection once every item has a condition, and ask the tenant to
+ * sign it off
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ * @returns {Promise<Object>} - Completed inspection
+ */
+export const completeInspection = async (inspection) => {
+  assertInProgress(inspection);
+
+  const unrated = inspection.items.filter(item => !item.condition);
+  if (unrated.length > 0) {
+    throw new InspectionError(`${unrated.length} item(s) have no condition yet`, 422);
+  }
+
+  const completed = await prisma.inspection.update({
+    where: { id: inspection.id },
+    data: { status: 'COMPLETED', completedAt: new Date() },
+    include: inspectionInclude,
+  });
+
+  if (completed.tenant) {
+    try {
+      await sendMultiChannelNotification(completed.tenant.userId, {
+        title: 'Inspection ready for your sign-off',
+        body: `The ${completed.type === 'MOVE_IN' ? 'move-in' : 'move-out'} inspection of ${completed.property.name} is complete. Please review it and sign it off.`,
+        type: 'SYSTEM',
+        data: { inspectionId: completed.id },
+      });
+    } catch (error) {
+      logger.error(`Failed to notify tenant about inspection ${completed.id}:`, error);
+    }
+  }
+
+  return completed;
+};
+
+/**
+ * Record the tenant's sign-off of a completed inspection
+ * @param {Object} inspection - Inspection loaded with inspectionInclude
+ * @param {Object} signOff - { signatureName, comments, ipAddress }
+ * @returns {Promise<Object>} - Signed inspection
+ */
+export const signInspection = (inspection, { signatureName, comments, ipAddress }) => {
+  if (inspection.status !== 'COMPLETED') {
+    throw new InspectionError(
+      inspection.status === 'SIGNED' ? 'The inspection is already signed' : 'The inspection is not complete yet',
+      409
+    );
+  }
+
+  return prisma.inspection.update({
+    where: { id: inspection.id },
+    data: {
+      status: 'SIGNED',
+      tenantSignedAt: new Date(),
+      tenantSignatureName: signatureName,
+      tenantComments: comments || null,
+      tenantSignatureIp: ipAddress,
+    },
+    include: inspectionInclude,
+  });
+};
+
+/**
+ * The inspection at the other end of the tenancy: the latest move-in before a
+ * move-out, or the first move-out after a move-in. Matched on the tenant, or
+ * on the unit or property when the inspection has no tenant.
+ * @param {Object} inspection - Inspection
+ * @returns {Promise<Object|null>} - Counterpart loaded with inspectionInclude
+ */
+export const findCounterpart = (inspection) => {
+  const isMoveOut = inspection.type === 'MOVE_OUT';
+
+  const where = {
+    id: { not: inspection.id },
+    type: isMoveOut ? 'MOVE_IN' : 'MOVE_OUT',
+    propertyId: inspection.propertyId,
+    createdAt: isMoveOut ? { lt: inspection.createdAt } : { gt: inspection.createdAt },
+  };
+
+  if (inspection.tenantId) {
+    where.tenantId = inspection.tenantId;
+  } else if (inspection.unitId) {
+    where.unitId = inspection.unitId;
+  }
+
+  return prisma.inspection.findFirst({
+    where,
+    orderBy: { createdAt: isMoveOut ? 'desc' : 'asc' },
+    include: inspectionInclude,
+  });
+};
+
+const itemSide = (item) => item && {
+  condition: item.condition,
+  notes: item.notes,
+  photos: item.photos.map(({ id, url, caption }) => ({ id, url, caption })),
+};
+
+// Whether the condition got worse between move-in and move-out
+const worsened = (moveInItem, moveOutItem) => {
+  const before = CONDITION_RANK.indexOf(moveInItem?.condition);
+  const after = CONDITION_RANK.indexOf(moveOutItem?.condition);
+  return before !== -1 && after !== -1 && after > before;
+};
+
+const inspectionSummary = ({ id, type, status, templateName, completedAt, tenantSignedAt, createdAt }) => ({
+  id, type, status, templateName, completedAt, tenantSignedAt, createdAt,
+});
+
+/**
+ * Side-by-side view of a move-in and a move-out inspection, room by room.
+ * Items are matched on room and name, so inspections from different
+ * templates still line up where their checklists overlap.
+ * @param {Object} moveIn - Move-in inspection loaded with inspectionInclude
+ * @param {Object} moveOut - Move-out inspection loaded with inspectionInclude
+ * @returns {Object} - { moveIn, moveOut, rooms: [{ name, items }], worsenedCount }
+ */
+export const compareInspections = (moveIn, moveOut) => {
+  const key = (item) => `${item.room}\u0000${item.name}`;
+  const moveOutItems = new Map(moveOut.items.map(item => [key(item), item]));
+  const rooms = new Map();
+
+  const addRow = (roomName, row) => {
+    if (!rooms.has(roomName)) rooms.set(roomName, []);
+    rooms.get(roomName).push(row);
+  };
+
+  for (const item of moveIn.items) {
+    const counterpart = moveOutItems.get(key(item));
+    moveOutItems.delete(key(item));
+    addRow(item.room, {
+      name: item.name,
+      moveIn: itemSide(item),
+      moveOut: itemSide(counterpart) ?? null,
+      worsened: worsened(item, counterpart),
+    });
+  }
+
+  // Checklist entries only the move-out had
+  for (const item of moveOutItems.values()) {
+    addRow(item.room, { name: item.name, moveIn: null, moveOut: itemSide(item), worsened: false });
+  }
+
+  const roomList = [...rooms].map(([name, items]) => ({ name, items }));
+
+  return {
+    moveIn: inspectionSummary(moveIn),
+    moveOut: inspectionSummary(moveOut),
+    rooms: roomList,
+    worsenedCount: roomList.reduce((count, { items }) => count + items.filter(item => item.worsened).length, 0),
+  };
+};
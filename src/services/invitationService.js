@@ -0,0 +1,310 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { generateSecureToken, hashPassword } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+import { sendInvitationEmail } from '../modules/notifications/services/emailService.js';
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+export class InvitationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InvitationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const invitationExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const buildInviteUrl = (token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+};
+
+const inviterName = (invitedBy) => {
+  if (!invitedBy) return null;
+  const name = [invitedBy.firstName, invitedBy.lastName].filter(Boolean).join(' ');
+  return name || invitedBy.email;
+};
+
+// Pending invitations past their expiry are reported as expired even before
+// the cleanup job has updated the row
+export const withEffectiveStatus = (invitation) => {
+  if (invitation.status === 'PENDING' && invitation.expiresAt < new Date()) {
+    return { ...invitation, status: 'EXPIRED' };
+  }
+  return invitation;
+};
+
+const deliver = async (invitation, token) => {
+  try {
+    await sendInvitationEmail(
+      invitation.email,
+      invitation.role,
+      buildInviteUrl(token),
+      invitation.expiresAt,
+      inviterName(invitation.invitedBy)
+    );
+  } catch (error) {
+    logger.error(`Failed to send invitation email to ${invitation.email}:`, error);
+  }
+};
+
+const invitationSelect = {
+  id: true,
+  userId: true,
+  ownerId: true,
+  email: true,
+  role: true,
+  status: true,
+  expiresAt: true,
+  sentAt: true,
+  sendCount: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: { id: true, email: true, firstName: true, lastName: true },
+  },
+};
+
+/**
+ * Create an account that can only be activated through an emailed invitation.
+ * The account gets an unusable random password until the invitee sets one.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} data - { email, role, firstName, lastName }
+ * @returns {Promise<Object>} - Created user
+ */
+export const createInvitedUser = async (client, { email, role, firstName, lastName }) => {
+  return client.user.create({
+    data: {
+      email: email.toLowerCase(),
+      password: await hashPassword(generateSecureToken()),
+      role,
+      firstName,
+      lastName,
+    },
+  });
+};
+
+/**
+ * Fetch an invitation, making sure it is of the expected role and, unless
+ * ownerId is null (super admin), belongs to that owner's portfolio
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} scope - { role, ownerId }
+ * @returns {Promise<Object>} - Invitation
+ */
+export const getScopedInvitation = async (invitationId, { role, ownerId = null }) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+    select: invitationSelect,
+  });
+
+  // Out-of-scope invitations are reported as missing rather than forbidden
+  if (!invitation || invitation.role !== role || (ownerId && invitation.ownerId !== ownerId)) {
+    throw new InvitationError('Invitation not found', 404);
+  }
+
+  return withEffectiveStatus(invitation);
+};
+
+/**
+ * Create an invitation for a freshly created account and email it
+ * @param {Object} data - { user, ownerId, invitedById }
+ * @returns {Promise<Object>} - Invitation (without token)
+ */
+export const createInvitation = async ({ user, ownerId = null, invitedById = null }) => {
+  const token = generateSecureToken();
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      userId: user.id,
+      ownerId,
+      invitedById,
+      email: user.email,
+      role: user.role,
+      tokenHash: hashSensitiveData(token),
+      expiresAt: invitationExpiry(),
+    },
+    select: invitationSelect,
+  });
+
+  await deliver(invitation, token);
+
+  logger.info(`Invitation sent to ${invitation.email} (${invitation.role})`);
+  return invitation;
+};
+
+/**
+ * Issue a new link for a pending or expired invitation. The previous link
+ * stops working and the expiry starts over.
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} - Updated invitation
+ */
+export const resendInvitation = async (invitationId) => {
+  const existing = await prisma.invitation.findUnique({ where: { id: invitationId } });
+
+  if (!existing) {
+    throw new InvitationError('Invitation not found', 404);
+  }
+
+  if (!['PENDING', 'EXPIRED'].includes(existing.status)) {
+    throw new InvitationError(`Cannot resend an invitation that is ${existing.status.toLowerCase()}`, 409);
+  }
+
+  const token = generateSecureToken();
+
+  const invitation = await prisma.invitation.update({
+    where: { id: invitationId },
+    data: {
+      tokenHash: hashSensitiveData(token),
+      status: 'PENDING',
+      expiresAt: invitationExpiry(),
+      sentAt: new Date(),
+      sendCount: { increment: 1 },
+    },
+    select: invitationSelect,
+  });
+
+  await deliver(invitation, token);
+
+  logger.info(`Invitation resent to ${invitation.email}`);
+  return invitation;
+};
+
+/**
+ * Revoke an invitation that has not been accepted. The invited account is
+ * deactivated so it cannot be taken over through password reset either.
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} - Updated invitation
+ */
+export const revokeInvitation = async (invitationId) => {
+  const existing = await prisma.invitation.findUnique({ where: { id: invitationId } });
+
+  if (!existing) {
+    throw new InvitationError('Invitation not found', 404);
+  }
+
+  if (!['PENDING', 'EXPIRED'].includes(existing.status)) {
+    throw new InvitationError(`Cannot revoke an invitation that is ${existing.status.toLowerCase()}`, 409);
+  }
+
+  const [invitation] = await prisma.$transaction([
+    prisma.invitation.update({
+      where: { id: invitationId },
+      data: { status: 'REVOKED', revokedAt: new Date() },
+      select: invitationSelect,
+    }),
+    prisma.user.update({
+      where: { id: existing.userId },
+      data: { isActive: false },
+    }),
+  ]);
+
+  logger.info(`Invitation revoked for ${invitation.email}`);
+  return invitation;
+};
+
+/**
+ * Look up a pending invitation by the token from the invite link
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object|null>} - Invitation, or null when invalid, expired or used
+ */
+export const findPendingInvitation = async (token) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashSensitiveData(token) },
+    select: invitationSelect,
+  });
+
+  if (!invitation || withEffectiveStatus(invitation).status !== 'PENDING') {
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * Accept an invitation: set the invitee's password and activate the account.
+ * Receiving the link proves control of the address, so it counts as verified.
+ * @param {string} token - Raw invitation token
+ * @param {string} password - Password chosen by the invitee
+ * @returns {Promise<Object|null>} - Accepted invitation, or null when the token is not usable
+ */
+export const acceptInvitation = async (token, password) => {
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) {
+    return null;
+  }
+
+  const hashedPassword = await hashPassword(password);
+
+  // Guard against the same link being accepted twice concurrently
+  const { count } = await prisma.invitation.updateMany({
+    where: { id: invitation.id, status: 'PENDING', expiresAt: { gt: new Date() } },
+    data: { status: 'ACCEPTED', acceptedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  await prisma.user.update({
+    where: { id: invitation.userId },
+    data: {
+      password: hashedPassword,
+      passwordChangedAt: new Date(),
+      isActive: true,
+      emailVerifiedAt: new Date(),
+    },
+  });
+
+  logger.info(`Invitation accepted by ${invitation.email}`);
+  return { ...invitation, status: 'ACCEPTED' };
+};
+
+/**
+ * List invitations, newest first
+ * @param {Object} filters - { ownerId, role, status }
+ * @returns {Promise<Object[]>}
+ */
+export const listInvitations = async ({ ownerId, role, status } = {}) => {
+  const now = new Date();
+  let statusWhere = {};
+
+  // Expired is partly derived, see withEffectiveStatus
+  if (status === 'PENDING') {
+    statusWhere = { status: 'PENDING', expiresAt: { gte: now } };
+  } else if (status === 'EXPIRED') {
+    statusWhere = {
+      OR: [
+        { status: 'EXPIRED' },
+        { status: 'PENDING', expiresAt: { lt: now } },
+      ],
+    };
+  } else if (status) {
+    statusWhere = { status };
+  }
+
+  const invitations = await prisma.invitation.findMany({
+    where: {
+      ...(ownerId && { ownerId }),
+      ...(role && { role }),
+      ...statusWhere,
+    },
+    orderBy: { createdAt: 'desc' },
+    select: invitationSelect,
+  });
+
+  return invitations.map(withEffectiveStatus);
+};
+
+/**
+ * Persist the EXPIRED status on pending invitations past their expiry
+ * @returns {Promise<number>} - Number of invitations expired
+ */
+export const expireStaleInvitations = async () => {
+  const result = await prisma.invitation.updateMany({
+    where: { status: 'PENDING', expiresAt: { lt: new Date() } },
+    data: { status: 'EXPIRED' },
+  });
+  return result.count;
+};
@@ -0,0 +1,198 @@
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const feedTitle = () => process.env.LISTINGS_FEED_TITLE || 'Available rentals';
+
+export const LISTING_SORTS = {
+  newest: [{ publishedAt: 'desc' }, { id: 'asc' }],
+  rent_asc: [{ rentAmount: 'asc' }, { id: 'asc' }],
+  rent_desc: [{ rentAmount: 'desc' }, { id: 'asc' }],
+  available: [{ availableFrom: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+};
+
+// Only what a prospective tenant should see; nothing about the owner,
+// tenants or leases leaves through the public API.
+export const listingSelect = {
+  id: true,
+  name: true,
+  description: true,
+  type: true,
+  address: true,
+  city: true,
+  state: true,
+  postalCode: true,
+  country: true,
+  latitude: true,
+  longitude: true,
+  rentAmount: true,
+  images: true,
+  amenities: true,
+  availableFrom: true,
+  publishedAt: true,
+  updatedAt: true,
+  rentalUnits: {
+    where: { status: 'AVAILABLE' },
+    select: {
+      id: true,
+      number: true,
+      floor: true,
+      bedrooms: true,
+      size: true,
+      rentAmount: true,
+    },
+    orderBy: { number: 'asc' },
+  },
+};
+
+/**
+ * Prisma filter for published vacancies. A property without unit records is
+ * listed while it is AVAILABLE; a building split into units is listed while
+ * any of its units is.
+ * @param {Object} filters - { city, type, minRent, maxRent, bedrooms, amenities, availableBy }
+ * @returns {Object}
+ */
+export const listingWhere = ({ city, type, minRent, maxRent, bedrooms, amenities, availableBy } = {}) => {
+  const rent = {};
+  if (minRent !== undefined) rent.gte = minRent;
+  if (maxRent !== undefined) rent.lte = maxRent;
+  const rentFilter = Object.keys(rent).length > 0 ? { rentAmount: rent } : {};
+
+  const vacancies = [
+    {
+      status: { notIn: ['MAINTENANCE', 'UNAVAILABLE'] },
+      rentalUnits: {
+        some: {
+          status: 'AVAILABLE',
+          ...rentFilter,
+          ...(bedrooms !== undefined && { bedrooms: { gte: bedrooms } }),
+        },
+      },
+    },
+  ];
+
+  // Bedrooms are only recorded on units
+  if (bedrooms === undefined) {
+    vacancies.push({ status: 'AVAILABLE', rentalUnits: { none: {} }, ...rentFilter });
+  }
+
+  const where = {
+    isPublished: true,
+    AND: [{ OR: vacancies }],
+  };
+
+  if (city) where.city = { equals: city, mode: 'insensitive' };
+  if (type) where.type = type;
+  if (amenities && amenities.length > 0) where.amenities = { hasEvery: amenities };
+  if (availableBy) {
+    where.AND.push({ OR: [{ availableFrom: null }, { availableFrom: { lte: availableBy } }] });
+  }
+
+  return where;
+};
+
+/**
+ * Public URL of a listing on the website
+ * @param {string} id - Property ID
+ * @returns {string}
+ */
+export const listingUrl = (id) => `${frontendUrl()}/listings/${id}`;
+
+/**
+ * Shape a property loaded with listingSelect for the public API
+ * @param {Object} property - Property with its available units
+ * @returns {Object}
+ */
+export const toListing = (property) => {
+  const { rentalUnits, ...fields } = property;
+  const rents = rentalUnits.length > 0
+    ? rentalUnits.map(unit => Number(unit.rentAmount))
+    : [Number(property.rentAmount)];
+
+  return {
+    ...fields,
+    rentFrom: Math.min(...rents),
+    availableUnits: rentalUnits,
+    url: listingUrl(property.id),
+  };
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const listingTitle = (listing) => `${listing.name} - from ${listing.rentFrom.toFixed(2)}/month`;
+
+const listingSummary = (listing) => {
+  const parts = [listing.address];
+  if (listing.availableUnits.length > 0) parts.push(`${listing.availableUnits.length} unit(s) available`);
+  if (listing.availableFrom) parts.push(`Available from ${listing.availableFrom.toISOString().slice(0, 10)}`);
+  if (listing.description) parts.push(listing.description);
+  return parts.join('. ');
+};
+
+/**
+ * RSS 2.0 feed of listings
+ * @param {Object[]} listings - Listings from toListing
+ * @param {string} feedUrl - Absolute URL the feed is served from
+ * @returns {string}
+ */
+export const renderRssFeed = (listings, feedUrl) => {
+  const items = listings.map(listing => [
+    '    <item>',
+    `      <title>${escapeXml(listingTitle(listing))}</title>`,
+    `      <link>${escapeXml(listing.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(listing.id)}</guid>`,
+    `      <description>${escapeXml(listingSummary(listing))}</description>`,
+    `      <category>${escapeXml(listing.type)}</category>`,
+    `      <pubDate>${(listing.publishedAt || listing.updatedAt).toUTCString()}</pubDate>`,
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feedTitle())}</title>`,
+    `    <link>${escapeXml(`${frontendUrl()}/listings`)}</link>`,
+    `    <description>${escapeXml(feedTitle())}</description>`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * JSON Feed 1.1 of listings, with the rental details under `_rental`
+ * @param {Object[]} listings - Listings from toListing
+ * @param {string} feedUrl - Absolute URL the feed is served from
+ * @returns {Object}
+ */
+export const renderJsonFeed = (listings, feedUrl) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feedTitle(),
+  home_page_url: `${frontendUrl()}/listings`,
+  feed_url: feedUrl,
+  items: listings.map(listing => ({
+    id: listing.id,
+    url: listing.url,
+    title: listingTitle(listing),
+    content_text: listingSummary(listing),
+    ...(listing.images.length > 0 && { image: listing.images[0] }),
+    date_published: (listing.publishedAt || listing.updatedAt).toISOString(),
+    date_modified: listing.updatedAt.toISOString(),
+    tags: [listing.type, ...listing.amenities],
+    _rental: {
+      rentFrom: listing.rentFrom,
+      availableFrom: listing.availableFrom,
+      address: listing.address,
+      city: listing.city,
+      latitude: listing.latitude,
+      longitude: listing.longitude,
+      availableUnits: listing.availableUnits.length,
+    },
+  })),
+});
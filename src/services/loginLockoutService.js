@@ -0,0 +1,198 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { logActivity } from './auditService.js';
+import { sendAccountLockedEmail } from '../modules/notifications/services/emailService.js';
+
+// Lockout policy, computed from failed LoginAttempt rows so it survives
+// restarts and is shared by every instance behind the load balancer.
+const LOCKOUT_WINDOW_MS = 24 * 60 * 60 * 1000; // failures older than this are forgotten
+const ACCOUNT_MAX_FAILURES = 5; // consecutive failures before an account locks
+const IP_MAX_FAILURES = 20; // failures from one IP, across accounts, before it locks
+const BASE_LOCK_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Each failure past the threshold doubles the lock
+const lockDuration = (failures, maxFailures) => {
+  return Math.min(BASE_LOCK_MS * 2 ** (failures - maxFailures), MAX_LOCK_MS);
+};
+
+const computeLockedUntil = (failures, lastFailureAt, maxFailures) => {
+  if (failures < maxFailures || !lastFailureAt) {
+    return null;
+  }
+
+  const lockedUntil = new Date(lastFailureAt.getTime() + lockDuration(failures, maxFailures));
+  return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+const summarizeFailures = async (where, maxFailures) => {
+  const [failures, lastFailure] = await Promise.all([
+    prisma.loginAttempt.count({ where }),
+    prisma.loginAttempt.findFirst({
+      where,
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+    }),
+  ]);
+
+  return {
+    failures,
+    lastFailureAt: lastFailure?.createdAt || null,
+    lockedUntil: computeLockedUntil(failures, lastFailure?.createdAt, maxFailures),
+  };
+};
+
+/**
+ * Lock state of an account. Only failures since the last successful login
+ * count, so the streak resets whenever the owner signs in.
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - { failures, lastFailureAt, lockedUntil }
+ */
+export const getAccountLockStatus = async (email) => {
+  const windowStart = new Date(Date.now() - LOCKOUT_WINDOW_MS);
+  const normalizedEmail = email.toLowerCase();
+
+  const lastSuccess = await prisma.loginAttempt.findFirst({
+    where: { email: normalizedEmail, success: true, createdAt: { gt: windowStart } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+
+  return summarizeFailures({
+    email: normalizedEmail,
+    success: false,
+    clearedAt: null,
+    createdAt: { gt: lastSuccess?.createdAt || windowStart },
+  }, ACCOUNT_MAX_FAILURES);
+};
+
+/**
+ * Lock state of an IP address. Successful logins do not reset it, otherwise
+ * an attacker could interleave logins to an account they control.
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<Object>} - { failures, lastFailureAt, lockedUntil }
+ */
+export const getIpLockStatus = (ipAddress) => {
+  return summarizeFailures({
+    ipAddress,
+    success: false,
+    clearedAt: null,
+    createdAt: { gt: new Date(Date.now() - LOCKOUT_WINDOW_MS) },
+  }, IP_MAX_FAILURES);
+};
+
+/**
+ * Check whether a login for this email from this IP is currently blocked
+ * @param {string} email - Account email
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<Object|null>} - { scope, lockedUntil } or null when allowed
+ */
+export const getLoginLock = async (email, ipAddress) => {
+  const [account, ip] = await Promise.all([
+    email ? getAccountLockStatus(email) : null,
+    getIpLockStatus(ipAddress),
+  ]);
+
+  if (account?.lockedUntil) {
+    return { scope: 'ACCOUNT', lockedUntil: account.lockedUntil };
+  }
+
+  if (ip.lockedUntil) {
+    return { scope: 'IP', lockedUntil: ip.lockedUntil };
+  }
+
+  return null;
+};
+
+/**
+ * Call after a failed attempt has been recorded. When the failure is the one
+ * that locks the account, the account holder is emailed and it is audited.
+ * @param {Object} user - User the attempt targeted
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ */
+export const handleFailedLogin = async (user, context = {}) => {
+  const { failures, lockedUntil } = await getAccountLockStatus(user.email);
+
+  // Only notify on the failure that starts the lock, not on every extension
+  if (failures !== ACCOUNT_MAX_FAILURES || !lockedUntil) {
+    return;
+  }
+
+  logger.warn(`Account locked after ${failures} failed login attempts: ${user.email}`);
+
+  await logActivity('ACCOUNT_LOCKED', user.id, 'USER', user.id, {
+    ...context,
+    failures,
+    lockedUntil,
+  });
+
+  try {
+    await sendAccountLockedEmail(user.email, lockedUntil);
+  } catch (error) {
+    logger.error('Failed to send account locked email:', error);
+  }
+};
+
+/**
+ * List accounts and IP addresses that are locked right now
+ * @returns {Promise<Object>} - { accounts, ipAddresses }
+ */
+export const listActiveLocks = async () => {
+  const baseWhere = {
+    success: false,
+    clearedAt: null,
+    createdAt: { gt: new Date(Date.now() - LOCKOUT_WINDOW_MS) },
+  };
+
+  const [emailCandidates, ipCandidates] = await Promise.all([
+    prisma.loginAttempt.groupBy({
+      by: ['email'],
+      where: baseWhere,
+      having: { email: { _count: { gte: ACCOUNT_MAX_FAILURES } } },
+    }),
+    prisma.loginAttempt.groupBy({
+      by: ['ipAddress'],
+      where: baseWhere,
+      having: { ipAddress: { _count: { gte: IP_MAX_FAILURES } } },
+    }),
+  ]);
+
+  const accounts = await Promise.all(emailCandidates.map(async ({ email }) => ({
+    email,
+    ...await getAccountLockStatus(email),
+  })));
+
+  const ipAddresses = await Promise.all(ipCandidates.map(async ({ ipAddress }) => ({
+    ipAddress,
+    ...await getIpLockStatus(ipAddress),
+  })));
+
+  return {
+    accounts: accounts.filter(lock => lock.lockedUntil),
+    ipAddresses: ipAddresses.filter(lock => lock.lockedUntil),
+  };
+};
+
+/**
+ * Clear the lock on an account or IP address. The failed attempts stay in
+ * the table for auditing but no longer count towards a lockout.
+ * @param {Object} target - { email } or { ipAddress }
+ * @returns {Promise<number>} - Number of failed attempts cleared
+ */
+export const clearLock = async ({ email, ipAddress }) => {
+  if (!email && !ipAddress) {
+    throw new Error('An email or IP address is required to clear a lock');
+  }
+
+  const result = await prisma.loginAttempt.updateMany({
+    where: {
+      success: false,
+      clearedAt: null,
+      ...(email && { email: email.toLowerCase() }),
+      ...(ipAddress && { ipAddress }),
+    },
+    data: { clearedAt: new Date() },
+  });
+
+  return result.count;
+};
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import settingsService from './settingsService.js';
+import { createUserToken } from './userTokenService.js';
+import { generateSecureToken } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+
+export const MAGIC_LINK_TTL_MINUTES = 15;
+
+/**
+ * Whether the SystemSetting MAGIC_LINK_LOGIN_ROLES covers this role
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+export const isMagicLinkEnabled = async (role) => {
+  const roles = await settingsService.get('MAGIC_LINK_LOGIN_ROLES');
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+/**
+ * Device secret handed to the client that asks for a link. The link only
+ * works when it is redeemed together with this secret, so a link that is
+ * forwarded or intercepted cannot be used from another device.
+ * @returns {string}
+ */
+export const createDeviceToken = () => generateSecureToken();
+
+/**
+ * Issue a magic link token bound to the requesting device. Any earlier
+ * unused link of the user is invalidated.
+ * @param {Object} user - User record
+ * @param {string} deviceToken - Secret returned to the requesting client
+ * @param {Object} context - Request context ({ ipAddress, userAgent, deviceName })
+ * @returns {Promise<string>} - Raw token to put in the emailed link
+ */
+export const createMagicLink = (user, deviceToken, context = {}) => {
+  return createUserToken(user.id, 'MAGIC_LINK', MAGIC_LINK_TTL_MINUTES, {
+    deviceTokenHash: hashSensitiveData(deviceToken),
+    ...context,
+  });
+};
+
+/**
+ * Whether the device secret matches the one the link was issued for
+ * @param {Object} magicLink - MAGIC_LINK UserToken record
+ * @param {string} deviceToken - Secret presented by the client
+ * @returns {boolean}
+ */
+export const isSameDevice = (magicLink, deviceToken) => {
+  const expected = magicLink.metadata?.deviceTokenHash;
+  if (!expected || !deviceToken) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hashSensitiveData(deviceToken)));
+};
@@ -0,0 +1,489 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { generateSecureToken, hashPassword } from '../utils/helpers.js';
+import { encrypt, decrypt, hashSensitiveData } from '../utils/encryption.js';
+
+// OpenID Connect single sign-on (authorization code flow with PKCE).
+// Providers are configured per owner and discovered from their issuer URL,
+// so any standards-compliant IdP works without provider-specific code.
+const AUTH_REQUEST_TTL_MINUTES = 10;
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const discoveryCache = new Map();
+
+// Issuers are entered by owners and fetched from the server, so requests to
+// the private network are refused. Loopback and plain http are only for local
+// development and the test suite, behind OIDC_ALLOW_PRIVATE_ISSUERS.
+const privateNetworks = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => privateNetworks.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => privateNetworks.addSubnet(network, prefix, 'ipv6'));
+
+export class OidcError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.statusCode = statusCode;
+  }
+}
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const normalizeIssuer = (issuer) => issuer.replace(/\/+$/, '');
+
+// Domains are compared lowercased; emailDomains are stored that way too
+const emailDomain = (email) => email.split('@')[1]?.trim().toLowerCase();
+
+// Webmail domains anyone can sign up for. Letting an owner claim one would
+// route every user of that service to the owner's identity provider and
+// provision them as the owner's managers.
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+  'yahoo.com', 'ymail.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru',
+  'mail.ru', 'qq.com', '163.com', 'fastmail.com', 'hey.com', 'tutanota.com', 'web.de',
+]);
+
+export const getRedirectUri = () => {
+  return process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback`;
+};
+
+const allowPrivateIssuers = () => process.env.OIDC_ALLOW_PRIVATE_ISSUERS === 'true';
+
+const isPrivateAddress = (address) => {
+  // IPv4 addresses mapped into IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateNetworks.check(mapped[1], 'ipv4');
+
+  return privateNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Reject identity provider URLs that are not https or that resolve to a
+ * private, loopback or link-local address
+ * @param {string} url - URL about to be fetched
+ */
+export const assertPublicUrl = async (url) => {
+  if (allowPrivateIssuers()) return;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new OidcError('Identity provider URL is invalid');
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new OidcError('Identity provider URLs must use https');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch {
+    throw new OidcError('Identity provider is unreachable', 502);
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    throw new OidcError('Identity provider URLs must point to a public host');
+  }
+};
+
+const fetchJson = async (url, options = {}) => {
+  await assertPublicUrl(url);
+
+  let response;
+  try {
+    // Redirects are not followed, they could lead past the public host check
+    response = await fetch(url, { ...options, redirect: 'error', signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    logger.error(`OIDC request to ${url} failed:`, error);
+    throw new OidcError('Identity provider is unreachable', 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    logger.warn(`OIDC request to ${url} returned ${response.status}: ${JSON.stringify(body)}`);
+    throw new OidcError('Identity provider rejected the request', 502);
+  }
+
+  return body;
+};
+
+/**
+ * Fetch (and cache) the discovery document and signing keys of an issuer
+ * @param {string} issuer - Issuer URL
+ * @param {Object} options - { refresh } bypasses the cache
+ * @returns {Promise<Object>} - { config, keys }
+ */
+export const discover = async (issuer, { refresh = false } = {}) => {
+  const key = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(key);
+
+  if (!refresh && cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const config = await fetchJson(`${key}/.well-known/openid-configuration`);
+
+  if (!config?.issuer || normalizeIssuer(config.issuer) !== key) {
+    throw new OidcError('Issuer in discovery document does not match the configured issuer', 502);
+  }
+
+  const jwks = await fetchJson(config.jwks_uri);
+  const entry = { config, keys: jwks.keys || [], fetchedAt: Date.now() };
+
+  discoveryCache.set(key, entry);
+  return entry;
+};
+
+const getSigningKey = async (issuer, kid) => {
+  let { keys } = await discover(issuer);
+  let jwk = keys.find(candidate => candidate.kid === kid);
+
+  // The IdP may have rotated its keys since we cached them
+  if (!jwk) {
+    ({ keys } = await discover(issuer, { refresh: true }));
+    jwk = keys.find(candidate => candidate.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new OidcError('ID token is signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, config, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Identity provider returned an invalid ID token', 401);
+  }
+
+  const publicKey = await getSigningKey(provider.issuer, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    logger.warn(`ID token verification failed for provider ${provider.slug}: ${error.message}`);
+    throw new OidcError('ID token verification failed', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce mismatch', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Find an active provider by its slug
+ * @param {string} slug - Provider slug
+ * @returns {Promise<Object|null>}
+ */
+export const findProviderBySlug = (slug) => {
+  return prisma.oidcProvider.findFirst({
+    where: { slug, isActive: true },
+  });
+};
+
+/**
+ * Check that an owner may claim email domains for a provider: public webmail
+ * domains are refused, and so are domains another owner's provider claims
+ * @param {string[]} domains - Lowercased email domains
+ * @param {string} ownerId - Owner the provider belongs to
+ * @throws {OidcError} - 400 for public domains, 409 for domains claimed elsewhere
+ */
+export const assertClaimableDomains = async (domains, ownerId) => {
+  const publicDomain = domains.find(domain => PUBLIC_EMAIL_DOMAINS.has(domain));
+  if (publicDomain) {
+    throw new OidcError(`${publicDomain} is a public email domain and cannot be claimed`);
+  }
+
+  if (domains.length === 0) return;
+
+  const claimedBy = await prisma.oidcProvider.findFirst({
+    where: { ownerId: { not: ownerId }, emailDomains: { hasSome: domains } },
+    select: { emailDomains: true },
+  });
+
+  if (claimedBy) {
+    const claimed = domains.find(domain => claimedBy.emailDomains.includes(domain));
+    throw new OidcError(`${claimed} is already claimed by another organization`, 409);
+  }
+};
+
+/**
+ * Find the active provider that claims an email's domain
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>}
+ */
+export const findProviderForEmail = (email) => {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+
+  return prisma.oidcProvider.findFirst({
+    where: { isActive: true, emailDomains: { has: domain } },
+  });
+};
+
+/**
+ * Start a login: remember state, nonce and PKCE verifier, and build the URL
+ * the browser must be sent to
+ * @param {Object} provider - OidcProvider record
+ * @returns {Promise<Object>} - { authorizationUrl, state }
+ */
+export const createAuthorizationRequest = async (provider) => {
+  const { config } = await discover(provider.issuer);
+
+  const state = generateSecureToken();
+  const nonce = generateSecureToken();
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  const redirectUri = getRedirectUri();
+
+  await prisma.oidcAuthRequest.create({
+    data: {
+      providerId: provider.id,
+      stateHash: hashSensitiveData(state),
+      nonce,
+      codeVerifier: JSON.stringify(encrypt(codeVerifier)),
+      redirectUri,
+      expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MINUTES * 60 * 1000),
+    },
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return {
+    authorizationUrl: `${config.authorization_endpoint}?${params.toString()}`,
+    state,
+  };
+};
+
+/**
+ * Finish a login: redeem the state, exchange the code and verify the ID token
+ * @param {Object} params - { code, state } as returned to the redirect URI
+ * @returns {Promise<Object>} - { provider, claims }
+ */
+export const completeAuthorization = async ({ code, state }) => {
+  const authRequest = await prisma.oidcAuthRequest.findUnique({
+    where: { stateHash: hashSensitiveData(state) },
+    include: { provider: true },
+  });
+
+  if (!authRequest || !authRequest.provider.isActive) {
+    throw new OidcError('Login request is invalid or has expired');
+  }
+
+  // Each state can only be redeemed once
+  const { count } = await prisma.oidcAuthRequest.updateMany({
+    where: { id: authRequest.id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new OidcError('Login request is invalid or has expired');
+  }
+
+  const { provider } = authRequest;
+  const { config } = await discover(provider.issuer);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: authRequest.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: decrypt(JSON.parse(authRequest.codeVerifier)),
+  });
+
+  if (provider.clientSecret) {
+    form.set('client_secret', decrypt(JSON.parse(provider.clientSecret)));
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString(),
+  });
+
+  if (!tokens?.id_token) {
+    throw new OidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const claims = await verifyIdToken(provider, config, tokens.id_token, authRequest.nonce);
+
+  return { provider, claims };
+};
+
+const splitName = (claims) => {
+  if (claims.given_name || claims.family_name) {
+    return { firstName: claims.given_name || '', lastName: claims.family_name || '' };
+  }
+
+  const [firstName = '', ...rest] = (claims.name || '').trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+};
+
+/**
+ * Resolve the local user for a verified identity. Known identities map to
+ * their user; existing managers of the same owner are linked by email; new
+ * people are provisioned just in time as managers of the provider's owner.
+ * @param {Object} provider - OidcProvider record
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} - { user, provisioned }
+ */
+export const resolveUser = async (provider, claims) => {
+  const email = claims.email?.toLowerCase();
+
+  if (!email) {
+    throw new OidcError('Identity provider did not share an email address', 403);
+  }
+
+  if (claims.email_verified === false) {
+    throw new OidcError('Email address is not verified by the identity provider', 403);
+  }
+
+  const domain = emailDomain(email);
+  if (provider.emailDomains.length > 0
+    && !provider.emailDomains.some(allowed => allowed.toLowerCase() === domain)) {
+    throw new OidcError('Your email domain is not allowed to sign in with this provider', 403);
+  }
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { providerId_subject: { providerId: provider.id, subject: claims.sub } },
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { email, lastLoginAt: new Date() },
+    });
+
+    return { user: await prisma.user.findUnique({ where: { id: identity.userId } }), provisioned: false };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email },
+    include: { manager: true },
+  });
+
+  if (existingUser) {
+    // Never attach an IdP to accounts outside the owner's own staff
+    if (existingUser.role !== 'MANAGER' || existingUser.manager?.ownerId !== provider.ownerId) {
+      throw new OidcError('An account with this email already exists and cannot use this sign-in method', 409);
+    }
+
+    await prisma.userIdentity.create({
+      data: {
+        userId: existingUser.id,
+        providerId: provider.id,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date(),
+      },
+    });
+
+    return { user: existingUser, provisioned: false };
+  }
+
+  if (!provider.autoProvision) {
+    throw new OidcError('No account exists for this identity. Ask your administrator for access.', 403);
+  }
+
+  const { firstName, lastName } = splitName(claims);
+  // SSO users never sign in with a password; store one nobody knows
+  const unusablePassword = await hashPassword(generateSecureToken());
+
+  const user = await prisma.$transaction(async (tx) => {
+    const createdUser = await tx.user.create({
+      data: {
+        email,
+        password: unusablePassword,
+        role: 'MANAGER',
+        firstName,
+        lastName,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+    await tx.manager.create({
+      data: {
+        userId: createdUser.id,
+        ownerId: provider.ownerId,
+      },
+    });
+
+    await tx.userIdentity.create({
+      data: {
+        userId: createdUser.id,
+        providerId: provider.id,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date(),
+      },
+    });
+
+    return createdUser;
+  });
+
+  logger.info(`Provisioned manager ${email} via SSO provider ${provider.slug}`);
+  return { user, provisioned: true };
+};
+
+/**
+ * Remove login requests that can no longer be completed
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export const purgeExpiredAuthRequests = async () => {
+  const result = await prisma.oidcAuthRequest.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
+
+/**
+ * Shape a provider for API responses, never exposing the client secret
+ * @param {Object} provider - OidcProvider record
+ * @returns {Object}
+ */
+export const serializeProvider = ({ clientSecret, ...provider }) => ({
+  ...provider,
+  hasClientSecret: !!clientSecret,
+});
+
+/**
+ * Encrypt a client secret for storage
+ * @param {string|null} clientSecret - Plain client secret
+ * @returns {string|null}
+ */
+export const sealClientSecret = (clientSecret) => {
+  return clientSecret ? JSON.stringify(encrypt(clientSecret)) : null;
+};
@@ -0,0 +1,175 @@
+import { readFileSync } from 'fs';
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import settingsService from './settingsService.js';
+import { hashPassword, comparePassword } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadBreachedPasswords = () => {
+  const file = process.env.BREACHED_PASSWORDS_FILE || new URL('../data/breached-passwords.txt', import.meta.url);
+
+  try {
+    return new Set(
+      readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    logger.error('Could not load the breached password list:', error);
+    return new Set();
+  }
+};
+
+const breachedPasswords = loadBreachedPasswords();
+
+/**
+ * Current password policy, read from system settings
+ * @returns {Promise<Object>}
+ */
+export const getPasswordPolicy = async () => {
+  const [
+    minLength,
+    requireUppercase,
+    requireLowercase,
+    requireNumber,
+    requireSymbol,
+    blockBreached,
+    historyDepth,
+    maxAgeDays,
+  ] = await Promise.all([
+    settingsService.get('PASSWORD_MIN_LENGTH'),
+    settingsService.get('PASSWORD_REQUIRE_UPPERCASE'),
+    settingsService.get('PASSWORD_REQUIRE_LOWERCASE'),
+    settingsService.get('PASSWORD_REQUIRE_NUMBER'),
+    settingsService.get('PASSWORD_REQUIRE_SYMBOL'),
+    settingsService.get('PASSWORD_BLOCK_BREACHED'),
+    settingsService.get('PASSWORD_HISTORY_DEPTH'),
+    settingsService.get('PASSWORD_MAX_AGE_DAYS'),
+  ]);
+
+  return {
+    minLength,
+    requireUppercase,
+    requireLowercase,
+    requireNumber,
+    requireSymbol,
+    blockBreached,
+    historyDepth,
+    maxAgeDays,
+  };
+};
+
+/**
+ * Whether a password appears in the bundled breach list
+ * @param {string} password - Plain text password
+ * @returns {boolean}
+ */
+export const isBreachedPassword = (password) => breachedPasswords.has(password.toLowerCase());
+
+// Hashes the user may not reuse: the current password plus enough history to
+// cover the last `depth` passwords
+const recentPasswordHashes = async (user, depth) => {
+  const history = await prisma.passwordHistory.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'desc' },
+    take: depth - 1,
+    select: { passwordHash: true },
+  });
+
+  return [user.password, ...history.map(entry => entry.passwordHash)];
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Plain text password
+ * @param {Object} user - User changing their password, for the history check; omit for new accounts
+ * @returns {Promise<string[]>} - Violations, empty when the password is allowed
+ */
+export const checkPassword = async (password, user = null) => {
+  const policy = await getPasswordPolicy();
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    violations.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push('Password must contain a symbol');
+  }
+  if (policy.blockBreached && isBreachedPassword(password)) {
+    violations.push('Password has appeared in a data breach, please choose another');
+  }
+
+  if (user && policy.historyDepth > 0) {
+    const hashes = await recentPasswordHashes(user, policy.historyDepth);
+    for (const hash of hashes) {
+      if (await comparePassword(password, hash)) {
+        violations.push(`Password cannot be one of your last ${policy.historyDepth} passwords`);
+        break;
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Replace a user's password, keeping the old hash in the history so it cannot
+ * be reused. Does not check the policy; call checkPassword first.
+ * @param {Object} user - User whose password changes
+ * @param {string} newPassword - Plain text password
+ * @returns {Promise<Object>} - Updated user
+ */
+export const changeUserPassword = async (user, newPassword) => {
+  const { historyDepth } = await getPasswordPolicy();
+  const hashedPassword = await hashPassword(newPassword);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.passwordHistory.create({
+      data: { userId: user.id, passwordHash: user.password },
+    });
+
+    const stale = await tx.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' },
+      skip: Math.max(historyDepth - 1, 0),
+      select: { id: true },
+    });
+
+    if (stale.length > 0) {
+      await tx.passwordHistory.deleteMany({
+        where: { id: { in: stale.map(entry => entry.id) } },
+      });
+    }
+
+    return tx.user.update({
+      where: { id: user.id },
+      data: { password: hashedPassword, passwordChangedAt: new Date() },
+    });
+  });
+};
+
+/**
+ * Whether the user's password is older than the maximum age
+ * @param {Object} user - User with passwordChangedAt
+ * @returns {Promise<boolean>}
+ */
+export const isPasswordExpired = async (user) => {
+  const maxAgeDays = await settingsService.get('PASSWORD_MAX_AGE_DAYS');
+  if (!maxAgeDays || maxAgeDays <= 0) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Date.now() - new Date(changedAt).getTime() > maxAgeDays * DAY_MS;
+};
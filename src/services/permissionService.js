@@ -0,0 +1,194 @@
+// Permission catalog for managers. Owners and super admins hold every
+// permission; tenants are limited by role checks and ownership in the
+// controllers instead.
+export const PERMISSIONS = {
+  'properties.view': 'View properties',
+  'properties.create': 'Create properties',
+  'properties.update': 'Edit properties and upload images',
+  'tenants.view': 'View tenants',
+  'tenants.create': 'Add tenants',
+  'tenants.update': 'Edit tenants',
+  'tenants.deactivate': 'Deactivate and archive tenants',
+  'tenants.invite': 'Resend and revoke tenant invitations',
+  'leases.view': 'View leases and lease documents',
+  'leases.create': 'Create leases',
+  'leases.update': 'Edit leases',
+  'leases.delete': 'Delete leases',
+  'leases.terminate': 'Terminate leases',
+  'leases.renew': 'Renew leases',
+  'applications.view': 'View rental applications and their documents',
+  'applications.review': 'Score, request information on, approve and reject rental applications',
+  'inspections.view': 'View move-in and move-out inspections and their reports',
+  'inspections.manage': 'Conduct inspections and manage inspection templates',
+  'documents.view': 'View and download documents shared with managers',
+  'documents.manage': 'Upload, version, share and delete documents',
+  'payments.view': 'View payments and receipts',
+  'payments.create': 'Record payments',
+  'payments.update': 'Edit pending payments',
+  'payments.delete': 'Delete unpaid payments',
+  'payments.refund': 'Refund completed payments',
+  'expenses.view': 'View property expenses',
+  'expenses.manage': 'Record, edit and delete expenses and recurring expenses',
+  'maintenance.view': 'View maintenance requests',
+  'maintenance.create': 'Create maintenance requests',
+  'maintenance.update': 'Update maintenance requests',
+  'complaints.view': 'View complaints',
+  'complaints.create': 'Create complaints',
+  'complaints.update': 'Update complaints and their status',
+  'complaints.delete': 'Delete complaints',
+  'calendar.view': 'View the calendar',
+  'calendar.manage': 'Create calendar events',
+  'reports.view': 'View reports',
+  'analytics.view': 'View analytics',
+  'analytics.export': 'Export analytics reports',
+  'notifications.send_bulk': 'Send bulk notifications to tenants',
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const VIEW_PERMISSIONS = PERMISSION_KEYS.filter(permission => permission.endsWith('.view'));
+
+// Managers without a role template get day-to-day operations, but nothing
+// destructive or financial beyond recording payments
+export const DEFAULT_MANAGER_PERMISSIONS = [
+  ...VIEW_PERMISSIONS,
+  'properties.update',
+  'tenants.create',
+  'tenants.update',
+  'tenants.invite',
+  'leases.create',
+  'leases.update',
+  'leases.renew',
+  'applications.review',
+  'inspections.manage',
+  'documents.manage',
+  'payments.create',
+  'payments.update',
+  'maintenance.create',
+  'maintenance.update',
+  'complaints.create',
+  'complaints.update',
+  'calendar.manage',
+];
+
+// Built-in templates every owner can assign; seeded with fixed IDs
+export const SYSTEM_ROLE_TEMPLATES = [
+  {
+    id: 'system-property-manager',
+    name: 'Property Manager',
+    description: 'Day-to-day operations without destructive or refund actions',
+    permissions: DEFAULT_MANAGER_PERMISSIONS,
+  },
+  {
+    id: 'system-leasing-agent',
+    name: 'Leasing Agent',
+    description: 'Finds and onboards tenants, prepares and renews leases',
+    permissions: [
+      'properties.view',
+      'tenants.view',
+      'tenants.create',
+      'tenants.update',
+      'tenants.invite',
+      'leases.view',
+      'leases.create',
+      'leases.update',
+      'leases.renew',
+      'applications.view',
+      'applications.review',
+      'inspections.view',
+      'inspections.manage',
+      'documents.view',
+      'documents.manage',
+      'calendar.view',
+      'calendar.manage',
+    ],
+  },
+  {
+    id: 'system-maintenance-coordinator',
+    name: 'Maintenance Coordinator',
+    description: 'Handles maintenance requests and complaints',
+    permissions: [
+      'properties.view',
+      'tenants.view',
+      'maintenance.view',
+      'maintenance.create',
+      'maintenance.update',
+      'complaints.view',
+      'complaints.update',
+      'inspections.view',
+      'documents.view',
+      'calendar.view',
+      'calendar.manage',
+    ],
+  },
+  {
+    id: 'system-accountant',
+    name: 'Accountant',
+    description: 'Manages payments and financial reporting',
+    permissions: [
+      'properties.view',
+      'tenants.view',
+      'leases.view',
+      'documents.view',
+      'payments.view',
+      'payments.create',
+      'payments.update',
+      'payments.refund',
+      'expenses.view',
+      'expenses.manage',
+      'reports.view',
+      'analytics.view',
+      'analytics.export',
+    ],
+  },
+  {
+    id: 'system-full-access',
+    name: 'Full Access',
+    description: 'Every manager permission',
+    permissions: PERMISSION_KEYS,
+  },
+];
+
+/**
+ * Whether a permission is part of the catalog
+ * @param {string} permission - Permission key, e.g. leases.terminate
+ * @returns {boolean}
+ */
+export const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Permissions a user actually holds. For managers this is their role
+ * template (or the default set), adjusted by per-manager overrides stored in
+ * Manager.permissions as { "<permission>": true | false }.
+ * @param {Object} user - User with manager.roleTemplate loaded
+ * @returns {string[]}
+ */
+export const resolvePermissions = (user) => {
+  if (['SUPER_ADMIN', 'OWNER'].includes(user.role)) {
+    return PERMISSION_KEYS;
+  }
+
+  if (user.role !== 'MANAGER' || !user.manager?.isActive) {
+    return [];
+  }
+
+  const granted = new Set(user.manager.roleTemplate?.permissions || DEFAULT_MANAGER_PERMISSIONS);
+
+  for (const [permission, allowed] of Object.entries(user.manager.permissions || {})) {
+    if (allowed === true) granted.add(permission);
+    if (allowed === false) granted.delete(permission);
+  }
+
+  return PERMISSION_KEYS.filter(permission => granted.has(permission));
+};
+
+/**
+ * Whether a user holds every one of the given permissions
+ * @param {Object} user - User with manager.roleTemplate loaded
+ * @param {string[]} permissions - Required permissions
+ * @returns {boolean}
+ */
+export const hasPermissions = (user, permissions) => {
+  const granted = resolvePermissions(user);
+  return permissions.every(permission => granted.includes(permission));
+};
@@ -0,0 +1,40 @@
+/**
+ * Prisma filter for assignments that are in effect at the given time
+ * @param {Date} now - Point in time, defaults to now
+ * @returns {Object}
+ */
+export const activeAssignmentWhere = (now = new Date()) => ({
+  startDate: { lte: now },
+  OR: [{ endDate: null }, { endDate: { gt: now } }],
+});
+
+/**
+ * IDs of the properties a manager is currently assigned to. Relies on
+ * authenticate loading manager.propertyAssignments.
+ * @param {Object} user - Authenticated manager
+ * @returns {string[]}
+ */
+export const assignedPropertyIds = (user) => {
+  return (user.manager?.propertyAssignments || []).map(assignment => assignment.propertyId);
+};
+
+/**
+ * Whether a manager is currently assigned to the property
+ * @param {Object} user - Authenticated manager
+ * @param {string} propertyId - Property ID
+ * @returns {boolean}
+ */
+export const managesProperty = (user, propertyId) => {
+  return assignedPropertyIds(user).includes(propertyId);
+};
+
+/**
+ * Property filter limiting a manager to their assigned properties, for use as
+ * `where.property` on tenants, leases, complaints and the like
+ * @param {Object} user - Authenticated manager
+ * @returns {Object}
+ */
+export const managedPropertiesWhere = (user) => ({
+  ownerId: user.manager.ownerId,
+  id: { in: assignedPropertyIds(user) },
+});
@@ -0,0 +1,221 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import {
+  IMAGE_VARIANTS,
+  uploadToCloudinary,
+  deleteFromCloudinary,
+  imageVariantUrls,
+  publicIdFromUrl,
+} from '../utils/cloudinary.js';
+
+const imageOrder = [{ position: 'asc' }, { createdAt: 'asc' }];
+
+/**
+ * Image with its variant URLs. Images hosted outside Cloudinary have no
+ * variants, so every size points at the original.
+ * @param {Object} image - PropertyImage
+ * @returns {Object}
+ */
+export const withVariants = (image) => ({
+  ...image,
+  variants: image.publicId
+    ? imageVariantUrls(image.publicId)
+    : Object.fromEntries(Object.keys(IMAGE_VARIANTS).map(name => [name, image.url])),
+});
+
+/**
+ * Rewrite Property.images from the image records: cover first, then by position
+ * @param {string} propertyId - Property ID
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<string[]>} - The new URL list
+ */
+export const syncImageUrls = async (propertyId, client = prisma) => {
+  const images = await client.propertyImage.findMany({
+    where: { propertyId },
+    orderBy: [{ isCover: 'desc' }, ...imageOrder],
+    select: { url: true },
+  });
+
+  const urls = images.map(image => image.url);
+
+  await client.property.update({
+    where: { id: propertyId },
+    data: { images: urls },
+  });
+
+  return urls;
+};
+
+/**
+ * Image records of a property, in display order. URLs from before images had
+ * records of their own are given one the first time they are listed.
+ * @param {Object} property - Property
+ * @returns {Promise<Object[]>}
+ */
+export const getPropertyImages = async (property) => {
+  const images = await prisma.propertyImage.findMany({
+    where: { propertyId: property.id },
+    orderBy: imageOrder,
+  });
+
+  const recorded = new Set(images.map(image => image.url));
+  const legacyUrls = property.images.filter(url => !recorded.has(url));
+
+  if (legacyUrls.length === 0) {
+    return images;
+  }
+
+  await prisma.propertyImage.createMany({
+    data: legacyUrls.map((url, index) => ({
+      propertyId: property.id,
+      url,
+      publicId: publicIdFromUrl(url),
+      position: images.length + index,
+      isCover: images.length === 0 && index === 0,
+    })),
+  });
+
+  return prisma.propertyImage.findMany({
+    where: { propertyId: property.id },
+    orderBy: imageOrder,
+  });
+};
+
+/**
+ * Upload images and add them after the existing ones. The first image of a
+ * property becomes its cover.
+ * @param {Object} property - Property
+ * @param {Object[]} files - Uploaded files (multer)
+ * @returns {Promise<Object[]>} - Created image records
+ */
+export const addPropertyImages = async (property, files) => {
+  const existing = await getPropertyImages(property);
+  const eager = Object.values(IMAGE_VARIANTS);
+
+  const uploads = await Promise.all(
+    files.map(file => uploadToCloudinary(file.buffer, 'properties', { eager, eager_async: true }))
+  );
+
+  return prisma.$transaction(async (tx) => {
+    const created = [];
+
+    for (const [index, upload] of uploads.entries()) {
+      created.push(await tx.propertyImage.create({
+        data: {
+          propertyId: property.id,
+          url: upload.secure_url,
+          publicId: upload.public_id,
+          width: upload.width,
+          height: upload.height,
+          position: existing.length + index,
+          isCover: existing.length === 0 && index === 0,
+        },
+      }));
+    }
+
+    await syncImageUrls(property.id, tx);
+    return created;
+  });
+};
+
+/**
+ * Put a property's images in the given order
+ * @param {string} propertyId - Property ID
+ * @param {string[]} imageIds - Every image ID of the property, in the new order
+ * @returns {Promise<Object[]>} - Images in their new order
+ */
+export const reorderPropertyImages = (propertyId, imageIds) => {
+  return prisma.$transaction(async (tx) => {
+    for (const [position, id] of imageIds.entries()) {
+      await tx.propertyImage.update({ where: { id }, data: { position } });
+    }
+
+    await syncImageUrls(propertyId, tx);
+    return tx.propertyImage.findMany({ where: { propertyId }, orderBy: imageOrder });
+  });
+};
+
+/**
+ * Change an image's caption or make it the cover
+ * @param {Object} image - PropertyImage
+ * @param {Object} changes - { caption, isCover }; an image stops being the cover only when another one takes over
+ * @returns {Promise<Object>} - Updated image
+ */
+export const updatePropertyImage = (image, { caption, isCover }) => {
+  return prisma.$transaction(async (tx) => {
+    if (isCover) {
+      await tx.propertyImage.updateMany({
+        where: { propertyId: image.propertyId, isCover: true },
+        data: { isCover: false },
+      });
+    }
+
+    const updated = await tx.propertyImage.update({
+      where: { id: image.id },
+      data: {
+        ...(caption !== undefined && { caption: caption || null }),
+        ...(isCover && { isCover: true }),
+      },
+    });
+
+    await syncImageUrls(image.propertyId, tx);
+    return updated;
+  });
+};
+
+// Storage clean-up never blocks the database change it follows
+const deleteStoredImages = async (publicIds) => {
+  const results = await Promise.allSettled(publicIds.map(publicId => deleteFromCloudinary(publicId)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Failed to delete image ${publicIds[index]} from storage:`, result.reason);
+    }
+  });
+};
+
+/**
+ * Delete an image and its file in storage. When the cover goes, the next
+ * image takes its place.
+ * @param {Object} image - PropertyImage
+ */
+export const deletePropertyImage = async (image) => {
+  await prisma.$transaction(async (tx) => {
+    await tx.propertyImage.delete({ where: { id: image.id } });
+
+    if (image.isCover) {
+      const next = await tx.propertyImage.findFirst({
+        where: { propertyId: image.propertyId },
+        orderBy: imageOrder,
+      });
+
+      if (next) {
+        await tx.propertyImage.update({ where: { id: next.id }, data: { isCover: true } });
+      }
+    }
+
+    await syncImageUrls(image.propertyId, tx);
+  });
+
+  if (image.publicId) {
+    await deleteStoredImages([image.publicId]);
+  }
+};
+
+/**
+ * Delete every stored image of a property, for use once the property itself
+ * has been deleted
+ * @param {Object} property - Deleted property, loaded with its propertyImages
+ */
+export const deletePropertyImageFiles = async (property) => {
+  const publicIds = new Set(
+    property.propertyImages.map(image => image.publicId).filter(Boolean)
+  );
+
+  for (const url of property.images) {
+    const publicId = publicIdFromUrl(url);
+    if (publicId) publicIds.add(publicId);
+  }
+
+  await deleteStoredImages([...publicIds]);
+};
@@ -0,0 +1,533 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { generateSecureToken } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+import { uploadToCloudinary, deleteFromCloudinary, privateDownloadUrl } from '../utils/cloudinary.js';
+import { listingWhere } from './listingService.js';
+import { findPropertyUnit } from './unitService.js';
+import { createInvitedUser, createInvitation } from './invitationService.js';
+import {
+  sendApplicationReceivedEmail,
+  sendApplicationInfoRequestEmail,
+  sendApplicationDecisionEmail,
+} from '../modules/notifications/services/emailService.js';
+
+const DEFAULT_LEASE_TERM_MONTHS = 12;
+
+// Rule of thumb used by most screening checklists: income of at least three
+// times the monthly rent
+export const MIN_INCOME_TO_RENT_RATIO = 3;
+
+// Applicant documents (IDs, payslips) are private; reviewers get links that
+// stop working after this long
+export const DOCUMENT_URL_TTL_SECONDS = 15 * 60;
+
+export class ApplicationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApplicationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Statuses an application can move to from each status. APPROVED and
+// REJECTED are final.
+const TRANSITIONS = {
+  SUBMITTED: ['UNDER_REVIEW', 'INFO_REQUESTED', 'APPROVED', 'REJECTED'],
+  UNDER_REVIEW: ['INFO_REQUESTED', 'APPROVED', 'REJECTED'],
+  INFO_REQUESTED: ['UNDER_REVIEW', 'APPROVED', 'REJECTED'],
+  APPROVED: [],
+  REJECTED: [],
+};
+
+const documentSelect = {
+  id: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  uploadedAt: true,
+};
+
+// What the applicant sees through their access link
+const applicantSelect = {
+  id: true,
+  status: true,
+  infoRequest: true,
+  infoRequestedAt: true,
+  respondedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  property: { select: { id: true, name: true, address: true } },
+  unit: { select: { id: true, number: true } },
+  documents: { select: { id: true, fileName: true, uploadedAt: true } },
+};
+
+// Everything but the access token hash, for reviewers
+export const applicationSelect = {
+  id: true,
+  propertyId: true,
+  unitId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  phone: true,
+  dateOfBirth: true,
+  currentAddress: true,
+  employer: true,
+  monthlyIncome: true,
+  desiredMoveIn: true,
+  leaseTermMonths: true,
+  occupants: true,
+  pets: true,
+  emergencyContact: true,
+  message: true,
+  status: true,
+  score: true,
+  reviewNotes: true,
+  infoRequest: true,
+  infoRequestedAt: true,
+  applicantResponse: true,
+  respondedAt: true,
+  decisionReason: true,
+  reviewedAt: true,
+  decidedAt: true,
+  tenantId: true,
+  leaseId: true,
+  createdAt: true,
+  updatedAt: true,
+  property: { select: { id: true, name: true, address: true, ownerId: true, rentAmount: true } },
+  unit: { select: { id: true, number: true, rentAmount: true } },
+  reviewedBy: { select: { id: true, email: true, firstName: true, lastName: true } },
+  documents: { select: documentSelect, orderBy: { uploadedAt: 'asc' } },
+};
+
+const applicationUrl = (id, token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/applications/${id}?token=${token}`;
+};
+
+const assertTransition = (application, status) => {
+  if (!TRANSITIONS[application.status].includes(status)) {
+    throw new ApplicationError(
+      `Cannot move an application from ${application.status} to ${status}`,
+      409
+    );
+  }
+};
+
+const uploadDocuments = (files = []) => Promise.all(files.map(async (file) => {
+  const result = await uploadToCloudinary(file.buffer, 'applications', { type: 'authenticated' });
+
+  return {
+    fileName: file.originalname,
+    publicId: result.public_id,
+    resourceType: result.resource_type,
+    format: result.format || null,
+    mimeType: file.mimetype,
+    size: file.size,
+  };
+}));
+
+// The application is decided either way; files left behind are only logged
+const deleteDocumentFiles = async (documents) => {
+  const results = await Promise.allSettled(
+    documents.map(document => deleteFromCloudinary(document.publicId, document.resourceType))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Failed to delete application document ${documents[index].publicId}:`, result.reason);
+    }
+  });
+};
+
+// Emails are best effort; the application itself is already saved
+const notify = async (description, send) => {
+  try {
+    await send();
+  } catch (error) {
+    logger.error(`Failed to send ${description} email:`, error);
+  }
+};
+
+const emergencyContactFrom = ({ emergencyContactName, emergencyContactPhone }) => {
+  if (!emergencyContactName && !emergencyContactPhone) return undefined;
+  return { name: emergencyContactName || null, phone: emergencyContactPhone || null };
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+/**
+ * Income checks shown to reviewers next to an application
+ * @param {Object} application - Application loaded with applicationSelect
+ * @returns {Object} - { monthlyRent, incomeToRentRatio, meetsIncomeRatio, minimumIncomeRatio }
+ */
+export const screeningIndicators = (application) => {
+  const monthlyRent = Number(application.unit?.rentAmount ?? application.property.rentAmount);
+  const income = application.monthlyIncome === null ? null : Number(application.monthlyIncome);
+  const ratio = income !== null && monthlyRent > 0 ? Math.round((income / monthlyRent) * 100) / 100 : null;
+
+  return {
+    monthlyRent,
+    incomeToRentRatio: ratio,
+    meetsIncomeRatio: ratio === null ? null : ratio >= MIN_INCOME_TO_RENT_RATIO,
+    minimumIncomeRatio: MIN_INCOME_TO_RENT_RATIO,
+  };
+};
+
+/**
+ * Submit an application for a published vacancy
+ * @param {Object} data - Applicant's form fields
+ * @param {Object[]} files - Uploaded documents (multer files)
+ * @returns {Promise<Object>} - { application, token }; the token is only returned here and in the email
+ */
+export const submitApplication = async (data, files) => {
+  const property = await prisma.property.findFirst({
+    where: { id: data.propertyId, ...listingWhere() },
+    select: { id: true, name: true },
+  });
+
+  if (!property) {
+    throw new ApplicationError('This property is not open for applications', 404);
+  }
+
+  if (data.unitId) {
+    const unit = await prisma.unit.findFirst({
+      where: { id: data.unitId, propertyId: property.id, status: 'AVAILABLE' },
+    });
+
+    if (!unit) {
+      throw new ApplicationError('This unit is not open for applications');
+    }
+  }
+
+  const token = generateSecureToken();
+  const documents = await uploadDocuments(files);
+
+  const application = await prisma.rentalApplication.create({
+    data: {
+      propertyId: property.id,
+      unitId: data.unitId || null,
+      firstName: data.firstName,
+      lastName: data.lastName,
+      email: data.email.toLowerCase(),
+      phone: data.phone,
+      dateOfBirth: data.dateOfBirth ? new Date(data.dateOfBirth) : null,
+      currentAddress: data.currentAddress,
+      employer: data.employer,
+      monthlyIncome: data.monthlyIncome !== undefined ? parseFloat(data.monthlyIncome) : null,
+      desiredMoveIn: data.desiredMoveIn ? new Date(data.desiredMoveIn) : null,
+      leaseTermMonths: data.leaseTermMonths !== undefined ? parseInt(data.leaseTermMonths) : null,
+      occupants: data.occupants !== undefined ? parseInt(data.occupants) : 1,
+      pets: data.pets,
+      emergencyContact: emergencyContactFrom(data),
+      message: data.message,
+      accessTokenHash: hashSensitiveData(token),
+      documents: { create: documents },
+    },
+    select: applicantSelect,
+  });
+
+  await notify('application received', () => sendApplicationReceivedEmail(
+    data.email,
+    property.name,
+    applicationUrl(application.id, token)
+  ));
+
+  logger.info(`Rental application ${application.id} submitted for property ${property.id}`);
+  return { application, token };
+};
+
+/**
+ * Application as seen by the applicant, found by ID and access token
+ * @param {string} id - Application ID
+ * @param {string} token - Access token from the applicant's email
+ * @returns {Promise<Object>}
+ */
+export const getApplicationForApplicant = async (id, token) => {
+  const application = await prisma.rentalApplication.findFirst({
+    where: { id, accessTokenHash: hashSensitiveData(token || '') },
+    select: applicantSelect,
+  });
+
+  // A wrong token is reported the same way as a missing application
+  if (!application) {
+    throw new ApplicationError('Application not found', 404);
+  }
+
+  return application;
+};
+
+/**
+ * Applicant's answer to a request for more information, with any documents
+ * asked for. The application goes back to the reviewer.
+ * @param {string} id - Application ID
+ * @param {string} token - Access token
+ * @param {Object} data - { response }
+ * @param {Object[]} files - Uploaded documents
+ * @returns {Promise<Object>}
+ */
+export const respondToInfoRequest = async (id, token, { response }, files) => {
+  const application = await getApplicationForApplicant(id, token);
+
+  if (application.status !== 'INFO_REQUESTED') {
+    throw new ApplicationError('No information has been requested for this application', 409);
+  }
+
+  const documents = await uploadDocuments(files);
+
+  return prisma.rentalApplication.update({
+    where: { id },
+    data: {
+      status: 'UNDER_REVIEW',
+      applicantResponse: response,
+      respondedAt: new Date(),
+      documents: { create: documents },
+    },
+    select: applicantSelect,
+  });
+};
+
+/**
+ * Short-lived download link for one of an application's documents
+ * @param {Object} application - Application loaded with applicationSelect
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} - { url, expiresAt, document }
+ */
+export const createDocumentDownloadUrl = async (application, documentId) => {
+  const document = await prisma.applicationDocument.findFirst({
+    where: { id: documentId, applicationId: application.id },
+  });
+
+  if (!document) {
+    throw new ApplicationError('Document not found', 404);
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + DOCUMENT_URL_TTL_SECONDS;
+
+  return {
+    url: privateDownloadUrl(document.publicId, document.format, {
+      resourceType: document.resourceType,
+      expiresAt,
+    }),
+    expiresAt: new Date(expiresAt * 1000),
+    document: {
+      id: document.id,
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      size: document.size,
+    },
+  };
+};
+
+/**
+ * Record a reviewer's score and notes. A new application moves to review.
+ * @param {Object} application - Application loaded with applicationSelect
+ * @param {Object} data - { score, reviewNotes }
+ * @param {Object} reviewer - Authenticated user
+ * @returns {Promise<Object>}
+ */
+export const reviewApplication = async (application, { score, reviewNotes }, reviewer) => {
+  if (TRANSITIONS[application.status].length === 0) {
+    throw new ApplicationError(`Cannot review an application that is ${application.status.toLowerCase()}`, 409);
+  }
+
+  return prisma.rentalApplication.update({
+    where: { id: application.id },
+    data: {
+      ...(score !== undefined && { score: parseInt(score) }),
+      ...(reviewNotes !== undefined && { reviewNotes }),
+      ...(application.status === 'SUBMITTED' && { status: 'UNDER_REVIEW' }),
+      reviewedById: reviewer.id,
+      reviewedAt: new Date(),
+    },
+    select: applicationSelect,
+  });
+};
+
+/**
+ * Ask the applicant for more information. The applicant gets a fresh access
+ * link by email; earlier links stop working.
+ * @param {Object} application - Application loaded with applicationSelect
+ * @param {string} request - What the applicant should provide
+ * @param {Object} reviewer - Authenticated user
+ * @returns {Promise<Object>}
+ */
+export const requestInformation = async (application, request, reviewer) => {
+  assertTransition(application, 'INFO_REQUESTED');
+
+  const token = generateSecureToken();
+
+  const updated = await prisma.rentalApplication.update({
+    where: { id: application.id },
+    data: {
+      status: 'INFO_REQUESTED',
+      infoRequest: request,
+      infoRequestedAt: new Date(),
+      accessTokenHash: hashSensitiveData(token),
+      reviewedById: reviewer.id,
+      reviewedAt: new Date(),
+    },
+    select: applicationSelect,
+  });
+
+  await notify('application information request', () => sendApplicationInfoRequestEmail(
+    application.email,
+    application.property.name,
+    request,
+    applicationUrl(application.id, token)
+  ));
+
+  return updated;
+};
+
+/**
+ * Reject an application and let the applicant know. The applicant's
+ * documents are no longer needed and are deleted.
+ * @param {Object} application - Application loaded with applicationSelect
+ * @param {string} reason - Optional reason included in the email
+ * @param {Object} reviewer - Authenticated user
+ * @returns {Promise<Object>}
+ */
+export const rejectApplication = async (application, reason, reviewer) => {
+  assertTransition(application, 'REJECTED');
+
+  const documents = await prisma.applicationDocument.findMany({
+    where: { applicationId: application.id },
+    select: { publicId: true, resourceType: true },
+  });
+
+  const updated = await prisma.rentalApplication.update({
+    where: { id: application.id },
+    data: {
+      status: 'REJECTED',
+      decisionReason: reason,
+      decidedAt: new Date(),
+      reviewedById: reviewer.id,
+      reviewedAt: new Date(),
+      documents: { deleteMany: {} },
+    },
+    select: applicationSelect,
+  });
+
+  await deleteDocumentFiles(documents);
+
+  await notify('application decision', () => sendApplicationDecisionEmail(
+    application.email,
+    application.property.name,
+    false,
+    reason
+  ));
+
+  return updated;
+};
+
+/**
+ * Approve an application, turning the applicant into a tenant with a draft
+ * lease. The tenant account is activated through the usual invitation.
+ * @param {Object} application - Application loaded with applicationSelect
+ * @param {Object} terms - Lease overrides { unitId, startDate, endDate, rentAmount, securityDeposit, note }
+ * @param {Object} reviewer - Authenticated user
+ * @returns {Promise<Object>} - { application, tenant, lease, invitation }
+ */
+export const approveApplication = async (application, terms, reviewer) => {
+  assertTransition(application, 'APPROVED');
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: application.email },
+  });
+
+  if (existingUser) {
+    throw new ApplicationError('An account with the applicant\'s email already exists', 409);
+  }
+
+  const unitId = terms.unitId || application.unitId;
+  const unit = unitId ? await findPropertyUnit(application.propertyId, unitId) : null;
+
+  if (unitId && !unit) {
+    throw new ApplicationError('Unit does not belong to this property');
+  }
+
+  const startDate = terms.startDate ? new Date(terms.startDate) : application.desiredMoveIn;
+
+  if (!startDate) {
+    throw new ApplicationError('A lease start date is required when the applicant gave no move-in date');
+  }
+
+  const endDate = terms.endDate
+    ? new Date(terms.endDate)
+    : addMonths(startDate, application.leaseTermMonths || DEFAULT_LEASE_TERM_MONTHS);
+  const rentAmount = terms.rentAmount !== undefined
+    ? parseFloat(terms.rentAmount)
+    : Number(unit?.rentAmount ?? application.property.rentAmount);
+
+  const { user, tenant, lease, updated } = await prisma.$transaction(async (tx) => {
+    const user = await createInvitedUser(tx, {
+      email: application.email,
+      role: 'TENANT',
+      firstName: application.firstName,
+      lastName: application.lastName,
+    });
+
+    const tenant = await tx.tenant.create({
+      data: {
+        userId: user.id,
+        propertyId: application.propertyId,
+        unitId: unit?.id,
+        firstName: application.firstName,
+        lastName: application.lastName,
+        phone: application.phone,
+        emergencyContact: application.emergencyContact ?? undefined,
+        moveInDate: startDate,
+      },
+    });
+
+    const lease = await tx.lease.create({
+      data: {
+        tenantId: tenant.id,
+        propertyId: application.propertyId,
+        unitId: unit?.id,
+        startDate,
+        endDate,
+        rentAmount,
+        securityDeposit: terms.securityDeposit !== undefined ? parseFloat(terms.securityDeposit) : null,
+        status: 'DRAFT',
+      },
+    });
+
+    const updated = await tx.rentalApplication.update({
+      where: { id: application.id },
+      data: {
+        status: 'APPROVED',
+        decisionReason: terms.note,
+        decidedAt: new Date(),
+        reviewedById: reviewer.id,
+        reviewedAt: new Date(),
+        tenantId: tenant.id,
+        leaseId: lease.id,
+      },
+      select: applicationSelect,
+    });
+
+    return { user, tenant, lease, updated };
+  });
+
+  const invitation = await createInvitation({
+    user,
+    ownerId: application.property.ownerId,
+    invitedById: reviewer.id,
+  });
+
+  await notify('application decision', () => sendApplicationDecisionEmail(
+    application.email,
+    application.property.name,
+    true,
+    terms.note
+  ));
+
+  logger.info(`Rental application ${application.id} approved; tenant ${tenant.id} and draft lease ${lease.id} created`);
+  return { application: updated, tenant, lease, invitation };
+};
@@ -0,0 +1,77 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { getRedisClient } from '../config/redis.js';
+
+const KEY_PREFIX = 'revoked:';
+
+/**
+ * Mark a token identifier (access token jti or session id) as revoked.
+ * Uses Redis when it is connected, otherwise falls back to Postgres.
+ * @param {string} key - Identifier to revoke, e.g. `jti:<uuid>` or `sid:<sessionId>`
+ * @param {number} ttlSeconds - How long the revocation needs to be remembered
+ */
+export const revoke = async (key, ttlSeconds) => {
+  const ttl = Math.max(Math.ceil(ttlSeconds), 1);
+  const redisClient = getRedisClient();
+
+  if (redisClient?.isReady) {
+    try {
+      await redisClient.setEx(`${KEY_PREFIX}${key}`, ttl, '1');
+      return;
+    } catch (error) {
+      logger.error('Redis revoke error, falling back to database:', error);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+  await prisma.revokedToken.upsert({
+    where: { key },
+    update: { expiresAt },
+    create: { key, expiresAt },
+  });
+};
+
+/**
+ * Check whether any of the given identifiers has been revoked.
+ * @param {string[]} keys - Identifiers to check
+ * @returns {Promise<boolean>}
+ */
+export const isRevoked = async (keys) => {
+  const redisClient = getRedisClient();
+
+  if (redisClient?.isReady) {
+    try {
+      const count = await redisClient.exists(keys.map(key => `${KEY_PREFIX}${key}`));
+      return count > 0;
+    } catch (error) {
+      logger.error('Redis revocation lookup error, falling back to database:', error);
+    }
+  }
+
+  const revoked = await prisma.revokedToken.findFirst({
+    where: {
+      key: { in: keys },
+      expiresAt: { gt: new Date() },
+    },
+    select: { id: true },
+  });
+
+  return !!revoked;
+};
+
+/**
+ * Remove expired revocation entries from the database fallback store.
+ * Redis entries expire on their own.
+ */
+export const purgeExpiredRevocations = async () => {
+  const result = await prisma.revokedToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
+
+export default {
+  revoke,
+  isRevoked,
+  purgeExpiredRevocations,
+};
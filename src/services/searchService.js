@@ -0,0 +1,180 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { hasPermissions } from './permissionService.js';
+import { assignedPropertyIds } from './propertyAssignmentService.js';
+
+const TEXT_SEARCH_CONFIG = 'english';
+// ts_headline marks matches with control characters rather than <mark> tags
+// so the snippet can be HTML-escaped before the tags are put in.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=30, MinWords=10, MaxFragments=2`;
+const MAX_TERMS = 10;
+
+export const SEARCH_TYPES = ['properties', 'tenants', 'complaints', 'maintenance'];
+
+// Each entity type is searched through one or more indexed documents. A
+// document's tsvector expression must match its GIN index, created by the
+// search_indexes migration, for PostgreSQL to pick the index.
+// Results on archived properties are left out, as are archived tenants.
+const SEARCH_DOCUMENTS = {
+  properties: {
+    permission: 'properties.view',
+    from: 'properties p',
+    documents: [
+      {
+        index: 'properties_search_idx',
+        alias: 'p',
+        fields: [['name', 'A'], ['address', 'B'], ['city', 'B'], ['description', 'C']],
+      },
+    ],
+    select: `p.id, p.name AS title, p.address AS subtitle, p.status::text AS status, p.id AS "propertyId"`,
+    headline: `concat_ws(' ', p.name, p.address, p.description)`,
+  },
+  tenants: {
+    permission: 'tenants.view',
+    assignedOnly: true,
+    from: 'tenants t JOIN users u ON u.id = t."userId" JOIN properties p ON p.id = t."propertyId"',
+    documents: [
+      {
+        index: 'tenants_search_idx',
+        alias: 't',
+        fields: [['firstName', 'A'], ['lastName', 'A'], ['phone', 'B']],
+      },
+      {
+        index: 'users_email_search_idx',
+        alias: 'u',
+        fields: [['email', 'B']],
+      },
+    ],
+    select: `t.id, t."firstName" || ' ' || t."lastName" AS title, u.email AS subtitle,
+      CASE WHEN t."isActive" THEN 'ACTIVE' ELSE 'INACTIVE' END AS status, t."propertyId"`,
+    archived: 't."isArchived"',
+    headline: `concat_ws(' ', t."firstName", t."lastName", u.email, t.phone)`,
+  },
+  complaints: {
+    permission: 'complaints.view',
+    assignedOnly: true,
+    from: 'complaints c JOIN properties p ON p.id = c."propertyId"',
+    documents: [
+      {
+        index: 'complaints_search_idx',
+        alias: 'c',
+        fields: [['subject', 'A'], ['message', 'B'], ['response', 'C']],
+      },
+    ],
+    select: `c.id, c.subject AS title, p.name AS subtitle, c.status::text AS status, c."propertyId"`,
+    headline: `concat_ws(' ', c.subject, c.message, c.response)`,
+  },
+  maintenance: {
+    permission: 'maintenance.view',
+    assignedOnly: true,
+    from: '"MaintenanceRequest" m JOIN properties p ON p.id = m."propertyId"',
+    documents: [
+      {
+        index: 'maintenance_requests_search_idx',
+        alias: 'm',
+        fields: [['title', 'A'], ['description', 'B'], ['resolution', 'C']],
+      },
+    ],
+    select: `m.id, m.title, p.name AS subtitle, m.status, m."propertyId"`,
+    headline: `concat_ws(' ', m.title, m.description, m.resolution)`,
+  },
+};
+
+const documentVector = ({ alias, fields }) => fields
+  .map(([column, weight]) => `setweight(to_tsvector('${TEXT_SEARCH_CONFIG}', coalesce(${alias}."${column}", '')), '${weight}')`)
+  .join(' || ');
+
+/**
+ * Prefix tsquery for free text, so "sun apart" matches "Sunset Apartments".
+ * Terms keep the punctuation found in emails and phone numbers but none of the
+ * tsquery operators, so the result is always valid tsquery syntax.
+ * @param {string} text - User input
+ * @returns {string|null}
+ */
+export const buildPrefixQuery = (text) => {
+  const terms = (text.match(/[\p{L}\p{N}][\p{L}\p{N}@._+-]*/gu) || [])
+    .map(term => term.replace(/[@._+-]+$/, ''))
+    .slice(0, MAX_TERMS);
+
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+};
+
+// SQL condition limiting an entity type to what the user may see, or null
+// when the type is off limits. Every entity joins its property as `p`.
+const scopeCondition = (type, entity, user) => {
+  switch (user.role) {
+    case 'SUPER_ADMIN':
+      return Prisma.sql`TRUE`;
+    case 'OWNER':
+      return user.owner ? Prisma.sql`p."ownerId" = ${user.owner.id}` : null;
+    case 'MANAGER': {
+      if (!user.manager || !hasPermissions(user, [entity.permission])) return null;
+      if (!entity.assignedOnly) return Prisma.sql`p."ownerId" = ${user.manager.ownerId}`;
+
+      const propertyIds = assignedPropertyIds(user);
+      if (propertyIds.length === 0) return null;
+      return Prisma.sql`p."ownerId" = ${user.manager.ownerId} AND p.id IN (${Prisma.join(propertyIds)})`;
+    }
+    case 'TENANT':
+      if (type === 'complaints' && user.tenant) return Prisma.sql`c."tenantId" = ${user.tenant.id}`;
+      if (type === 'maintenance') return Prisma.sql`m."requestedById" = ${user.id}`;
+      return null;
+    default:
+      return null;
+  }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// The snippet is user-entered text, so only the highlight tags are left as HTML
+const highlightSnippet = (snippet) => escapeHtml(snippet)
+  .replaceAll(HIGHLIGHT_START, '<mark>')
+  .replaceAll(HIGHLIGHT_STOP, '</mark>');
+
+const searchEntity = async (entity, scope, tsquery, limit) => {
+  const vectors = entity.documents.map(document => documentVector(document));
+  const matches = vectors.map(vector => `(${vector}) @@ q`).join(' OR ');
+
+  const rows = await prisma.$queryRaw`
+    SELECT ${Prisma.raw(entity.select)},
+      ts_rank(${Prisma.raw(vectors.join(' || '))}, q) AS rank,
+      ts_headline(${TEXT_SEARCH_CONFIG}::regconfig, ${Prisma.raw(entity.headline)}, q, ${HEADLINE_OPTIONS}) AS snippet
+    FROM ${Prisma.raw(entity.from)}, to_tsquery(${TEXT_SEARCH_CONFIG}::regconfig, ${tsquery}) q
+    WHERE (${Prisma.raw(matches)}) AND ${scope}
+      AND NOT p."isArchived"${Prisma.raw(entity.archived ? ` AND NOT ${entity.archived}` : '')}
+    ORDER BY rank DESC, title ASC
+    LIMIT ${limit}
+  `;
+
+  return rows.map(row => ({ ...row, snippet: highlightSnippet(row.snippet) }));
+};
+
+/**
+ * Full-text search across the entity types a user can access
+ * @param {Object} user - Authenticated user
+ * @param {string} text - Search text
+ * @param {Object} options - { types: entity types to search, limit: results per type }
+ * @returns {Promise<Object>} - Ranked results with highlighted snippets, keyed by entity type
+ */
+export const search = async (user, text, { types = SEARCH_TYPES, limit = 10 } = {}) => {
+  const results = {};
+  const tsquery = buildPrefixQuery(text);
+
+  for (const type of types) {
+    const entity = SEARCH_DOCUMENTS[type];
+    const scope = scopeCondition(type, entity, user);
+
+    if (!scope) continue;
+
+    results[type] = tsquery ? await searchEntity(entity, scope, tsquery, limit) : [];
+  }
+
+  return results;
+};
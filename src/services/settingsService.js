@@ -0,0 +1,134 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+
+// Settings the application reads, with the value used when none is stored
+export const DEFAULT_SETTINGS = {
+  TWO_FACTOR_REQUIRED_ROLES: {
+    value: [],
+    type: 'JSON',
+    description: 'Roles that must enroll in two-factor authentication, e.g. ["SUPER_ADMIN","OWNER"]',
+  },
+  MAGIC_LINK_LOGIN_ROLES: {
+    value: ['TENANT'],
+    type: 'JSON',
+    description: 'Roles that may sign in with an emailed magic link instead of a password, e.g. ["TENANT"]',
+  },
+  PASSWORD_MIN_LENGTH: {
+    value: 8,
+    type: 'NUMBER',
+    description: 'Minimum number of characters in a password',
+  },
+  PASSWORD_REQUIRE_UPPERCASE: {
+    value: true,
+    type: 'BOOLEAN',
+    description: 'Passwords must contain an uppercase letter',
+  },
+  PASSWORD_REQUIRE_LOWERCASE: {
+    value: true,
+    type: 'BOOLEAN',
+    description: 'Passwords must contain a lowercase letter',
+  },
+  PASSWORD_REQUIRE_NUMBER: {
+    value: true,
+    type: 'BOOLEAN',
+    description: 'Passwords must contain a number',
+  },
+  PASSWORD_REQUIRE_SYMBOL: {
+    value: false,
+    type: 'BOOLEAN',
+    description: 'Passwords must contain a symbol',
+  },
+  PASSWORD_BLOCK_BREACHED: {
+    value: true,
+    type: 'BOOLEAN',
+    description: 'Reject passwords found in the bundled list of breached passwords',
+  },
+  PASSWORD_HISTORY_DEPTH: {
+    value: 5,
+    type: 'NUMBER',
+    description: 'Number of most recent passwords, including the current one, that cannot be reused (0 allows reuse)',
+  },
+  PASSWORD_MAX_AGE_DAYS: {
+    value: 0,
+    type: 'NUMBER',
+    description: 'Days before a password expires and must be changed at login (0 never expires)',
+  },
+  ARCHIVE_RETENTION_DAYS: {
+    value: 365,
+    type: 'NUMBER',
+    description: 'Days an archived property, tenant or lease is kept before a super admin may purge it',
+  },
+};
+
+const parseValue = (value, type) => {
+  switch (type) {
+    case 'NUMBER':
+      return Number(value);
+    case 'BOOLEAN':
+      return value === true || value === 'true';
+    case 'JSON':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+class SettingsService {
+  constructor() {
+    this.settings = {};
+    this.lastUpdated = null;
+    this.cacheTTL = 60 * 1000; // 1 minute
+  }
+
+  async loadSettings() {
+    try {
+      const now = Date.now();
+      if (this.lastUpdated && (now - this.lastUpdated) < this.cacheTTL) {
+        return this.settings;
+      }
+
+      const dbSettings = await prisma.systemSetting.findMany();
+
+      this.settings = dbSettings.reduce((acc, setting) => {
+        acc[setting.key] = setting;
+        return acc;
+      }, {});
+      this.lastUpdated = now;
+
+      return this.settings;
+    } catch (error) {
+      logger.error('Error loading system settings:', error);
+      return this.settings; // Return cached settings
+    }
+  }
+
+  /**
+   * Read a system setting, parsed according to its type. Known settings fall
+   * back to their default when missing or unparsable.
+   * @param {string} key - Setting key
+   * @returns {Promise<*>}
+   */
+  async get(key) {
+    await this.loadSettings();
+
+    const known = DEFAULT_SETTINGS[key];
+    const stored = this.settings[key];
+
+    if (!stored) {
+      return known?.value;
+    }
+
+    try {
+      return parseValue(stored.value, known?.type || stored.type);
+    } catch (error) {
+      logger.error(`Invalid value for system setting '${key}', using default:`, error);
+      return known?.value;
+    }
+  }
+
+  clearCache() {
+    this.lastUpdated = null;
+  }
+}
+
+export default new SettingsService();
@@ -0,0 +1,273 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { generateToken, generateSecureToken, generateUUID } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import { logActivity } from './auditService.js';
+import { revoke, isRevoked } from './revocationStore.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_TTL_SECONDS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+
+export class RefreshTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+const signAccessToken = (user, sessionId) => {
+  return generateToken(
+    {
+      userId: user.id,
+      role: user.role,
+      sid: sessionId,
+      jti: generateUUID(),
+    },
+    ACCESS_TOKEN_EXPIRES_IN
+  );
+};
+
+const createRefreshToken = async (userId, sessionId, context = {}) => {
+  const refreshToken = generateSecureToken();
+
+  await prisma.refreshToken.create({
+    data: {
+      userId,
+      sessionId,
+      tokenHash: hashSensitiveData(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    },
+  });
+
+  return refreshToken;
+};
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {Object} user - User record (needs id and role)
+ * @param {Object} context - Request context ({ ipAddress, userAgent, deviceName })
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, expiresIn }
+ */
+export const issueTokens = async (user, context = {}) => {
+  const { browser, os, deviceType } = parseUserAgent(context.userAgent);
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      deviceName: context.deviceName || [browser, os].filter(Boolean).join(' on ') || null,
+      deviceType,
+      browser,
+      os,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      expiresAt: sessionExpiry(),
+    },
+  });
+
+  const sessionId = session.id;
+  const refreshToken = await createRefreshToken(user.id, sessionId, context);
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Each refresh token can be
+ * used once; presenting an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Opaque refresh token issued to the client
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, expiresIn, user }
+ */
+export const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashSensitiveData(refreshToken) },
+    include: { user: true, session: true },
+  });
+
+  if (!stored) {
+    throw new RefreshTokenError('Refresh token is invalid', 'INVALID');
+  }
+
+  if (stored.rotatedAt || stored.revokedAt || stored.session.revokedAt) {
+    if (stored.rotatedAt && !stored.revokedAt) {
+      logger.warn(`Refresh token reuse detected for user ${stored.userId}, revoking session ${stored.sessionId}`);
+      await revokeSession(stored.sessionId);
+      await logActivity('REFRESH_TOKEN_REUSE', stored.userId, 'SESSION', stored.sessionId, context);
+    }
+    throw new RefreshTokenError('Refresh token has been revoked', 'REVOKED');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new RefreshTokenError('Refresh token has expired', 'EXPIRED');
+  }
+
+  if (!stored.user.isActive) {
+    await revokeSession(stored.sessionId);
+    throw new RefreshTokenError('User is inactive', 'INACTIVE');
+  }
+
+  // Guard against two concurrent refreshes both succeeding
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, rotatedAt: null, revokedAt: null },
+    data: { rotatedAt: new Date() },
+  });
+
+  if (count === 0) {
+    await revokeSession(stored.sessionId);
+    throw new RefreshTokenError('Refresh token has been revoked', 'REVOKED');
+  }
+
+  const nextRefreshToken = await createRefreshToken(stored.userId, stored.sessionId, context);
+
+  await prisma.userSession.update({
+    where: { id: stored.sessionId },
+    data: {
+      lastActiveAt: new Date(),
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      expiresAt: sessionExpiry(),
+    },
+  });
+
+  return {
+    accessToken: signAccessToken(stored.user, stored.sessionId),
+    refreshToken: nextRefreshToken,
+    sessionId: stored.sessionId,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    user: stored.user,
+  };
+};
+
+/**
+ * Revoke a session: its refresh tokens stop working immediately and access
+ * tokens carrying its session id are rejected by `authenticate`.
+ * @param {string} sessionId - Session identifier (the `sid` claim)
+ */
+export const revokeSession = async (sessionId) => {
+  await prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  await prisma.refreshToken.updateMany({
+    where: { sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  await revoke(`sid:${sessionId}`, REFRESH_TOKEN_TTL_SECONDS);
+};
+
+const activeSessionWhere = (userId) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { gt: new Date() },
+});
+
+/**
+ * List the sessions a user is currently signed in with, most recent first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>}
+ */
+export const listActiveSessions = (userId) => {
+  return prisma.userSession.findMany({
+    where: activeSessionWhere(userId),
+    orderBy: { lastActiveAt: 'desc' },
+    select: {
+      id: true,
+      deviceName: true,
+      deviceType: true,
+      browser: true,
+      os: true,
+      ipAddress: true,
+      lastActiveAt: true,
+      createdAt: true,
+      expiresAt: true,
+    },
+  });
+};
+
+/**
+ * Find a live session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>}
+ */
+export const findActiveSession = (userId, sessionId) => {
+  return prisma.userSession.findFirst({
+    where: { ...activeSessionWhere(userId), id: sessionId },
+  });
+};
+
+/**
+ * Revoke every live session of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptSessionId } keeps one session signed in
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllUserSessions = async (userId, { exceptSessionId } = {}) => {
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      ...activeSessionWhere(userId),
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    select: { id: true },
+  });
+
+  await Promise.all(sessions.map(({ id }) => revokeSession(id)));
+
+  logger.info(`Revoked ${sessions.length} sessions for user ${userId}`);
+  return sessions.length;
+};
+
+/**
+ * Revoke a single access token until it would have expired anyway
+ * @param {Object} decoded - Decoded access token payload
+ */
+export const revokeAccessToken = async (decoded) => {
+  if (!decoded.jti) return;
+  const ttl = decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : REFRESH_TOKEN_TTL_SECONDS;
+  if (ttl > 0) {
+    await revoke(`jti:${decoded.jti}`, ttl);
+  }
+};
+
+/**
+ * Check a decoded access token against the revocation store
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<boolean>}
+ */
+export const isAccessTokenRevoked = async (decoded) => {
+  const keys = [];
+  if (decoded.jti) keys.push(`jti:${decoded.jti}`);
+  if (decoded.sid) keys.push(`sid:${decoded.sid}`);
+  if (keys.length === 0) return false;
+
+  return isRevoked(keys);
+};
+
+/**
+ * Remove refresh tokens that can no longer be used
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export const purgeExpiredRefreshTokens = async () => {
+  const result = await prisma.refreshToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  // Refresh tokens of an expired session cascade with it
+  await prisma.userSession.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return result.count;
+};
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { encrypt, decrypt, hashSensitiveData } from '../utils/encryption.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+import settingsService from './settingsService.js';
+
+// Roles allowed to enroll; tenants sign in with email and password only
+export const TWO_FACTOR_ROLES = ['SUPER_ADMIN', 'OWNER', 'MANAGER'];
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Rental Management System';
+
+export class TwoFactorError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const createRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+// Replace every recovery code of a user, as part of a transaction
+const replaceRecoveryCodes = (userId, codes) => [
+  prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+  prisma.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({
+      userId,
+      codeHash: hashSensitiveData(normalizeRecoveryCode(code)),
+    })),
+  }),
+];
+
+const readSecret = (user) => decrypt(JSON.parse(user.twoFactorSecret));
+
+/**
+ * Whether the SystemSetting TWO_FACTOR_REQUIRED_ROLES covers this role
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (role) => {
+  const roles = await settingsService.get('TWO_FACTOR_REQUIRED_ROLES');
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+/**
+ * Generate a new pending secret. It only takes effect once confirmed with a
+ * valid code through confirmEnrollment.
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ */
+export const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+  }
+
+  const secret = generateTotpSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: JSON.stringify(encrypt(secret)),
+      twoFactorLastUsedStep: null,
+    },
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Turn on two-factor authentication after the user proves their
+ * authenticator app produces valid codes for the pending secret
+ * @param {Object} user - User record
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+ */
+export const confirmEnrollment = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new TwoFactorError('Start two-factor setup before enabling it', 'NOT_STARTED');
+  }
+
+  const timeStep = verifyTotp(readSecret(user), code);
+  if (timeStep === null) {
+    throw new TwoFactorError('Invalid authentication code', 'INVALID_CODE');
+  }
+
+  const recoveryCodes = createRecoveryCodes();
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastUsedStep: timeStep,
+      },
+    }),
+    ...replaceRecoveryCodes(user.id, recoveryCodes),
+  ]);
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: either a TOTP code or an unused recovery code.
+ * TOTP codes are accepted once each; recovery codes are consumed.
+ * @param {Object} user - User record
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return false;
+  }
+
+  if (code) {
+    const timeStep = verifyTotp(readSecret(user), code);
+    if (timeStep === null) {
+      return false;
+    }
+
+    // Reject a code whose time step was already used (replay)
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { lt: timeStep } },
+        ],
+      },
+      data: { twoFactorLastUsedStep: timeStep },
+    });
+
+    return count === 1;
+  }
+
+  if (recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashSensitiveData(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    return count === 1;
+  }
+
+  return false;
+};
+
+/**
+ * Invalidate all recovery codes of a user and issue a fresh set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - New recovery codes
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = createRecoveryCodes();
+  await prisma.$transaction(replaceRecoveryCodes(userId, recoveryCodes));
+  return recoveryCodes;
+};
+
+/**
+ * Count recovery codes that have not been used yet
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const countRemainingRecoveryCodes = (userId) => {
+  return prisma.twoFactorRecoveryCode.count({
+    where: { userId, usedAt: null },
+  });
+};
+
+/**
+ * Turn off two-factor authentication and discard the secret and recovery codes
+ * @param {string} userId - User ID
+ */
+export const disableTwoFactor = async (userId) => {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastUsedStep: null,
+      },
+    }),
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+  ]);
+};
@@ -0,0 +1,36 @@
+import prisma from '../config/database.js';
+
+/**
+ * Look up a unit of a property
+ * @param {string} propertyId - Property ID
+ * @param {string} unitId - Unit ID
+ * @returns {Promise<Object|null>} - The unit, or null when it does not exist or belongs to another property
+ */
+export const findPropertyUnit = async (propertyId, unitId) => {
+  const unit = await prisma.unit.findUnique({
+    where: { id: unitId },
+  });
+
+  return unit && unit.propertyId === propertyId ? unit : null;
+};
+
+/**
+ * Bring a unit's status in line with its leases: AVAILABLE becomes OCCUPIED
+ * once it has an active lease and OCCUPIED goes back to AVAILABLE when the
+ * last one ends. Units under maintenance or off the market keep their status.
+ * @param {string} unitId - Unit ID, ignored when empty
+ */
+export const syncUnitOccupancy = async (unitId) => {
+  if (!unitId) {
+    return;
+  }
+
+  const activeLeases = await prisma.lease.count({
+    where: { unitId, status: 'ACTIVE' },
+  });
+
+  await prisma.unit.updateMany({
+    where: { id: unitId, status: activeLeases > 0 ? 'AVAILABLE' : 'OCCUPIED' },
+    data: { status: activeLeases > 0 ? 'OCCUPIED' : 'AVAILABLE' },
+  });
+};
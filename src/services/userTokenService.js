@@ -0,0 +1,96 @@
+import prisma from '../config/database.js';
+import { generateSecureToken } from '../utils/helpers.js';
+import { hashSensitiveData } from '../utils/encryption.js';
+
+/**
+ * Issue a single-use token for a user. Only the hash is stored; the raw
+ * token is returned so it can be delivered to the user (usually by email).
+ * Any earlier unused token of the same type is invalidated.
+ * @param {string} userId - User ID
+ * @param {string} type - UserTokenType value
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @param {Object} metadata - Extra data stored with the token
+ * @returns {Promise<string>} - Raw token
+ */
+export const createUserToken = async (userId, type, ttlMinutes, metadata = null) => {
+  const token = generateSecureToken();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashSensitiveData(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        metadata,
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Look up a token that is still redeemable without consuming it
+ * @param {string} token - Raw token
+ * @param {string} type - UserTokenType value
+ * @returns {Promise<Object|null>} - Token record with its user, or null
+ */
+export const findUserToken = async (token, type) => {
+  const stored = await prisma.userToken.findUnique({
+    where: { tokenHash: hashSensitiveData(token) },
+    include: { user: true },
+  });
+
+  if (!stored || stored.type !== type || stored.usedAt || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return stored;
+};
+
+/**
+ * Redeem a single-use token. Returns the token record (with its user) when
+ * the token exists, matches the type, has not expired and has not been used;
+ * otherwise returns null. A token can only be redeemed once.
+ * @param {string} token - Raw token
+ * @param {string} type - UserTokenType value
+ * @returns {Promise<Object|null>}
+ */
+export const consumeUserToken = async (token, type) => {
+  const stored = await prisma.userToken.findUnique({
+    where: { tokenHash: hashSensitiveData(token) },
+    include: { user: true },
+  });
+
+  if (!stored || stored.type !== type) {
+    return null;
+  }
+
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      id: stored.id,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? stored : null;
+};
+
+/**
+ * Remove tokens that expired more than a day ago
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export const purgeExpiredUserTokens = async () => {
+  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const result = await prisma.userToken.deleteMany({
+    where: { expiresAt: { lt: cutoff } },
+  });
+  return result.count;
+};
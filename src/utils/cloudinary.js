@@ -65,6 +65,44 @@ export const deleteFromCloudinary = (publicId, resourceType = 'image') => {
   });
 };
 
+// Derived sizes served for property photos. Requested as eager
+// transformations on upload so they are ready before the first view.
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, crop: 'fill', gravity: 'auto' },
+  medium: { width: 800, height: 600, crop: 'limit' },
+};
+
+/**
+ * URLs of the image variants for an uploaded image
+ * @param {string} publicId - Public ID of the image
+ * @returns {Object} - URL per variant name
+ */
+export const imageVariantUrls = (publicId) => {
+  return Object.fromEntries(Object.entries(IMAGE_VARIANTS).map(([name, transformation]) => [
+    name,
+    cloudinary.url(publicId, { ...transformation, secure: true }),
+  ]));
+};
+
+/**
+ * Public ID of an image from its Cloudinary delivery URL, e.g.
+ * https://res.cloudinary.com/demo/image/upload/v1712/properties/abc.jpg -> properties/abc
+ * @param {string} url - Delivery URL
+ * @returns {string|null} - Public ID, or null for URLs that are not Cloudinary uploads
+ */
+export const publicIdFromUrl = (url) => {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/(.+)$/.exec(url || '');
+  if (!match) {
+    return null;
+  }
+
+  const segments = match[1].split('/');
+  const version = segments.findIndex(segment => /^v\d+$/.test(segment));
+  const path = version >= 0 ? segments.slice(version + 1) : segments;
+
+  return path.join('/').replace(/\.[a-z0-9]+$/i, '') || null;
+};
+
 /**
  * Generate signed URL for secure access
  * @param {string} publicId - Public ID of the file
@@ -81,4 +119,20 @@ export const generateSignedUrl = (publicId, options = {}) => {
   return cloudinary.url(publicId, defaultOptions);
 };
 
+/**
+ * Signed download URL for a file uploaded with type 'authenticated'.
+ * Cloudinary refuses the URL once expiresAt has passed.
+ * @param {string} publicId - Public ID of the file
+ * @param {string} format - File format, e.g. pdf
+ * @param {Object} options - { resourceType, expiresAt } with expiresAt in Unix seconds
+ * @returns {string} - Download URL
+ */
+export const privateDownloadUrl = (publicId, format, { resourceType = 'image', expiresAt }) => {
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: 'authenticated',
+    expires_at: expiresAt,
+  });
+};
+
 export default cloudinary;
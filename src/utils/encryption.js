@@ -1,12 +1,14 @@
-
 import crypto from 'crypto';
+import config from '../config/environment.js';
 
 const algorithm = 'aes-256-gcm';
-const secretKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32);
+// aes-256 needs a 32 byte key; derive one from whatever ENCRYPTION_KEY holds.
+// The environment check refuses to start without it.
+const secretKey = crypto.createHash('sha256').update(config.encryption.key).digest();
 
 export const encrypt = (text) => {
   const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipher(algorithm, secretKey, iv);
+  const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
   
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
@@ -23,7 +25,7 @@ export const encrypt = (text) => {
 export const decrypt = (encryptedData) => {
   const { encrypted, iv, authTag } = encryptedData;
   
-  const decipher = crypto.createDecipher(algorithm, secretKey, Buffer.from(iv, 'hex'));
+  const decipher = crypto.createDecipheriv(algorithm, secretKey, Buffer.from(iv, 'hex'));
   decipher.setAuthTag(Buffer.from(authTag, 'hex'));
   
   let decrypted = decipher.update(encrypted, 'hex', 'utf8');
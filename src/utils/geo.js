@@ -0,0 +1,63 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} - Distance in kilometres
+ */
+export const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Smallest latitude/longitude box containing every point within a radius.
+ * Near the poles the box widens to all longitudes.
+ * @param {number} lat - Latitude of the centre
+ * @param {number} lng - Longitude of the centre
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} - { minLat, maxLat, minLng, maxLng }; minLng > maxLng when the box crosses the antimeridian
+ */
+export const boundingBoxAround = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+
+  const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+  const lngDelta = cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat) : 180;
+
+  if (lngDelta >= 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  const wrap = (value) => ((value + 540) % 360) - 180;
+  return { minLat, maxLat, minLng: wrap(lng - lngDelta), maxLng: wrap(lng + lngDelta) };
+};
+
+/**
+ * Prisma filter for records whose latitude/longitude fall inside a box
+ * @param {Object} box - { minLat, maxLat, minLng, maxLng }; minLng > maxLng crosses the antimeridian
+ * @returns {Object}
+ */
+export const boundingBoxWhere = ({ minLat, maxLat, minLng, maxLng }) => {
+  const latitude = { gte: minLat, lte: maxLat };
+
+  if (minLng <= maxLng) {
+    return { latitude, longitude: { gte: minLng, lte: maxLng } };
+  }
+
+  return {
+    latitude,
+    OR: [{ longitude: { gte: minLng } }, { longitude: { lte: maxLng } }],
+  };
+};
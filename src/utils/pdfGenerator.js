@@ -197,6 +197,173 @@ export const generateLeaseAgreement = async (data) => {
   });
 };
 
+const conditionLabel = (condition) => (condition ? condition.replace('_', ' ').toLowerCase() : 'not recorded');
+
+// Condition, notes and photo count of one side of an inspection item
+const inspectionCellText = (side) => {
+  if (!side) return 'Not on this checklist';
+
+  const lines = [conditionLabel(side.condition)];
+  if (side.notes) lines.push(side.notes);
+  if (side.photos.length > 0) lines.push(`${side.photos.length} photo(s)`);
+  return lines.join('\n');
+};
+
+/**
+ * Generate inspection report PDF. With a comparison, each item shows the
+ * move-in and move-out condition side by side and items that got worse are
+ * flagged.
+ * @param {Object} data - { inspection, comparison } where comparison comes from compareInspections
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+export const generateInspectionReport = async (data) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const { inspection, comparison } = data;
+      const doc = new PDFDocument({ margin: 50 });
+      const buffers = [];
+
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => {
+        const pdfBuffer = Buffer.concat(buffers);
+        resolve(pdfBuffer);
+      });
+
+      const typeLabel = inspection.type === 'MOVE_IN' ? 'MOVE-IN' : 'MOVE-OUT';
+
+      // Header
+      doc.fontSize(20).text(comparison ? 'MOVE-IN / MOVE-OUT COMPARISON' : `${typeLabel} INSPECTION REPORT`, { align: 'center' });
+      doc.moveDown(2);
+
+      // Inspection details
+      doc.fontSize(14).text('Inspection Details', { underline: true });
+      doc.moveDown(0.5);
+
+      doc.fontSize(12);
+      doc.text(`Property: ${inspection.property.name}`);
+      doc.text(`Address: ${inspection.property.address}`);
+      if (inspection.unit) {
+        doc.text(`Unit: ${inspection.unit.number}`);
+      }
+      if (inspection.tenant) {
+        doc.text(`Tenant: ${inspection.tenant.firstName} ${inspection.tenant.lastName}`);
+      }
+      if (inspection.inspectedBy) {
+        doc.text(`Inspector: ${inspection.inspectedBy.firstName} ${inspection.inspectedBy.lastName}`);
+      }
+      doc.text(`Checklist: ${inspection.templateName}`);
+      if (comparison) {
+        doc.text(`Move-in completed: ${comparison.moveIn.completedAt ? new Date(comparison.moveIn.completedAt).toLocaleDateString() : 'Not completed'}`);
+        doc.text(`Move-out completed: ${comparison.moveOut.completedAt ? new Date(comparison.moveOut.completedAt).toLocaleDateString() : 'Not completed'}`);
+        doc.text(`Items in worse condition at move-out: ${comparison.worsenedCount}`);
+      } else {
+        doc.text(`Completed: ${inspection.completedAt ? new Date(inspection.completedAt).toLocaleDateString() : 'Not completed'}`);
+      }
+      doc.moveDown();
+
+      // Checklist, room by room
+      const rooms = comparison
+        ? comparison.rooms
+        : [...new Set(inspection.items.map(item => item.room))].map(name => ({
+          name,
+          items: inspection.items
+            .filter(item => item.room === name)
+            .map(item => ({ name: item.name, side: item })),
+        }));
+
+      const columns = comparison ? ['Item', 'Move-in', 'Move-out'] : ['Item', 'Condition and notes'];
+      const left = doc.page.margins.left;
+      const colWidth = (doc.page.width - left - doc.page.margins.right) / columns.length;
+      const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+      const drawRow = (cells, { bold = false } = {}) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        const height = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: colWidth - 10 })));
+
+        if (doc.y + height > bottom()) {
+          doc.addPage();
+        }
+
+        const rowTop = doc.y;
+        cells.forEach((cell, i) => {
+          doc.text(cell, left + (i * colWidth), rowTop, { width: colWidth - 10 });
+        });
+        doc.x = left;
+        doc.y = rowTop + height + 6;
+      };
+
+      rooms.forEach(room => {
+        if (doc.y + 60 > bottom()) {
+          doc.addPage();
+        }
+
+        doc.font('Helvetica').fontSize(14).text(room.name, left, doc.y, { underline: true });
+        doc.moveDown(0.5);
+        drawRow(columns, { bold: true });
+
+        room.items.forEach(item => {
+          const cells = comparison
+            ? [`${item.worsened ? '* ' : ''}${item.name}`, inspectionCellText(item.moveIn), inspectionCellText(item.moveOut)]
+            : [item.name, inspectionCellText(item.side)];
+          drawRow(cells, { bold: Boolean(item.worsened) });
+        });
+        doc.moveDown();
+      });
+
+      if (comparison) {
+        doc.font('Helvetica').fontSize(10).text('* Worse at move-out than at move-in', left);
+        doc.moveDown();
+      }
+
+      // Photos, linked rather than embedded to keep the report small
+      const photos = comparison
+        ? comparison.rooms.flatMap(room => room.items.flatMap(item => [
+          ...(item.moveIn?.photos || []).map(photo => ({ ...photo, label: `${room.name} - ${item.name} (move-in)` })),
+          ...(item.moveOut?.photos || []).map(photo => ({ ...photo, label: `${room.name} - ${item.name} (move-out)` })),
+        ]))
+        : inspection.items.flatMap(item => item.photos.map(photo => ({ ...photo, label: `${item.room} - ${item.name}` })));
+
+      if (photos.length > 0) {
+        doc.addPage();
+        doc.font('Helvetica').fontSize(14).text('Photos', { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+        photos.forEach(photo => {
+          doc.fillColor('blue').text(`${photo.label}${photo.caption ? `: ${photo.caption}` : ''}`, { link: photo.url, underline: true });
+        });
+        doc.fillColor('black');
+        doc.moveDown();
+      }
+
+      // Tenant sign-off
+      if (doc.y + 80 > bottom()) {
+        doc.addPage();
+      }
+      doc.font('Helvetica').fontSize(14).text('Tenant Sign-off', left, doc.y, { underline: true });
+      doc.moveDown(0.5);
+      doc.fontSize(12);
+      if (inspection.tenantSignedAt) {
+        doc.text(`Signed by: ${inspection.tenantSignatureName}`);
+        doc.text(`Signed on: ${new Date(inspection.tenantSignedAt).toLocaleString()}`);
+        if (inspection.tenantComments) {
+          doc.text(`Tenant comments: ${inspection.tenantComments}`);
+        }
+      } else {
+        doc.text('Not signed by the tenant');
+      }
+
+      // Footer
+      doc.moveDown(3);
+      doc.fontSize(10).text(`Generated on: ${new Date().toLocaleString()}`, { align: 'center' });
+
+      doc.end();
+    } catch (error) {
+      logger.error('Error generating inspection report PDF:', error);
+      reject(error);
+    }
+  });
+};
+
 /**
  * Generates a generic report in PDF format.
  * @param {Array<Object>} data - The array of data objects to display in the table.
@@ -292,6 +459,7 @@ export const generateCsvReport = async (data, headers) => {
 export default {
   generatePaymentReceipt,
   generateLeaseAgreement,
+  generateInspectionReport,
   generatePdfReport,
   generateCsvReport,
 };
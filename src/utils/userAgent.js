@@ -0,0 +1,55 @@
+// Lightweight User-Agent parsing, good enough to label sessions for users.
+// Order matters: Edge and Opera also advertise Chrome, Chrome advertises Safari.
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'PostmanRuntime', pattern: /PostmanRuntime\/([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+const detect = (userAgent, candidates) => {
+  for (const { name, pattern } of candidates) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      const version = match[1]?.replace(/_/g, '.').split('.')[0];
+      return version ? `${name} ${version}` : name;
+    }
+  }
+  return null;
+};
+
+/**
+ * Derive browser, operating system and device type from a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} - { browser, os, deviceType }
+ */
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, deviceType: null };
+  }
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  return {
+    browser: detect(userAgent, BROWSERS),
+    os: detect(userAgent, OPERATING_SYSTEMS),
+    deviceType,
+  };
+};
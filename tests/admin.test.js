@@ -2,6 +2,14 @@
 import request from 'supertest';
 import app from '../src/index.js';
 import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+import { authenticateSocket } from '../src/modules/notifications/services/socketService.js';
+
+// Runs the Socket.IO handshake check; resolves with the error refusing the
+// connection, or undefined when it is accepted
+const connectSocket = (token) => new Promise((resolve) => {
+  authenticateSocket({ handshake: { auth: { token } } }, resolve);
+});
 
 describe('Admin Routes', () => {
   let adminAuthToken;
@@ -112,6 +120,113 @@ describe('Admin Routes', () => {
     });
   });
 
+  describe('/api/v1/admin/login-locks', () => {
+    it('should list active login locks', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/login-locks')
+        .set('Authorization', `Bearer ${adminAuthToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data.accounts)).toBe(true);
+      expect(Array.isArray(response.body.data.ipAddresses)).toBe(true);
+    });
+
+    it('should require an email or IP address to clear a lock', async () => {
+      const response = await request(app)
+        .delete('/api/v1/admin/login-locks')
+        .set('Authorization', `Bearer ${adminAuthToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('/api/v1/admin/impersonations', () => {
+    let targetUser;
+
+    beforeAll(async () => {
+      targetUser = await prisma.user.upsert({
+        where: { email: 'impersonation-target@example.com' },
+        update: {},
+        create: {
+          email: 'impersonation-target@example.com',
+          password: await hashPassword('Password123!'),
+          role: 'TENANT',
+          emailVerifiedAt: new Date(),
+        },
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.user.delete({ where: { id: targetUser.id } }).catch(() => {});
+    });
+
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/impersonations')
+        .set('Authorization', `Bearer ${adminAuthToken}`)
+        .send({ userId: targetUser.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should act as the user, flag it and audit every request', async () => {
+      const start = await request(app)
+        .post('/api/v1/admin/impersonations')
+        .set('Authorization', `Bearer ${adminAuthToken}`)
+        .send({ userId: targetUser.id, reason: 'Ticket #123: tenant cannot see lease' });
+
+      expect(start.status).toBe(201);
+      const { token, impersonation } = start.body.data;
+
+      const me = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(me.status).toBe(200);
+      expect(me.body.user.id).toBe(targetUser.id);
+      expect(me.body.impersonating).toBe(true);
+      expect(me.body.impersonation.impersonator.email).toBe('admin@example.com');
+
+      const changePassword = await request(app)
+        .put('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'Password123!', newPassword: 'Password456!' });
+
+      expect(changePassword.status).toBe(403);
+
+      // Nothing can be changed or deleted on the user's behalf
+      const deleteLease = await request(app)
+        .delete('/api/v1/leases/any-lease')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(deleteLease.status).toBe(403);
+      expect(deleteLease.body.message).toBe('This action is not available while impersonating a user');
+
+      // Chat over Socket.IO would get around both, so the token cannot connect
+      expect(await connectSocket(token)).toBeInstanceOf(Error);
+      expect(await connectSocket(adminAuthToken)).toBeUndefined();
+
+      const end = await request(app)
+        .delete(`/api/v1/admin/impersonations/${impersonation.id}`)
+        .set('Authorization', `Bearer ${adminAuthToken}`);
+
+      expect(end.status).toBe(200);
+
+      const afterEnd = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(afterEnd.status).toBe(401);
+
+      // Requests are audited once their response has been sent
+      const audited = await prisma.auditLog.count({
+        where: { action: 'IMPERSONATED_REQUEST', resourceId: targetUser.id },
+      });
+      expect(audited).toBeGreaterThanOrEqual(2);
+    });
+  });
+
   afterAll(async () => {
     // Cleanup test user
     if (testUserId) {
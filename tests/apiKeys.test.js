@@ -0,0 +1,125 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+
+describe('API keys', () => {
+  const credentials = {
+    email: 'apikey-owner-test@example.com',
+    password: 'Password123!'
+  };
+  let ownerToken;
+  let ownerId;
+
+  beforeEach(async () => {
+    await prisma.user.deleteMany({
+      where: { email: credentials.email }
+    });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ ...credentials, role: 'OWNER', companyName: 'API Key Test Co' });
+    ownerToken = register.body.token;
+
+    const owner = await prisma.user.update({
+      where: { email: credentials.email },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+    ownerId = owner.owner.id;
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  const createKey = (data) => request(app)
+    .post(`/api/v1/owners/${ownerId}/api-keys`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send(data);
+
+  it('should only show the key once', async () => {
+    const created = await createKey({ name: 'Accounting', scopes: ['payments:read'] }).expect(201);
+
+    expect(created.body.key).toMatch(/^rms_/);
+
+    const list = await request(app)
+      .get(`/api/v1/owners/${ownerId}/api-keys`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(list.body.apiKeys).toHaveLength(1);
+    expect(list.body.apiKeys[0].key).toBeUndefined();
+    expect(list.body.apiKeys[0].keyHash).toBeUndefined();
+  });
+
+  it('should reject unknown scopes', async () => {
+    await createKey({ name: 'Bad', scopes: ['admin:write'] }).expect(400);
+  });
+
+  it('should authenticate within its scopes and track use', async () => {
+    const { body } = await createKey({ name: 'Accounting', scopes: ['payments:read'] }).expect(201);
+
+    await request(app)
+      .get('/api/v1/payments')
+      .set('X-API-Key', body.key)
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/payments')
+      .set('Authorization', `Bearer ${body.key}`)
+      .expect(200);
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { id: body.apiKey.id } });
+    expect(apiKey.lastUsedAt).not.toBeNull();
+
+    await request(app)
+      .post('/api/v1/payments')
+      .set('X-API-Key', body.key)
+      .send({})
+      .expect(403);
+
+    await request(app)
+      .get('/api/v1/tenants')
+      .set('X-API-Key', body.key)
+      .expect(403);
+  });
+
+  it('should not be usable on account endpoints', async () => {
+    const { body } = await createKey({ name: 'Everything', scopes: ['properties:read'] }).expect(201);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('X-API-Key', body.key)
+      .expect(403);
+
+    await request(app)
+      .get(`/api/v1/owners/${ownerId}/api-keys`)
+      .set('X-API-Key', body.key)
+      .expect(403);
+  });
+
+  it('should stop working once revoked or expired', async () => {
+    const { body } = await createKey({ name: 'Temporary', scopes: ['payments:read'] }).expect(201);
+
+    await request(app)
+      .delete(`/api/v1/owners/${ownerId}/api-keys/${body.apiKey.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/payments')
+      .set('X-API-Key', body.key)
+      .expect(401);
+
+    const expiring = await createKey({ name: 'Expiring', scopes: ['payments:read'] }).expect(201);
+    await prisma.apiKey.update({
+      where: { id: expiring.body.apiKey.id },
+      data: { expiresAt: new Date(Date.now() - 1000) }
+    });
+
+    await request(app)
+      .get('/api/v1/payments')
+      .set('X-API-Key', expiring.body.key)
+      .expect(401);
+  });
+});
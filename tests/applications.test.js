@@ -0,0 +1,163 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashSensitiveData } from '../src/utils/encryption.js';
+import { createVerifiedOwner, createProperty } from './helpers/fixtures.js';
+
+describe('Rental applications', () => {
+  const ownerEmail = 'applications-owner-test@example.com';
+  const applicantEmail = 'applications-applicant-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let property;
+  let unlisted;
+
+  const applicant = {
+    firstName: 'Ada',
+    lastName: 'Applicant',
+    email: applicantEmail,
+    phone: '+15555550142',
+    monthlyIncome: 4800,
+    desiredMoveIn: '2030-01-01',
+    leaseTermMonths: 6,
+    emergencyContactName: 'Grace Applicant'
+  };
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, applicantEmail] } }
+    });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Applications Test Co' });
+    ownerToken = token;
+
+    property = await createProperty(owner.owner.id, { name: 'Applications House', address: '1 Application Way', rentAmount: 1500, isPublished: true });
+    unlisted = await createProperty(owner.owner.id, { name: 'Unlisted House', address: '2 Application Way', rentAmount: 1500 });
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: { in: [property.id, unlisted.id] } } });
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, applicantEmail] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  it('should only accept applications for listed properties', async () => {
+    await request(app)
+      .post('/api/v1/applications')
+      .send({ ...applicant, propertyId: unlisted.id })
+      .expect(404);
+  });
+
+  it('should take an application from submission to a tenant with a draft lease', async () => {
+    const submitted = await request(app)
+      .post('/api/v1/applications')
+      .send({ ...applicant, propertyId: property.id })
+      .expect(201);
+
+    const { id } = submitted.body.application;
+    const { accessToken } = submitted.body;
+
+    const status = await request(app)
+      .get(`/api/v1/applications/${id}/status`)
+      .query({ token: accessToken })
+      .expect(200);
+    expect(status.body.application.status).toBe('SUBMITTED');
+
+    await request(app).get(`/api/v1/applications/${id}/status`).query({ token: 'wrong' }).expect(404);
+
+    const reviewed = await asOwner(request(app).patch(`/api/v1/applications/${id}/review`))
+      .send({ score: 82, reviewNotes: 'Good references' })
+      .expect(200);
+    expect(reviewed.body.application.status).toBe('UNDER_REVIEW');
+    expect(reviewed.body.application.screening.incomeToRentRatio).toBe(3.2);
+    expect(reviewed.body.application.screening.meetsIncomeRatio).toBe(true);
+
+    await asOwner(request(app).post(`/api/v1/applications/${id}/request-info`))
+      .send({ message: 'Please upload your latest payslip' })
+      .expect(200);
+
+    // The request for information replaces the applicant's link
+    await request(app)
+      .post(`/api/v1/applications/${id}/respond`)
+      .send({ token: accessToken, response: 'Attached' })
+      .expect(404);
+
+    const newToken = 'applications-test-token';
+    await prisma.rentalApplication.update({
+      where: { id },
+      data: { accessTokenHash: hashSensitiveData(newToken) }
+    });
+
+    const responded = await request(app)
+      .post(`/api/v1/applications/${id}/respond`)
+      .send({ token: newToken, response: 'Payslip attached' })
+      .expect(200);
+    expect(responded.body.application.status).toBe('UNDER_REVIEW');
+
+    const approved = await asOwner(request(app).post(`/api/v1/applications/${id}/approve`))
+      .send({ securityDeposit: 1500 })
+      .expect(200);
+
+    expect(approved.body.application.status).toBe('APPROVED');
+    expect(approved.body.tenant.firstName).toBe('Ada');
+    expect(approved.body.tenant.emergencyContact).toEqual({ name: 'Grace Applicant', phone: null });
+    expect(approved.body.lease.status).toBe('DRAFT');
+    expect(Number(approved.body.lease.rentAmount)).toBe(1500);
+    expect(new Date(approved.body.lease.endDate).toISOString().slice(0, 10)).toBe('2030-07-01');
+
+    const user = await prisma.user.findUnique({ where: { email: applicantEmail } });
+    expect(user.role).toBe('TENANT');
+
+    await asOwner(request(app).post(`/api/v1/applications/${id}/reject`)).send({}).expect(409);
+  });
+
+  it('should serve documents through expiring links and delete them on rejection', async () => {
+    const submitted = await request(app)
+      .post('/api/v1/applications')
+      .send({ ...applicant, propertyId: property.id })
+      .expect(201);
+    const { id } = submitted.body.application;
+
+    const document = await prisma.applicationDocument.create({
+      data: {
+        applicationId: id,
+        fileName: 'payslip.pdf',
+        publicId: `applications/test-${Date.now()}`,
+        resourceType: 'image',
+        format: 'pdf',
+        mimeType: 'application/pdf',
+        size: 2048
+      }
+    });
+
+    const fetched = await asOwner(request(app).get(`/api/v1/applications/${id}`)).expect(200);
+    expect(fetched.body.application.documents[0].url).toBeUndefined();
+
+    const download = await asOwner(request(app).get(`/api/v1/applications/${id}/documents/${document.id}/download`))
+      .expect(200);
+    expect(download.body.url).toContain('type=authenticated');
+    expect(download.body.url).toContain(`expires_at=${new Date(download.body.expiresAt).getTime() / 1000}`);
+    expect(download.body.document.fileName).toBe('payslip.pdf');
+
+    await asOwner(request(app).post(`/api/v1/applications/${id}/reject`))
+      .send({ reason: 'Income too low' })
+      .expect(200);
+
+    expect(await prisma.applicationDocument.count({ where: { applicationId: id } })).toBe(0);
+    await asOwner(request(app).get(`/api/v1/applications/${id}/documents/${document.id}/download`))
+      .expect(404);
+  });
+
+  it('should list applications for the owner', async () => {
+    const response = await asOwner(request(app).get('/api/v1/applications'))
+      .query({ status: 'APPROVED' })
+      .expect(200);
+
+    expect(response.body.applications).toHaveLength(1);
+    expect(response.body.applications[0].accessTokenHash).toBeUndefined();
+  });
+});
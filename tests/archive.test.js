@@ -0,0 +1,127 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty, createTenantUser, createSuperAdmin, login } from './helpers/fixtures.js';
+
+describe('Archiving', () => {
+  const ownerEmail = 'archive-owner-test@example.com';
+  const tenantEmail = 'archive-tenant-test@example.com';
+  const adminEmail = 'archive-admin-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let adminToken;
+  let property;
+  let tenant;
+  let lease;
+  let payment;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail, adminEmail] } } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Archive Test Co' });
+    ownerToken = token;
+
+    property = await createProperty(owner.owner.id, { name: 'Archive House', address: '1 Dusty Shelf', rentAmount: 900 });
+
+    const tenantUser = await createTenantUser(property, { email: tenantEmail, password, firstName: 'Arlo', lastName: 'Kive', phone: '+15555550177' });
+    tenant = tenantUser.tenant;
+
+    lease = await prisma.lease.create({
+      data: {
+        propertyId: property.id,
+        tenantId: tenant.id,
+        startDate: new Date('2026-01-01'),
+        endDate: new Date('2026-12-31'),
+        rentAmount: 900,
+      }
+    });
+
+    payment = await prisma.payment.create({
+      data: { tenantId: tenant.id, leaseId: lease.id, amount: 900, dueDate: new Date('2026-01-01'), status: 'PAID' }
+    });
+
+    await createSuperAdmin({ email: adminEmail, password });
+
+    adminToken = await login(adminEmail, password);
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail, adminEmail] } } });
+    await prisma.$disconnect();
+  });
+
+  it('should only archive leases and tenants that are no longer active', async () => {
+    await asOwner(request(app).delete(`/api/v1/leases/${lease.id}`)).expect(400);
+    await asOwner(request(app).delete(`/api/v1/properties/${property.id}`)).expect(400);
+
+    await prisma.lease.update({ where: { id: lease.id }, data: { status: 'TERMINATED' } });
+    await asOwner(request(app).delete(`/api/v1/tenants/${tenant.id}`)).expect(400);
+
+    await prisma.tenant.update({ where: { id: tenant.id }, data: { isActive: false } });
+  });
+
+  it('should archive a lease without losing its payments and restore it', async () => {
+    await asOwner(request(app).delete(`/api/v1/leases/${lease.id}`)).expect(200);
+    expect(await prisma.payment.findUnique({ where: { id: payment.id } })).not.toBeNull();
+
+    const hidden = await asOwner(request(app).get('/api/v1/leases')).expect(200);
+    expect(hidden.body.leases).toHaveLength(0);
+
+    const all = await asOwner(request(app).get('/api/v1/leases')).query({ includeArchived: true }).expect(200);
+    expect(all.body.leases.map(item => item.id)).toEqual([lease.id]);
+
+    await asOwner(request(app).put(`/api/v1/leases/${lease.id}`)).send({ terms: {} }).expect(409);
+
+    await asOwner(request(app).post(`/api/v1/leases/${lease.id}/restore`)).expect(200);
+    await asOwner(request(app).post(`/api/v1/leases/${lease.id}/restore`)).expect(409);
+  });
+
+  it('should archive a property with its tenants and leases and restore them together', async () => {
+    await asOwner(request(app).delete(`/api/v1/properties/${property.id}`)).expect(200);
+
+    const properties = await asOwner(request(app).get('/api/v1/properties')).expect(200);
+    expect(properties.body.properties).toHaveLength(0);
+
+    const tenants = await asOwner(request(app).get('/api/v1/tenants')).expect(200);
+    expect(tenants.body.tenants).toHaveLength(0);
+
+    const archived = await asOwner(request(app).get('/api/v1/properties')).query({ includeArchived: true }).expect(200);
+    expect(archived.body.properties[0]).toMatchObject({ id: property.id, isArchived: true, isPublished: false });
+
+    await asOwner(request(app).patch(`/api/v1/properties/${property.id}/publish`)).send({ isPublished: true }).expect(409);
+
+    // The lease and tenant come back with their property, not on their own
+    await asOwner(request(app).post(`/api/v1/leases/${lease.id}/restore`)).expect(409);
+    await asOwner(request(app).post(`/api/v1/tenants/${tenant.id}/restore`)).expect(409);
+
+    await asOwner(request(app).post(`/api/v1/properties/${property.id}/restore`)).expect(200);
+
+    const restored = await prisma.lease.findUnique({ where: { id: lease.id }, include: { tenant: true } });
+    expect(restored.isArchived).toBe(false);
+    expect(restored.tenant.isArchived).toBe(false);
+  });
+
+  it('should let only a super admin purge records past the retention period', async () => {
+    await asOwner(request(app).delete(`/api/v1/leases/${lease.id}`)).expect(200);
+    await asOwner(request(app).post('/api/v1/admin/archive/purge')).send({}).expect(403);
+
+    // Archived just now, so still within the retention period
+    const recent = await asAdmin(request(app).post('/api/v1/admin/archive/purge')).send({ dryRun: true }).expect(200);
+    expect(recent.body.data.purged.leases).toBe(0);
+
+    await prisma.lease.update({ where: { id: lease.id }, data: { archivedAt: new Date('2020-01-01') } });
+
+    const preview = await asAdmin(request(app).post('/api/v1/admin/archive/purge')).send({ dryRun: true }).expect(200);
+    expect(preview.body.data.purged.leases).toBeGreaterThanOrEqual(1);
+    expect(await prisma.lease.findUnique({ where: { id: lease.id } })).not.toBeNull();
+
+    await asAdmin(request(app).post('/api/v1/admin/archive/purge')).send({}).expect(200);
+    expect(await prisma.lease.findUnique({ where: { id: lease.id } })).toBeNull();
+    expect(await prisma.payment.findUnique({ where: { id: payment.id } })).toBeNull();
+    expect(await prisma.tenant.findUnique({ where: { id: tenant.id } })).not.toBeNull();
+  });
+});
@@ -3,6 +3,7 @@ import request from 'supertest';
 import app from '../src/index.js';
 import prisma from '../src/config/database.js';
 import { generateToken } from '../src/utils/helpers.js';
+import { generateTotp } from '../src/utils/totp.js';
 
 describe('Authentication', () => {
   beforeEach(async () => {
@@ -102,4 +103,315 @@ describe('Authentication', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    let loginResponse;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'refresh-test@example.com',
+          password: 'Password123!',
+          role: 'TENANT'
+        });
+
+      loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email: 'refresh-test@example.com',
+          password: 'Password123!'
+        });
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(loginResponse.body.refreshToken);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should revoke the access and refresh tokens', async () => {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'logout-test@example.com',
+          password: 'Password123!',
+          role: 'TENANT'
+        });
+
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email: 'logout-test@example.com',
+          password: 'Password123!'
+        });
+
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should respond identically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'unknown-test@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If an account with that email exists/);
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'not-a-real-token', newPassword: 'NewPassword123!' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+
+  describe('Email verification', () => {
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'verify-test@example.com',
+          password: 'Password123!',
+          role: 'TENANT'
+        });
+      token = response.body.token;
+    });
+
+    it('should let an unverified user reach /me', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(false);
+    });
+
+    it('should block an unverified user from other protected routes', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/roles/some-user-id')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Email not verified');
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/verify-email')
+        .send({ token: 'not-a-real-token' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const credentials = {
+      email: '2fa-test@example.com',
+      password: 'Password123!'
+    };
+    let token;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ ...credentials, role: 'OWNER' });
+      token = response.body.token;
+
+      await prisma.user.update({
+        where: { email: credentials.email },
+        data: { emailVerifiedAt: new Date() }
+      });
+    });
+
+    it('should require a second factor after enrollment', async () => {
+      const setup = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const enable = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(setup.body.secret) })
+        .expect(200);
+
+      expect(enable.body.recoveryCodes).toHaveLength(10);
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      expect(login.body.twoFactorRequired).toBe(true);
+      expect(login.body.token).toBeUndefined();
+
+      await request(app)
+        .post('/api/v1/auth/2fa/login')
+        .send({ challengeToken: login.body.challengeToken, code: '000000' })
+        .expect(401);
+
+      const verified = await request(app)
+        .post('/api/v1/auth/2fa/login')
+        .send({ challengeToken: login.body.challengeToken, recoveryCode: enable.body.recoveryCodes[0] })
+        .expect(200);
+
+      expect(verified.body.token).toBeDefined();
+    });
+
+    it('should reject an invalid enrollment code', async () => {
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+  });
+
+  describe('Sessions', () => {
+    let token;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'session-test@example.com',
+          password: 'Password123!',
+          role: 'TENANT'
+        });
+
+      await prisma.user.update({
+        where: { email: 'session-test@example.com' },
+        data: { emailVerifiedAt: new Date() }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36')
+        .send({ email: 'session-test@example.com', password: 'Password123!' });
+      token = response.body.token;
+    });
+
+    it('should list the current session with its device', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const current = response.body.sessions.find(session => session.current);
+      expect(current).toBeDefined();
+      expect(current.browser).toBe('Chrome 120');
+      expect(current.os).toBe('Windows 10');
+    });
+
+    it('should sign out a session by id', async () => {
+      const list = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+      const current = list.body.sessions.find(session => session.current);
+
+      await request(app)
+        .delete(`/api/v1/auth/sessions/${current.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should not reveal details of an unknown invitation', async () => {
+      await request(app)
+        .get('/api/v1/auth/invitations/not-a-real-token')
+        .expect(404);
+    });
+
+    it('should reject accepting an unknown invitation', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/invitations/accept')
+        .send({ token: 'not-a-real-token', password: 'Password123!' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid invitation');
+    });
+  });
+
+  // Runs last: once the limit is hit, refreshes from this IP get 429
+  describe('Refresh rate limiting', () => {
+    it('should throttle repeated failed refreshes', async () => {
+      const statuses = [];
+      for (let attempt = 0; attempt < 11; attempt++) {
+        const response = await request(app)
+          .post('/api/v1/auth/refresh')
+          .send({ refreshToken: `guessed-refresh-token-${attempt}` });
+        statuses.push(response.status);
+      }
+
+      expect(statuses).not.toContain(200);
+      expect(statuses[statuses.length - 1]).toBe(429);
+    });
+  });
 });
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty, createTenantUser, createSuperAdmin, login } from './helpers/fixtures.js';
+
+describe('Document vault', () => {
+  const ownerEmail = 'documents-owner-test@example.com';
+  const tenantEmail = 'documents-tenant-test@example.com';
+  const adminEmail = 'documents-admin-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let tenantToken;
+  let adminToken;
+  let property;
+  let lease;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+  const asTenant = (req) => req.set('Authorization', `Bearer ${tenantToken}`);
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  const setVault = (enabled) => asAdmin(request(app).put('/api/v1/admin/feature-flags/DOCUMENT_MANAGEMENT'))
+    .send({ enabled })
+    .expect(200);
+
+  // Files are not uploaded in tests; the rows point at made-up storage IDs
+  const storeDocument = (data) => prisma.document.create({
+    data: {
+      propertyId: property.id,
+      ...data,
+      versions: {
+        create: [1, 2].map(version => ({
+          version,
+          fileName: `${data.title} v${version}.pdf`,
+          publicId: `documents/test-${data.title}-${version}`,
+          resourceType: 'image',
+          format: 'pdf',
+          mimeType: 'application/pdf',
+          size: 1024,
+        })),
+      },
+      currentVersion: 2,
+    },
+  });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail, adminEmail] } } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Documents Test Co' });
+    ownerToken = token;
+
+    property = await createProperty(owner.owner.id, { name: 'Documents House', address: '1 Paper Lane', rentAmount: 1100 });
+
+    const tenantUser = await createTenantUser(property, { email: tenantEmail, password, firstName: 'Dora', lastName: 'Cument', phone: '+15555550188' });
+
+    lease = await prisma.lease.create({
+      data: {
+        propertyId: property.id,
+        tenantId: tenantUser.tenant.id,
+        startDate: new Date('2026-01-01'),
+        endDate: new Date('2026-12-31'),
+        rentAmount: 1100,
+      }
+    });
+
+    await createSuperAdmin({ email: adminEmail, password });
+
+    [tenantToken, adminToken] = await Promise.all([tenantEmail, adminEmail].map(email => login(email, password)));
+  });
+
+  afterAll(async () => {
+    await setVault(false);
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail, adminEmail] } } });
+    await prisma.$disconnect();
+  });
+
+  it('should stay hidden until the feature flag is enabled', async () => {
+    await setVault(false);
+    await asOwner(request(app).get('/api/v1/documents')).expect(403);
+
+    await setVault(true);
+    await asOwner(request(app).get('/api/v1/documents')).expect(200);
+  });
+
+  it('should only show tenants the documents shared with them', async () => {
+    const signedLease = await storeDocument({ title: 'lease', category: 'LEASE_AGREEMENT', leaseId: lease.id, visibleTo: ['OWNER', 'TENANT'] });
+    await storeDocument({ title: 'insurance', category: 'INSURANCE', visibleTo: ['OWNER'] });
+
+    const ownerList = await asOwner(request(app).get('/api/v1/documents')).expect(200);
+    expect(ownerList.body.pagination.total).toBe(2);
+
+    const tenantList = await asTenant(request(app).get('/api/v1/documents')).expect(200);
+    expect(tenantList.body.documents.map(document => document.id)).toEqual([signedLease.id]);
+
+    const leaseDocuments = await asTenant(request(app).get(`/api/v1/leases/${lease.id}/documents`)).expect(200);
+    expect(leaseDocuments.body.documents.map(document => document.id)).toEqual([signedLease.id]);
+
+    // The tenant cannot reshare the document or change it
+    await asTenant(request(app).patch(`/api/v1/documents/${signedLease.id}`))
+      .send({ visibleTo: ['TENANT'] })
+      .expect(403);
+
+    await asOwner(request(app).patch(`/api/v1/documents/${signedLease.id}`))
+      .send({ visibleTo: ['MANAGER'] })
+      .expect(200);
+    await asTenant(request(app).get(`/api/v1/documents/${signedLease.id}`)).expect(404);
+  });
+
+  it('should hand out expiring download links and record who used them', async () => {
+    const notice = await storeDocument({ title: 'notice', category: 'NOTICE', visibleTo: ['OWNER', 'TENANT'] });
+
+    const current = await asTenant(request(app).get(`/api/v1/documents/${notice.id}/download`)).expect(200);
+    expect(current.body.version.version).toBe(2);
+    expect(current.body.url).toContain('type=authenticated');
+    expect(new Date(current.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    // The expiry is part of the signed URL, so a later link is a different one
+    const expiresAt = new Date(current.body.expiresAt).getTime() / 1000;
+    expect(current.body.url).toContain(`expires_at=${expiresAt}`);
+
+    const now = Date.now();
+    const later = jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+    let renewed;
+    try {
+      renewed = await asTenant(request(app).get(`/api/v1/documents/${notice.id}/download`)).expect(200);
+    } finally {
+      later.mockRestore();
+    }
+    expect(new Date(renewed.body.expiresAt).getTime() / 1000).toBeGreaterThan(expiresAt);
+    expect(renewed.body.url).not.toBe(current.body.url);
+
+    const first = await asTenant(request(app).get(`/api/v1/documents/${notice.id}/download`))
+      .query({ version: 1 })
+      .expect(200);
+    expect(first.body.version.fileName).toBe('notice v1.pdf');
+
+    await asTenant(request(app).get(`/api/v1/documents/${notice.id}/download`))
+      .query({ version: 3 })
+      .expect(404);
+
+    await asTenant(request(app).get(`/api/v1/documents/${notice.id}/access-log`)).expect(403);
+
+    const log = await asOwner(request(app).get(`/api/v1/documents/${notice.id}/access-log`))
+      .query({ action: 'DOCUMENT_DOWNLOADED' })
+      .expect(200);
+    expect(log.body.logs).toHaveLength(3);
+    expect(log.body.logs.every(entry => entry.user.email === tenantEmail)).toBe(true);
+    expect(log.body.logs.map(entry => entry.details.version).sort()).toEqual([1, 2, 2]);
+  });
+});
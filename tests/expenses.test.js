@@ -0,0 +1,104 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty, createTenantUser } from './helpers/fixtures.js';
+
+describe('Expenses', () => {
+  const ownerEmail = 'expenses-owner-test@example.com';
+  const tenantEmail = 'expenses-tenant-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let ownerId;
+  let property;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+
+  const now = new Date();
+  const monthStart = (monthsAgo) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 1));
+  const period = { startDate: monthStart(2).toISOString(), endDate: new Date(now.getTime() + 60 * 1000).toISOString() };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail] } } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Expenses Test Co' });
+    ownerToken = token;
+    ownerId = owner.owner.id;
+
+    property = await createProperty(ownerId, { name: 'Expenses House', address: '1 Ledger Road', rentAmount: 2000 });
+
+    const tenantUser = await createTenantUser(property, { email: tenantEmail, password, firstName: 'Eve', lastName: 'Xpense', phone: '+15555550199' });
+
+    const lease = await prisma.lease.create({
+      data: {
+        propertyId: property.id,
+        tenantId: tenantUser.tenant.id,
+        startDate: monthStart(2),
+        endDate: new Date(Date.UTC(now.getUTCFullYear() + 1, 0, 1)),
+        rentAmount: 2000,
+      }
+    });
+
+    await prisma.payment.create({
+      data: { tenantId: tenantUser.tenant.id, leaseId: lease.id, amount: 2000, dueDate: now, paidDate: now, status: 'PAID' }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail] } } });
+    await prisma.$disconnect();
+  });
+
+  it('should record expenses and total them by category', async () => {
+    await asOwner(request(app).post('/api/v1/expenses'))
+      .send({ propertyId: property.id, category: 'REPAIRS', amount: -10, incurredOn: now.toISOString() })
+      .expect(400);
+
+    const created = await asOwner(request(app).post('/api/v1/expenses'))
+      .send({ propertyId: property.id, category: 'REPAIRS', amount: 250, incurredOn: now.toISOString(), vendor: 'Fix-It Plumbing' })
+      .expect(201);
+    expect(created.body.expense.vendor).toBe('Fix-It Plumbing');
+
+    await asOwner(request(app).post('/api/v1/expenses'))
+      .send({ propertyId: property.id, category: 'MORTGAGE', amount: 900, incurredOn: now.toISOString() })
+      .expect(201);
+
+    const list = await asOwner(request(app).get('/api/v1/expenses')).query({ propertyId: property.id }).expect(200);
+    expect(list.body.totals).toEqual({ amount: 1150, byCategory: { REPAIRS: 250, MORTGAGE: 900 } });
+  });
+
+  it('should book the occurrences of a recurring expense that are already due', async () => {
+    const response = await asOwner(request(app).post('/api/v1/expenses/recurring'))
+      .send({ propertyId: property.id, category: 'MANAGEMENT_FEES', amount: 100, frequency: 'MONTHLY', startDate: monthStart(2).toISOString() })
+      .expect(201);
+
+    const { recurringExpense } = response.body;
+    expect(recurringExpense._count.expenses).toBe(3);
+    expect(new Date(recurringExpense.nextDueDate).getTime()).toBe(monthStart(-1).getTime());
+
+    // Pausing and resuming does not book anything twice
+    await asOwner(request(app).put(`/api/v1/expenses/recurring/${recurringExpense.id}`)).send({ isActive: false }).expect(200);
+    await asOwner(request(app).put(`/api/v1/expenses/recurring/${recurringExpense.id}`)).send({ isActive: true }).expect(200);
+    expect(await prisma.expense.count({ where: { recurringExpenseId: recurringExpense.id } })).toBe(3);
+  });
+
+  it('should report net operating income, expense ratio and cash flow', async () => {
+    const report = await asOwner(request(app).get('/api/v1/reports/financial')).query(period).expect(200);
+    const { summary } = report.body.data;
+
+    // Rent 2000; operating expenses are the repair and three management fees,
+    // the mortgage only counts against cash flow
+    expect(summary.totalRevenue).toBe(2000);
+    expect(summary.operatingExpenses).toBe(550);
+    expect(summary.netOperatingIncome).toBe(1450);
+    expect(summary.expenseRatio).toBe(27.5);
+    expect(summary.cashFlow).toBe(550);
+    expect(report.body.data.cashFlowByMonth).toHaveLength(3);
+
+    const analytics = await asOwner(request(app).get(`/api/v1/owners/${ownerId}/analytics`)).expect(200);
+    expect(analytics.body.financials).toMatchObject({ revenue: 2000, netOperatingIncome: 1450, cashFlow: 550 });
+    expect(analytics.body.financials.properties).toEqual([
+      expect.objectContaining({ id: property.id, netOperatingIncome: 1450, expenseRatio: 27.5 })
+    ]);
+  });
+});
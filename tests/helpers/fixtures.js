@@ -0,0 +1,86 @@
+import request from 'supertest';
+import app from '../../src/index.js';
+import prisma from '../../src/config/database.js';
+import { hashPassword } from '../../src/utils/helpers.js';
+
+// Records most suites need before they can exercise their own endpoints.
+// Callers remove leftovers from earlier runs by email first; the helpers only
+// create.
+
+/**
+ * Register an owner through the API and mark their email as verified
+ * @param {Object} data - { email, password, companyName }
+ * @returns {Promise<Object>} - { token, user } with user.owner included
+ */
+export const createVerifiedOwner = async ({ email, password, companyName }) => {
+  const register = await request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password, role: 'OWNER', companyName });
+
+  const user = await prisma.user.update({
+    where: { email },
+    data: { emailVerifiedAt: new Date() },
+    include: { owner: true },
+  });
+
+  return { token: register.body.token, user };
+};
+
+/**
+ * Property belonging to an owner
+ * @param {string} ownerId - Owner ID
+ * @param {Object} data - Property fields, name, address and rentAmount at least
+ * @returns {Promise<Object>}
+ */
+export const createProperty = (ownerId, data) => prisma.property.create({
+  data: { ownerId, ...data },
+});
+
+/**
+ * Verified tenant account living at a property
+ * @param {Object} property - Property the tenant lives at
+ * @param {Object} data - { email, password, firstName, lastName, phone }
+ * @returns {Promise<Object>} - User with tenant included
+ */
+export const createTenantUser = async (property, { email, password, firstName, lastName, phone }) => prisma.user.create({
+  data: {
+    email,
+    password: await hashPassword(password),
+    firstName,
+    lastName,
+    role: 'TENANT',
+    emailVerifiedAt: new Date(),
+    tenant: {
+      create: { propertyId: property.id, firstName, lastName, phone },
+    },
+  },
+  include: { tenant: true },
+});
+
+/**
+ * Verified super admin account
+ * @param {Object} data - { email, password }
+ * @returns {Promise<Object>}
+ */
+export const createSuperAdmin = async ({ email, password }) => prisma.user.create({
+  data: {
+    email,
+    password: await hashPassword(password),
+    firstName: 'Ada',
+    lastName: 'Min',
+    role: 'SUPER_ADMIN',
+    emailVerifiedAt: new Date(),
+  },
+});
+
+/**
+ * Log in with email and password
+ * @returns {Promise<string>} - Access token
+ */
+export const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+
+  return response.body.token;
+};
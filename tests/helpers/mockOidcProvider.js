@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Minimal OpenID Connect provider for tests and local development. It
+// implements discovery, JWKS, an auto-approving authorization endpoint and a
+// token endpoint that enforces PKCE (S256), so the whole SSO flow can run
+// without a real identity provider.
+//
+// Standalone: npm run mock:oidc (listens on MOCK_OIDC_PORT, default 4010)
+
+const CODE_TTL_MS = 60 * 1000;
+
+export const createMockOidcProvider = ({
+  clientId = 'mock-client',
+  clientSecret = null,
+  user = {
+    sub: 'mock-user-1',
+    email: 'jane.doe@example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe',
+  },
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const provider = {
+    issuer: null,
+    clientId,
+    clientSecret,
+    // Identity returned for the next authorization, change it per test
+    user,
+    server: null,
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }],
+    });
+  });
+
+  // Signs the configured user in immediately and redirects back
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== provider.clientId) {
+      return res.status(400).json({ error: 'unauthorized_client' });
+    }
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE S256 is required' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      user: { ...provider.user },
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', state);
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (client_id !== provider.clientId || (provider.clientSecret && client_secret !== provider.clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (redirect_uri !== grant.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        expiresIn: '5m',
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  provider.start = (port = 0) => new Promise((resolve) => {
+    provider.server = app.listen(port, '127.0.0.1', () => {
+      provider.issuer = `http://127.0.0.1:${provider.server.address().port}`;
+      resolve(provider);
+    });
+  });
+
+  provider.stop = () => new Promise((resolve) => {
+    if (!provider.server) return resolve();
+    provider.server.close(() => resolve());
+  });
+
+  return provider;
+};
+
+if (process.argv[1] && import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+  const provider = createMockOidcProvider({
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'mock-client',
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || null,
+  });
+
+  provider.start(parseInt(process.env.MOCK_OIDC_PORT) || 4010).then(() => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock OpenID Connect provider listening, issuer ${provider.issuer}`);
+  });
+}
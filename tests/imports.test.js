@@ -0,0 +1,122 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner } from './helpers/fixtures.js';
+
+describe('Bulk imports', () => {
+  const ownerEmail = 'imports-owner-test@example.com';
+  const tenantEmails = ['imports-tenant-one@example.com', 'imports-tenant-two@example.com'];
+  const password = 'Password123!';
+  let ownerToken;
+  let ownerId;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+
+  const upload = (type, csv, fileName = 'import.csv') => asOwner(request(app).post('/api/v1/imports'))
+    .field('type', type)
+    .attach('file', Buffer.from(csv), fileName);
+
+  const propertiesCsv = [
+    'Property Name,Street,City,Type,Monthly Rent,Amenities',
+    'Import Oak,1 Oak Street,Importville,apartment,1200,Parking; Gym',
+    'Import Elm,2 Elm Street,Importville,HOUSE,1800,',
+  ].join('\n');
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, ...tenantEmails] } } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Imports Test Co' });
+    ownerToken = token;
+    ownerId = owner.owner.id;
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { ownerId } });
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, ...tenantEmails] } } });
+    await prisma.$disconnect();
+  });
+
+  it('should reject files that are not spreadsheets', async () => {
+    await upload('PROPERTIES', 'not a spreadsheet', 'notes.txt').expect(400);
+  });
+
+  it('should report row-level errors without creating anything', async () => {
+    const csv = `${propertiesCsv}\nImport Ash,3 Ash Street,Importville,CASTLE,-5,`;
+    const uploaded = await upload('PROPERTIES', csv).expect(201);
+
+    expect(uploaded.body.job.rowCount).toBe(3);
+    expect(uploaded.body.suggestedMapping).toEqual({
+      name: 'Property Name',
+      addressLine1: 'Street',
+      city: 'City',
+      type: 'Type',
+      rentAmount: 'Monthly Rent',
+      amenities: 'Amenities'
+    });
+
+    const { id } = uploaded.body.job;
+
+    await asOwner(request(app).post(`/api/v1/imports/${id}/validate`))
+      .send({ mapping: { name: 'Property Name' } })
+      .expect(400);
+
+    const validated = await asOwner(request(app).post(`/api/v1/imports/${id}/validate`))
+      .send({ mapping: uploaded.body.suggestedMapping })
+      .expect(200);
+
+    expect(validated.body.job.status).toBe('INVALID');
+    expect(validated.body.job.validRowCount).toBe(2);
+    expect(validated.body.job.rowErrors.map(error => [error.row, error.field])).toEqual([[4, 'type'], [4, 'rentAmount']]);
+
+    await asOwner(request(app).post(`/api/v1/imports/${id}/commit`)).send({}).expect(409);
+    expect(await prisma.property.count({ where: { ownerId } })).toBe(0);
+  });
+
+  it('should commit properties and tenants and roll them back', async () => {
+    const properties = await upload('PROPERTIES', propertiesCsv).expect(201);
+    const propertyJob = properties.body.job.id;
+
+    await asOwner(request(app).post(`/api/v1/imports/${propertyJob}/validate`))
+      .send({ mapping: properties.body.suggestedMapping })
+      .expect(200);
+
+    const committed = await asOwner(request(app).post(`/api/v1/imports/${propertyJob}/commit`)).send({}).expect(200);
+    expect(committed.body.job.status).toBe('COMMITTED');
+    expect(committed.body.job.createdRecords.propertyIds).toHaveLength(2);
+
+    const oak = await prisma.property.findFirst({ where: { ownerId, name: 'Import Oak' } });
+    expect(oak.type).toBe('APARTMENT');
+    expect(oak.amenities).toEqual(['Parking', 'Gym']);
+    expect(oak.address).toBe('1 Oak Street, Importville');
+
+    const tenantsCsv = [
+      'Email,First Name,Last Name,Phone,Property',
+      `${tenantEmails[0]},Tess,One,+15555550101,import oak`,
+      `${tenantEmails[1]},Theo,Two,+15555550102,Import Elm`,
+    ].join('\n');
+
+    const tenants = await upload('TENANTS', tenantsCsv).expect(201);
+    const tenantJob = tenants.body.job.id;
+
+    await asOwner(request(app).post(`/api/v1/imports/${tenantJob}/validate`))
+      .send({ mapping: tenants.body.suggestedMapping })
+      .expect(200);
+
+    await asOwner(request(app).post(`/api/v1/imports/${tenantJob}/commit`))
+      .send({ sendInvitations: false })
+      .expect(200);
+
+    const tenant = await prisma.tenant.findFirst({ where: { user: { email: tenantEmails[0] } } });
+    expect(tenant.propertyId).toBe(oak.id);
+
+    // The properties now have tenants, so they stay until those are gone
+    await asOwner(request(app).post(`/api/v1/imports/${propertyJob}/rollback`)).expect(409);
+
+    const tenantRollback = await asOwner(request(app).post(`/api/v1/imports/${tenantJob}/rollback`)).expect(200);
+    expect(tenantRollback.body.job.status).toBe('ROLLED_BACK');
+    expect(await prisma.user.count({ where: { email: { in: tenantEmails } } })).toBe(0);
+
+    await asOwner(request(app).post(`/api/v1/imports/${propertyJob}/rollback`)).expect(200);
+    expect(await prisma.property.count({ where: { ownerId } })).toBe(0);
+  });
+});
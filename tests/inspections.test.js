@@ -0,0 +1,125 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty, createTenantUser, login } from './helpers/fixtures.js';
+
+describe('Inspections', () => {
+  const ownerEmail = 'inspections-owner-test@example.com';
+  const tenantEmail = 'inspections-tenant-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let tenantToken;
+  let property;
+  let tenant;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+  const asTenant = (req) => req.set('Authorization', `Bearer ${tenantToken}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail] } } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Inspections Test Co' });
+    ownerToken = token;
+
+    property = await createProperty(owner.owner.id, { name: 'Inspections House', address: '1 Inspection Row', rentAmount: 1300 });
+
+    const user = await createTenantUser(property, { email: tenantEmail, password, firstName: 'Ina', lastName: 'Spector', phone: '+15555550177' });
+    tenant = user.tenant;
+
+    tenantToken = await login(tenantEmail, password);
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({ where: { email: { in: [ownerEmail, tenantEmail] } } });
+    await prisma.$disconnect();
+  });
+
+  const startInspection = async (type) => {
+    const response = await asOwner(request(app).post('/api/v1/inspections'))
+      .send({ propertyId: property.id, tenantId: tenant.id, type, templateId: 'system-apartment' })
+      .expect(201);
+    return response.body.inspection;
+  };
+
+  const rateAll = (inspection, condition) => prisma.inspectionItem.updateMany({
+    where: { inspectionId: inspection.id },
+    data: { condition }
+  });
+
+  it('should offer the built-in templates and owner templates', async () => {
+    await asOwner(request(app).post('/api/v1/inspections/templates'))
+      .send({ name: 'Studio', rooms: [{ name: 'Main room', items: ['Walls', 'Flooring'] }] })
+      .expect(201);
+
+    const response = await asOwner(request(app).get('/api/v1/inspections/templates')).expect(200);
+    expect(response.body.templates.map(template => template.name)).toEqual(['Apartment', 'House', 'Studio']);
+  });
+
+  it('should take a move-in inspection through completion and tenant sign-off', async () => {
+    const inspection = await startInspection('MOVE_IN');
+    expect(inspection.status).toBe('IN_PROGRESS');
+    expect(inspection.items[0]).toMatchObject({ room: 'Entry', name: 'Front door and lock', position: 0 });
+
+    // Tenants only see inspections once they are complete
+    await asTenant(request(app).get(`/api/v1/inspections/${inspection.id}`)).expect(404);
+
+    await asOwner(request(app).post(`/api/v1/inspections/${inspection.id}/complete`)).expect(422);
+
+    await rateAll(inspection, 'GOOD');
+    const item = await asOwner(request(app).patch(`/api/v1/inspections/${inspection.id}/items/${inspection.items[0].id}`))
+      .send({ condition: 'EXCELLENT', notes: 'New lock fitted' })
+      .expect(200);
+    expect(item.body.item.condition).toBe('EXCELLENT');
+
+    await asOwner(request(app).post(`/api/v1/inspections/${inspection.id}/complete`)).expect(200);
+    await asOwner(request(app).patch(`/api/v1/inspections/${inspection.id}/items/${inspection.items[0].id}`))
+      .send({ condition: 'POOR' })
+      .expect(409);
+
+    await asTenant(request(app).post(`/api/v1/inspections/${inspection.id}/sign`))
+      .send({ signatureName: 'Ina Spector' })
+      .expect(400);
+
+    const signed = await asTenant(request(app).post(`/api/v1/inspections/${inspection.id}/sign`))
+      .send({ signatureName: 'Ina Spector', agree: true, comments: 'Agreed' })
+      .expect(200);
+    expect(signed.body.inspection.status).toBe('SIGNED');
+    expect(signed.body.inspection.tenantSignatureName).toBe('Ina Spector');
+
+    await asTenant(request(app).post(`/api/v1/inspections/${inspection.id}/sign`))
+      .send({ signatureName: 'Ina Spector', agree: true })
+      .expect(409);
+  });
+
+  it('should compare move-out against move-in and export the report', async () => {
+    const moveOut = await startInspection('MOVE_OUT');
+    await rateAll(moveOut, 'GOOD');
+
+    const walls = moveOut.items.find(item => item.room === 'Living room' && item.name === 'Walls');
+    await asOwner(request(app).patch(`/api/v1/inspections/${moveOut.id}/items/${walls.id}`))
+      .send({ condition: 'DAMAGED', notes: 'Large hole behind the door' })
+      .expect(200);
+    await asOwner(request(app).post(`/api/v1/inspections/${moveOut.id}/complete`)).expect(200);
+
+    const response = await asTenant(request(app).get(`/api/v1/inspections/${moveOut.id}/compare`)).expect(200);
+    const { comparison } = response.body;
+
+    expect(comparison.moveOut.id).toBe(moveOut.id);
+    expect(comparison.worsenedCount).toBe(2);
+
+    const livingRoom = comparison.rooms.find(room => room.name === 'Living room');
+    const wallsRow = livingRoom.items.find(row => row.name === 'Walls');
+    expect(wallsRow).toMatchObject({ worsened: true, moveIn: { condition: 'GOOD' }, moveOut: { condition: 'DAMAGED' } });
+
+    // Any step down counts, so the door that was excellent at move-in is flagged too
+    const entry = comparison.rooms.find(room => room.name === 'Entry');
+    expect(entry.items[0]).toMatchObject({ worsened: true, moveIn: { condition: 'EXCELLENT' }, moveOut: { condition: 'GOOD' } });
+    expect(entry.items[1].worsened).toBe(false);
+
+    const report = await asOwner(request(app).get(`/api/v1/inspections/${moveOut.id}/report`))
+      .query({ compare: 'true' })
+      .expect(200);
+    expect(report.headers['content-type']).toBe('application/pdf');
+  });
+});
@@ -0,0 +1,107 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty } from './helpers/fixtures.js';
+
+describe('Public listings', () => {
+  const ownerEmail = 'listings-owner-test@example.com';
+  const password = 'Password123!';
+  const city = 'Listingford';
+  let ownerToken;
+  let house;
+  let building;
+  let hidden;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Listings Test Co' });
+    ownerToken = token;
+
+    const base = { city, units: 1 };
+    house = await createProperty(owner.owner.id, { ...base, name: 'Listing House', address: '1 Listing Road', type: 'HOUSE', rentAmount: 2000, amenities: ['Garden', 'Garage'] });
+    building = await createProperty(owner.owner.id, {
+      ...base,
+      name: 'Listing Tower',
+      address: '2 Listing Road',
+      status: 'OCCUPIED',
+      rentAmount: 1500,
+      rentalUnits: {
+        create: [
+          { number: '1', bedrooms: 1, rentAmount: 1100 },
+          { number: '2', bedrooms: 2, rentAmount: 1600, status: 'OCCUPIED' }
+        ]
+      }
+    });
+    hidden = await createProperty(owner.owner.id, { ...base, name: 'Unpublished Cottage', address: '3 Listing Road', rentAmount: 900 });
+
+    for (const property of [house, building]) {
+      await request(app)
+        .patch(`/api/v1/properties/${property.id}/publish`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ isPublished: true })
+        .expect(200);
+    }
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+    await prisma.$disconnect();
+  });
+
+  it('should list published vacancies without authentication', async () => {
+    const response = await request(app)
+      .get('/api/v1/listings')
+      .query({ city, sort: 'rent_asc' })
+      .expect(200);
+
+    expect(response.headers['cache-control']).toContain('public');
+    expect(response.body.listings.map(listing => listing.name)).toEqual(['Listing Tower', 'Listing House']);
+    expect(response.body.listings[0].rentFrom).toBe(1100);
+    expect(response.body.listings[0].availableUnits.map(unit => unit.number)).toEqual(['1']);
+    expect(response.body.listings[0].owner).toBeUndefined();
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should filter by rent, bedrooms and amenities', async () => {
+    const byRent = await request(app).get('/api/v1/listings').query({ city, maxRent: 1200 }).expect(200);
+    expect(byRent.body.listings.map(listing => listing.name)).toEqual(['Listing Tower']);
+
+    const byBedrooms = await request(app).get('/api/v1/listings').query({ city, bedrooms: 2 }).expect(200);
+    expect(byBedrooms.body.listings).toHaveLength(0);
+
+    const byAmenities = await request(app).get('/api/v1/listings').query({ city, amenities: 'Garden,Garage' }).expect(200);
+    expect(byAmenities.body.listings.map(listing => listing.name)).toEqual(['Listing House']);
+  });
+
+  it('should only expose published vacancies by ID', async () => {
+    await request(app).get(`/api/v1/listings/${house.id}`).expect(200);
+    await request(app).get(`/api/v1/listings/${hidden.id}`).expect(404);
+  });
+
+  it('should serve RSS and JSON feeds', async () => {
+    const rss = await request(app).get('/api/v1/listings/feed.rss').query({ city }).expect(200);
+    expect(rss.headers['content-type']).toContain('application/rss+xml');
+    expect(rss.text).toContain('<title>Listing House - from 2000.00/month</title>');
+
+    const json = await request(app)
+      .get('/api/v1/listings/feed.json')
+      .set('Host', 'attacker.example')
+      .query({ city })
+      .expect(200);
+    const feed = JSON.parse(json.text);
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.items).toHaveLength(2);
+    expect(feed.feed_url).not.toContain('attacker.example');
+  });
+
+  it('should drop a listing once unpublished', async () => {
+    await request(app)
+      .patch(`/api/v1/properties/${house.id}/publish`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ isPublished: false })
+      .expect(200);
+
+    await request(app).get(`/api/v1/listings/${house.id}`).expect(404);
+  });
+});
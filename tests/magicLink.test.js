@@ -0,0 +1,97 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+import { createDeviceToken, createMagicLink } from '../src/services/magicLinkService.js';
+
+describe('Magic link login', () => {
+  const tenantEmail = 'magic-tenant-test@example.com';
+  const ownerEmail = 'magic-owner-test@example.com';
+  let tenant;
+
+  const createUser = async (email, role) => prisma.user.create({
+    data: {
+      email,
+      password: await hashPassword('Password123!'),
+      firstName: 'Test',
+      lastName: 'User',
+      role,
+      emailVerifiedAt: new Date()
+    }
+  });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [tenantEmail, ownerEmail] } }
+    });
+
+    tenant = await createUser(tenantEmail, 'TENANT');
+    await createUser(ownerEmail, 'OWNER');
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [tenantEmail, ownerEmail] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  const redeem = (token, deviceToken) => request(app)
+    .post('/api/v1/auth/magic-link/verify')
+    .send({ token, deviceToken });
+
+  it('should return a device token without revealing the account', async () => {
+    const known = await request(app)
+      .post('/api/v1/auth/magic-link')
+      .send({ email: tenantEmail })
+      .expect(200);
+
+    const unknown = await request(app)
+      .post('/api/v1/auth/magic-link')
+      .send({ email: 'magic-unknown-test@example.com' })
+      .expect(200);
+
+    expect(known.body.deviceToken).toBeDefined();
+    expect(unknown.body.message).toBe(known.body.message);
+  });
+
+  it('should only issue links to roles the setting allows', async () => {
+    await request(app)
+      .post('/api/v1/auth/magic-link')
+      .send({ email: ownerEmail })
+      .expect(200);
+
+    const owner = await prisma.user.findUnique({ where: { email: ownerEmail } });
+    const links = await prisma.userToken.count({ where: { userId: owner.id, type: 'MAGIC_LINK' } });
+    expect(links).toBe(0);
+  });
+
+  it('should sign in once from the requesting device', async () => {
+    const deviceToken = createDeviceToken();
+    const token = await createMagicLink(tenant, deviceToken);
+
+    const response = await redeem(token, deviceToken).expect(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.user.email).toBe(tenantEmail);
+
+    await redeem(token, deviceToken).expect(401);
+
+    const attempt = await prisma.loginAttempt.findFirst({
+      where: { email: tenantEmail, success: true }
+    });
+    expect(attempt).not.toBeNull();
+  });
+
+  it('should reject and burn a link opened on another device', async () => {
+    const deviceToken = createDeviceToken();
+    const token = await createMagicLink(tenant, deviceToken);
+
+    await redeem(token, createDeviceToken()).expect(401);
+    await redeem(token, deviceToken).expect(401);
+
+    const failure = await prisma.loginAttempt.findFirst({
+      where: { email: tenantEmail, success: false }
+    });
+    expect(failure).not.toBeNull();
+  });
+});
@@ -0,0 +1,227 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+
+describe('Manager property assignments', () => {
+  const ownerEmail = 'assignments-owner-test@example.com';
+  const managerEmail = 'assignments-manager-test@example.com';
+  const tenantEmails = ['assignments-tenant-a@example.com', 'assignments-tenant-b@example.com'];
+  const password = 'Password123!';
+  let ownerToken;
+  let managerToken;
+  let managerId;
+  let assignedProperty;
+  let otherProperty;
+  let assignedTenant;
+  let otherTenant;
+
+  const createTenant = async (email, property) => {
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: await hashPassword(password),
+        firstName: 'Test',
+        lastName: 'Tenant',
+        role: 'TENANT',
+        emailVerifiedAt: new Date(),
+        tenant: {
+          create: { propertyId: property.id, firstName: 'Test', lastName: 'Tenant', phone: '+15555550100' }
+        }
+      },
+      include: { tenant: true }
+    });
+    return user.tenant;
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, managerEmail, ...tenantEmails] } }
+    });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: ownerEmail, password, role: 'OWNER', companyName: 'Assignments Test Co' });
+    ownerToken = register.body.token;
+
+    const owner = await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+
+    [assignedProperty, otherProperty] = await Promise.all(['North Tower', 'South Tower'].map(name =>
+      prisma.property.create({
+        data: { ownerId: owner.owner.id, name, address: `${name}, Test City`, rentAmount: 1000 }
+      })
+    ));
+
+    assignedTenant = await createTenant(tenantEmails[0], assignedProperty);
+    otherTenant = await createTenant(tenantEmails[1], otherProperty);
+
+    const managerUser = await prisma.user.create({
+      data: {
+        email: managerEmail,
+        password: await hashPassword(password),
+        firstName: 'Morgan',
+        lastName: 'Manager',
+        role: 'MANAGER',
+        emailVerifiedAt: new Date(),
+        manager: {
+          create: { ownerId: owner.owner.id }
+        }
+      },
+      include: { manager: true }
+    });
+    managerId = managerUser.manager.id;
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: managerEmail, password });
+    managerToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({
+      where: { id: { in: [assignedProperty.id, otherProperty.id] } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, managerEmail, ...tenantEmails] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  const listTenants = () => request(app)
+    .get('/api/v1/tenants')
+    .set('Authorization', `Bearer ${managerToken}`)
+    .expect(200);
+
+  it('should record the assignment with its role', async () => {
+    const response = await request(app)
+      .post(`/api/v1/managers/${managerId}/properties/${assignedProperty.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ role: 'LEASING' })
+      .expect(201);
+
+    expect(response.body.assignment.role).toBe('LEASING');
+    expect(response.body.assignment.endDate).toBeNull();
+
+    await request(app)
+      .post(`/api/v1/managers/${managerId}/properties/${assignedProperty.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(409);
+  });
+
+  it('should limit managers to their assigned properties', async () => {
+    const { body } = await listTenants();
+
+    expect(body.tenants.map(tenant => tenant.id)).toEqual([assignedTenant.id]);
+
+    await request(app)
+      .get(`/api/v1/tenants/${assignedTenant.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/tenants/${otherTenant.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    const analytics = await request(app)
+      .get('/api/v1/analytics/tenants')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(analytics.body.data.totalTenants).toBe(1);
+
+    const properties = await request(app)
+      .get('/api/v1/properties')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(properties.body.properties.map(property => property.id)).toEqual([assignedProperty.id]);
+
+    await request(app)
+      .get(`/api/v1/properties/${otherProperty.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    await request(app)
+      .put(`/api/v1/properties/${otherProperty.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Renamed Tower' })
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/v1/properties/${otherProperty.id}/publish`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ isPublished: true })
+      .expect(403);
+
+    await request(app)
+      .put(`/api/v1/properties/${otherProperty.id}/images/order`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ imageIds: ['image-1'] })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/v1/properties/${otherProperty.id}/images/image-1`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    const occupancy = await request(app)
+      .get('/api/v1/reports/occupancy')
+      .query({ startDate: '2026-01-01', endDate: '2026-12-31' })
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(occupancy.body.data.properties.map(property => property.propertyId)).toEqual([assignedProperty.id]);
+
+    const narrowed = await request(app)
+      .get('/api/v1/reports/occupancy')
+      .query({ startDate: '2026-01-01', endDate: '2026-12-31', propertyId: otherProperty.id })
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(narrowed.body.data.properties).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/v1/properties/${otherProperty.id}/units`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ number: '1A' })
+      .expect(403);
+  });
+
+  it('should keep ended assignments as history', async () => {
+    await request(app)
+      .delete(`/api/v1/managers/${managerId}/properties/${assignedProperty.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    const { body } = await listTenants();
+    expect(body.tenants).toHaveLength(0);
+
+    const history = await request(app)
+      .get(`/api/v1/managers/${managerId}/properties?includeHistory=true`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(history.body.properties).toHaveLength(1);
+    expect(history.body.properties[0].assignment.endDate).not.toBeNull();
+  });
+
+  it('should not start access before the assignment starts', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    await request(app)
+      .post(`/api/v1/managers/${managerId}/properties/${otherProperty.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ startDate: tomorrow.toISOString() })
+      .expect(201);
+
+    await request(app)
+      .get(`/api/v1/tenants/${otherTenant.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,151 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import settingsService from '../src/services/settingsService.js';
+import { generateTotp } from '../src/utils/totp.js';
+
+describe('Password policy', () => {
+  const email = 'policy-test@example.com';
+  const password = 'Password123!';
+  let token;
+
+  beforeEach(async () => {
+    await prisma.user.deleteMany({ where: { email } });
+
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email, password, role: 'TENANT' });
+
+    await prisma.user.update({
+      where: { email },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password });
+    token = login.body.token;
+  });
+
+  afterAll(async () => {
+    await prisma.systemSetting.deleteMany({ where: { key: 'PASSWORD_MAX_AGE_DAYS' } });
+    settingsService.clearCache();
+    await prisma.user.deleteMany({ where: { email } });
+    await prisma.$disconnect();
+  });
+
+  it('should publish the current requirements', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/password-policy')
+      .expect(200);
+
+    expect(response.body.policy.minLength).toBe(8);
+    expect(response.body.policy.blockBreached).toBe(true);
+  });
+
+  it('should reject breached passwords on registration', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'policy-breached-test@example.com', password: 'Password1', role: 'TENANT' })
+      .expect(400);
+
+    expect(response.body.violations).toContain('Password has appeared in a data breach, please choose another');
+  });
+
+  it('should not allow a recent password to be reused', async () => {
+    await request(app)
+      .put('/api/v1/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: password, newPassword: 'Different456!' })
+      .expect(200);
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password: 'Different456!' });
+
+    const response = await request(app)
+      .put('/api/v1/auth/change-password')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ currentPassword: 'Different456!', newPassword: password })
+      .expect(400);
+
+    expect(response.body.violations[0]).toMatch(/last 5 passwords/);
+  });
+
+  it('should require a reset once the password has expired', async () => {
+    await prisma.systemSetting.upsert({
+      where: { key: 'PASSWORD_MAX_AGE_DAYS' },
+      update: { value: '90' },
+      create: { key: 'PASSWORD_MAX_AGE_DAYS', value: '90', type: 'NUMBER' }
+    });
+    settingsService.clearCache();
+
+    await prisma.user.update({
+      where: { email },
+      data: { passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) }
+    });
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password })
+      .expect(403);
+
+    expect(response.body.passwordExpired).toBe(true);
+    expect(response.body.resetToken).toBeDefined();
+  });
+
+  it('should ask for the second factor before handing out a reset token', async () => {
+    const ownerEmail = 'policy-owner-test@example.com';
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: ownerEmail, password, role: 'OWNER', companyName: 'Policy Test Co' });
+
+    await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${register.body.token}`)
+      .expect(200);
+
+    const enable = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${register.body.token}`)
+      .send({ code: generateTotp(setup.body.secret) })
+      .expect(200);
+
+    await prisma.systemSetting.upsert({
+      where: { key: 'PASSWORD_MAX_AGE_DAYS' },
+      update: { value: '90' },
+      create: { key: 'PASSWORD_MAX_AGE_DAYS', value: '90', type: 'NUMBER' }
+    });
+    settingsService.clearCache();
+
+    await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) }
+    });
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: ownerEmail, password })
+      .expect(200);
+
+    expect(login.body.twoFactorRequired).toBe(true);
+    expect(login.body.resetToken).toBeUndefined();
+
+    const verified = await request(app)
+      .post('/api/v1/auth/2fa/login')
+      .send({ challengeToken: login.body.challengeToken, recoveryCode: enable.body.recoveryCodes[0] })
+      .expect(403);
+
+    expect(verified.body.passwordExpired).toBe(true);
+    expect(verified.body.resetToken).toBeDefined();
+
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+  });
+});
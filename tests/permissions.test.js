@@ -0,0 +1,129 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+
+describe('Manager permissions', () => {
+  const ownerEmail = 'permissions-owner-test@example.com';
+  const managerEmail = 'permissions-manager-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let managerToken;
+  let managerId;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, managerEmail] } }
+    });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: ownerEmail, password, role: 'OWNER', companyName: 'Permissions Test Co' });
+    ownerToken = register.body.token;
+
+    const owner = await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+
+    const managerUser = await prisma.user.create({
+      data: {
+        email: managerEmail,
+        password: await hashPassword(password),
+        firstName: 'Morgan',
+        lastName: 'Manager',
+        role: 'MANAGER',
+        emailVerifiedAt: new Date(),
+        manager: {
+          create: { ownerId: owner.owner.id }
+        }
+      },
+      include: { manager: true }
+    });
+    managerId = managerUser.manager.id;
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: managerEmail, password });
+    managerToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, managerEmail] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  const getPermissions = () => request(app)
+    .get('/api/v1/auth/permissions')
+    .set('Authorization', `Bearer ${managerToken}`)
+    .expect(200);
+
+  it('should give managers the default set without a role template', async () => {
+    const { body } = await getPermissions();
+
+    expect(body.role).toBe('MANAGER');
+    expect(body.permissions).toContain('leases.view');
+    expect(body.permissions).not.toContain('leases.terminate');
+    expect(body.roleTemplate).toBeNull();
+  });
+
+  it('should apply the role template and overrides', async () => {
+    await request(app)
+      .put(`/api/v1/managers/${managerId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ roleTemplateId: 'system-accountant', permissions: { 'payments.refund': false } })
+      .expect(200);
+
+    const { body } = await getPermissions();
+
+    expect(body.roleTemplate.id).toBe('system-accountant');
+    expect(body.permissions).toContain('payments.view');
+    expect(body.permissions).not.toContain('payments.refund');
+    expect(body.permissions).not.toContain('maintenance.view');
+  });
+
+  it('should reject unknown permissions in overrides', async () => {
+    await request(app)
+      .put(`/api/v1/managers/${managerId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ permissions: { 'leases.burn': true } })
+      .expect(400);
+  });
+
+  it('should enforce permissions on manager routes', async () => {
+    const template = await request(app)
+      .post('/api/v1/managers/role-templates')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Read only', permissions: ['properties.view'] })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/v1/managers/${managerId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ roleTemplateId: template.body.roleTemplate.id, permissions: {} })
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/properties')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    const denied = await request(app)
+      .get('/api/v1/leases')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    expect(denied.body.missingPermissions).toEqual(['leases.view']);
+  });
+
+  it('should not allow system templates to be changed', async () => {
+    await request(app)
+      .put('/api/v1/managers/role-templates/system-full-access')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Everything' })
+      .expect(403);
+  });
+});
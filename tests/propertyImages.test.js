@@ -0,0 +1,99 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createVerifiedOwner, createProperty } from './helpers/fixtures.js';
+
+describe('Property images', () => {
+  const ownerEmail = 'images-owner-test@example.com';
+  const password = 'Password123!';
+  // Hosted outside Cloudinary, so nothing is sent to storage
+  const urls = ['https://images.example.com/front.jpg', 'https://images.example.com/kitchen.jpg', 'https://images.example.com/garden.jpg'];
+  let ownerToken;
+  let property;
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${ownerToken}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+
+    const { token, user: owner } = await createVerifiedOwner({ email: ownerEmail, password, companyName: 'Images Test Co' });
+    ownerToken = token;
+
+    property = await createProperty(owner.owner.id, { name: 'Images House', address: '1 Image Lane', rentAmount: 1200, images: urls });
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+    await prisma.$disconnect();
+  });
+
+  const listImages = async () => {
+    const response = await asOwner(request(app).get(`/api/v1/properties/${property.id}/images`)).expect(200);
+    return response.body.images;
+  };
+
+  const storedUrls = async () => {
+    const stored = await prisma.property.findUnique({ where: { id: property.id } });
+    return stored.images;
+  };
+
+  it('should list existing image URLs as images with the first as cover', async () => {
+    const images = await listImages();
+
+    expect(images.map(image => image.url)).toEqual(urls);
+    expect(images.map(image => image.isCover)).toEqual([true, false, false]);
+    expect(images[0].variants.thumbnail).toBe(urls[0]);
+
+    // Listing again does not duplicate them
+    expect(await listImages()).toHaveLength(3);
+  });
+
+  it('should reorder images and reject an incomplete order', async () => {
+    const images = await listImages();
+    const [front, kitchen, garden] = images.map(image => image.id);
+
+    await asOwner(request(app).put(`/api/v1/properties/${property.id}/images/order`))
+      .send({ imageIds: [garden, kitchen] })
+      .expect(400);
+
+    const response = await asOwner(request(app).put(`/api/v1/properties/${property.id}/images/order`))
+      .send({ imageIds: [garden, kitchen, front] })
+      .expect(200);
+
+    expect(response.body.images.map(image => image.id)).toEqual([garden, kitchen, front]);
+    // The cover stays first in the property's URLs
+    expect(await storedUrls()).toEqual([urls[0], urls[2], urls[1]]);
+  });
+
+  it('should caption an image and move the cover', async () => {
+    const kitchen = (await listImages()).find(image => image.url === urls[1]);
+
+    const response = await asOwner(request(app).patch(`/api/v1/properties/${property.id}/images/${kitchen.id}`))
+      .send({ caption: 'Renovated kitchen', isCover: true })
+      .expect(200);
+
+    expect(response.body.image.caption).toBe('Renovated kitchen');
+    expect(response.body.image.isCover).toBe(true);
+
+    const images = await listImages();
+    expect(images.filter(image => image.isCover).map(image => image.id)).toEqual([kitchen.id]);
+    expect((await storedUrls())[0]).toBe(urls[1]);
+
+    await asOwner(request(app).patch(`/api/v1/properties/${property.id}/images/${kitchen.id}`))
+      .send({ isCover: false })
+      .expect(400);
+  });
+
+  it('should delete the cover and promote the next image', async () => {
+    const kitchen = (await listImages()).find(image => image.isCover);
+
+    await asOwner(request(app).delete(`/api/v1/properties/${property.id}/images/${kitchen.id}`)).expect(200);
+    await asOwner(request(app).delete(`/api/v1/properties/${property.id}/images/${kitchen.id}`)).expect(404);
+
+    const images = await listImages();
+    expect(images.map(image => image.url)).toEqual([urls[2], urls[0]]);
+    expect(images[0].isCover).toBe(true);
+    expect(await storedUrls()).toEqual([urls[2], urls[0]]);
+  });
+});
@@ -0,0 +1,77 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+
+describe('Property location search', () => {
+  const ownerEmail = 'location-owner-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+
+  const createProperty = (body) => request(app)
+    .post('/api/v1/properties')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ type: 'APARTMENT', rentAmount: 1000, ...body })
+    .expect(201);
+
+  const search = (query) => request(app)
+    .get('/api/v1/properties')
+    .query(query)
+    .set('Authorization', `Bearer ${ownerToken}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: ownerEmail, password, role: 'OWNER', companyName: 'Location Test Co' });
+    ownerToken = register.body.token;
+
+    await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    // Central London, Greenwich (~9 km away) and Paris (~340 km away)
+    await createProperty({ name: 'Covent Garden Flats', address: '1 Covent Garden, London', latitude: 51.5117, longitude: -0.1240 });
+    await createProperty({ name: 'Greenwich Lofts', address: '1 Greenwich Church St, London', latitude: 51.4816, longitude: -0.0076 });
+    await createProperty({ name: 'Marais Studios', address: '1 Rue de Rivoli, Paris', latitude: 48.8556, longitude: 2.3601 });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: ownerEmail } });
+    await prisma.$disconnect();
+  });
+
+  it('should geocode a structured address without coordinates', async () => {
+    const response = await createProperty({
+      name: 'Geocoded House',
+      addressLine1: '10 Test Road',
+      city: 'Testville',
+      postalCode: '12345',
+      country: 'US'
+    });
+
+    expect(response.body.property.address).toBe('10 Test Road, Testville, 12345, US');
+    expect(response.body.property.latitude).not.toBeNull();
+    expect(response.body.property.longitude).not.toBeNull();
+  });
+
+  it('should return properties within a radius sorted by distance', async () => {
+    const response = await search({ lat: 51.5074, lng: -0.1278, radiusKm: 20 }).expect(200);
+
+    expect(response.body.properties.map(property => property.name)).toEqual(['Covent Garden Flats', 'Greenwich Lofts']);
+    expect(response.body.properties[0].distanceKm).toBeLessThan(1);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should filter by bounding box', async () => {
+    const response = await search({ minLat: 48, maxLat: 49, minLng: 2, maxLng: 3 }).expect(200);
+
+    expect(response.body.properties.map(property => property.name)).toEqual(['Marais Studios']);
+  });
+
+  it('should reject incomplete location filters', async () => {
+    await search({ lat: 51.5, lng: -0.12 }).expect(400);
+    await search({ minLat: 48, maxLat: 49 }).expect(400);
+  });
+});
@@ -0,0 +1,144 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+
+describe('Full-text search', () => {
+  const ownerEmail = 'search-owner-test@example.com';
+  const otherOwnerEmail = 'search-other-owner-test@example.com';
+  const tenantEmail = 'search-tenant-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let otherOwnerToken;
+  let tenantToken;
+
+  const registerOwner = async (email) => {
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email, password, role: 'OWNER', companyName: 'Search Test Co' });
+
+    const user = await prisma.user.update({
+      where: { email },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+
+    return { token: register.body.token, owner: user.owner };
+  };
+
+  const search = (token, query) => request(app)
+    .get('/api/v1/search')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, otherOwnerEmail, tenantEmail] } }
+    });
+
+    const { token, owner } = await registerOwner(ownerEmail);
+    ownerToken = token;
+    otherOwnerToken = (await registerOwner(otherOwnerEmail)).token;
+
+    const property = await prisma.property.create({
+      data: {
+        ownerId: owner.id,
+        name: 'Quillfeather Court',
+        address: '7 Quillfeather Lane, Search City',
+        description: 'Quiet courtyard building near the river',
+        units: 1,
+        rentAmount: 1000
+      }
+    });
+
+    const user = await prisma.user.create({
+      data: {
+        email: tenantEmail,
+        password: await hashPassword(password),
+        firstName: 'Zebulon',
+        lastName: 'Quillfeather',
+        role: 'TENANT',
+        emailVerifiedAt: new Date(),
+        tenant: {
+          create: { propertyId: property.id, firstName: 'Zebulon', lastName: 'Quillfeather', phone: '+15555550123' }
+        }
+      },
+      include: { tenant: true }
+    });
+
+    await prisma.complaint.create({
+      data: {
+        propertyId: property.id,
+        tenantId: user.tenant.id,
+        subject: 'Squeaking radiator',
+        message: 'The radiator in the Quillfeather flat squeaks all night'
+      }
+    });
+
+    await prisma.complaint.create({
+      data: {
+        propertyId: property.id,
+        tenantId: user.tenant.id,
+        subject: '<script>alert("gatepost")</script>',
+        message: 'Someone left this on the gatepost'
+      }
+    });
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: tenantEmail, password });
+    tenantToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, otherOwnerEmail, tenantEmail] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  it('should return ranked results grouped by type with highlighted snippets', async () => {
+    const response = await search(ownerToken, { q: 'quillfeath' }).expect(200);
+    const { results } = response.body;
+
+    expect(results.properties.map(result => result.title)).toEqual(['Quillfeather Court']);
+    expect(results.properties[0].snippet).toContain('<mark>Quillfeather</mark>');
+    expect(results.tenants.map(result => result.subtitle)).toEqual([tenantEmail]);
+    expect(results.complaints.map(result => result.title)).toEqual(['Squeaking radiator']);
+    expect(response.body.total).toBe(3);
+  });
+
+  it('should match tenant contact details', async () => {
+    const response = await search(ownerToken, { q: tenantEmail, types: 'tenants' }).expect(200);
+
+    expect(response.body.results.tenants).toHaveLength(1);
+    expect(Object.keys(response.body.results)).toEqual(['tenants']);
+  });
+
+  it('should not return records from another portfolio', async () => {
+    const response = await search(otherOwnerToken, { q: 'quillfeather' }).expect(200);
+
+    expect(response.body.total).toBe(0);
+  });
+
+  it('should limit tenants to their own complaints and requests', async () => {
+    const response = await search(tenantToken, { q: 'radiator' }).expect(200);
+
+    expect(Object.keys(response.body.results).sort()).toEqual(['complaints', 'maintenance']);
+    expect(response.body.results.complaints).toHaveLength(1);
+  });
+
+  it('should escape HTML in snippets', async () => {
+    const response = await search(ownerToken, { q: 'gatepost', types: 'complaints' }).expect(200);
+    const [complaint] = response.body.results.complaints;
+
+    expect(complaint.snippet).not.toContain('<script>');
+    expect(complaint.snippet).toContain('&lt;script&gt;');
+    expect(complaint.snippet).toContain('<mark>gatepost</mark>');
+  });
+
+  it('should validate the query', async () => {
+    await search(ownerToken, { q: 'a' }).expect(400);
+    await search(ownerToken, { q: 'radiator', types: 'payments' }).expect(400);
+  });
+});
@@ -0,0 +1,243 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { createMockOidcProvider } from './helpers/mockOidcProvider.js';
+
+const redirectToIdp = async (authorizationUrl) => {
+  const response = await fetch(authorizationUrl, { redirect: 'manual' });
+  const location = new URL(response.headers.get('location'));
+  return {
+    code: location.searchParams.get('code'),
+    state: location.searchParams.get('state'),
+  };
+};
+
+describe('Single sign-on', () => {
+  const idp = createMockOidcProvider({ clientId: 'rental-test-client', clientSecret: 'idp-secret' });
+  const ownerCredentials = {
+    email: 'sso-owner-test@example.com',
+    password: 'Password123!'
+  };
+  let ownerToken;
+  let ownerId;
+
+  beforeAll(async () => {
+    // The mock identity provider listens on loopback over plain http
+    process.env.OIDC_ALLOW_PRIVATE_ISSUERS = 'true';
+    await idp.start();
+  });
+
+  beforeEach(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'sso-test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: ownerCredentials.email }
+    });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ ...ownerCredentials, role: 'OWNER', companyName: 'SSO Test Co' });
+    ownerToken = register.body.token;
+
+    const owner = await prisma.user.update({
+      where: { email: ownerCredentials.email },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+    ownerId = owner.owner.id;
+
+    await request(app)
+      .post(`/api/v1/owners/${ownerId}/sso-providers`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({
+        name: 'Test IdP',
+        slug: 'sso-test-idp',
+        issuer: idp.issuer,
+        clientId: idp.clientId,
+        clientSecret: idp.clientSecret,
+        emailDomains: ['sso-test.example.com']
+      })
+      .expect(201);
+
+    idp.user = {
+      sub: 'idp-user-1',
+      email: 'jane@sso-test.example.com',
+      email_verified: true,
+      given_name: 'Jane',
+      family_name: 'Doe'
+    };
+  });
+
+  afterAll(async () => {
+    await idp.stop();
+    await prisma.$disconnect();
+  });
+
+  it('should never return the client secret', async () => {
+    const response = await request(app)
+      .get(`/api/v1/owners/${ownerId}/sso-providers`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(response.body.providers[0].hasClientSecret).toBe(true);
+    expect(response.body.providers[0].clientSecret).toBeUndefined();
+  });
+
+  it('should discover the provider from the email domain', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/sso/discover')
+      .query({ email: 'someone@sso-test.example.com' })
+      .expect(200);
+
+    expect(response.body.ssoAvailable).toBe(true);
+    expect(response.body.provider.slug).toBe('sso-test-idp');
+  });
+
+  it('should provision a manager under the owner on first login', async () => {
+    const start = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    expect(start.body.authorizationUrl).toContain('code_challenge_method=S256');
+
+    const callback = await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(await redirectToIdp(start.body.authorizationUrl))
+      .expect(200);
+
+    expect(callback.body.token).toBeDefined();
+    expect(callback.body.user.role).toBe('MANAGER');
+    expect(callback.body.user.profile.ownerId).toBe(ownerId);
+
+    // A second login reuses the linked identity
+    const again = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    const second = await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(await redirectToIdp(again.body.authorizationUrl))
+      .expect(200);
+
+    expect(second.body.user.id).toBe(callback.body.user.id);
+  });
+
+  it('should reject a replayed state', async () => {
+    const start = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    const params = await redirectToIdp(start.body.authorizationUrl);
+
+    await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(params)
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(params)
+      .expect(400);
+  });
+
+  it('should reject emails outside the allowed domains', async () => {
+    idp.user = { ...idp.user, sub: 'idp-user-2', email: 'intruder@elsewhere-test.com' };
+
+    const start = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(await redirectToIdp(start.body.authorizationUrl))
+      .expect(403);
+  });
+
+  it('should refuse issuers on private networks', async () => {
+    process.env.OIDC_ALLOW_PRIVATE_ISSUERS = 'false';
+
+    try {
+      for (const issuer of [idp.issuer, 'https://169.254.169.254/latest']) {
+        await request(app)
+          .post(`/api/v1/owners/${ownerId}/sso-providers`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ name: 'Internal IdP', slug: 'sso-test-internal', issuer, clientId: 'internal' })
+          .expect(400);
+      }
+    } finally {
+      process.env.OIDC_ALLOW_PRIVATE_ISSUERS = 'true';
+    }
+  });
+
+  it('should refuse public and already claimed email domains', async () => {
+    const other = await prisma.user.create({
+      data: {
+        email: 'other-owner@sso-test.example.org',
+        password: 'not-used',
+        role: 'OWNER',
+        owner: {
+          create: {
+            ssoProviders: {
+              create: { name: 'Other IdP', slug: 'sso-test-other', issuer: idp.issuer, clientId: 'other', emailDomains: ['claimed-sso-test.example.com'] }
+            }
+          }
+        }
+      }
+    });
+
+    try {
+      for (const [emailDomains, status] of [[['gmail.com'], 400], [['claimed-sso-test.example.com'], 409]]) {
+        await request(app)
+          .post(`/api/v1/owners/${ownerId}/sso-providers`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ name: 'Second IdP', slug: 'sso-test-second', issuer: idp.issuer, clientId: idp.clientId, emailDomains })
+          .expect(status);
+      }
+
+      const provider = await prisma.oidcProvider.findUnique({ where: { slug: 'sso-test-idp' } });
+      await request(app)
+        .put(`/api/v1/owners/${ownerId}/sso-providers/${provider.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ emailDomains: ['GMAIL.com'] })
+        .expect(400);
+    } finally {
+      await prisma.user.delete({ where: { id: other.id } });
+    }
+  });
+
+  it('should match email domains regardless of case', async () => {
+    await prisma.oidcProvider.update({
+      where: { slug: 'sso-test-idp' },
+      data: { emailDomains: ['SSO-Test.example.com'] }
+    });
+    idp.user = { ...idp.user, email: 'Jane@SSO-TEST.example.com' };
+
+    const start = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(await redirectToIdp(start.body.authorizationUrl))
+      .expect(200);
+  });
+
+  it('should not link an account that belongs to someone else', async () => {
+    idp.user = { ...idp.user, sub: 'idp-user-3', email: ownerCredentials.email };
+
+    await prisma.oidcProvider.update({
+      where: { slug: 'sso-test-idp' },
+      data: { emailDomains: [] }
+    });
+
+    const start = await request(app)
+      .get('/api/v1/auth/sso/sso-test-idp/authorize')
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/sso/callback')
+      .send(await redirectToIdp(start.body.authorizationUrl))
+      .expect(409);
+  });
+});
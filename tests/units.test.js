@@ -0,0 +1,120 @@
+import request from 'supertest';
+import app from '../src/index.js';
+import prisma from '../src/config/database.js';
+import { hashPassword } from '../src/utils/helpers.js';
+
+describe('Property units', () => {
+  const ownerEmail = 'units-owner-test@example.com';
+  const tenantEmail = 'units-tenant-test@example.com';
+  const password = 'Password123!';
+  let ownerToken;
+  let property;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, tenantEmail] } }
+    });
+
+    const register = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: ownerEmail, password, role: 'OWNER', companyName: 'Units Test Co' });
+    ownerToken = register.body.token;
+
+    const owner = await prisma.user.update({
+      where: { email: ownerEmail },
+      data: { emailVerifiedAt: new Date() },
+      include: { owner: true }
+    });
+
+    property = await prisma.property.create({
+      data: { ownerId: owner.owner.id, name: 'Units Tower', address: 'Units Tower, Test City', units: 1, rentAmount: 1200 }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.property.deleteMany({ where: { id: property.id } });
+    await prisma.user.deleteMany({
+      where: { email: { in: [ownerEmail, tenantEmail] } }
+    });
+    await prisma.$disconnect();
+  });
+
+  const createUnit = (body) => request(app)
+    .post(`/api/v1/properties/${property.id}/units`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send(body);
+
+  it('should create units with the property rent as default', async () => {
+    const response = await createUnit({ number: '1A', floor: 1, bedrooms: 2 }).expect(201);
+
+    expect(response.body.unit.number).toBe('1A');
+    expect(Number(response.body.unit.rentAmount)).toBe(1200);
+
+    await createUnit({ number: '1A' }).expect(409);
+  });
+
+  it('should list and update units', async () => {
+    await createUnit({ number: '1B', floor: 1, rentAmount: 1400 }).expect(201);
+
+    const list = await request(app)
+      .get(`/api/v1/properties/${property.id}/units`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(list.body.units.map(unit => unit.number)).toEqual(['1A', '1B']);
+
+    const updated = await request(app)
+      .put(`/api/v1/properties/${property.id}/units/${list.body.units[1].id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ status: 'MAINTENANCE' })
+      .expect(200);
+
+    expect(updated.body.unit.status).toBe('MAINTENANCE');
+  });
+
+  it('should count occupied units in occupancy analytics', async () => {
+    const unit = await prisma.unit.findFirst({ where: { propertyId: property.id, number: '1A' } });
+    const user = await prisma.user.create({
+      data: {
+        email: tenantEmail,
+        password: await hashPassword(password),
+        firstName: 'Test',
+        lastName: 'Tenant',
+        role: 'TENANT',
+        emailVerifiedAt: new Date(),
+        tenant: {
+          create: { propertyId: property.id, unitId: unit.id, firstName: 'Test', lastName: 'Tenant', phone: '+15555550100' }
+        }
+      },
+      include: { tenant: true }
+    });
+
+    await prisma.lease.create({
+      data: {
+        propertyId: property.id,
+        unitId: unit.id,
+        tenantId: user.tenant.id,
+        startDate: new Date(),
+        endDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        rentAmount: 1200
+      }
+    });
+
+    const response = await request(app)
+      .get('/api/v1/analytics/occupancy')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(response.body.data.totalUnits).toBe(2);
+    expect(response.body.data.occupiedUnits).toBe(1);
+  });
+
+  it('should not delete a unit with an active lease', async () => {
+    const unit = await prisma.unit.findFirst({ where: { propertyId: property.id, number: '1A' } });
+
+    await request(app)
+      .delete(`/api/v1/properties/${property.id}/units/${unit.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(400);
+  });
+});